@@ -5,8 +5,13 @@ import Sidebar from './components/UI/Sidebar';
 import Dashboard from './components/Dashboard/Dashboard';
 import { useDataLoader } from './hooks/useDataLoader';
 import { useAnalytics } from './hooks/useAnalytics';
+import { useUrlState } from './hooks/useUrlState';
+import { downloadFile } from './utils/reportGenerator';
+import { suggestColumnMapping, saveColumnMapping } from './utils/columnMapping';
+import { splitGenres } from './utils/dataProcessor';
 import { DASHBOARD_SECTIONS } from './utils/constants';
 import LoadingSpinner from './components/UI/LoadingSpinner';
+import DataUploader from './components/UI/DataUploader';
 import { ErrorDisplay } from './components/UI/ErrorBoundary';
 import './App.css';
 
@@ -15,10 +20,22 @@ import './App.css';
  * Orchestrates the entire Google Play Store Analytics dashboard
  */
 function App() {
+  // Section and filters live in the URL so views can be bookmarked and shared
+  const {
+    activeSection,
+    filters,
+    selectedApp,
+    setActiveSection,
+    setFilters,
+    openApp,
+    goBack
+  } = useUrlState();
+
   // State management
-  const [activeSection, setActiveSection] = useState(DASHBOARD_SECTIONS.OVERVIEW);
   const [isMobileSidebarOpen, setIsMobileSidebarOpen] = useState(false);
-  const [filters, setFilters] = useState({});
+  const [isUploaderOpen, setIsUploaderOpen] = useState(false);
+  const [uploadError, setUploadError] = useState(null);
+  const [mappingRequest, setMappingRequest] = useState(null);
 
   // Data loading hook
   const {
@@ -28,8 +45,13 @@ function App() {
     error: dataError,
     loadingMessage,
     dataQuality,
+    dataSource,
+    loadProgress,
+    cachedAt,
     isReady: dataReady,
-    reloadData
+    reloadData,
+    loadFromFiles,
+    cancelLoad
   } = useDataLoader();
 
   // Analytics hook
@@ -37,23 +59,31 @@ function App() {
     analytics,
     chartData,
     isGenerating: analyticsGenerating,
+    progressMessage: analyticsProgress,
+    hasNoMatches,
     error: analyticsError,
-    isReady: analyticsReady,
-    updateFilters,
-    resetFilters,
-    filteredApps
-  } = useAnalytics(apps, reviews);
+    filteredApps,
+    getAppBenchmark,
+    getCategoryComparison
+  } = useAnalytics(apps, reviews, filters);
 
   // Computed state
   const isLoading = dataLoading || analyticsGenerating;
   const hasError = dataError || analyticsError;
-  const isAppReady = dataReady && analyticsReady && !isLoading;
+  // Keep the dashboard mounted while analytics regenerate; the overlay shows progress
+  const isAppReady = dataReady && !!analytics;
+  // The app detail view works on the unfiltered dataset, so it doesn't wait for analytics
+  const isDetailReady = dataReady && !!selectedApp;
 
   // Get unique categories for filters
   const categories = useMemo(() => {
     return [...new Set(apps.map(app => app.category))].sort();
   }, [apps]);
 
+  const genres = useMemo(() => {
+    return [...new Set(apps.flatMap(app => splitGenres(app.genres)))].sort();
+  }, [apps]);
+
   // Statistics for header
   const headerStats = useMemo(() => {
     if (!analytics?.overview) return {};
@@ -70,7 +100,7 @@ function App() {
   const handleSectionChange = useCallback((section) => {
     setActiveSection(section);
     setIsMobileSidebarOpen(false);
-  }, []);
+  }, [setActiveSection]);
 
   const handleMobileSidebarToggle = useCallback(() => {
     setIsMobileSidebarOpen(prev => !prev);
@@ -80,19 +110,76 @@ function App() {
     setIsMobileSidebarOpen(false);
   }, []);
 
+  const handleResetFilters = useCallback(() => {
+    setFilters({});
+  }, [setFilters]);
+
   const handleFiltersChange = useCallback((newFilters) => {
     setFilters(newFilters);
-    updateFilters(newFilters);
-  }, [updateFilters]);
+  }, [setFilters]);
+
+  const handlePresetApply = useCallback((preset) => {
+    setActiveSection(preset.section, preset.filters);
+  }, [setActiveSection]);
+
+  const handleCategorySelect = useCallback((category) => {
+    setActiveSection(DASHBOARD_SECTIONS.CATEGORIES, { ...filters, category: undefined, categories: [category] });
+  }, [setActiveSection, filters]);
 
   const handleRefresh = useCallback(async () => {
     try {
-      await reloadData();
+      await reloadData({ bypassCache: true });
     } catch (error) {
       console.error('Failed to refresh data:', error);
     }
   }, [reloadData]);
 
+  const handleOpenUploader = useCallback(() => {
+    setUploadError(null);
+    setMappingRequest(null);
+    setIsUploaderOpen(true);
+  }, []);
+
+  const handleImport = useCallback(async (files) => {
+    try {
+      setUploadError(null);
+      setMappingRequest(null);
+      await loadFromFiles(files);
+      setIsUploaderOpen(false);
+    } catch (error) {
+      // Cancelling an import keeps the dialog open with the chosen files
+      if (error.code === 'CANCELLED') return;
+
+      console.error('Failed to import data:', error);
+
+      // Headers that don't match the expected format go through the mapping wizard
+      if (error.code === 'MISSING_COLUMNS' && error.fields?.length > 0) {
+        setMappingRequest({
+          dataset: error.dataset,
+          fields: error.fields,
+          initialMapping: suggestColumnMapping(error.dataset, error.fields),
+          files
+        });
+      } else {
+        setUploadError(error.message);
+      }
+    }
+  }, [loadFromFiles]);
+
+  const handleMappingConfirm = useCallback((mapping, remember) => {
+    if (!mappingRequest) return;
+
+    const { dataset, fields, files } = mappingRequest;
+    if (remember) {
+      saveColumnMapping(dataset, fields, mapping);
+    }
+
+    handleImport({
+      ...files,
+      mappings: { ...(files.mappings || {}), [dataset]: mapping }
+    });
+  }, [mappingRequest, handleImport]);
+
   const handleExport = useCallback(() => {
     // Generate and download report
     const reportData = {
@@ -102,18 +189,11 @@ function App() {
       filteredAppsCount: filteredApps.length
     };
     
-    const blob = new Blob([JSON.stringify(reportData, null, 2)], {
-      type: 'application/json'
-    });
-    
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `google-play-analytics-${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    downloadFile(
+      JSON.stringify(reportData, null, 2),
+      `google-play-analytics-${new Date().toISOString().split('T')[0]}.json`,
+      'application/json'
+    );
   }, [analytics, headerStats, filteredApps]);
 
   // Early error state
@@ -139,6 +219,8 @@ function App() {
           message={loadingMessage || "Loading Google Play Store data..."}
           fullScreen={true}
           type="chart"
+          progress={loadProgress}
+          onCancel={dataLoading ? cancelLoad : undefined}
         />
       </div>
     );
@@ -152,7 +234,9 @@ function App() {
         onSectionChange={handleSectionChange}
         filters={filters}
         onFiltersChange={handleFiltersChange}
+        onPresetApply={handlePresetApply}
         categories={categories}
+        genres={genres}
         isMobileOpen={isMobileSidebarOpen}
         onMobileClose={handleMobileSidebarClose}
       />
@@ -163,8 +247,12 @@ function App() {
         <Header
           onRefresh={handleRefresh}
           onExport={handleExport}
+          onImport={handleOpenUploader}
           isLoading={isLoading}
           stats={headerStats}
+          apps={apps}
+          onAppSelect={openApp}
+          onCategorySelect={handleCategorySelect}
         />
 
         {/* Mobile Menu Button */}
@@ -186,21 +274,38 @@ function App() {
 
         {/* Dashboard Content */}
         <main className="flex-1 overflow-auto">
-          {isAppReady ? (
+          {isAppReady || isDetailReady ? (
             <Dashboard
               activeSection={activeSection}
               analytics={analytics}
               chartData={chartData}
               apps={filteredApps}
+              allApps={apps}
               reviews={reviews}
               filters={filters}
+              selectedApp={selectedApp}
               onFiltersChange={handleFiltersChange}
               onSectionChange={handleSectionChange}
+              onAppSelect={openApp}
+              onBack={goBack}
+              getAppBenchmark={getAppBenchmark}
+              getCategoryComparison={getCategoryComparison}
             />
+          ) : hasNoMatches ? (
+            <div className="p-6 text-center py-12">
+              <h3 className="text-lg font-medium text-gray-900 mb-2">No Matching Apps</h3>
+              <p className="text-gray-500 mb-4">No apps match the current filters.</p>
+              <button
+                onClick={handleResetFilters}
+                className="text-sm text-primary-600 hover:text-primary-800"
+              >
+                Clear all filters
+              </button>
+            </div>
           ) : (
             <div className="p-6">
               <LoadingSpinner 
-                message="Preparing analytics dashboard..."
+                message={analyticsProgress || "Preparing analytics dashboard..."}
                 type="pulse"
               />
             </div>
@@ -217,6 +322,16 @@ function App() {
                   {dataQuality.apps?.totalRows?.toLocaleString()} apps • {dataQuality.reviews?.totalRows?.toLocaleString()} reviews
                 </span>
               )}
+              {cachedAt && (
+                <span title="Loaded from the browser cache. Refresh to reprocess the CSV files.">
+                  Data cached at {new Date(cachedAt).toLocaleString()}
+                </span>
+              )}
+              {dataSource?.type === 'upload' && (
+                <span title={[dataSource.apps, dataSource.reviews].filter(Boolean).join(', ')}>
+                  Source: {dataSource.apps}
+                </span>
+              )}
             </div>
             <div className="mt-2 sm:mt-0 flex items-center space-x-4">
               {analytics?.generatedAt && (
@@ -235,13 +350,27 @@ function App() {
         </footer>
       </div>
 
+      {/* Dataset Import */}
+      <DataUploader
+        isOpen={isUploaderOpen}
+        onClose={() => setIsUploaderOpen(false)}
+        onImport={handleImport}
+        error={uploadError}
+        isLoading={isLoading}
+        mappingRequest={mappingRequest}
+        onMappingConfirm={handleMappingConfirm}
+        onMappingCancel={() => setMappingRequest(null)}
+      />
+
       {/* Global Loading Overlay */}
       {isLoading && isAppReady && (
         <div className="fixed inset-0 bg-black bg-opacity-25 flex items-center justify-center z-50">
           <div className="bg-white rounded-lg p-6 shadow-xl">
             <LoadingSpinner 
-              message={loadingMessage || "Processing..."}
+              message={loadingMessage || analyticsProgress || "Processing..."}
               size="md"
+              progress={loadProgress}
+              onCancel={dataLoading ? cancelLoad : undefined}
             />
           </div>
         </div>
@@ -0,0 +1,304 @@
+import React, { useState, useMemo, useDeferredValue } from 'react';
+import { Target, Search, ExternalLink, Users } from 'lucide-react';
+import { buildSearchIndex, searchIndex } from '../../utils/search';
+import { BENCHMARK_METRICS } from '../../utils/analytics';
+
+const SUGGESTION_LIMIT = 8;
+
+/**
+ * Formats a benchmark metric value for display
+ * @param {string} metric - Metric id
+ * @param {number|null} value - Metric value
+ * @returns {string} Display value
+ */
+const formatMetricValue = (metric, value) => {
+  if (value === null || value === undefined || isNaN(value)) return '—';
+
+  switch (metric) {
+    case 'rating':
+      return value.toFixed(1);
+    case 'installs':
+    case 'reviews':
+      if (value >= 1000000000) return `${(value / 1000000000).toFixed(1)}B`;
+      if (value >= 1000000) return `${(value / 1000000).toFixed(1)}M`;
+      if (value >= 1000) return `${(value / 1000).toFixed(1)}K`;
+      return Math.round(value).toLocaleString();
+    case 'size':
+      return `${(value / (1024 * 1024)).toFixed(1)} MB`;
+    case 'price':
+      return value > 0 ? `$${value.toFixed(2)}` : 'Free';
+    case 'sentimentPolarity':
+      return value.toFixed(3);
+    default:
+      return String(value);
+  }
+};
+
+/**
+ * App benchmarking against category peers: percentiles, category medians and nearest competitors
+ * @param {Object} props - Component props
+ * @param {Array} props.apps - Filtered apps data
+ * @param {Function} props.getAppBenchmark - Benchmark lookup from useAnalytics
+ * @param {Function} props.onAppSelect - Opens an app's detail view
+ */
+const AppBenchmark = ({
+  apps = [],
+  getAppBenchmark,
+  onAppSelect
+}) => {
+  const [query, setQuery] = useState('');
+  const [selectedApp, setSelectedApp] = useState(null);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+
+  const deferredQuery = useDeferredValue(query);
+  const index = useMemo(() => buildSearchIndex(apps), [apps]);
+
+  const suggestions = useMemo(
+    () => searchIndex(index, deferredQuery, { appLimit: SUGGESTION_LIMIT, categoryLimit: 0 }).apps,
+    [index, deferredQuery]
+  );
+
+  const benchmark = useMemo(() => {
+    if (!selectedApp || !getAppBenchmark) return null;
+
+    try {
+      return getAppBenchmark(selectedApp);
+    } catch (error) {
+      console.error('Error benchmarking app:', error);
+      return null;
+    }
+  }, [selectedApp, getAppBenchmark]);
+
+  const handleSelect = (appName) => {
+    setSelectedApp(appName);
+    setQuery(appName);
+    setShowSuggestions(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && suggestions.length) {
+      e.preventDefault();
+      handleSelect(suggestions[0].app.app);
+    } else if (e.key === 'Escape') {
+      setShowSuggestions(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6 p-6">
+      {/* Header */}
+      <div>
+        <h2 className="text-2xl font-bold text-gray-900">App Benchmarking</h2>
+        <p className="mt-1 text-gray-600">
+          Compare an app with the other apps in its category
+        </p>
+      </div>
+
+      {/* App Picker */}
+      <div className="bg-white rounded-lg border border-gray-200 p-6">
+        <label className="block text-sm font-medium text-gray-700 mb-1">App</label>
+        <div className="relative max-w-xl">
+          <Search className="w-4 h-4 text-gray-400 absolute left-3 top-3 pointer-events-none" />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => {
+              setQuery(e.target.value);
+              setShowSuggestions(true);
+            }}
+            onFocus={() => setShowSuggestions(true)}
+            onBlur={() => setShowSuggestions(false)}
+            onKeyDown={handleKeyDown}
+            placeholder="Type an app name..."
+            className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg text-sm
+                     focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          />
+          {showSuggestions && suggestions.length > 0 && (
+            <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg max-h-72 overflow-y-auto">
+              {suggestions.map(({ app }) => (
+                <li key={app.app}>
+                  <button
+                    // Keeps the input focused so onBlur doesn't hide the list before the click lands
+                    onMouseDown={(e) => e.preventDefault()}
+                    onClick={() => handleSelect(app.app)}
+                    className="w-full px-4 py-2 text-left text-sm hover:bg-gray-50 flex justify-between"
+                  >
+                    <span className="text-gray-900 truncate">{app.app}</span>
+                    <span className="ml-4 text-gray-500 flex-shrink-0">{app.category?.replace(/_/g, ' ')}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      {!selectedApp ? (
+        <div className="text-center py-12">
+          <Target className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">Choose an App</h3>
+          <p className="text-gray-500">Pick an app to see how it ranks among its category peers.</p>
+        </div>
+      ) : !benchmark ? (
+        <div className="text-center py-12">
+          <Target className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">App Not Available</h3>
+          <p className="text-gray-500">"{selectedApp}" isn't in the apps matching the current filters.</p>
+        </div>
+      ) : (
+        <>
+          {/* Metric Benchmarks */}
+          <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+            <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+              <div>
+                <h3 className="text-lg font-medium text-gray-900">{benchmark.app.app}</h3>
+                <p className="text-sm text-gray-500">
+                  Benchmarked against {benchmark.peerCount.toLocaleString()} {benchmark.category.replace(/_/g, ' ')} apps
+                </p>
+              </div>
+              <button
+                onClick={() => onAppSelect?.(benchmark.app.app)}
+                className="flex items-center space-x-1 text-sm text-primary-600 hover:text-primary-800"
+              >
+                <span>App details</span>
+                <ExternalLink className="w-4 h-4" />
+              </button>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Metric
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      App
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Category Percentile
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Category Median
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Peers With Data
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {benchmark.metrics.map(metric => (
+                    <tr key={metric.id}>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                        {metric.label}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {formatMetricValue(metric.id, metric.value)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        {metric.rank ? (
+                          <div className="flex items-center" title={`#${metric.rank.rank} of ${metric.rank.total}`}>
+                            <div className="w-24 bg-gray-200 rounded-full h-2 mr-2">
+                              <div
+                                className="bg-primary-600 h-2 rounded-full"
+                                style={{ width: `${metric.rank.percentile}%` }}
+                              />
+                            </div>
+                            <span className="text-sm text-gray-500">{metric.rank.percentile.toFixed(0)}th</span>
+                          </div>
+                        ) : (
+                          <span className="text-sm text-gray-400">No data</span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {metric.peerCount ? formatMetricValue(metric.id, metric.median) : '—'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {metric.peerCount.toLocaleString()}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="px-6 py-3 border-t border-gray-200 text-xs text-gray-500">
+              Percentile is the share of category apps the app matches or beats; for size and price, smaller is better.
+            </p>
+          </div>
+
+          {/* Nearest Competitors */}
+          <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+            <div className="px-6 py-4 border-b border-gray-200 flex items-center space-x-2">
+              <Users className="w-5 h-5 text-primary-600" />
+              <div>
+                <h3 className="text-lg font-medium text-gray-900">Nearest Competitors</h3>
+                <p className="text-sm text-gray-500">
+                  Category apps in the closest install tier ({benchmark.app.installsCategory}), then closest in review count
+                </p>
+              </div>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      App
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Install Tier
+                    </th>
+                    {BENCHMARK_METRICS.map(metric => (
+                      <th key={metric.id} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        {metric.label}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  <tr className="bg-primary-50">
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                      {benchmark.app.app}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {benchmark.app.installsCategory}
+                    </td>
+                    {benchmark.metrics.map(metric => (
+                      <td key={metric.id} className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {formatMetricValue(metric.id, metric.value)}
+                      </td>
+                    ))}
+                  </tr>
+                  {benchmark.competitors.map(competitor => (
+                    <tr
+                      key={competitor.app}
+                      onClick={() => handleSelect(competitor.app)}
+                      className="hover:bg-gray-50 cursor-pointer"
+                      title={`Benchmark ${competitor.app}`}
+                    >
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                        {competitor.app}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {competitor.installsCategory}
+                        {!competitor.sameTier && <span className="ml-1 text-xs text-gray-400">(adjacent)</span>}
+                      </td>
+                      {BENCHMARK_METRICS.map(metric => (
+                        <td key={metric.id} className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {formatMetricValue(metric.id, competitor.values[metric.id])}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {benchmark.competitors.length === 0 && (
+              <p className="px-6 py-8 text-center text-sm text-gray-500">No other apps in this category.</p>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AppBenchmark;
@@ -1,24 +1,38 @@
 import React, { useState } from 'react';
-import { PieChart, BarChart, TrendingUp, Users, Star, Download } from 'lucide-react';
+import { PieChart, BarChart, TrendingUp, Users, Star, Download, Columns } from 'lucide-react';
 import PieChartComponent from '../Charts/PieChart';
 import BarChartComponent, { StackedBarChart } from '../Charts/BarChart';
+import CategoryComparison from './CategoryComparison';
 import { useChartData } from '../../hooks/useChartData';
 import { LoadingOverlay } from '../UI/LoadingSpinner';
 import { ErrorDisplay } from '../UI/ErrorBoundary';
+import { formatConfidenceInterval } from '../../utils/statisticalAnalysis';
+
+/**
+ * Formats the half-width of a confidence interval
+ * @param {Object|null} interval - {lower, upper}
+ * @param {Function} format - Formats the half-width
+ * @returns {string} e.g. '± 0.05', or '' without an interval
+ */
+const formatMargin = (interval, format = value => value.toFixed(2)) => (
+  interval ? `± ${format((interval.upper - interval.lower) / 2)}` : ''
+);
 
 /**
  * Category Analysis Dashboard Component
  * @param {Object} props - Component props
  * @param {Object} props.analytics - Analytics data
- * @param {Array} props.apps - Apps data
+ * @param {Object} props.filters - Current filters
  * @param {Function} props.onCategorySelect - Category selection callback
+ * @param {Function} props.getCategoryComparison - Comparison lookup from useAnalytics
  * @param {boolean} props.isLoading - Loading state
  * @param {string} props.error - Error message
  */
 const CategoryAnalysis = ({ 
   analytics, 
-  apps = [], 
+  filters = {},
   onCategorySelect,
+  getCategoryComparison,
   isLoading = false,
   error = null 
 }) => {
@@ -66,7 +80,8 @@ const CategoryAnalysis = ({
   const viewOptions = [
     { id: 'overview', label: 'Overview', icon: PieChart },
     { id: 'performance', label: 'Performance', icon: BarChart },
-    { id: 'market-share', label: 'Market Share', icon: TrendingUp }
+    { id: 'market-share', label: 'Market Share', icon: TrendingUp },
+    { id: 'compare', label: 'Compare', icon: Columns }
   ];
 
   return (
@@ -222,17 +237,19 @@ const CategoryAnalysis = ({
           <BarChartComponent
             data={categoryPerformance?.slice(0, 15)}
             dataKey="avgRating"
+            errorKey="avgRatingError"
             xAxisKey="category"
-            title="Average Rating by Category"
+            title="Average Rating by Category (with 95% CI)"
             color="#10b981"
             height={400}
             formatTooltip={({ value, label, payload }) => (
               <div className="bg-white p-3 border border-gray-200 rounded-lg shadow-lg">
                 <p className="font-medium text-gray-900">{label}</p>
                 <p className="text-sm text-gray-600">Avg Rating: {value?.toFixed(2)}</p>
-                <p className="text-sm text-gray-600">Apps: {payload?.appCount}</p>
+                <p className="text-xs text-gray-500">{formatConfidenceInterval(payload?.payload?.avgRatingInterval)}</p>
+                <p className="text-sm text-gray-600">Apps: {payload?.payload?.appCount}</p>
                 <p className="text-sm text-gray-600">
-                  Total Installs: {((payload?.totalInstalls || 0) / 1000000).toFixed(1)}M
+                  Total Installs: {((payload?.payload?.totalInstalls || 0) / 1000000).toFixed(1)}M
                 </p>
               </div>
             )}
@@ -281,18 +298,33 @@ const CategoryAnalysis = ({
                         {category.appCount.toLocaleString()}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                        <div className="flex items-center">
+                        <div
+                          className="flex items-center"
+                          title={`${formatConfidenceInterval(category.confidenceIntervals?.avgRating)} · ${category.ratingStats?.count || 0} rated apps`}
+                        >
                           <Star className="w-4 h-4 text-yellow-400 mr-1" />
                           {category.avgRating.toFixed(2)}
+                          <span className="ml-1 text-xs text-gray-400">
+                            {formatMargin(category.confidenceIntervals?.avgRating)}
+                          </span>
                         </div>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                         {(category.totalInstalls / 1000000).toFixed(1)}M
                       </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                        {(category.avgReviews || 0).toLocaleString()}
+                      <td
+                        className="px-6 py-4 whitespace-nowrap text-sm text-gray-500"
+                        title={`${formatConfidenceInterval(category.confidenceIntervals?.avgReviews, value => Math.round(value).toLocaleString())} (bootstrap)`}
+                      >
+                        {Math.round(category.avgReviews || 0).toLocaleString()}
+                        <span className="ml-1 text-xs text-gray-400">
+                          {formatMargin(category.confidenceIntervals?.avgReviews, value => Math.round(value).toLocaleString())}
+                        </span>
                       </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      <td
+                        className="px-6 py-4 whitespace-nowrap text-sm text-gray-500"
+                        title={`Share ${formatConfidenceInterval(category.confidenceIntervals?.popularShare, value => `${(value * 100).toFixed(1)}%`)} (Wilson)`}
+                      >
                         {category.popularAppsCount || 0}
                       </td>
                     </tr>
@@ -450,6 +482,14 @@ const CategoryAnalysis = ({
         </div>
       )}
 
+      {selectedView === 'compare' && (
+        <CategoryComparison
+          getCategoryComparison={getCategoryComparison}
+          categories={categories.categoryPerformance?.map(cat => cat.category) || []}
+          initialCategories={filters.categories || []}
+        />
+      )}
+
       {/* Selected Category Details */}
       {selectedCategory && (
         <div className="bg-blue-50 border border-blue-200 rounded-lg p-6">
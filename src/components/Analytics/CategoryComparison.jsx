@@ -0,0 +1,338 @@
+import React, { useState, useMemo } from 'react';
+import { GitCompare, X, Plus } from 'lucide-react';
+import LineChart from '../Charts/LineChart';
+import { StackedBarChart } from '../Charts/BarChart';
+import { formatPValue } from '../../utils/hypothesisTests';
+import { formatConfidenceInterval } from '../../utils/statisticalAnalysis';
+import { CATEGORY_COLORS, CHART_COLORS, INSTALL_RANGES, SENTIMENT_TYPES } from '../../utils/constants';
+
+const MIN_CATEGORIES = 2;
+const MAX_CATEGORIES = 6;
+
+/**
+ * Formats large numbers compactly
+ * @param {number} value - Number to format
+ * @returns {string} e.g. '1.2M'
+ */
+const formatCompact = (value) => {
+  if (value >= 1000000000) return `${(value / 1000000000).toFixed(1)}B`;
+  if (value >= 1000000) return `${(value / 1000000).toFixed(1)}M`;
+  if (value >= 1000) return `${(value / 1000).toFixed(1)}K`;
+  return Math.round(value).toLocaleString();
+};
+
+/**
+ * Formats a proportion as a percentage
+ * @param {number} value - Proportion in [0, 1]
+ * @returns {string} e.g. '12.5%'
+ */
+const formatShare = (value) => `${(value * 100).toFixed(1)}%`;
+
+// Rows of the aligned metrics table; `test` names the entry in comparison.tests and
+// `interval` the entry in the category's confidenceIntervals
+const METRIC_ROWS = [
+  { label: 'Apps', get: cat => cat.appCount.toLocaleString(), value: cat => cat.appCount },
+  { label: 'Avg Rating', get: cat => cat.avgRating.toFixed(2), value: cat => cat.avgRating, test: 'rating', testLabel: 'ANOVA', interval: 'avgRating' },
+  { label: 'Median Rating', get: cat => cat.medianRating.toFixed(2), value: cat => cat.medianRating, test: 'rating', testLabel: 'ANOVA', interval: 'medianRating' },
+  { label: 'Avg Installs', get: cat => formatCompact(cat.avgInstalls), value: cat => cat.avgInstalls, test: 'installs', testLabel: 'ANOVA (log)', interval: 'avgInstalls', formatInterval: formatCompact },
+  { label: 'Total Installs', get: cat => formatCompact(cat.totalInstalls), value: cat => cat.totalInstalls },
+  { label: 'Avg Reviews', get: cat => formatCompact(cat.avgReviews), value: cat => cat.avgReviews, test: 'reviews', testLabel: 'ANOVA (log)', interval: 'avgReviews', formatInterval: formatCompact },
+  { label: 'Paid Apps', get: cat => `${cat.paidShare.toFixed(1)}%`, value: cat => cat.paidShare, test: 'paidShare', testLabel: 'χ²', interval: 'paidShare', formatInterval: formatShare },
+  { label: 'Popular (1M+)', get: cat => `${cat.popularShare.toFixed(1)}%`, value: cat => cat.popularShare, test: 'popularShare', testLabel: 'χ²', interval: 'popularShare', formatInterval: formatShare },
+  { label: 'Positive Reviews', get: cat => `${cat.sentiment.positivePercentage.toFixed(1)}%`, value: cat => cat.sentiment.positivePercentage, test: 'sentiment', testLabel: 'χ²' },
+  { label: 'Negative Reviews', get: cat => `${cat.sentiment.negativePercentage.toFixed(1)}%`, value: cat => cat.sentiment.negativePercentage, test: 'sentiment', testLabel: 'χ²', lowerIsBetter: true },
+  { label: 'Avg Polarity', get: cat => cat.sentiment.avgPolarity?.toFixed(3) ?? '—', value: cat => cat.sentiment.avgPolarity, test: 'sentiment', testLabel: 'χ²' }
+];
+
+
+/**
+ * Returns the chart color for a category
+ * @param {string} category - Category
+ * @param {number} index - Position in the comparison
+ * @returns {string} Color
+ */
+const getCategoryColor = (category, index) => CATEGORY_COLORS[category] || CHART_COLORS[index % CHART_COLORS.length];
+
+/**
+ * Side-by-side comparison of 2-6 categories with significance testing
+ * @param {Object} props - Component props
+ * @param {Function} props.getCategoryComparison - Comparison lookup from useAnalytics
+ * @param {Array} props.categories - Categories available to compare, largest first
+ * @param {Array} props.initialCategories - Categories to start with, e.g. the category filter
+ */
+const CategoryComparison = ({
+  getCategoryComparison,
+  categories = [],
+  initialCategories = []
+}) => {
+  const [selected, setSelected] = useState(() => {
+    const initial = initialCategories.filter(category => categories.includes(category));
+    return (initial.length >= MIN_CATEGORIES ? initial : categories.slice(0, 3)).slice(0, MAX_CATEGORIES);
+  });
+
+  const comparison = useMemo(() => {
+    if (selected.length < MIN_CATEGORIES || !getCategoryComparison) return null;
+
+    try {
+      return getCategoryComparison(selected);
+    } catch (error) {
+      console.error('Error comparing categories:', error);
+      return null;
+    }
+  }, [getCategoryComparison, selected]);
+
+  const addCategory = (category) => {
+    if (category && !selected.includes(category) && selected.length < MAX_CATEGORIES) {
+      setSelected(prev => [...prev, category]);
+    }
+  };
+
+  const removeCategory = (category) => {
+    setSelected(prev => prev.filter(value => value !== category));
+  };
+
+  const availableCategories = categories.filter(category => !selected.includes(category));
+
+  const lines = selected.map((category, index) => ({
+    dataKey: category,
+    name: category.replace(/_/g, ' '),
+    color: getCategoryColor(category, index)
+  }));
+
+  const round = (value) => Number(value.toFixed(1));
+
+  const ratingDistribution = comparison?.ratingDistribution.map(row => ({
+    ...row,
+    ...Object.fromEntries(selected.map(category => [category, round(row[category])]))
+  })) || [];
+
+  const installTierMix = comparison?.installTierMix.map(row => ({
+    ...row,
+    category: row.category.replace(/_/g, ' '),
+    ...Object.fromEntries(INSTALL_RANGES.map(range => [range.label, round(row[range.label])]))
+  })) || [];
+
+  const sentimentMix = comparison?.categories.map(cat => ({
+    category: cat.category.replace(/_/g, ' '),
+    Positive: round(cat.sentiment.positivePercentage),
+    Neutral: round(cat.sentiment.neutralPercentage),
+    Negative: round(cat.sentiment.negativePercentage)
+  })) || [];
+
+  /**
+   * Finds the cells to highlight in a significant row
+   * @param {Object} row - Metric row
+   * @returns {Object} {best, worst} categories, or empty when the difference isn't significant
+   */
+  const getHighlights = (row) => {
+    const test = row.test && comparison.tests[row.test];
+    if (!test?.significant) return {};
+
+    const values = comparison.categories
+      .map(cat => ({ category: cat.category, value: row.value(cat) }))
+      .filter(({ value }) => Number.isFinite(value));
+    if (values.length < 2) return {};
+
+    const sorted = [...values].sort((a, b) => b.value - a.value);
+    const [high, low] = [sorted[0].category, sorted[sorted.length - 1].category];
+
+    return row.lowerIsBetter ? { best: low, worst: high } : { best: high, worst: low };
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Category Picker */}
+      <div className="bg-white rounded-lg border border-gray-200 p-6">
+        <div className="flex items-center space-x-2 mb-4">
+          <GitCompare className="w-5 h-5 text-primary-600" />
+          <h3 className="text-lg font-medium text-gray-900">Compare Categories</h3>
+          <span className="text-sm text-gray-500">
+            Pick {MIN_CATEGORIES}–{MAX_CATEGORIES} categories
+          </span>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          {selected.map((category, index) => (
+            <span
+              key={category}
+              className="inline-flex items-center px-3 py-1 rounded-full text-sm font-medium text-white"
+              style={{ backgroundColor: getCategoryColor(category, index) }}
+            >
+              {category.replace(/_/g, ' ')}
+              <button
+                onClick={() => removeCategory(category)}
+                className="ml-2 hover:opacity-75"
+                title={`Remove ${category.replace(/_/g, ' ')}`}
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </span>
+          ))}
+          {selected.length < MAX_CATEGORIES && availableCategories.length > 0 && (
+            <div className="relative flex items-center">
+              <Plus className="w-4 h-4 text-gray-400 absolute left-2 pointer-events-none" />
+              <select
+                value=""
+                onChange={(e) => addCategory(e.target.value)}
+                className="pl-7 pr-3 py-1 border border-gray-300 rounded-full text-sm
+                         focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                <option value="">Add category</option>
+                {availableCategories.map(category => (
+                  <option key={category} value={category}>{category.replace(/_/g, ' ')}</option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {!comparison ? (
+        <div className="text-center py-12">
+          <GitCompare className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">Select More Categories</h3>
+          <p className="text-gray-500">Choose at least {MIN_CATEGORIES} categories to compare.</p>
+        </div>
+      ) : (
+        <>
+          {/* Aligned Metrics */}
+          <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h3 className="text-lg font-medium text-gray-900">Category Metrics</h3>
+              <p className="text-sm text-gray-500">
+                Rows with a significant difference (p &lt; 0.05) highlight the best and worst category
+              </p>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Metric
+                    </th>
+                    {comparison.categories.map(cat => (
+                      <th key={cat.category} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        {cat.category.replace(/_/g, ' ')}
+                      </th>
+                    ))}
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Difference
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {METRIC_ROWS.map(row => {
+                    const test = row.test ? comparison.tests[row.test] : null;
+                    const { best, worst } = getHighlights(row);
+
+                    return (
+                      <tr key={row.label}>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                          {row.label}
+                        </td>
+                        {comparison.categories.map(cat => (
+                          <td
+                            key={cat.category}
+                            className={`px-6 py-4 whitespace-nowrap text-sm ${
+                              cat.category === best ? 'bg-green-50 text-green-800 font-medium' :
+                              cat.category === worst ? 'bg-red-50 text-red-800 font-medium' :
+                              'text-gray-500'
+                            }`}
+                          >
+                            {row.get(cat)}
+                            {row.interval && (
+                              <span className="block text-xs font-normal text-gray-400">
+                                {formatConfidenceInterval(cat.confidenceIntervals?.[row.interval], row.formatInterval)}
+                              </span>
+                            )}
+                          </td>
+                        ))}
+                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                          {!row.test ? (
+                            <span className="text-gray-400">—</span>
+                          ) : test ? (
+                            <span
+                              className={`px-2 py-1 text-xs rounded-full font-medium ${
+                                test.significant ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'
+                              }`}
+                              title={row.testLabel}
+                            >
+                              {test.significant ? 'Significant' : 'Not significant'} · {formatPValue(test.pValue)}
+                            </span>
+                          ) : (
+                            <span className="text-gray-400">Not enough data</span>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Pairwise Rating Differences */}
+          <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h3 className="text-lg font-medium text-gray-900">Pairwise Rating Differences</h3>
+              <p className="text-sm text-gray-500">Welch's t-test, Holm-adjusted for the number of pairs</p>
+            </div>
+            <div className="divide-y divide-gray-100">
+              {comparison.tests.ratingPairs.map(pair => (
+                <div key={`${pair.categoryA}-${pair.categoryB}`} className="px-6 py-3 flex items-center justify-between text-sm">
+                  <span className="text-gray-900">
+                    {pair.categoryA.replace(/_/g, ' ')} vs {pair.categoryB.replace(/_/g, ' ')}
+                  </span>
+                  <div className="flex items-center space-x-4">
+                    {Number.isFinite(pair.meanDifference) && (
+                      <span className="text-gray-500">
+                        Δ {pair.meanDifference > 0 ? '+' : ''}{pair.meanDifference.toFixed(2)} stars
+                      </span>
+                    )}
+                    <span
+                      className={`px-2 py-1 text-xs rounded-full font-medium ${
+                        pair.significant ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'
+                      }`}
+                    >
+                      {formatPValue(pair.adjustedPValue)}
+                    </span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Distributions */}
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <LineChart
+              data={ratingDistribution}
+              lines={lines}
+              xAxisKey="range"
+              title="Rating Distribution (% of rated apps)"
+              height={350}
+            />
+
+            <StackedBarChart
+              data={installTierMix}
+              dataKeys={INSTALL_RANGES.map(range => range.label)}
+              colors={CHART_COLORS}
+              xAxisKey="category"
+              title={`Install Tier Mix (%)${comparison.tests.installTiers?.significant ? ' · significant' : ''}`}
+              height={350}
+            />
+          </div>
+
+          <StackedBarChart
+            data={sentimentMix}
+            dataKeys={['Positive', 'Neutral', 'Negative']}
+            colors={[SENTIMENT_TYPES.POSITIVE.color, SENTIMENT_TYPES.NEUTRAL.color, SENTIMENT_TYPES.NEGATIVE.color]}
+            xAxisKey="category"
+            title={`Review Sentiment Mix (%)${comparison.tests.sentiment?.significant ? ' · significant' : ''}`}
+            height={300}
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CategoryComparison;
@@ -0,0 +1,256 @@
+import React, { useState, useMemo } from 'react';
+import _ from 'lodash';
+import ScatterPlot from '../Charts/ScatterPlot';
+import { ErrorDisplay } from '../UI/ErrorBoundary';
+import { generateRegressionAnalysis, REGRESSION_TARGETS } from '../../utils/analytics';
+import { formatPValue } from '../../utils/hypothesisTests';
+
+// Model choices: ordinary least squares, then ridge with increasing penalties (see fitLinearRegression)
+const MODEL_OPTIONS = [
+  { id: 'ols', label: 'OLS', ridge: 0 },
+  { id: 'ridge-0.01', label: 'Ridge λ = 0.01', ridge: 0.01 },
+  { id: 'ridge-0.1', label: 'Ridge λ = 0.1', ridge: 0.1 },
+  { id: 'ridge-1', label: 'Ridge λ = 1', ridge: 1 }
+];
+
+/**
+ * Formats a coefficient
+ * @param {number|null} value - Coefficient
+ * @returns {string} Display value
+ */
+const formatCoefficient = (value) => (value === null || value === undefined ? '—' : value.toFixed(3));
+
+/**
+ * Describes what a coefficient means on the target's own scale
+ * @param {string} target - REGRESSION_TARGETS id
+ * @param {number|null} estimate - Coefficient
+ * @returns {string} e.g. '×1.58 installs' or '+0.12 stars'
+ */
+const describeEffect = (target, estimate) => {
+  if (estimate === null || estimate === undefined) return '—';
+  if (target === 'logInstalls') return `×${(10 ** estimate).toFixed(2)} installs`;
+  return `${estimate >= 0 ? '+' : ''}${estimate.toFixed(2)} stars`;
+};
+
+/**
+ * Regression of installs or rating on app attributes: coefficients, fit and residual diagnostics
+ * @param {Object} props - Component props
+ * @param {Array} props.apps - Filtered apps data
+ */
+const DriversAnalysis = ({ apps = [] }) => {
+  const [target, setTarget] = useState(REGRESSION_TARGETS[0].id);
+  const [modelId, setModelId] = useState(MODEL_OPTIONS[0].id);
+
+  const ridge = MODEL_OPTIONS.find(option => option.id === modelId)?.ridge || 0;
+
+  const { model, error } = useMemo(() => {
+    try {
+      return { model: generateRegressionAnalysis(apps, { target, ridge }), error: null };
+    } catch (regressionError) {
+      return { model: null, error: regressionError };
+    }
+  }, [apps, target, ridge]);
+
+  const { attributeCoefficients, categoryCoefficients } = useMemo(() => {
+    const coefficients = model?.coefficients || [];
+    return {
+      attributeCoefficients: coefficients.filter(coefficient => coefficient.group !== 'category'),
+      categoryCoefficients: _.orderBy(
+        coefficients.filter(coefficient => coefficient.group === 'category'),
+        coefficient => coefficient.estimate ?? -Infinity,
+        'desc'
+      )
+    };
+  }, [model]);
+
+  const renderRows = (coefficients) => coefficients.map(coefficient => (
+    <tr key={coefficient.name} className={coefficient.dropped ? 'text-gray-400' : ''}>
+      <td className="px-6 py-3 whitespace-nowrap text-sm font-medium text-gray-900">{coefficient.label}</td>
+      <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">{formatCoefficient(coefficient.estimate)}</td>
+      <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">{formatCoefficient(coefficient.standardError)}</td>
+      <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">
+        {coefficient.ci ? `[${formatCoefficient(coefficient.ci[0])}, ${formatCoefficient(coefficient.ci[1])}]` : '—'}
+      </td>
+      <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">{describeEffect(model.target.id, coefficient.estimate)}</td>
+      <td className="px-6 py-3 whitespace-nowrap text-sm">
+        {coefficient.dropped ? (
+          <span className="text-xs text-gray-400">Constant here, dropped</span>
+        ) : (
+          <span
+            className={`px-2 py-1 text-xs rounded-full font-medium ${
+              coefficient.significant ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'
+            }`}
+          >
+            {formatPValue(coefficient.pValue)}
+          </span>
+        )}
+      </td>
+    </tr>
+  ));
+
+  const headerClass = 'px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+
+  return (
+    <div className="space-y-6">
+      {/* Model Controls */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-2 sm:space-y-0">
+        <div className="flex items-center space-x-2">
+          <span className="text-sm text-gray-600">Explain</span>
+          <div className="flex space-x-1 bg-gray-100 rounded-lg p-1">
+            {REGRESSION_TARGETS.map(option => (
+              <button
+                key={option.id}
+                onClick={() => setTarget(option.id)}
+                className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                  target === option.id ? 'bg-white text-warning-600 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className="flex items-center space-x-2">
+          <span className="text-sm text-gray-600">Model</span>
+          <select
+            value={modelId}
+            onChange={(e) => setModelId(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm
+                     focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          >
+            {MODEL_OPTIONS.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error ? (
+        <ErrorDisplay error={error.message} title="Model Error" />
+      ) : !model ? (
+        <div className="h-48 flex items-center justify-center bg-gray-50 rounded-lg border-2 border-dashed border-gray-300">
+          <p className="text-gray-500">Not enough apps to fit a model with these filters</p>
+        </div>
+      ) : (
+        <>
+          {/* Fit Summary */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
+            <div className="bg-white p-6 rounded-lg border border-gray-200">
+              <p className="text-sm font-medium text-gray-500">R²</p>
+              <p className="text-2xl font-semibold text-gray-900">{model.rSquared.toFixed(3)}</p>
+              <p className="text-sm text-gray-500">Adjusted {model.adjustedRSquared.toFixed(3)}</p>
+            </div>
+            <div className="bg-white p-6 rounded-lg border border-gray-200">
+              <p className="text-sm font-medium text-gray-500">Residual Std. Error</p>
+              <p className="text-2xl font-semibold text-gray-900">{model.residualStandardError.toFixed(3)}</p>
+              <p className="text-sm text-gray-500">On the {model.target.label} scale</p>
+            </div>
+            <div className="bg-white p-6 rounded-lg border border-gray-200">
+              <p className="text-sm font-medium text-gray-500">Apps</p>
+              <p className="text-2xl font-semibold text-gray-900">{model.n.toLocaleString()}</p>
+              <p className="text-sm text-gray-500">
+                {model.excludedCount ? `${model.excludedCount.toLocaleString()} without a ${model.target.label.toLowerCase()}` : 'All filtered apps'}
+              </p>
+            </div>
+            <div className="bg-white p-6 rounded-lg border border-gray-200">
+              <p className="text-sm font-medium text-gray-500">Parameters</p>
+              <p className="text-2xl font-semibold text-gray-900">{model.effectiveParameters.toFixed(model.ridge ? 1 : 0)}</p>
+              <p className="text-sm text-gray-500">{model.ridge ? 'Effective, after shrinkage' : 'Plus the intercept'}</p>
+            </div>
+          </div>
+
+          {/* Coefficients */}
+          <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h3 className="text-lg font-medium text-gray-900">Coefficients</h3>
+              <p className="text-sm text-gray-500">
+                Change in {model.target.label} per unit of each predictor, holding the others fixed.
+                Categories are compared with {model.baselines.category?.replace(/_/g, ' ')} and content ratings
+                with {model.baselines.contentRating}. Missing sizes, Android versions and polarities are filled with
+                the average and flagged by their own indicator.
+              </p>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className={headerClass}>Predictor</th>
+                    <th className={headerClass}>Estimate</th>
+                    <th className={headerClass}>Std. Error</th>
+                    <th className={headerClass}>95% CI</th>
+                    <th className={headerClass}>Effect</th>
+                    <th className={headerClass}>p-value</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  <tr>
+                    <td className="px-6 py-3 whitespace-nowrap text-sm font-medium text-gray-900">Intercept</td>
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">{formatCoefficient(model.intercept)}</td>
+                    <td colSpan={4} className="px-6 py-3 text-sm text-gray-400">Baseline app with average attributes</td>
+                  </tr>
+                  {renderRows(attributeCoefficients)}
+                  <tr className="bg-gray-50">
+                    <td colSpan={6} className="px-6 py-2 text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Category (vs {model.baselines.category?.replace(/_/g, ' ')})
+                    </td>
+                  </tr>
+                  {renderRows(categoryCoefficients)}
+                </tbody>
+              </table>
+            </div>
+            {model.ridge > 0 && (
+              <p className="px-6 py-3 border-t border-gray-200 text-xs text-gray-500">
+                Ridge estimates are shrunk toward zero; their standard errors and p-values treat λ as fixed.
+              </p>
+            )}
+          </div>
+
+          {/* Residual Diagnostics */}
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <ScatterPlot
+              data={model.residuals}
+              xKey="fitted"
+              yKey="residual"
+              title="Residuals vs Fitted"
+              xLabel="Fitted"
+              yLabel="Residual"
+              height={350}
+              showTrendLine={true}
+              formatTooltip={(point) => (
+                <div className="bg-white p-3 border border-gray-200 rounded-lg shadow-lg">
+                  <p className="font-medium text-gray-900">{point.app}</p>
+                  <p className="text-sm text-gray-600">{point.category?.replace(/_/g, ' ')}</p>
+                  <p className="text-sm text-gray-600">Fitted: {point.fitted.toFixed(2)}</p>
+                  <p className="text-sm text-gray-600">Residual: {point.residual.toFixed(2)}</p>
+                </div>
+              )}
+            />
+            <ScatterPlot
+              data={model.residuals}
+              xKey="theoreticalQuantile"
+              yKey="standardizedResidual"
+              title="Normal Q-Q"
+              xLabel="Theoretical quantile"
+              yLabel="Standardized residual"
+              height={350}
+              showTrendLine={true}
+              formatTooltip={(point) => (
+                <div className="bg-white p-3 border border-gray-200 rounded-lg shadow-lg">
+                  <p className="font-medium text-gray-900">{point.app}</p>
+                  <p className="text-sm text-gray-600">Theoretical: {point.theoreticalQuantile.toFixed(2)}</p>
+                  <p className="text-sm text-gray-600">Standardized: {point.standardizedResidual.toFixed(2)}</p>
+                </div>
+              )}
+            />
+          </div>
+          <p className="text-xs text-gray-500">
+            Plots show an evenly spaced sample of up to 1,000 apps. Residuals should scatter evenly around zero with
+            no pattern against the fitted values, and follow the diagonal in the Q-Q plot.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DriversAnalysis;
@@ -1,26 +1,43 @@
 import React, { useState } from 'react';
-import { Star, TrendingUp, Award, AlertTriangle } from 'lucide-react';
+import { Star, TrendingUp, Award, AlertTriangle, Info, Sigma } from 'lucide-react';
 import BarChartComponent from '../Charts/BarChart';
 import ScatterPlot from '../Charts/ScatterPlot';
+import CorrelationHeatmap from '../Charts/CorrelationHeatmap';
+import DriversAnalysis from './DriversAnalysis';
 import { useChartData } from '../../hooks/useChartData';
 import { LoadingOverlay } from '../UI/LoadingSpinner';
 import { ErrorDisplay } from '../UI/ErrorBoundary';
+import { getIntervalOffsets, formatConfidenceInterval } from '../../utils/statisticalAnalysis';
+import { RATING_SORT_KEYS } from '../../utils/constants';
+
+const SORT_KEY_OPTIONS = Object.values(RATING_SORT_KEYS);
+
+/**
+ * Error bar offsets for a category's average rating
+ * @param {Object} category - Category performance record
+ * @returns {Array|null} [below, above]
+ */
+const getAvgRatingError = (category) => getIntervalOffsets(category.avgRating, category.confidenceIntervals?.avgRating);
 
 /**
  * Rating Analysis Component
  * @param {Object} props - Component props
  * @param {Object} props.analytics - Analytics data
  * @param {Array} props.apps - Apps data
+ * @param {Function} props.onAppSelect - Opens an app's detail view
  * @param {boolean} props.isLoading - Loading state
  * @param {string} props.error - Error message
  */
 const RatingAnalysis = ({ 
   analytics, 
   apps = [], 
+  onAppSelect,
   isLoading = false,
   error = null 
 }) => {
   const [selectedView, setSelectedView] = useState('distribution');
+  const [correlationMethod, setCorrelationMethod] = useState('spearman');
+  const [ratingSortKey, setRatingSortKey] = useState(RATING_SORT_KEYS.BAYESIAN.id);
   
   const chartData = useChartData(analytics, analytics?.chartData);
 
@@ -41,6 +58,19 @@ const RatingAnalysis = ({
   }
 
   const { ratings } = analytics;
+  const sortKeyOption = SORT_KEY_OPTIONS.find(option => option.id === ratingSortKey);
+  const topRatedApps = ratings.rankings?.[ratingSortKey]?.top || ratings.topRatedApps;
+  const poorlyRatedApps = ratings.rankings?.[ratingSortKey]?.poor || ratings.poorlyRatedApps;
+
+  /**
+   * Value shown for an app under the selected sort key
+   * @param {Object} app - Ranked app
+   * @param {boolean} isBottomList - Whether the app is in the poorly rated list
+   * @returns {number|null} Rating, Bayesian average or Wilson bound
+   */
+  const getSortValue = (app, isBottomList) => (
+    ratingSortKey === RATING_SORT_KEYS.WILSON.id && isBottomList ? app.wilsonUpperBound : app[ratingSortKey]
+  );
 
   // Prepare correlation data for rating vs other metrics
   const ratingCorrelationData = apps
@@ -57,7 +87,8 @@ const RatingAnalysis = ({
   const viewOptions = [
     { id: 'distribution', label: 'Distribution', icon: Star },
     { id: 'performance', label: 'Performance', icon: TrendingUp },
-    { id: 'correlation', label: 'Correlations', icon: Award }
+    { id: 'correlation', label: 'Correlations', icon: Award },
+    { id: 'drivers', label: 'Drivers', icon: Sigma }
   ];
 
   return (
@@ -257,17 +288,47 @@ const RatingAnalysis = ({
 
       {selectedView === 'performance' && (
         <div className="space-y-6">
+          {/* Ranking Sort Key */}
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
+            <div className="flex items-center space-x-2 text-sm text-gray-600">
+              <span>Rank apps by</span>
+              <span title={sortKeyOption?.formula} className="cursor-help">
+                <Info className="w-4 h-4 text-gray-400" />
+              </span>
+            </div>
+            <div className="mt-2 sm:mt-0 flex space-x-1 bg-gray-100 rounded-lg p-1">
+              {SORT_KEY_OPTIONS.map(option => (
+                <button
+                  key={option.id}
+                  onClick={() => setRatingSortKey(option.id)}
+                  title={option.formula}
+                  className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                    ratingSortKey === option.id
+                      ? 'bg-white text-warning-600 shadow-sm'
+                      : 'text-gray-600 hover:text-gray-900'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
           {/* Top and Poor Performing Apps */}
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
             {/* Top Rated Apps */}
             <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
               <div className="px-6 py-4 border-b border-gray-200 bg-green-50">
                 <h3 className="text-lg font-medium text-green-900">Top Rated Apps</h3>
-                <p className="text-sm text-green-700">Apps with excellent ratings (4.5+ stars)</p>
+                <p className="text-sm text-green-700">Apps with excellent ratings (4.5+ stars by {sortKeyOption?.label.toLowerCase()})</p>
               </div>
               <div className="overflow-y-auto max-h-96">
-                {ratings.topRatedApps?.slice(0, 10).map((app, index) => (
-                  <div key={app.app} className="px-6 py-4 border-b border-gray-100 last:border-b-0">
+                {topRatedApps?.slice(0, 10).map((app, index) => (
+                  <div
+                    key={app.app}
+                    onClick={() => onAppSelect?.(app.app)}
+                    className="px-6 py-4 border-b border-gray-100 last:border-b-0 cursor-pointer hover:bg-gray-50"
+                  >
                     <div className="flex items-center justify-between">
                       <div className="flex-1 min-w-0">
                         <p className="text-sm font-medium text-gray-900 truncate">
@@ -280,9 +341,12 @@ const RatingAnalysis = ({
                       <div className="flex items-center space-x-2">
                         <div className="flex items-center">
                           <Star className="w-4 h-4 text-yellow-400" />
-                          <span className="ml-1 text-sm font-medium text-gray-900">
-                            {app.rating?.toFixed(2)}
+                          <span className="ml-1 text-sm font-medium text-gray-900" title={sortKeyOption?.formula}>
+                            {getSortValue(app, false)?.toFixed(2)}
                           </span>
+                          {ratingSortKey !== RATING_SORT_KEYS.RAW.id && (
+                            <span className="ml-1 text-xs text-gray-400">({app.rating?.toFixed(1)} listed)</span>
+                          )}
                         </div>
                         <span className="text-xs text-gray-500">#{index + 1}</span>
                       </div>
@@ -296,11 +360,15 @@ const RatingAnalysis = ({
             <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
               <div className="px-6 py-4 border-b border-gray-200 bg-red-50">
                 <h3 className="text-lg font-medium text-red-900">Poorly Rated Apps</h3>
-                <p className="text-sm text-red-700">Apps that need improvement (below 3.0 stars)</p>
+                <p className="text-sm text-red-700">Apps that need improvement (below 3.0 stars by {sortKeyOption?.label.toLowerCase()})</p>
               </div>
               <div className="overflow-y-auto max-h-96">
-                {ratings.poorlyRatedApps?.slice(0, 10).map((app, index) => (
-                  <div key={app.app} className="px-6 py-4 border-b border-gray-100 last:border-b-0">
+                {poorlyRatedApps?.slice(0, 10).map((app, index) => (
+                  <div
+                    key={app.app}
+                    onClick={() => onAppSelect?.(app.app)}
+                    className="px-6 py-4 border-b border-gray-100 last:border-b-0 cursor-pointer hover:bg-gray-50"
+                  >
                     <div className="flex items-center justify-between">
                       <div className="flex-1 min-w-0">
                         <p className="text-sm font-medium text-gray-900 truncate">
@@ -313,9 +381,12 @@ const RatingAnalysis = ({
                       <div className="flex items-center space-x-2">
                         <div className="flex items-center">
                           <Star className="w-4 h-4 text-red-400" />
-                          <span className="ml-1 text-sm font-medium text-gray-900">
-                            {app.rating?.toFixed(2)}
+                          <span className="ml-1 text-sm font-medium text-gray-900" title={sortKeyOption?.formula}>
+                            {getSortValue(app, true)?.toFixed(2)}
                           </span>
+                          {ratingSortKey !== RATING_SORT_KEYS.RAW.id && (
+                            <span className="ml-1 text-xs text-gray-400">({app.rating?.toFixed(1)} listed)</span>
+                          )}
                         </div>
                       </div>
                     </div>
@@ -329,8 +400,9 @@ const RatingAnalysis = ({
           <BarChartComponent
             data={analytics?.categories?.categoryPerformance?.slice(0, 15)}
             dataKey="avgRating"
+            errorKey={getAvgRatingError}
             xAxisKey="category"
-            title="Average Rating by Category"
+            title="Average Rating by Category (with 95% CI)"
             color="#10b981"
             height={400}
             horizontal={true}
@@ -338,8 +410,9 @@ const RatingAnalysis = ({
               <div className="bg-white p-3 border border-gray-200 rounded-lg shadow-lg">
                 <p className="font-medium text-gray-900">{label.replace(/_/g, ' ')}</p>
                 <p className="text-sm text-gray-600">Avg Rating: {value?.toFixed(2)}</p>
-                <p className="text-sm text-gray-600">Apps: {payload?.appCount}</p>
-                <p className="text-sm text-gray-600">Total Reviews: {payload?.totalReviews?.toLocaleString()}</p>
+                <p className="text-xs text-gray-500">{formatConfidenceInterval(payload?.payload?.confidenceIntervals?.avgRating)}</p>
+                <p className="text-sm text-gray-600">Apps: {payload?.payload?.appCount}</p>
+                <p className="text-sm text-gray-600">Total Reviews: {payload?.payload?.totalReviews?.toLocaleString()}</p>
               </div>
             )}
           />
@@ -348,6 +421,40 @@ const RatingAnalysis = ({
 
       {selectedView === 'correlation' && (
         <div className="space-y-6">
+          {/* Correlation Matrix */}
+          <div>
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-2">
+              <p className="text-sm text-gray-600">
+                Rank-based coefficients (Spearman, Kendall) suit tier-coded installs and skewed review counts better than Pearson.
+              </p>
+              <div className="mt-2 sm:mt-0 flex space-x-1 bg-gray-100 rounded-lg p-1">
+                {[
+                  { id: 'spearman', label: 'Spearman' },
+                  { id: 'kendall', label: 'Kendall' },
+                  { id: 'pearson', label: 'Pearson' }
+                ].map(option => (
+                  <button
+                    key={option.id}
+                    onClick={() => setCorrelationMethod(option.id)}
+                    className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                      correlationMethod === option.id
+                        ? 'bg-white text-warning-600 shadow-sm'
+                        : 'text-gray-600 hover:text-gray-900'
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <CorrelationHeatmap
+              variables={chartData.correlations.variables}
+              cells={chartData.correlations.cells}
+              method={correlationMethod}
+              title="Correlation Matrix"
+            />
+          </div>
+
           {/* Rating vs Reviews Scatter Plot */}
           <ScatterPlot
             data={ratingCorrelationData}
@@ -410,6 +517,10 @@ const RatingAnalysis = ({
           </div>
         </div>
       )}
+
+      {selectedView === 'drivers' && (
+        <DriversAnalysis apps={apps} />
+      )}
     </div>
   );
 };
@@ -1,29 +1,75 @@
-import React, { useState } from 'react';
-import { MessageSquare, ThumbsUp, ThumbsDown, Meh, TrendingUp } from 'lucide-react';
+import React, { useState, useMemo } from 'react';
+import { MessageSquare, ThumbsUp, ThumbsDown, Meh, TrendingUp, Tags, X, Scale, Layers, AlertTriangle } from 'lucide-react';
 import PieChartComponent from '../Charts/PieChart';
-import BarChartComponent from '../Charts/BarChart';
+import BarChartComponent, { StackedBarChart } from '../Charts/BarChart';
+import ScatterPlot from '../Charts/ScatterPlot';
+import WordCloud from '../Charts/WordCloud';
+import ThemeAnalysis from './ThemeAnalysis';
+import SentimentMismatch from './SentimentMismatch';
 import { useChartData } from '../../hooks/useChartData';
 import { LoadingOverlay } from '../UI/LoadingSpinner';
 import { ErrorDisplay } from '../UI/ErrorBoundary';
+import { SENTIMENT_TYPES } from '../../utils/constants';
+import { KEYWORD_SENTIMENT_CLASSES, KEYWORD_TERM_TYPES, tokenize, findReviewsWithTerm } from '../../utils/textAnalytics';
+import { SENTIMENT_BREAKDOWNS } from '../../utils/analytics';
+import { formatPValue } from '../../utils/hypothesisTests';
+
+const MATCHING_REVIEW_LIMIT = 50;
+
+const SENTIMENT_BADGES = {
+  Positive: 'badge-success',
+  Neutral: 'badge-warning',
+  Negative: 'badge-danger'
+};
+
+/**
+ * Splits review text into words and separators, marking words that belong to the selected term
+ * @param {string} text - Review text
+ * @param {string} term - Selected term
+ * @returns {Array} Parts as { text, isMatch }
+ */
+const highlightTerm = (text, term) => {
+  const termTokens = new Set(tokenize(term));
+
+  return String(text || '')
+    .split(/([^\p{L}\p{N}'’]+)/u)
+    .filter(Boolean)
+    .map(part => ({ text: part, isMatch: termTokens.has(tokenize(part)[0]) }));
+};
 
 /**
  * Sentiment Analysis Component
  * @param {Object} props - Component props
  * @param {Object} props.analytics - Analytics data
+ * @param {Array} props.apps - Filtered apps data
  * @param {Array} props.reviews - Reviews data
  * @param {boolean} props.isLoading - Loading state
  * @param {string} props.error - Error message
+ * @param {Function} props.onAppSelect - Opens an app's detail view
  */
 const SentimentAnalysis = ({ 
   analytics, 
+  apps = [],
   reviews = [], 
   isLoading = false,
-  error = null 
+  error = null,
+  onAppSelect
 }) => {
   const [selectedView, setSelectedView] = useState('overview');
+  const [keywordClass, setKeywordClass] = useState(KEYWORD_SENTIMENT_CLASSES[0].id);
+  const [termType, setTermType] = useState(KEYWORD_TERM_TYPES[0].id);
+  const [selectedTerm, setSelectedTerm] = useState(null);
+  const [breakdownId, setBreakdownId] = useState(SENTIMENT_BREAKDOWNS[0].id);
   
   const chartData = useChartData(analytics, analytics?.chartData);
 
+  // Keywords come from the filtered apps' reviews, so their matches do too
+  const matchingReviews = useMemo(() => {
+    if (!selectedTerm) return [];
+    const appNames = new Set(apps.map(app => app.app));
+    return findReviewsWithTerm(reviews.filter(review => appNames.has(review.app)), selectedTerm);
+  }, [apps, reviews, selectedTerm]);
+
   if (error) {
     return <ErrorDisplay error={error} title="Sentiment Analysis Error" />;
   }
@@ -42,21 +88,33 @@ const SentimentAnalysis = ({
 
   const { sentiment } = analytics;
 
-  // Prepare sentiment trend data (simulated)
-  const sentimentTrendData = Array.from({ length: 12 }, (_, index) => ({
-    month: `Month ${index + 1}`,
-    positive: sentiment.sentimentPercentages.positive + (Math.random() - 0.5) * 10,
-    negative: sentiment.sentimentPercentages.negative + (Math.random() - 0.5) * 5,
-    neutral: sentiment.sentimentPercentages.neutral + (Math.random() - 0.5) * 5
+  const breakdown = sentiment.breakdowns?.[breakdownId];
+  const breakdownMix = (breakdown?.groups || []).map(group => ({
+    group: group.group.replace(/_/g, ' '),
+    Positive: Number(group.positive.percentage.toFixed(1)),
+    Neutral: Number(group.neutral.percentage.toFixed(1)),
+    Negative: Number(group.negative.percentage.toFixed(1))
   }));
 
   // View options
   const viewOptions = [
     { id: 'overview', label: 'Overview', icon: MessageSquare },
     { id: 'distribution', label: 'Distribution', icon: TrendingUp },
-    { id: 'insights', label: 'Insights', icon: ThumbsUp }
+    { id: 'insights', label: 'Insights', icon: ThumbsUp },
+    { id: 'keywords', label: 'Keywords', icon: Tags },
+    { id: 'themes', label: 'Themes', icon: Layers },
+    { id: 'mismatch', label: 'Mismatches', icon: AlertTriangle },
+    { id: 'lexicon', label: 'Lexicon', icon: Scale }
   ];
 
+  const lexicon = sentiment.lexicon;
+
+  const keywordClassType = SENTIMENT_TYPES[keywordClass.toUpperCase()];
+  const termTypeLabel = KEYWORD_TERM_TYPES.find(option => option.id === termType).label;
+  const keywordTerms = sentiment.keywords?.[termType]?.[keywordClass] || [];
+
+  const toggleTerm = (term) => setSelectedTerm(current => (current === term ? null : term));
+
   return (
     <div className="space-y-6 relative">
       <LoadingOverlay isVisible={isLoading} message="Analyzing sentiment..." />
@@ -109,7 +167,9 @@ const SentimentAnalysis = ({
                 {sentiment.totalReviews?.toLocaleString()}
               </p>
               <p className="text-sm text-gray-500">
-                Analyzed reviews
+                {lexicon?.filledCount
+                  ? `${lexicon.filledCount.toLocaleString()} labelled by the lexicon`
+                  : 'Analyzed reviews'}
               </p>
             </div>
           </div>
@@ -265,6 +325,26 @@ const SentimentAnalysis = ({
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
             <div className="bg-white p-6 rounded-lg border border-gray-200">
               <h3 className="text-lg font-medium text-gray-900 mb-4">Polarity Distribution</h3>
+              <div className="space-y-4">
+                <div>
+                  <div className="flex justify-between text-sm mb-1">
+                    <span>Mean Polarity</span>
+                    <span className="font-medium">{sentiment.polarityStats?.mean?.toFixed(3)}</span>
+                  </div>
+                  <div className="flex justify-between text-sm mb-1">
+                    <span>Median Polarity</span>
+                    <span className="font-medium">{sentiment.polarityStats?.median?.toFixed(3)}</span>
+                  </div>
+                  <div className="flex justify-between text-sm mb-1">
+                    <span>Standard Deviation</span>
+                    <span className="font-medium">{sentiment.polarityStats?.std?.toFixed(3)}</span>
+                  </div>
+                </div>
+              </div>
+            </div>
+
+            <div className="bg-white p-6 rounded-lg border border-gray-200">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">Subjectivity Distribution</h3>
               <div className="space-y-4">
                 <div>
                   <div className="flex justify-between text-sm mb-1">
@@ -297,6 +377,96 @@ const SentimentAnalysis = ({
             height={400}
           />
 
+          {/* Sentiment by Segment */}
+          {breakdown && (
+            <div className="space-y-4">
+              <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-2 sm:space-y-0">
+                <div>
+                  <h3 className="text-lg font-medium text-gray-900">Sentiment by {breakdown.label}</h3>
+                  <p className="text-sm text-gray-500">
+                    Reviews of apps matching the current filters
+                    {breakdown.test && ` · χ² = ${breakdown.test.chiSquare.toFixed(1)}, ${formatPValue(breakdown.test.pValue)}, Cramér's V = ${breakdown.test.cramersV.toFixed(2)}`}
+                  </p>
+                </div>
+                <div className="flex space-x-1 bg-gray-100 rounded-lg p-1">
+                  {SENTIMENT_BREAKDOWNS.map(option => (
+                    <button
+                      key={option.id}
+                      onClick={() => setBreakdownId(option.id)}
+                      className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                        breakdownId === option.id ? 'bg-white text-purple-600 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <StackedBarChart
+                data={breakdownMix}
+                dataKeys={['Positive', 'Neutral', 'Negative']}
+                colors={[SENTIMENT_TYPES.POSITIVE.color, SENTIMENT_TYPES.NEUTRAL.color, SENTIMENT_TYPES.NEGATIVE.color]}
+                xAxisKey="group"
+                height={350}
+              />
+
+              <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+                <div className="overflow-x-auto max-h-96">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          {breakdown.label}
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Apps
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Reviews
+                        </th>
+                        {KEYWORD_SENTIMENT_CLASSES.map(({ id }) => (
+                          <th key={id} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            {SENTIMENT_TYPES[id.toUpperCase()].label}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {breakdown.groups.map(group => (
+                        <tr key={group.group}>
+                          <td className="px-6 py-3 whitespace-nowrap text-sm font-medium text-gray-900">
+                            {group.group.replace(/_/g, ' ')}
+                          </td>
+                          <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">{group.appCount.toLocaleString()}</td>
+                          <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">{group.totalReviews.toLocaleString()}</td>
+                          {KEYWORD_SENTIMENT_CLASSES.map(({ id }) => (
+                            <td key={id} className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">
+                              {group[id].percentage.toFixed(1)}%
+                              <span className="ml-1 text-xs text-gray-400">({group[id].count.toLocaleString()})</span>
+                              {group[id].interval && (
+                                <p className="text-xs text-gray-500">
+                                  95% CI {group[id].interval.lower.toFixed(1)} – {group[id].interval.upper.toFixed(1)}%
+                                </p>
+                              )}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                {breakdown.groups.length === 0 && (
+                  <p className="px-6 py-8 text-center text-sm text-gray-500">No reviews for the apps matching these filters.</p>
+                )}
+                <p className="px-6 py-3 border-t border-gray-200 text-xs text-gray-500">
+                  Wilson intervals treat reviews as independent; reviews of the same app tend to agree, so true uncertainty
+                  is wider for groups with few apps.
+                </p>
+              </div>
+            </div>
+          )}
+
           {/* Detailed Statistics */}
           <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
             <div className="px-6 py-4 border-b border-gray-200">
@@ -507,28 +677,270 @@ const SentimentAnalysis = ({
           </div>
         </div>
       )}
-    </div>
-  );
-};
 
-export default SentimentAnalysis;
-                    <span>Mean Polarity</span>
-                    <span className="font-medium">{sentiment.polarityStats?.mean?.toFixed(3)}</span>
-                  </div>
-                  <div className="flex justify-between text-sm mb-1">
-                    <span>Median Polarity</span>
-                    <span className="font-medium">{sentiment.polarityStats?.median?.toFixed(3)}</span>
-                  </div>
-                  <div className="flex justify-between text-sm mb-1">
-                    <span>Standard Deviation</span>
-                    <span className="font-medium">{sentiment.polarityStats?.std?.toFixed(3)}</span>
-                  </div>
+      {selectedView === 'lexicon' && lexicon && (
+        <div className="space-y-6">
+          {/* Agreement Summary */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
+            <div className="bg-white p-6 rounded-lg border border-gray-200">
+              <p className="text-sm font-medium text-gray-500">Scored by Lexicon</p>
+              <p className="text-2xl font-semibold text-gray-900">{lexicon.scoredCount.toLocaleString()}</p>
+              <p className="text-sm text-gray-500">Reviews with text</p>
+            </div>
+            <div className="bg-white p-6 rounded-lg border border-gray-200">
+              <p className="text-sm font-medium text-gray-500">Labels Filled In</p>
+              <p className="text-2xl font-semibold text-gray-900">{lexicon.filledCount.toLocaleString()}</p>
+              <p className="text-sm text-gray-500">Reviews the dataset left unlabelled</p>
+            </div>
+            <div className="bg-white p-6 rounded-lg border border-gray-200">
+              <p className="text-sm font-medium text-gray-500">Label Agreement</p>
+              <p className="text-2xl font-semibold text-gray-900">
+                {lexicon.observedAgreement === null ? '—' : `${(lexicon.observedAgreement * 100).toFixed(1)}%`}
+              </p>
+              <p className="text-sm text-gray-500">
+                Cohen's κ {lexicon.kappa === null ? '—' : lexicon.kappa.toFixed(2)}
+              </p>
+            </div>
+            <div className="bg-white p-6 rounded-lg border border-gray-200">
+              <p className="text-sm font-medium text-gray-500">Polarity Correlation</p>
+              <p className="text-2xl font-semibold text-gray-900">
+                {lexicon.correlations.n ? `r = ${lexicon.correlations.pearson.r.toFixed(2)}` : '—'}
+              </p>
+              <p className="text-sm text-gray-500">
+                {lexicon.correlations.n ? `Spearman ρ = ${lexicon.correlations.spearman.r.toFixed(2)}` : 'No dataset polarity'}
+              </p>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <ScatterPlot
+              data={lexicon.sample}
+              xKey="datasetPolarity"
+              yKey="lexiconPolarity"
+              title="Dataset Polarity vs Lexicon Score"
+              xLabel="Dataset polarity"
+              yLabel="Lexicon compound"
+              height={350}
+              showTrendLine={true}
+              formatTooltip={(point) => (
+                <div className="bg-white p-3 border border-gray-200 rounded-lg shadow-lg">
+                  <p className="font-medium text-gray-900">{point.app}</p>
+                  <p className="text-sm text-gray-600">Dataset: {point.datasetPolarity.toFixed(2)} ({point.sentiment})</p>
+                  <p className="text-sm text-gray-600">Lexicon: {point.lexiconPolarity.toFixed(2)} ({point.lexiconSentiment})</p>
                 </div>
+              )}
+            />
+
+            {/* Confusion Matrix */}
+            <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h3 className="text-lg font-medium text-gray-900">Dataset Label vs Lexicon Label</h3>
+                <p className="text-sm text-gray-500">
+                  {lexicon.comparedCount.toLocaleString()} reviews with both; rows are the dataset's labels
+                </p>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Dataset
+                      </th>
+                      {lexicon.confusion.map(row => (
+                        <th key={row.label} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Lexicon {row.label}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {lexicon.confusion.map(row => {
+                      const rowTotal = Object.values(row.counts).reduce((sum, count) => sum + count, 0);
+                      return (
+                        <tr key={row.label}>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{row.label}</td>
+                          {lexicon.confusion.map(column => (
+                            <td
+                              key={column.label}
+                              className={`px-6 py-4 whitespace-nowrap text-sm ${
+                                column.label === row.label ? 'font-medium text-gray-900 bg-purple-50' : 'text-gray-500'
+                              }`}
+                            >
+                              {row.counts[column.label].toLocaleString()}
+                              {rowTotal > 0 && (
+                                <span className="ml-1 text-xs text-gray-400">
+                                  ({((row.counts[column.label] / rowTotal) * 100).toFixed(0)}%)
+                                </span>
+                              )}
+                            </td>
+                          ))}
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
               </div>
             </div>
+          </div>
 
-            <div className="bg-white p-6 rounded-lg border border-gray-200">
-              <h3 className="text-lg font-medium text-gray-900 mb-4">Subjectivity Distribution</h3>
-              <div className="space-y-4">
+          <p className="text-xs text-gray-500">
+            The lexicon scorer runs in your browser with no network access. It sums word valences, adjusted for negation
+            ("not good"), intensifiers ("very", "slightly"), capitals, "but" and exclamation marks, into a compound score
+            from -1 to +1; scores of ±0.05 or more are labelled Positive or Negative. Reviews the dataset left unlabelled
+            take the lexicon's label and score. Kappa corrects agreement for chance: above 0.6 is substantial.
+          </p>
+        </div>
+      )}
+
+      {selectedView === 'themes' && (
+        <ThemeAnalysis themes={analytics.themes} />
+      )}
+
+      {selectedView === 'mismatch' && (
+        <SentimentMismatch mismatches={analytics.mismatches} onAppSelect={onAppSelect} />
+      )}
+
+      {selectedView === 'keywords' && (
+        <div className="space-y-6">
+          {/* Keyword Controls */}
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-2 sm:space-y-0">
+            <div className="flex space-x-1 bg-gray-100 rounded-lg p-1">
+              {KEYWORD_SENTIMENT_CLASSES.map(({ id }) => (
+                <button
+                  key={id}
+                  onClick={() => setKeywordClass(id)}
+                  className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                    keywordClass === id ? 'bg-white text-purple-600 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+                  }`}
+                >
+                  {SENTIMENT_TYPES[id.toUpperCase()].label}
+                </button>
+              ))}
+            </div>
+            <div className="flex space-x-1 bg-gray-100 rounded-lg p-1">
+              {KEYWORD_TERM_TYPES.map(option => (
+                <button
+                  key={option.id}
+                  onClick={() => setTermType(option.id)}
+                  className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                    termType === option.id ? 'bg-white text-purple-600 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="lg:col-span-2">
+              <WordCloud
+                words={keywordTerms.map(term => ({ text: term.term, value: term.zScore }))}
+                title={`Distinctive ${keywordClassType.label} ${termTypeLabel}`}
+                color={keywordClassType.color}
+                height={360}
+                selectedWord={selectedTerm}
+                onWordClick={toggleTerm}
+                formatTitle={(word) => `${word.text}: z = ${word.value.toFixed(1)}`}
+              />
+            </div>
+
+            {/* Ranked Terms */}
+            <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h3 className="text-lg font-medium text-gray-900">Ranked Terms</h3>
+              </div>
+              <div className="overflow-y-auto max-h-96">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Term
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Reviews
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        z
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {keywordTerms.map(term => (
+                      <tr
+                        key={term.term}
+                        onClick={() => toggleTerm(term.term)}
+                        className={`cursor-pointer ${selectedTerm === term.term ? 'bg-purple-50' : 'hover:bg-gray-50'}`}
+                      >
+                        <td className="px-6 py-2 whitespace-nowrap text-sm font-medium text-gray-900">{term.term}</td>
+                        <td className="px-6 py-2 whitespace-nowrap text-sm text-gray-500">
+                          {term.count.toLocaleString()}
+                          <span className="ml-1 text-xs text-gray-400">({(term.share * 100).toFixed(1)}%)</span>
+                        </td>
+                        <td className="px-6 py-2 whitespace-nowrap text-sm text-gray-500">{term.zScore.toFixed(1)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {keywordTerms.length === 0 && (
+                  <p className="px-6 py-8 text-center text-sm text-gray-500">No review text to analyze.</p>
+                )}
+              </div>
+            </div>
+          </div>
+
+          <p className="text-xs text-gray-500">
+            Terms are ranked by how much more often they appear in {keywordClassType.label.toLowerCase()} reviews than in the
+            others (weighted log-odds with an informative Dirichlet prior); a z above 2 is unlikely to be chance. Each review
+            counts a term once and stop words are dropped. Only reviews of apps matching the current filters are used. Click
+            a term to read the reviews that use it.
+          </p>
+
+          {/* Matching Reviews */}
+          {selectedTerm && (
+            <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+              <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
                 <div>
-                  <div className="flex justify-between text-sm mb-1">
+                  <h3 className="text-lg font-medium text-gray-900">Reviews mentioning "{selectedTerm}"</h3>
+                  <p className="text-sm text-gray-500">
+                    {matchingReviews.length.toLocaleString()} reviews
+                    {matchingReviews.length > MATCHING_REVIEW_LIMIT && `, showing the first ${MATCHING_REVIEW_LIMIT}`}
+                  </p>
+                </div>
+                <button
+                  onClick={() => setSelectedTerm(null)}
+                  className="flex items-center space-x-1 text-sm text-gray-500 hover:text-gray-900"
+                >
+                  <X className="w-4 h-4" />
+                  <span>Clear</span>
+                </button>
+              </div>
+              <ul className="divide-y divide-gray-200 max-h-[32rem] overflow-y-auto">
+                {matchingReviews.slice(0, MATCHING_REVIEW_LIMIT).map((review, index) => (
+                  <li key={index} className="px-6 py-3">
+                    <div className="flex items-center justify-between mb-1">
+                      <span className="text-sm font-medium text-gray-900">{review.app}</span>
+                      <span className={`badge ${SENTIMENT_BADGES[review.sentiment] || 'badge-primary'}`}>{review.sentiment}</span>
+                    </div>
+                    <p className="text-sm text-gray-600">
+                      {highlightTerm(review.translatedReview, selectedTerm).map((part, partIndex) => (
+                        part.isMatch
+                          ? <mark key={partIndex} className="bg-yellow-100 text-gray-900 rounded px-0.5">{part.text}</mark>
+                          : <React.Fragment key={partIndex}>{part.text}</React.Fragment>
+                      ))}
+                    </p>
+                  </li>
+                ))}
+              </ul>
+              {matchingReviews.length === 0 && (
+                <p className="px-6 py-8 text-center text-sm text-gray-500">No reviews contain this term.</p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SentimentAnalysis;
@@ -0,0 +1,216 @@
+import React, { useState, useMemo } from 'react';
+import { Star } from 'lucide-react';
+import ScatterPlot from '../Charts/ScatterPlot';
+
+// Status labels double as scatter series names, so they read as a legend
+const MISMATCH_STATUSES = {
+  consistent: { label: 'Consistent', color: '#d1d5db' },
+  ratingHigher: { label: 'Rating higher than reviews', color: '#f97316' },
+  reviewsHigher: { label: 'Reviews kinder than rating', color: '#3b82f6' }
+};
+
+const DIRECTION_OPTIONS = [
+  { id: 'all', label: 'All' },
+  { id: 'ratingHigher', label: 'Rating Higher' },
+  { id: 'reviewsHigher', label: 'Reviews Higher' }
+];
+
+const SENTIMENT_BADGES = {
+  Positive: 'badge-success',
+  Neutral: 'badge-warning',
+  Negative: 'badge-danger'
+};
+
+/**
+ * Formats a polarity with its sign
+ * @param {number} value - Polarity between -1 and 1
+ * @returns {string} e.g. '+0.21'
+ */
+const formatPolarity = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}`;
+
+/**
+ * Rating vs review sentiment: apps whose average review polarity is far from what their rating predicts,
+ * with the reviews behind each flag
+ * @param {Object} props - Component props
+ * @param {Object} props.mismatches - Mismatch analytics from generateSentimentMismatches
+ * @param {Function} props.onAppSelect - Opens an app's detail view
+ */
+const SentimentMismatch = ({ mismatches, onAppSelect }) => {
+  const [direction, setDirection] = useState(DIRECTION_OPTIONS[0].id);
+
+  // Consistent apps first so flagged points are drawn on top
+  const scatterData = useMemo(() => {
+    if (!mismatches) return [];
+
+    return ['consistent', 'ratingHigher', 'reviewsHigher'].flatMap(status => mismatches.points
+      .filter(point => point.status === status)
+      .map(point => ({ ...point, statusLabel: MISMATCH_STATUSES[status].label })));
+  }, [mismatches]);
+
+  const scatterColors = useMemo(() => [...new Set(scatterData.map(point => point.status))]
+    .map(status => MISMATCH_STATUSES[status].color), [scatterData]);
+
+  const flaggedApps = useMemo(() => (mismatches?.flagged || [])
+    .filter(app => direction === 'all' || app.status === direction), [mismatches, direction]);
+
+  if (!mismatches) {
+    return (
+      <div className="h-48 flex items-center justify-center bg-gray-50 rounded-lg border-2 border-dashed border-gray-300">
+        <p className="text-gray-500">Not enough rated apps with reviews, or too few distinct ratings, to compare with these filters</p>
+      </div>
+    );
+  }
+
+  const { model, flagged } = mismatches;
+  const ratingHigherCount = flagged.filter(app => app.status === 'ratingHigher').length;
+
+  return (
+    <div className="space-y-6">
+      {/* Model Summary */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
+        <div className="bg-white p-6 rounded-lg border border-gray-200">
+          <p className="text-sm font-medium text-gray-500">Apps Compared</p>
+          <p className="text-2xl font-semibold text-gray-900">{model.n.toLocaleString()}</p>
+          <p className="text-sm text-gray-500">
+            Rated, with {model.minReviews}+ scored reviews
+            {model.excludedCount > 0 && ` (${model.excludedCount.toLocaleString()} left out)`}
+          </p>
+        </div>
+        <div className="bg-white p-6 rounded-lg border border-gray-200">
+          <p className="text-sm font-medium text-gray-500">Polarity per Star</p>
+          <p className="text-2xl font-semibold text-gray-900">
+            {model.slope === null ? '—' : formatPolarity(model.slope)}
+          </p>
+          <p className="text-sm text-gray-500">R² {model.rSquared.toFixed(3)}</p>
+        </div>
+        <div className="bg-white p-6 rounded-lg border border-gray-200">
+          <p className="text-sm font-medium text-gray-500">Rating Higher</p>
+          <p className="text-2xl font-semibold" style={{ color: MISMATCH_STATUSES.ratingHigher.color }}>
+            {ratingHigherCount.toLocaleString()}
+          </p>
+          <p className="text-sm text-gray-500">Reviews more negative than expected</p>
+        </div>
+        <div className="bg-white p-6 rounded-lg border border-gray-200">
+          <p className="text-sm font-medium text-gray-500">Reviews Higher</p>
+          <p className="text-2xl font-semibold" style={{ color: MISMATCH_STATUSES.reviewsHigher.color }}>
+            {(flagged.length - ratingHigherCount).toLocaleString()}
+          </p>
+          <p className="text-sm text-gray-500">Reviews more positive than expected</p>
+        </div>
+      </div>
+
+      {/* Rating vs Polarity */}
+      <ScatterPlot
+        data={scatterData}
+        xKey="rating"
+        yKey="polarity"
+        categoryKey="statusLabel"
+        colors={scatterColors}
+        title="Rating vs Average Review Polarity"
+        xLabel="Rating"
+        yLabel="Avg polarity"
+        height={400}
+        showTrendLine={true}
+        formatTooltip={(point) => (
+          <div className="bg-white p-3 border border-gray-200 rounded-lg shadow-lg">
+            <p className="font-medium text-gray-900">{point.app}</p>
+            <p className="text-sm text-gray-600">{point.category?.replace(/_/g, ' ')}</p>
+            <p className="text-sm text-gray-600">Rating: {point.rating.toFixed(1)} ★</p>
+            <p className="text-sm text-gray-600">
+              Polarity: {formatPolarity(point.polarity)} (expected {formatPolarity(point.expected)})
+            </p>
+            <p className="text-sm text-gray-600">z = {point.zScore.toFixed(2)} over {point.reviewCount.toLocaleString()} scored reviews</p>
+          </div>
+        )}
+      />
+
+      {/* Flagged Apps */}
+      <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200 flex flex-col md:flex-row md:items-center md:justify-between space-y-2 md:space-y-0">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">Flagged Apps</h3>
+            <p className="text-sm text-gray-500">
+              |z| ≥ {model.threshold}, strongest first, with the reviews that most contradict the rating
+            </p>
+          </div>
+          <div className="flex space-x-1 bg-gray-100 rounded-lg p-1">
+            {DIRECTION_OPTIONS.map(option => (
+              <button
+                key={option.id}
+                onClick={() => setDirection(option.id)}
+                className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                  direction === option.id ? 'bg-white text-purple-600 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className="divide-y divide-gray-200">
+          {flaggedApps.map(app => (
+            <div key={app.app} className="px-6 py-4 space-y-3">
+              <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between space-y-2 sm:space-y-0">
+                <div className="min-w-0">
+                  <button
+                    onClick={() => onAppSelect?.(app.app)}
+                    className="text-sm font-medium text-gray-900 hover:text-purple-600 text-left"
+                  >
+                    {app.app}
+                  </button>
+                  <p className="text-xs text-gray-500">
+                    {app.category?.replace(/_/g, ' ')} • {app.reviewCount.toLocaleString()} scored reviews •{' '}
+                    {app.negativePercentage.toFixed(0)}% negative
+                  </p>
+                </div>
+                <div className="flex items-center space-x-4 text-sm">
+                  <span className="flex items-center text-gray-900">
+                    <Star className="h-4 w-4 text-yellow-400 mr-1" />
+                    {app.rating.toFixed(1)}
+                  </span>
+                  <span className="text-gray-600">
+                    Polarity {formatPolarity(app.polarity)}
+                    <span className="text-gray-400"> vs {formatPolarity(app.expected)} expected</span>
+                  </span>
+                  <span
+                    className="px-2 py-1 text-xs rounded-full font-medium text-white"
+                    style={{ backgroundColor: MISMATCH_STATUSES[app.status].color }}
+                  >
+                    z = {app.zScore.toFixed(1)}
+                  </span>
+                </div>
+              </div>
+              {app.evidence.length > 0 ? (
+                <ul className="space-y-2">
+                  {app.evidence.map((review, index) => (
+                    <li key={index} className="flex items-start space-x-2 text-sm text-gray-700">
+                      <span className={`badge ${SENTIMENT_BADGES[review.sentiment] || 'badge-primary'} shrink-0`}>
+                        {formatPolarity(review.polarity)}
+                      </span>
+                      <span className="italic">“{review.text}”</span>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-xs text-gray-400">No review text to show</p>
+              )}
+            </div>
+          ))}
+        </div>
+        {flaggedApps.length === 0 && (
+          <p className="px-6 py-8 text-center text-sm text-gray-500">No apps flagged in this direction.</p>
+        )}
+      </div>
+
+      <p className="text-xs text-gray-500">
+        The red line is the expected average polarity for each rating, fitted across the compared apps. Each app's
+        distance from it is divided by how far apps with that many reviews usually stray, so a handful of harsh reviews
+        doesn't flag a small app. A rating well above its reviews can mean inflated ratings or a recent regression the
+        rating hasn't caught up with; reviews kinder than the rating can mean the reviews sampled here are out of date.
+        Only reviews with a polarity from the dataset are scored; lexicon-labelled reviews use a different scale.
+      </p>
+    </div>
+  );
+};
+
+export default SentimentMismatch;
@@ -0,0 +1,267 @@
+import React, { useState, useMemo } from 'react';
+import BarChartComponent from '../Charts/BarChart';
+import { SENTIMENT_TYPES } from '../../utils/constants';
+
+const SENTIMENT_OPTIONS = [
+  { id: 'negative', label: 'Negative' },
+  { id: 'all', label: 'All' },
+  { id: 'neutral', label: 'Neutral' },
+  { id: 'positive', label: 'Positive' }
+];
+
+const BREAKDOWN_OPTIONS = [
+  { id: 'categories', label: 'By Category' },
+  { id: 'apps', label: 'By App' }
+];
+
+const BREAKDOWN_ROW_LIMIT = 50;
+
+/**
+ * Formats a share as a percentage
+ * @param {number} share - Fraction between 0 and 1
+ * @returns {string} e.g. '12.3%'
+ */
+const formatShare = (share) => `${(share * 100).toFixed(1)}%`;
+
+/**
+ * Background color for a theme share, darker for themes mentioned more often
+ * @param {number} share - Fraction of reviews mentioning the theme
+ * @param {number} maxShare - Largest share in the table
+ * @returns {string} CSS color
+ */
+const getCellColor = (share, maxShare) => {
+  if (!share || !maxShare) return 'transparent';
+  return `rgba(147, 51, 234, ${(share / maxShare) * 0.6 + 0.05})`;
+};
+
+/**
+ * Review themes: how often each complaint or praise theme is mentioned, split by sentiment,
+ * overall and per category or app
+ * @param {Object} props - Component props
+ * @param {Object} props.themes - Theme analytics from generateThemeAnalytics
+ */
+const ThemeAnalysis = ({ themes }) => {
+  const [sentiment, setSentiment] = useState(SENTIMENT_OPTIONS[0].id);
+  const [breakdown, setBreakdown] = useState(BREAKDOWN_OPTIONS[0].id);
+  const [category, setCategory] = useState('');
+
+  const sentimentLabel = SENTIMENT_OPTIONS.find(option => option.id === sentiment).label;
+
+  const prevalenceData = useMemo(() => {
+    if (!themes) return [];
+
+    return themes.themes
+      .map(theme => ({
+        theme: theme.label,
+        share: themes.overall.themes[theme.id][sentiment].share * 100,
+        count: themes.overall.themes[theme.id][sentiment].count
+      }))
+      .sort((a, b) => b.share - a.share);
+  }, [themes, sentiment]);
+
+  const breakdownRows = useMemo(() => {
+    if (!themes) return [];
+
+    const rows = breakdown === 'apps'
+      ? themes.apps.filter(app => !category || app.category === category)
+      : themes.categories;
+
+    return rows
+      .filter(row => row.sentimentCounts[sentiment] > 0)
+      .slice(0, BREAKDOWN_ROW_LIMIT);
+  }, [themes, breakdown, category, sentiment]);
+
+  const maxShare = useMemo(() => Math.max(0, ...breakdownRows.flatMap(row =>
+    themes.themes.map(theme => row.themes[theme.id][sentiment].share)
+  )), [breakdownRows, themes, sentiment]);
+
+  if (!themes?.overall?.reviewCount) {
+    return (
+      <div className="h-48 flex items-center justify-center bg-gray-50 rounded-lg border-2 border-dashed border-gray-300">
+        <p className="text-gray-500">No review text for the apps matching these filters</p>
+      </div>
+    );
+  }
+
+  const { overall } = themes;
+  const headerClass = 'px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+
+  return (
+    <div className="space-y-6">
+      {/* Sentiment Selector */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-2 sm:space-y-0">
+        <div className="flex items-center space-x-2">
+          <span className="text-sm text-gray-600">Reviews</span>
+          <div className="flex space-x-1 bg-gray-100 rounded-lg p-1">
+            {SENTIMENT_OPTIONS.map(option => (
+              <button
+                key={option.id}
+                onClick={() => setSentiment(option.id)}
+                className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                  sentiment === option.id ? 'bg-white text-purple-600 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <p className="text-sm text-gray-500">
+          {overall.sentimentCounts[sentiment].toLocaleString()} reviews with text;{' '}
+          {formatShare(overall.unmatched[sentiment].share)} mention no theme
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Theme Prevalence */}
+        <BarChartComponent
+          data={prevalenceData}
+          dataKey="share"
+          xAxisKey="theme"
+          title={`Themes in ${sentimentLabel} Reviews`}
+          height={400}
+          horizontal={true}
+          color={sentiment === 'all' ? '#9333ea' : SENTIMENT_TYPES[sentiment.toUpperCase()].color}
+          margin={{ top: 20, right: 30, left: 40, bottom: 5 }}
+          formatTooltip={({ value, payload }) => (
+            <div className="bg-white p-3 border border-gray-200 rounded-lg shadow-lg">
+              <p className="font-medium text-gray-900">{payload?.payload?.theme}</p>
+              <p className="text-sm text-gray-600">
+                {payload?.payload?.count.toLocaleString()} reviews ({value.toFixed(1)}%)
+              </p>
+            </div>
+          )}
+        />
+
+        {/* Theme by Sentiment */}
+        <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h3 className="text-lg font-medium text-gray-900">Theme Share by Sentiment</h3>
+            <p className="text-sm text-gray-500">Share of each sentiment's reviews that mention the theme</p>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className={headerClass}>Theme</th>
+                  <th className={headerClass}>Negative</th>
+                  <th className={headerClass}>Neutral</th>
+                  <th className={headerClass}>Positive</th>
+                  <th className={headerClass}>Mentions Negative</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {themes.themes.map(theme => {
+                  const counts = overall.themes[theme.id];
+                  return (
+                    <tr key={theme.id} title={`Matched by: ${theme.keywords.join(', ')}`}>
+                      <td className="px-6 py-3 whitespace-nowrap text-sm font-medium text-gray-900">{theme.label}</td>
+                      <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">{formatShare(counts.negative.share)}</td>
+                      <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">{formatShare(counts.neutral.share)}</td>
+                      <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">{formatShare(counts.positive.share)}</td>
+                      <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">
+                        {counts.all.count ? formatShare(counts.negative.count / counts.all.count) : '—'}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {/* Category / App Breakdown */}
+      <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200 flex flex-col md:flex-row md:items-center md:justify-between space-y-2 md:space-y-0">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">Theme Prevalence {BREAKDOWN_OPTIONS.find(option => option.id === breakdown).label}</h3>
+            <p className="text-sm text-gray-500">
+              Share of {sentimentLabel.toLowerCase()} reviews mentioning each theme
+              {breakdown === 'apps' && `; apps with at least ${themes.minAppReviews} reviews, most reviewed first`}
+            </p>
+          </div>
+          <div className="flex items-center space-x-2">
+            {breakdown === 'apps' && (
+              <select
+                value={category}
+                onChange={(e) => setCategory(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm
+                         focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                <option value="">All categories</option>
+                {themes.categories.map(row => (
+                  <option key={row.category} value={row.category}>{row.category.replace(/_/g, ' ')}</option>
+                ))}
+              </select>
+            )}
+            <div className="flex space-x-1 bg-gray-100 rounded-lg p-1">
+              {BREAKDOWN_OPTIONS.map(option => (
+                <button
+                  key={option.id}
+                  onClick={() => setBreakdown(option.id)}
+                  className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                    breakdown === option.id ? 'bg-white text-purple-600 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className={headerClass}>{breakdown === 'apps' ? 'App' : 'Category'}</th>
+                <th className={headerClass}>Reviews</th>
+                {themes.themes.map(theme => (
+                  <th key={theme.id} className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    {theme.label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {breakdownRows.map(row => (
+                <tr key={row.app || row.category}>
+                  <td className="px-6 py-3 text-sm font-medium text-gray-900">
+                    {row.app || row.category.replace(/_/g, ' ')}
+                    {row.app && <p className="text-xs font-normal text-gray-500">{row.category.replace(/_/g, ' ')}</p>}
+                  </td>
+                  <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">
+                    {row.sentimentCounts[sentiment].toLocaleString()}
+                  </td>
+                  {themes.themes.map(theme => {
+                    const cell = row.themes[theme.id][sentiment];
+                    return (
+                      <td
+                        key={theme.id}
+                        title={`${cell.count.toLocaleString()} of ${row.sentimentCounts[sentiment].toLocaleString()} reviews`}
+                        className="px-3 py-3 whitespace-nowrap text-sm text-gray-900"
+                        style={{ backgroundColor: getCellColor(cell.share, maxShare) }}
+                      >
+                        {cell.count ? formatShare(cell.share) : '—'}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        {breakdownRows.length === 0 && (
+          <p className="px-6 py-8 text-center text-sm text-gray-500">No {sentimentLabel.toLowerCase()} reviews to break down.</p>
+        )}
+      </div>
+
+      <p className="text-xs text-gray-500">
+        Themes are matched offline by seed words and phrases in each review's text (hover a theme for its list), so a
+        review can mention several themes or none. Only reviews of apps matching the current filters are included.
+      </p>
+    </div>
+  );
+};
+
+export default ThemeAnalysis;
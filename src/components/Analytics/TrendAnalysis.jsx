@@ -0,0 +1,417 @@
+import React, { useState, useMemo } from 'react';
+import { TrendingUp, TrendingDown, Minus, Calendar, RefreshCw, Star, Download } from 'lucide-react';
+import LineChart, { AreaChartComponent } from '../Charts/LineChart';
+import { generateTrendAnalytics } from '../../utils/analytics';
+import { CHART_COLORS, CATEGORY_COLORS, INSTALL_RANGES, TREND_GRANULARITY } from '../../utils/constants';
+import { LoadingOverlay } from '../UI/LoadingSpinner';
+import { ErrorDisplay } from '../UI/ErrorBoundary';
+
+/**
+ * Renders the direction of a trend as an icon with a label
+ * @param {Object} props - Component props
+ * @param {Object} props.trend - Result of calculateTrendAnalysis
+ */
+const TrendBadge = ({ trend }) => {
+  if (!trend || trend.trend === 'insufficient_data') {
+    return <span className="badge badge-primary">Insufficient data</span>;
+  }
+
+  if (trend.trend === 'increasing') {
+    return (
+      <span className="badge badge-success inline-flex items-center space-x-1">
+        <TrendingUp className="w-3 h-3" />
+        <span>Increasing</span>
+      </span>
+    );
+  }
+
+  if (trend.trend === 'decreasing') {
+    return (
+      <span className="badge badge-danger inline-flex items-center space-x-1">
+        <TrendingDown className="w-3 h-3" />
+        <span>Decreasing</span>
+      </span>
+    );
+  }
+
+  return (
+    <span className="badge badge-warning inline-flex items-center space-x-1">
+      <Minus className="w-3 h-3" />
+      <span>Stable</span>
+    </span>
+  );
+};
+
+/**
+ * Trend Analysis Component
+ * Buckets apps by their "Last Updated" date to show update cadence,
+ * rating and install mix over time
+ * @param {Object} props - Component props
+ * @param {Object} props.analytics - Analytics data
+ * @param {Array} props.apps - Apps data
+ * @param {boolean} props.isLoading - Loading state
+ * @param {string} props.error - Error message
+ */
+const TrendAnalysis = ({
+  analytics,
+  apps = [],
+  isLoading = false,
+  error = null
+}) => {
+  const [selectedView, setSelectedView] = useState('cadence');
+  const [granularity, setGranularity] = useState(TREND_GRANULARITY.MONTH);
+  const [installCategory, setInstallCategory] = useState('all');
+
+  // Monthly trends come precomputed with the analytics; quarters are rebucketed on demand
+  const trends = useMemo(() => {
+    if (granularity === analytics?.trends?.granularity) {
+      return analytics.trends;
+    }
+    return generateTrendAnalytics(apps, { granularity });
+  }, [analytics, apps, granularity]);
+
+  // Flatten per-category series into one row per period for the multi-line charts
+  const categoryRows = useMemo(() => {
+    return trends.periods.map((point, index) => {
+      const row = { period: point.period };
+      trends.categorySeries.forEach(series => {
+        row[`${series.category}_updates`] = series.points[index].updateCount;
+        row[`${series.category}_rating`] = series.points[index].avgRating !== null
+          ? Number(series.points[index].avgRating.toFixed(2))
+          : null;
+      });
+      return row;
+    });
+  }, [trends]);
+
+  const overallRows = useMemo(() => {
+    return trends.periods.map(point => ({
+      period: point.period,
+      updates: point.updateCount,
+      avgRating: point.avgRating !== null ? Number(point.avgRating.toFixed(2)) : null
+    }));
+  }, [trends]);
+
+  // A category that drops out of the top series (e.g. after a filter change) falls back to all apps
+  const installSeries = trends.categorySeries.find(series => series.category === installCategory) || null;
+
+  // Periods without updates have no mix; leave a gap rather than a drop to 0%
+  const installRows = useMemo(() => {
+    return (installSeries ? installSeries.points : trends.periods).map(point => ({
+      period: point.period,
+      ...Object.fromEntries(
+        Object.entries(point.installMix)
+          .map(([label, share]) => [label, point.updateCount > 0 ? Number(share.toFixed(1)) : null])
+      )
+    }));
+  }, [trends, installSeries]);
+
+  if (error) {
+    return <ErrorDisplay error={error} title="Trend Analysis Error" />;
+  }
+
+  if (!trends.datedApps) {
+    return (
+      <div className="p-6">
+        <div className="text-center py-12">
+          <TrendingUp className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No Trend Data</h3>
+          <p className="text-gray-500">Trends appear once apps with a "Last Updated" date are loaded.</p>
+        </div>
+      </div>
+    );
+  }
+
+  const categoryLines = (suffix) => trends.categorySeries.map((series, index) => ({
+    dataKey: `${series.category}_${suffix}`,
+    name: series.category.replace(/_/g, ' '),
+    color: CATEGORY_COLORS[series.category] || CHART_COLORS[index % CHART_COLORS.length]
+  }));
+
+  const installAreas = INSTALL_RANGES.map((range, index) => ({
+    dataKey: range.label,
+    name: range.label,
+    color: CHART_COLORS[index % CHART_COLORS.length]
+  }));
+
+  const periodLabel = granularity === TREND_GRANULARITY.QUARTER ? 'quarter' : 'month';
+
+  // View options
+  const viewOptions = [
+    { id: 'cadence', label: 'Update Cadence', icon: RefreshCw },
+    { id: 'ratings', label: 'Ratings', icon: Star },
+    { id: 'installs', label: 'Install Mix', icon: Download }
+  ];
+
+  return (
+    <div className="space-y-6 relative">
+      <LoadingOverlay isVisible={isLoading} message="Analyzing trends..." />
+
+      {/* Header */}
+      <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Trend Analysis</h2>
+          <p className="mt-1 text-gray-600">
+            How update activity, ratings and installs shift with each app's last update date
+          </p>
+        </div>
+
+        <div className="mt-4 lg:mt-0 flex flex-col sm:flex-row gap-3">
+          {/* Granularity Selector */}
+          <select
+            value={granularity}
+            onChange={(e) => setGranularity(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm
+                     focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          >
+            <option value={TREND_GRANULARITY.MONTH}>By month</option>
+            <option value={TREND_GRANULARITY.QUARTER}>By quarter</option>
+          </select>
+
+          {/* View Selector */}
+          <div className="flex space-x-1 bg-gray-100 rounded-lg p-1">
+            {viewOptions.map(option => {
+              const Icon = option.icon;
+              return (
+                <button
+                  key={option.id}
+                  onClick={() => setSelectedView(option.id)}
+                  className={`
+                    flex items-center space-x-2 px-3 py-2 rounded-md text-sm font-medium transition-colors
+                    ${selectedView === option.id
+                      ? 'bg-white text-primary-600 shadow-sm'
+                      : 'text-gray-600 hover:text-gray-900'
+                    }
+                  `}
+                >
+                  <Icon className="w-4 h-4" />
+                  <span>{option.label}</span>
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+
+      {/* Key Metrics */}
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+        <div className="bg-white p-6 rounded-lg border border-gray-200">
+          <div className="flex items-center">
+            <div className="flex-shrink-0">
+              <Calendar className="w-8 h-8 text-primary-600" />
+            </div>
+            <div className="ml-4">
+              <p className="text-sm font-medium text-gray-500">Dated Apps</p>
+              <p className="text-2xl font-semibold text-gray-900">
+                {trends.datedApps.toLocaleString()}
+              </p>
+              <p className="text-sm text-gray-500">
+                {trends.undatedApps.toLocaleString()} without a date
+              </p>
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white p-6 rounded-lg border border-gray-200">
+          <div className="flex items-center">
+            <div className="flex-shrink-0">
+              <RefreshCw className="w-8 h-8 text-accent-600" />
+            </div>
+            <div className="ml-4">
+              <p className="text-sm font-medium text-gray-500">Busiest {periodLabel}</p>
+              <p className="text-2xl font-semibold text-gray-900">
+                {trends.busiestPeriod?.period || 'N/A'}
+              </p>
+              <p className="text-sm text-gray-500">
+                {trends.busiestPeriod?.updateCount?.toLocaleString()} updates
+              </p>
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white p-6 rounded-lg border border-gray-200">
+          <div className="flex items-center">
+            <div className="flex-shrink-0">
+              <TrendingUp className="w-8 h-8 text-warning-600" />
+            </div>
+            <div className="ml-4">
+              <p className="text-sm font-medium text-gray-500">Update Cadence</p>
+              <div className="mt-1">
+                <TrendBadge trend={trends.trends.updateCadence} />
+              </div>
+              <p className="text-sm text-gray-500 mt-1">
+                {trends.trends.updateCadence.slope?.toFixed(2)} updates per {periodLabel}
+              </p>
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white p-6 rounded-lg border border-gray-200">
+          <div className="flex items-center">
+            <div className="flex-shrink-0">
+              <Star className="w-8 h-8 text-yellow-500" />
+            </div>
+            <div className="ml-4">
+              <p className="text-sm font-medium text-gray-500">Rating Trend</p>
+              <div className="mt-1">
+                <TrendBadge trend={trends.trends.avgRating} />
+              </div>
+              <p className="text-sm text-gray-500 mt-1">
+                {trends.trends.avgRating.slope?.toFixed(3)} stars per {periodLabel}
+              </p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Main Content Based on Selected View */}
+      {selectedView === 'cadence' && (
+        <div className="space-y-6">
+          <LineChart
+            data={overallRows}
+            lines={[{ dataKey: 'updates', color: '#3b82f6', name: 'Apps updated' }]}
+            xAxisKey="period"
+            title={`Apps Last Updated per ${periodLabel}`}
+            height={350}
+            showLegend={false}
+          />
+
+          <LineChart
+            data={categoryRows}
+            lines={categoryLines('updates')}
+            xAxisKey="period"
+            title="Update Cadence by Category"
+            height={400}
+          />
+        </div>
+      )}
+
+      {selectedView === 'ratings' && (
+        <div className="space-y-6">
+          <LineChart
+            data={overallRows}
+            lines={[{ dataKey: 'avgRating', color: '#f59e0b', name: 'Average rating' }]}
+            xAxisKey="period"
+            title={`Average Rating by Last Update ${periodLabel}`}
+            height={350}
+            showLegend={false}
+          />
+
+          <LineChart
+            data={categoryRows}
+            lines={categoryLines('rating')}
+            xAxisKey="period"
+            title="Average Rating by Category"
+            height={400}
+          />
+        </div>
+      )}
+
+      {selectedView === 'installs' && (
+        <div className="space-y-6">
+          <div className="flex items-center justify-end space-x-2">
+            <label htmlFor="install-category" className="text-sm text-gray-600">Category</label>
+            <select
+              id="install-category"
+              value={installSeries ? installSeries.category : 'all'}
+              onChange={(e) => setInstallCategory(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm
+                       focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              <option value="all">All apps</option>
+              {trends.categorySeries.map(series => (
+                <option key={series.category} value={series.category}>
+                  {series.category.replace(/_/g, ' ')}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <AreaChartComponent
+            data={installRows}
+            areas={installAreas}
+            xAxisKey="period"
+            title={`${installSeries ? `${installSeries.category.replace(/_/g, ' ')} ` : ''}Install Tier Mix per ${periodLabel} (% of apps)`}
+            height={400}
+            stacked={true}
+          />
+
+          {!installSeries && (
+            <div className="bg-blue-50 border border-blue-200 rounded-lg p-6">
+              <h3 className="text-lg font-medium text-blue-900 mb-2">Share of Popular Apps</h3>
+              <div className="flex items-center space-x-3">
+                <TrendBadge trend={trends.trends.popularShare} />
+                <p className="text-sm text-blue-700">
+                  The share of 1M+ install apps changes by {trends.trends.popularShare.slope?.toFixed(2)} percentage
+                  points per {periodLabel} across {trends.trends.popularShare.dataPoints || 0} {periodLabel}s with updates.
+                </p>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Category Trend Summary */}
+      <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-medium text-gray-900">Category Trend Summary</h3>
+          <p className="text-sm text-gray-500">
+            Slopes from a linear fit over {trends.dateRange.start} – {trends.dateRange.end}
+          </p>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Category
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Dated Apps
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Update Cadence
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Cadence Slope
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Rating Trend
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Rating Slope
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {trends.categorySeries.map(series => (
+                <tr key={series.category} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                    {series.category.replace(/_/g, ' ')}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {series.appCount.toLocaleString()}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <TrendBadge trend={series.updateCadenceTrend} />
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {series.updateCadenceTrend.slope.toFixed(3)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <TrendBadge trend={series.ratingTrend} />
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {series.ratingTrend.slope.toFixed(4)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TrendAnalysis;
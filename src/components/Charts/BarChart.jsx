@@ -1,5 +1,5 @@
 import React from 'react';
-import { BarChart as RechartsBarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend } from 'recharts';
+import { BarChart as RechartsBarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend, ErrorBar } from 'recharts';
 import { ChartSkeleton } from '../UI/LoadingSpinner';
 import { ErrorDisplay } from '../UI/ErrorBoundary';
 
@@ -8,13 +8,14 @@ import { ErrorDisplay } from '../UI/ErrorBoundary';
  * @param {Object} props - Component props
  * @param {Array} props.data - Chart data
  * @param {string} props.dataKey - Key for bar values
+ * @param {string|Function} props.errorKey - Key (or accessor) for [below, above] error bar offsets, e.g. a confidence interval
  * @param {string} props.xAxisKey - Key for x-axis labels
  * @param {string} props.title - Chart title
  * @param {string} props.color - Bar color
  * @param {number} props.height - Chart height
  * @param {boolean} props.isLoading - Loading state
  * @param {string} props.error - Error message
- * @param {Function} props.formatTooltip - Custom tooltip formatter
+ * @param {Function} props.formatTooltip - Custom tooltip formatter; receives the error bar range as `interval` when errorKey is set
  * @param {boolean} props.showLegend - Whether to show legend
  * @param {Object} props.margin - Chart margins
  * @param {boolean} props.horizontal - Whether to display horizontally
@@ -22,6 +23,7 @@ import { ErrorDisplay } from '../UI/ErrorBoundary';
 const BarChart = ({
   data = [],
   dataKey = 'value',
+  errorKey,
   xAxisKey = 'name',
   title,
   color = '#3b82f6',
@@ -70,9 +72,13 @@ const BarChart = ({
     if (!active || !payload || !payload.length) return null;
 
     const value = payload[0].value;
+    const offsets = errorKey
+      ? (typeof errorKey === 'function' ? errorKey(payload[0].payload) : payload[0].payload?.[errorKey])
+      : null;
+    const interval = offsets ? [value - offsets[0], value + offsets[1]] : null;
     
     if (formatTooltip) {
-      return formatTooltip({ value, label, payload: payload[0] });
+      return formatTooltip({ value, label, payload: payload[0], interval });
     }
 
     return (
@@ -81,6 +87,11 @@ const BarChart = ({
         <p className="text-sm text-gray-600">
           <span className="font-medium">{dataKey}:</span> {typeof value === 'number' ? value.toLocaleString() : value}
         </p>
+        {interval && (
+          <p className="text-xs text-gray-500">
+            Range: {interval[0].toLocaleString()} – {interval[1].toLocaleString()}
+          </p>
+        )}
       </div>
     );
   };
@@ -116,7 +127,8 @@ const BarChart = ({
           <RechartsBarChart
             data={data}
             margin={margin}
-            layout={horizontal ? 'horizontal' : 'vertical'}
+            // Recharts' 'vertical' layout is the one with horizontal bars
+            layout={horizontal ? 'vertical' : 'horizontal'}
           >
             <CartesianGrid strokeDasharray="3 3" stroke="#f3f4f6" />
             
@@ -163,7 +175,11 @@ const BarChart = ({
               onMouseEnter={(data, index) => {
                 // Add hover effects if needed
               }}
-            />
+            >
+              {errorKey && (
+                <ErrorBar dataKey={errorKey} width={4} strokeWidth={1.5} stroke="#374151" />
+              )}
+            </Bar>
           </RechartsBarChart>
         </ResponsiveContainer>
       </div>
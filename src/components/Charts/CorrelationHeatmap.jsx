@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+import { ChartSkeleton } from '../UI/LoadingSpinner';
+import { ErrorDisplay } from '../UI/ErrorBoundary';
+import { formatPValue } from '../../utils/hypothesisTests';
+
+const METHOD_LABELS = {
+  pearson: 'Pearson r',
+  spearman: "Spearman's ρ",
+  kendall: "Kendall's τ"
+};
+
+/**
+ * Background color for a correlation: green for positive, red for negative, stronger for larger |r|
+ * @param {number} r - Correlation coefficient
+ * @returns {string} CSS color
+ */
+const getCellColor = (r) => {
+  if (r === null || r === undefined || isNaN(r)) return '#f9fafb';
+  const alpha = Math.min(1, Math.abs(r)) * 0.85 + 0.05;
+  return r >= 0 ? `rgba(16, 185, 129, ${alpha})` : `rgba(239, 68, 68, ${alpha})`;
+};
+
+/**
+ * Formats a confidence interval
+ * @param {Array|null} ci - [lower, upper]
+ * @returns {string} e.g. '[0.12, 0.34]'
+ */
+const formatInterval = (ci) => (ci ? `[${ci[0].toFixed(2)}, ${ci[1].toFixed(2)}]` : 'n/a');
+
+/**
+ * Correlation matrix heatmap; click a cell to see all three coefficients with intervals
+ * @param {Object} props - Component props
+ * @param {Array} props.variables - Variable labels, in row/column order
+ * @param {Array} props.cells - Cells from useChartData().correlations.cells
+ * @param {string} props.method - Coefficient to show: 'pearson', 'spearman' or 'kendall'
+ * @param {string} props.title - Chart title
+ * @param {boolean} props.isLoading - Loading state
+ * @param {string} props.error - Error message
+ */
+const CorrelationHeatmap = ({
+  variables = [],
+  cells = [],
+  method = 'spearman',
+  title,
+  isLoading = false,
+  error = null
+}) => {
+  const [selectedCell, setSelectedCell] = useState(null);
+
+  // Loading state
+  if (isLoading) {
+    return (
+      <div className="w-full">
+        {title && <h3 className="text-lg font-semibold text-gray-900 mb-4">{title}</h3>}
+        <ChartSkeleton height="h-[400px]" />
+      </div>
+    );
+  }
+
+  // Error state
+  if (error) {
+    return (
+      <div className="w-full">
+        {title && <h3 className="text-lg font-semibold text-gray-900 mb-4">{title}</h3>}
+        <ErrorDisplay error={error} title="Chart Error" />
+      </div>
+    );
+  }
+
+  // No data state
+  if (!cells.length) {
+    return (
+      <div className="w-full">
+        {title && <h3 className="text-lg font-semibold text-gray-900 mb-4">{title}</h3>}
+        <div className="h-[400px] flex items-center justify-center bg-gray-50 rounded-lg border-2 border-dashed border-gray-300">
+          <p className="text-gray-500">No data available</p>
+        </div>
+      </div>
+    );
+  }
+
+  const getCell = (row, column) => cells.find(cell => cell.y === row && cell.x === column);
+  const selected = selectedCell && getCell(selectedCell.y, selectedCell.x);
+
+  return (
+    <div className="w-full">
+      {title && (
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">{title}</h3>
+      )}
+
+      <div className="bg-white p-4 rounded-lg border border-gray-200">
+        <div className="overflow-x-auto">
+          <table className="mx-auto border-separate" style={{ borderSpacing: 2 }}>
+            <thead>
+              <tr>
+                <th />
+                {variables.map(variable => (
+                  <th key={variable} className="px-1 pb-2 text-xs font-medium text-gray-500 text-center">
+                    {variable}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {variables.map(row => (
+                <tr key={row}>
+                  <th className="pr-2 text-xs font-medium text-gray-500 text-right whitespace-nowrap">{row}</th>
+                  {variables.map(column => {
+                    const cell = getCell(row, column);
+                    const coefficient = cell?.[method];
+                    const r = coefficient?.r;
+                    const isSelected = selectedCell?.x === column && selectedCell?.y === row;
+
+                    return (
+                      <td
+                        key={column}
+                        onClick={() => !cell?.isDiagonal && setSelectedCell({ x: column, y: row })}
+                        title={cell && !cell.isDiagonal
+                          ? `${row} × ${column}\n${METHOD_LABELS[method]} = ${r?.toFixed(3)}\n95% CI ${formatInterval(coefficient?.ci)}\nn = ${cell.n?.toLocaleString()}`
+                          : undefined}
+                        className={`w-16 h-12 text-center text-xs font-medium rounded ${
+                          cell?.isDiagonal
+                            ? 'text-gray-400'
+                            : `cursor-pointer ${Math.abs(r) > 0.6 ? 'text-white' : 'text-gray-900'}`
+                        } ${isSelected ? 'ring-2 ring-gray-900' : ''}`}
+                        style={{ backgroundColor: cell?.isDiagonal ? '#f3f4f6' : getCellColor(r) }}
+                      >
+                        {r === undefined || r === null ? '—' : r.toFixed(2)}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Legend */}
+        <div className="mt-4 flex items-center justify-center space-x-2 text-xs text-gray-500">
+          <span>-1</span>
+          <div
+            className="w-40 h-2 rounded"
+            style={{ background: `linear-gradient(to right, ${getCellColor(-1)}, ${getCellColor(0)}, ${getCellColor(1)})` }}
+          />
+          <span>+1</span>
+        </div>
+
+        {/* Selected Pair */}
+        {selected ? (
+          <div className="mt-4 pt-4 border-t border-gray-200">
+            <p className="text-sm font-medium text-gray-900 mb-2">
+              {selected.y} × {selected.x}
+              <span className="ml-2 font-normal text-gray-500">
+                {selected.n?.toLocaleString()} apps with both values
+              </span>
+            </p>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+              {Object.entries(METHOD_LABELS).map(([key, label]) => (
+                <div
+                  key={key}
+                  className={`p-3 rounded-lg border ${key === method ? 'border-primary-300 bg-primary-50' : 'border-gray-200'}`}
+                >
+                  <p className="text-xs text-gray-500">{label}</p>
+                  <p className="text-lg font-semibold text-gray-900">{selected[key]?.r?.toFixed(3) ?? '—'}</p>
+                  <p className="text-xs text-gray-500">
+                    95% CI {formatInterval(selected[key]?.ci)} · {formatPValue(selected[key]?.pValue)}
+                  </p>
+                </div>
+              ))}
+            </div>
+          </div>
+        ) : (
+          <p className="mt-4 text-center text-xs text-gray-500">
+            Click a cell for all three coefficients, confidence intervals and the number of apps compared
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CorrelationHeatmap;
@@ -0,0 +1,115 @@
+import React, { useMemo } from 'react';
+import { ChartSkeleton } from '../UI/LoadingSpinner';
+import { ErrorDisplay } from '../UI/ErrorBoundary';
+import { CHART_COLORS } from '../../utils/constants';
+
+const MIN_FONT_SIZE = 12;
+const MAX_FONT_SIZE = 40;
+
+/**
+ * Word cloud of clickable terms, sized by weight
+ * @param {Object} props - Component props
+ * @param {Array} props.words - Terms with 'text' and 'value' properties, and an optional 'color'
+ * @param {string} props.title - Chart title
+ * @param {string} props.color - Color for words without their own
+ * @param {number} props.height - Minimum chart height
+ * @param {boolean} props.isLoading - Loading state
+ * @param {string} props.error - Error message
+ * @param {string} props.selectedWord - Highlighted term
+ * @param {Function} props.onWordClick - Called with the term's text
+ * @param {Function} props.formatTitle - Hover text for a word
+ */
+const WordCloud = ({
+  words = [],
+  title,
+  color = CHART_COLORS[0],
+  height = 300,
+  isLoading = false,
+  error = null,
+  selectedWord = null,
+  onWordClick,
+  formatTitle
+}) => {
+  // Alphabetical order scatters large and small words instead of stacking the biggest first
+  const sizedWords = useMemo(() => {
+    const values = words.map(word => word.value);
+    const min = Math.min(...values);
+    const range = Math.max(...values) - min;
+
+    return [...words]
+      .sort((a, b) => a.text.localeCompare(b.text))
+      .map(word => ({
+        ...word,
+        // Square root so font area, not height, tracks the weight
+        fontSize: range > 0
+          ? MIN_FONT_SIZE + Math.sqrt((word.value - min) / range) * (MAX_FONT_SIZE - MIN_FONT_SIZE)
+          : (MIN_FONT_SIZE + MAX_FONT_SIZE) / 2
+      }));
+  }, [words]);
+
+  // Loading state
+  if (isLoading) {
+    return (
+      <div className="w-full">
+        {title && <h3 className="text-lg font-semibold text-gray-900 mb-4">{title}</h3>}
+        <ChartSkeleton height={`h-[${height}px]`} />
+      </div>
+    );
+  }
+
+  // Error state
+  if (error) {
+    return (
+      <div className="w-full">
+        {title && <h3 className="text-lg font-semibold text-gray-900 mb-4">{title}</h3>}
+        <ErrorDisplay error={error} title="Chart Error" />
+      </div>
+    );
+  }
+
+  // No data state
+  if (!words.length) {
+    return (
+      <div className="w-full">
+        {title && <h3 className="text-lg font-semibold text-gray-900 mb-4">{title}</h3>}
+        <div className={`h-[${height}px] flex items-center justify-center bg-gray-50 rounded-lg border-2 border-dashed border-gray-300`}>
+          <p className="text-gray-500">No data available</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="w-full">
+      {title && (
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">{title}</h3>
+      )}
+
+      <div
+        className="bg-white p-6 rounded-lg border border-gray-200 flex flex-wrap items-center justify-center content-center gap-x-4 gap-y-2"
+        style={{ minHeight: height }}
+      >
+        {sizedWords.map(word => {
+          const isSelected = selectedWord === word.text;
+          const isDimmed = selectedWord && !isSelected;
+
+          return (
+            <button
+              key={word.text}
+              onClick={() => onWordClick?.(word.text)}
+              title={formatTitle ? formatTitle(word) : word.text}
+              className={`leading-tight font-semibold rounded px-1 transition-opacity hover:opacity-100 ${
+                isSelected ? 'ring-2 ring-gray-900' : ''
+              } ${isDimmed ? 'opacity-40' : 'opacity-90'} ${onWordClick ? 'cursor-pointer' : 'cursor-default'}`}
+              style={{ fontSize: word.fontSize, color: word.color || color }}
+            >
+              {word.text}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default WordCloud;
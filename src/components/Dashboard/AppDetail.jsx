@@ -0,0 +1,366 @@
+import React, { useState, useMemo } from 'react';
+import { ArrowLeft, Star, Download, MessageSquare, DollarSign, Package, Heart } from 'lucide-react';
+import { generateAppDetail } from '../../utils/analytics';
+import { SENTIMENT_TYPES } from '../../utils/constants';
+
+const REVIEWS_PAGE_SIZE = 20;
+
+const REVIEW_SORTS = [
+  { id: 'original', label: 'Original order' },
+  { id: 'mostPositive', label: 'Most positive' },
+  { id: 'mostNegative', label: 'Most negative' },
+  { id: 'mostSubjective', label: 'Most subjective' }
+];
+
+/**
+ * Formats a processed field value for the details table
+ * @param {any} value - Field value
+ * @returns {string} Display value
+ */
+const formatFieldValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (value instanceof Date) return value.toLocaleDateString();
+  if (typeof value === 'number') return value.toLocaleString();
+  return String(value);
+};
+
+/**
+ * Returns the badge class for a sentiment label
+ * @param {string} sentiment - Sentiment label
+ * @returns {string} Badge class names
+ */
+const getSentimentBadge = (sentiment) => {
+  switch (sentiment?.toLowerCase()) {
+    case 'positive':
+      return 'badge badge-success';
+    case 'negative':
+      return 'badge badge-danger';
+    default:
+      return 'badge badge-warning';
+  }
+};
+
+/**
+ * Category rank row with a percentile bar
+ * @param {Object} props - Component props
+ * @param {string} props.label - Metric label
+ * @param {Object} props.rank - {rank, total, percentile} or null
+ */
+const RankRow = ({ label, rank }) => (
+  <div>
+    <div className="flex items-center justify-between text-sm mb-1">
+      <span className="font-medium text-gray-700">{label}</span>
+      {rank ? (
+        <span className="text-gray-900">
+          #{rank.rank.toLocaleString()} <span className="text-gray-500">of {rank.total.toLocaleString()}</span>
+        </span>
+      ) : (
+        <span className="text-gray-400">Not ranked</span>
+      )}
+    </div>
+    <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+      <div
+        className="h-2 bg-primary-500 rounded-full"
+        style={{ width: `${rank ? rank.percentile : 0}%` }}
+      />
+    </div>
+    {rank && (
+      <p className="mt-1 text-xs text-gray-500">
+        Better than or equal to {rank.percentile.toFixed(0)}% of the category
+      </p>
+    )}
+  </div>
+);
+
+/**
+ * App Detail - metadata, category ranks, sentiment and reviews for a single app
+ * @param {Object} props - Component props
+ * @param {string} props.appName - Selected app name
+ * @param {Array} props.allApps - Unfiltered apps data, used for category ranks
+ * @param {Array} props.reviews - Reviews data
+ * @param {Function} props.onBack - Back navigation callback
+ */
+const AppDetail = ({
+  appName,
+  allApps = [],
+  reviews = [],
+  onBack
+}) => {
+  const [reviewSort, setReviewSort] = useState('original');
+  const [visibleReviews, setVisibleReviews] = useState(REVIEWS_PAGE_SIZE);
+
+  const detail = useMemo(() => {
+    if (!appName) return null;
+
+    try {
+      return generateAppDetail(appName, allApps, reviews);
+    } catch (error) {
+      console.error('Error generating app detail:', error);
+      return null;
+    }
+  }, [appName, allApps, reviews]);
+
+  const sortedReviews = useMemo(() => {
+    if (!detail) return [];
+
+    const appReviews = [...detail.reviews];
+    switch (reviewSort) {
+      // Lexicon-labelled reviews have no dataset polarity and sort last
+      case 'mostPositive':
+        return appReviews.sort((a, b) => (b.sentimentPolarity ?? -Infinity) - (a.sentimentPolarity ?? -Infinity));
+      case 'mostNegative':
+        return appReviews.sort((a, b) => (a.sentimentPolarity ?? Infinity) - (b.sentimentPolarity ?? Infinity));
+      case 'mostSubjective':
+        // Lexicon-labelled reviews have no subjectivity and sort last
+        return appReviews.sort((a, b) => (b.sentimentSubjectivity ?? -1) - (a.sentimentSubjectivity ?? -1));
+      default:
+        return appReviews;
+    }
+  }, [detail, reviewSort]);
+
+  if (!detail) {
+    return (
+      <div className="p-6">
+        <button onClick={onBack} className="flex items-center space-x-2 text-sm text-primary-600 hover:text-primary-800 mb-6">
+          <ArrowLeft className="w-4 h-4" />
+          <span>Back</span>
+        </button>
+        <div className="text-center py-12">
+          <Package className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">App Not Found</h3>
+          <p className="text-gray-500">No app named "{appName}" is in the current dataset.</p>
+        </div>
+      </div>
+    );
+  }
+
+  const { app, categoryRanks, categoryAppCount } = detail;
+  const sentiment = app.sentimentData;
+
+  const detailFields = [
+    { label: 'Category', value: app.category?.replace(/_/g, ' ') },
+    { label: 'Genres', value: app.genres },
+    { label: 'Rating', value: app.rating },
+    { label: 'Reviews', value: app.reviews },
+    { label: 'Size', value: app.size },
+    { label: 'Size (bytes)', value: app.sizeBytes !== null ? Math.round(app.sizeBytes) : null },
+    { label: 'Installs', value: app.installs },
+    { label: 'Installs (numeric)', value: app.installsNumber },
+    { label: 'Install Range', value: app.installsCategory },
+    { label: 'Type', value: app.type },
+    { label: 'Price', value: app.price },
+    { label: 'Price (numeric)', value: app.priceNumber },
+    { label: 'Content Rating', value: app.contentRating },
+    { label: 'Last Updated', value: app.lastUpdated },
+    { label: 'Last Updated (parsed)', value: app.lastUpdatedDate },
+    { label: 'Current Version', value: app.currentVersion },
+    { label: 'Android Version', value: app.androidVersion },
+    { label: 'Paid', value: app.isPaid },
+    { label: 'Has Rating', value: !!app.hasRating },
+    { label: 'Popular (1M+ installs)', value: app.isPopular }
+  ];
+
+  return (
+    <div className="space-y-6 p-6">
+      {/* Header */}
+      <div>
+        <button onClick={onBack} className="flex items-center space-x-2 text-sm text-primary-600 hover:text-primary-800 mb-4">
+          <ArrowLeft className="w-4 h-4" />
+          <span>Back</span>
+        </button>
+        <h2 className="text-2xl font-bold text-gray-900">{app.app}</h2>
+        <div className="mt-2 flex flex-wrap items-center gap-2">
+          <span className="badge badge-primary">{app.category?.replace(/_/g, ' ')}</span>
+          {app.genres && <span className="text-sm text-gray-500">{app.genres}</span>}
+          <span className={app.isPaid ? 'badge badge-warning' : 'badge badge-success'}>
+            {app.isPaid ? 'Paid' : 'Free'}
+          </span>
+        </div>
+      </div>
+
+      {/* Key Metrics */}
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+        <div className="bg-white p-6 rounded-lg border border-gray-200">
+          <div className="flex items-center">
+            <Star className="w-8 h-8 text-yellow-500 flex-shrink-0" />
+            <div className="ml-4">
+              <p className="text-sm font-medium text-gray-500">Rating</p>
+              <p className="text-2xl font-semibold text-gray-900">{app.rating?.toFixed(1) || 'N/A'}</p>
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white p-6 rounded-lg border border-gray-200">
+          <div className="flex items-center">
+            <Download className="w-8 h-8 text-primary-600 flex-shrink-0" />
+            <div className="ml-4">
+              <p className="text-sm font-medium text-gray-500">Installs</p>
+              <p className="text-2xl font-semibold text-gray-900">{app.installs || 'N/A'}</p>
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white p-6 rounded-lg border border-gray-200">
+          <div className="flex items-center">
+            <MessageSquare className="w-8 h-8 text-green-600 flex-shrink-0" />
+            <div className="ml-4">
+              <p className="text-sm font-medium text-gray-500">Store Reviews</p>
+              <p className="text-2xl font-semibold text-gray-900">{app.reviews?.toLocaleString()}</p>
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white p-6 rounded-lg border border-gray-200">
+          <div className="flex items-center">
+            <DollarSign className="w-8 h-8 text-purple-600 flex-shrink-0" />
+            <div className="ml-4">
+              <p className="text-sm font-medium text-gray-500">Price</p>
+              <p className="text-2xl font-semibold text-gray-900">
+                {app.isPaid ? `$${app.priceNumber.toFixed(2)}` : 'Free'}
+              </p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Category Ranks */}
+        <div className="bg-white rounded-lg border border-gray-200 p-6">
+          <h3 className="text-lg font-medium text-gray-900">Category Ranking</h3>
+          <p className="text-sm text-gray-500 mb-4">
+            Among {categoryAppCount.toLocaleString()} {app.category?.replace(/_/g, ' ')} apps
+          </p>
+          <div className="space-y-4">
+            <RankRow label="Rating" rank={categoryRanks.rating} />
+            <RankRow label="Installs" rank={categoryRanks.installs} />
+            <RankRow label="Reviews" rank={categoryRanks.reviews} />
+          </div>
+        </div>
+
+        {/* Sentiment Summary */}
+        <div className="bg-white rounded-lg border border-gray-200 p-6">
+          <div className="flex items-center space-x-2 mb-4">
+            <Heart className="w-5 h-5 text-pink-500" />
+            <h3 className="text-lg font-medium text-gray-900">Review Sentiment</h3>
+          </div>
+          {sentiment.totalReviews > 0 ? (
+            <div className="space-y-3">
+              {[
+                { label: SENTIMENT_TYPES.POSITIVE.label, count: sentiment.positiveCount, percentage: sentiment.positivePercentage, color: SENTIMENT_TYPES.POSITIVE.color },
+                { label: SENTIMENT_TYPES.NEUTRAL.label, count: sentiment.neutralCount, percentage: sentiment.neutralPercentage, color: SENTIMENT_TYPES.NEUTRAL.color },
+                { label: SENTIMENT_TYPES.NEGATIVE.label, count: sentiment.negativeCount, percentage: sentiment.negativePercentage, color: SENTIMENT_TYPES.NEGATIVE.color }
+              ].map(item => (
+                <div key={item.label}>
+                  <div className="flex justify-between text-sm mb-1">
+                    <span className="text-gray-700">{item.label}</span>
+                    <span className="text-gray-900">{item.count} ({item.percentage.toFixed(1)}%)</span>
+                  </div>
+                  <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+                    <div className="h-2 rounded-full" style={{ width: `${item.percentage}%`, backgroundColor: item.color }} />
+                  </div>
+                </div>
+              ))}
+              <div className="pt-3 border-t border-gray-100 grid grid-cols-2 gap-4 text-sm">
+                <div>
+                  <p className="text-gray-500">Avg Polarity</p>
+                  <p className="font-medium text-gray-900">{sentiment.avgSentimentPolarity?.toFixed(3) ?? '—'}</p>
+                </div>
+                <div>
+                  <p className="text-gray-500">Avg Subjectivity</p>
+                  <p className="font-medium text-gray-900">{sentiment.avgSentimentSubjectivity?.toFixed(3) ?? '—'}</p>
+                </div>
+                <div>
+                  <p className="text-gray-500">Sentiment Score</p>
+                  <p className="font-medium text-gray-900">{sentiment.sentimentScore?.toFixed(3) ?? '—'}</p>
+                </div>
+                <div>
+                  <p className="text-gray-500">Labelled Reviews</p>
+                  <p className="font-medium text-gray-900">{sentiment.totalReviews.toLocaleString()}</p>
+                </div>
+              </div>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">No review sentiment is available for this app.</p>
+          )}
+        </div>
+
+        {/* Processed Fields */}
+        <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h3 className="text-lg font-medium text-gray-900">App Details</h3>
+          </div>
+          <dl className="divide-y divide-gray-100 max-h-96 overflow-y-auto">
+            {detailFields.map(field => (
+              <div key={field.label} className="px-6 py-2 flex justify-between text-sm">
+                <dt className="text-gray-500">{field.label}</dt>
+                <dd className="text-gray-900 text-right ml-4">{formatFieldValue(field.value)}</dd>
+              </div>
+            ))}
+          </dl>
+        </div>
+      </div>
+
+      {/* Reviews */}
+      <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200 flex flex-col sm:flex-row sm:items-center sm:justify-between">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">User Reviews</h3>
+            <p className="text-sm text-gray-500">{detail.reviews.length.toLocaleString()} reviews with sentiment scores</p>
+          </div>
+          {detail.reviews.length > 1 && (
+            <select
+              value={reviewSort}
+              onChange={(e) => setReviewSort(e.target.value)}
+              className="mt-2 sm:mt-0 px-3 py-2 border border-gray-300 rounded-lg text-sm
+                       focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              {REVIEW_SORTS.map(sort => (
+                <option key={sort.id} value={sort.id}>{sort.label}</option>
+              ))}
+            </select>
+          )}
+        </div>
+
+        {sortedReviews.length === 0 ? (
+          <p className="px-6 py-8 text-center text-sm text-gray-500">No reviews for this app.</p>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {sortedReviews.slice(0, visibleReviews).map((review, index) => (
+              <div key={index} className="px-6 py-4">
+                <div className="flex items-center justify-between mb-1">
+                  <span className={getSentimentBadge(review.sentiment)}>{review.sentiment}</span>
+                  <span className="text-xs text-gray-500">
+                    {review.sentimentSource === 'lexicon'
+                      ? `Lexicon score ${review.lexiconPolarity.toFixed(2)} • Labelled by lexicon`
+                      : Number.isFinite(review.sentimentPolarity) ? `Polarity ${review.sentimentPolarity.toFixed(2)}` : 'No polarity'}
+                    {review.sentimentSource !== 'lexicon' && Number.isFinite(review.sentimentSubjectivity)
+                      && ` • Subjectivity ${review.sentimentSubjectivity.toFixed(2)}`}
+                  </span>
+                </div>
+                <p className="text-sm text-gray-700">
+                  {review.translatedReview && review.translatedReview !== 'nan'
+                    ? review.translatedReview
+                    : <span className="italic text-gray-400">No review text</span>}
+                </p>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {sortedReviews.length > visibleReviews && (
+          <div className="px-6 py-3 border-t border-gray-200 text-center">
+            <button
+              onClick={() => setVisibleReviews(prev => prev + REVIEWS_PAGE_SIZE)}
+              className="text-sm text-primary-600 hover:text-primary-800"
+            >
+              Show more ({(sortedReviews.length - visibleReviews).toLocaleString()} remaining)
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AppDetail;
@@ -9,7 +9,9 @@ const CategoryAnalysis = lazy(() => import('../Analytics/CategoryAnalysis'));
 const RatingAnalysis = lazy(() => import('../Analytics/RatingAnalysis'));
 const SentimentAnalysis = lazy(() => import('../Analytics/SentimentAnalysis'));
 const TrendAnalysis = lazy(() => import('../Analytics/TrendAnalysis'));
+const AppBenchmark = lazy(() => import('../Analytics/AppBenchmark'));
 const ReportsSection = lazy(() => import('./ReportsSection'));
+const AppDetail = lazy(() => import('./AppDetail'));
 
 /**
  * Main Dashboard Component
@@ -19,20 +21,32 @@ const ReportsSection = lazy(() => import('./ReportsSection'));
  * @param {Object} props.analytics - Analytics data
  * @param {Object} props.chartData - Chart data
  * @param {Array} props.apps - Apps data
+ * @param {Array} props.allApps - Unfiltered apps data
  * @param {Array} props.reviews - Reviews data
  * @param {Object} props.filters - Current filters
+ * @param {string} props.selectedApp - App shown in the app detail view
  * @param {Function} props.onFiltersChange - Filters change callback
  * @param {Function} props.onSectionChange - Section change callback
+ * @param {Function} props.onAppSelect - App selection callback
+ * @param {Function} props.onBack - Back navigation callback
+ * @param {Function} props.getAppBenchmark - App benchmark lookup
+ * @param {Function} props.getCategoryComparison - Category comparison lookup
  */
 const Dashboard = ({
   activeSection,
   analytics,
   chartData,
   apps,
+  allApps,
   reviews,
   filters,
+  selectedApp,
   onFiltersChange,
-  onSectionChange
+  onSectionChange,
+  onAppSelect,
+  onBack,
+  getAppBenchmark,
+  getCategoryComparison
 }) => {
   // Error boundary for dashboard sections
   const SectionErrorBoundary = ({ children, sectionName }) => {
@@ -63,7 +77,8 @@ const Dashboard = ({
       apps,
       reviews,
       filters,
-      onFiltersChange
+      onFiltersChange,
+      onAppSelect
     };
 
     switch (activeSection) {
@@ -80,7 +95,7 @@ const Dashboard = ({
         return (
           <SectionErrorBoundary sectionName="Categories">
             <Suspense fallback={<SectionLoader message="Loading category analysis..." />}>
-              <CategoryAnalysis {...commonProps} />
+              <CategoryAnalysis {...commonProps} getCategoryComparison={getCategoryComparison} />
             </Suspense>
           </SectionErrorBoundary>
         );
@@ -112,6 +127,15 @@ const Dashboard = ({
           </SectionErrorBoundary>
         );
 
+      case DASHBOARD_SECTIONS.BENCHMARK:
+        return (
+          <SectionErrorBoundary sectionName="Benchmark">
+            <Suspense fallback={<SectionLoader message="Loading benchmarking..." />}>
+              <AppBenchmark {...commonProps} getAppBenchmark={getAppBenchmark} />
+            </Suspense>
+          </SectionErrorBoundary>
+        );
+
       case DASHBOARD_SECTIONS.REPORTS:
         return (
           <SectionErrorBoundary sectionName="Reports">
@@ -121,6 +145,20 @@ const Dashboard = ({
           </SectionErrorBoundary>
         );
 
+      case DASHBOARD_SECTIONS.APP_DETAIL:
+        return (
+          <SectionErrorBoundary sectionName="App Detail">
+            <Suspense fallback={<SectionLoader message="Loading app details..." />}>
+              <AppDetail
+                appName={selectedApp}
+                allApps={allApps}
+                reviews={reviews}
+                onBack={onBack}
+              />
+            </Suspense>
+          </SectionErrorBoundary>
+        );
+
       default:
         return (
           <div className="p-6">
@@ -16,6 +16,49 @@ import BarChartComponent from '../Charts/BarChart';
 import LineChart from '../Charts/LineChart';
 import { useChartData } from '../../hooks/useChartData';
 import { DASHBOARD_SECTIONS } from '../../utils/constants';
+import { formatPValue } from '../../utils/hypothesisTests';
+
+/**
+ * Describes an insight's test for its tooltip
+ * @param {Object} significance - Test summary from generateInsights
+ * @returns {string} e.g. "Mann-Whitney U: p < 0.001, rank-biserial r = 0.25 (small)"
+ */
+const describeTest = (significance) => {
+  const { method, pValue, effectSize } = significance;
+  return `${method}: ${formatPValue(pValue)}, ${effectSize.label} = ${effectSize.value.toFixed(2)} (${effectSize.magnitude})`;
+};
+
+/**
+ * Badge showing whether an insight is statistically significant
+ * @param {Object} props - Component props
+ * @param {Object|null} props.significance - Test summary, or null for descriptive insights
+ */
+const SignificanceBadge = ({ significance }) => {
+  if (!significance) {
+    return (
+      <span className="inline-block mt-1 px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-600">
+        Descriptive
+      </span>
+    );
+  }
+
+  const tooltip = [significance, significance.supporting].filter(Boolean).map(describeTest).join('\n');
+
+  return (
+    <div className="mt-1 flex flex-wrap items-center gap-2 text-xs" title={tooltip}>
+      <span
+        className={`px-2 py-0.5 rounded-full font-medium ${
+          significance.significant ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'
+        }`}
+      >
+        {significance.significant ? 'Significant' : 'Not significant'}
+      </span>
+      <span className="text-blue-700">
+        {formatPValue(significance.pValue)} · {significance.effectSize.magnitude} effect
+      </span>
+    </div>
+  );
+};
 
 /**
  * Overview Section - Dashboard homepage with key metrics and insights
@@ -151,12 +194,13 @@ const OverviewSection = ({
         <div className="bg-blue-50 border border-blue-200 rounded-lg p-6">
           <h3 className="text-lg font-medium text-blue-900 mb-4">Key Insights</h3>
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            {insights.insights.slice(0, 4).map((insight, index) => (
+            {insights.insights.map((insight, index) => (
               <div key={index} className="flex items-start space-x-3">
                 <CheckCircle className="w-5 h-5 text-blue-600 flex-shrink-0 mt-0.5" />
                 <div>
                   <h4 className="font-medium text-blue-900">{insight.title}</h4>
                   <p className="text-sm text-blue-700">{insight.description}</p>
+                  <SignificanceBadge significance={insight.significance} />
                 </div>
               </div>
             ))}
@@ -192,8 +236,9 @@ const OverviewSection = ({
           <BarChartComponent
             data={chartData.categoryPerformance?.slice(0, 10)}
             dataKey="avgRating"
+            errorKey="avgRatingError"
             xAxisKey="category"
-            title="Category Performance (Average Rating)"
+            title="Category Performance (Average Rating, 95% CI)"
             color="#10b981"
             height={300}
             horizontal={true}
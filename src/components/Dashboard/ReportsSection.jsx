@@ -0,0 +1,194 @@
+import React, { useState, useMemo } from 'react';
+import { FileText, Download, CheckSquare, Square, Eye } from 'lucide-react';
+import { REPORT_SECTIONS, REPORT_FORMATS } from '../../utils/constants';
+import {
+  buildReport,
+  renderReportMarkdown,
+  renderReportHTML,
+  downloadFile
+} from '../../utils/reportGenerator';
+import { ErrorDisplay } from '../UI/ErrorBoundary';
+
+/**
+ * Reports Section - builds configurable, downloadable analysis reports
+ * @param {Object} props - Component props
+ * @param {Object} props.analytics - Analytics data
+ * @param {Array} props.apps - Apps data
+ * @param {Object} props.filters - Current filters
+ */
+const ReportsSection = ({
+  analytics,
+  apps = [],
+  filters = {}
+}) => {
+  const [selectedSections, setSelectedSections] = useState(
+    REPORT_SECTIONS.map(section => section.id)
+  );
+  const [previewFormat, setPreviewFormat] = useState(REPORT_FORMATS.HTML.id);
+
+  const report = useMemo(() => {
+    if (!analytics) return null;
+
+    try {
+      return buildReport(analytics, selectedSections, { filters, appCount: apps.length });
+    } catch (error) {
+      console.error('Error building report:', error);
+      return null;
+    }
+  }, [analytics, selectedSections, filters, apps.length]);
+
+  const renderedHTML = useMemo(() => report ? renderReportHTML(report) : '', [report]);
+  const renderedMarkdown = useMemo(() => report ? renderReportMarkdown(report) : '', [report]);
+
+  if (!analytics) {
+    return (
+      <div className="p-6">
+        <div className="text-center py-12">
+          <FileText className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No Report Data</h3>
+          <p className="text-gray-500">Reports can be generated once analytics are ready.</p>
+        </div>
+      </div>
+    );
+  }
+
+  const toggleSection = (sectionId) => {
+    setSelectedSections(prev => prev.includes(sectionId)
+      ? prev.filter(id => id !== sectionId)
+      : [...prev, sectionId]
+    );
+  };
+
+  const handleDownload = (format) => {
+    if (!report) return;
+
+    const content = format.id === REPORT_FORMATS.MARKDOWN.id ? renderedMarkdown : renderedHTML;
+    const date = new Date().toISOString().split('T')[0];
+    downloadFile(content, `google-play-analytics-report-${date}.${format.extension}`, format.mimeType);
+  };
+
+  const allSelected = selectedSections.length === REPORT_SECTIONS.length;
+
+  return (
+    <div className="space-y-6 p-6">
+      {/* Header */}
+      <div>
+        <h2 className="text-2xl font-bold text-gray-900">Reports</h2>
+        <p className="mt-1 text-gray-600">
+          Choose the analysis sections to include, preview the report and download it
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Report Builder */}
+        <div className="space-y-6">
+          <div className="bg-white rounded-lg border border-gray-200 p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">Sections</h3>
+              <button
+                onClick={() => setSelectedSections(allSelected ? [] : REPORT_SECTIONS.map(s => s.id))}
+                className="text-sm text-primary-600 hover:text-primary-800"
+              >
+                {allSelected ? 'Clear all' : 'Select all'}
+              </button>
+            </div>
+            <div className="space-y-2">
+              {REPORT_SECTIONS.map(section => {
+                const isSelected = selectedSections.includes(section.id);
+                const Icon = isSelected ? CheckSquare : Square;
+                return (
+                  <button
+                    key={section.id}
+                    onClick={() => toggleSection(section.id)}
+                    className={`
+                      w-full flex items-start space-x-3 px-3 py-2 rounded-lg text-left transition-colors
+                      ${isSelected ? 'bg-primary-50 border border-primary-200' : 'hover:bg-gray-50 border border-transparent'}
+                    `}
+                  >
+                    <Icon className={`w-5 h-5 mt-0.5 flex-shrink-0 ${isSelected ? 'text-primary-600' : 'text-gray-400'}`} />
+                    <div>
+                      <div className="text-sm font-medium text-gray-900">{section.label}</div>
+                      <div className="text-xs text-gray-500">{section.description}</div>
+                    </div>
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+
+          <div className="bg-white rounded-lg border border-gray-200 p-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">Download</h3>
+            <div className="space-y-3">
+              {Object.values(REPORT_FORMATS).map(format => (
+                <button
+                  key={format.id}
+                  onClick={() => handleDownload(format)}
+                  disabled={!report || report.blocks.length === 0}
+                  className="w-full flex items-center justify-center space-x-2 px-4 py-2 rounded-lg border
+                           border-primary-300 bg-primary-50 text-primary-700 text-sm font-medium
+                           hover:bg-primary-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <Download className="w-4 h-4" />
+                  <span>Download {format.label}</span>
+                </button>
+              ))}
+            </div>
+            <p className="mt-3 text-xs text-gray-500">
+              Charts are embedded as SVG in both formats. Active filters are recorded in the report header.
+            </p>
+          </div>
+        </div>
+
+        {/* Preview */}
+        <div className="lg:col-span-2 bg-white rounded-lg border border-gray-200 overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+            <div className="flex items-center space-x-2">
+              <Eye className="w-5 h-5 text-gray-500" />
+              <h3 className="text-lg font-medium text-gray-900">Preview</h3>
+            </div>
+            <div className="flex space-x-1 bg-gray-100 rounded-lg p-1">
+              {Object.values(REPORT_FORMATS).map(format => (
+                <button
+                  key={format.id}
+                  onClick={() => setPreviewFormat(format.id)}
+                  className={`
+                    px-3 py-1 rounded-md text-sm font-medium transition-colors
+                    ${previewFormat === format.id
+                      ? 'bg-white text-primary-600 shadow-sm'
+                      : 'text-gray-600 hover:text-gray-900'
+                    }
+                  `}
+                >
+                  {format.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {!report ? (
+            <div className="p-6">
+              <ErrorDisplay error="The report could not be generated from the current analytics." title="Report Error" />
+            </div>
+          ) : report.blocks.length === 0 ? (
+            <div className="p-12 text-center text-gray-500">
+              Select at least one section to preview the report.
+            </div>
+          ) : previewFormat === REPORT_FORMATS.HTML.id ? (
+            <iframe
+              title="Report preview"
+              srcDoc={renderedHTML}
+              sandbox=""
+              className="w-full h-[800px] border-0"
+            />
+          ) : (
+            <pre className="p-6 text-xs text-gray-700 whitespace-pre-wrap overflow-auto max-h-[800px] font-mono">
+              {renderedMarkdown.replace(/\(data:image\/svg\+xml[^)]*\)/g, '(embedded SVG chart)')}
+            </pre>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReportsSection;
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { ArrowRight, CheckCircle, AlertTriangle } from 'lucide-react';
+import { CANONICAL_COLUMNS } from '../../utils/constants';
+import { APPS_REQUIRED_COLUMNS, REVIEWS_REQUIRED_COLUMNS } from '../../utils/csvLoader';
+
+const REQUIRED_COLUMNS = {
+  apps: APPS_REQUIRED_COLUMNS,
+  reviews: REVIEWS_REQUIRED_COLUMNS
+};
+
+/**
+ * Column mapping step shown when an imported CSV lacks the expected headers
+ * @param {Object} props - Component props
+ * @param {string} props.dataset - Dataset key ('apps' or 'reviews')
+ * @param {Array} props.fields - Headers detected in the file
+ * @param {Object} props.initialMapping - Suggested canonical column to header mapping
+ * @param {Function} props.onConfirm - Called with (mapping, remember)
+ * @param {Function} props.onCancel - Cancel callback
+ */
+const ColumnMappingWizard = ({ dataset, fields = [], initialMapping = {}, onConfirm, onCancel }) => {
+  // Track assignments per detected header, the direction the user reads the file in
+  const [assignments, setAssignments] = useState(() => {
+    const initial = {};
+    Object.entries(initialMapping).forEach(([canonical, field]) => {
+      initial[field] = canonical;
+    });
+    return initial;
+  });
+  const [remember, setRemember] = useState(true);
+
+  const canonicalColumns = CANONICAL_COLUMNS[dataset] || [];
+  const requiredColumns = REQUIRED_COLUMNS[dataset] || [];
+  const assignedColumns = Object.values(assignments).filter(Boolean);
+  const missingRequired = requiredColumns.filter(column => !assignedColumns.includes(column));
+
+  const handleAssign = (field, canonical) => {
+    setAssignments(prev => {
+      const next = { ...prev };
+      // A canonical column can only come from one header
+      Object.keys(next).forEach(key => {
+        if (canonical && next[key] === canonical) delete next[key];
+      });
+      if (canonical) {
+        next[field] = canonical;
+      } else {
+        delete next[field];
+      }
+      return next;
+    });
+  };
+
+  const handleConfirm = () => {
+    const mapping = {};
+    Object.entries(assignments).forEach(([field, canonical]) => {
+      mapping[canonical] = field;
+    });
+    onConfirm(mapping, remember);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h3 className="text-base font-semibold text-gray-900">
+          Map {dataset === 'apps' ? 'apps' : 'reviews'} columns
+        </h3>
+        <p className="text-sm text-gray-600">
+          The file's headers don't match the expected format. Assign each detected column to a dashboard field.
+        </p>
+      </div>
+
+      <div className="max-h-80 overflow-y-auto border border-gray-200 rounded-lg divide-y divide-gray-200">
+        {fields.map(field => (
+          <div key={field} className="flex items-center justify-between px-4 py-2 space-x-3">
+            <span className="text-sm font-mono text-gray-900 truncate flex-1" title={field}>{field}</span>
+            <ArrowRight className="w-4 h-4 text-gray-400 flex-shrink-0" />
+            <select
+              value={assignments[field] || ''}
+              onChange={(e) => handleAssign(field, e.target.value)}
+              className="w-48 px-2 py-1 border border-gray-300 rounded-lg text-sm
+                       focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              <option value="">Ignore column</option>
+              {canonicalColumns.map(column => (
+                <option key={column.key} value={column.key}>
+                  {column.label}{requiredColumns.includes(column.key) ? ' *' : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+        ))}
+      </div>
+
+      {missingRequired.length > 0 ? (
+        <div className="flex items-start space-x-2 text-sm text-orange-700">
+          <AlertTriangle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+          <span>
+            Still required: {missingRequired
+              .map(key => canonicalColumns.find(column => column.key === key)?.label || key)
+              .join(', ')}
+          </span>
+        </div>
+      ) : (
+        <div className="flex items-center space-x-2 text-sm text-green-700">
+          <CheckCircle className="w-4 h-4" />
+          <span>All required fields are mapped</span>
+        </div>
+      )}
+
+      <label className="flex items-center space-x-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={remember}
+          onChange={(e) => setRemember(e.target.checked)}
+          className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+        />
+        <span>Remember this mapping for files with the same headers</span>
+      </label>
+
+      <div className="flex justify-end space-x-3">
+        <button
+          onClick={onCancel}
+          className="px-4 py-2 rounded-lg border border-gray-300 bg-white text-gray-700 text-sm font-medium hover:bg-gray-50"
+        >
+          Back
+        </button>
+        <button
+          onClick={handleConfirm}
+          disabled={missingRequired.length > 0}
+          className="px-4 py-2 rounded-lg bg-primary-600 text-white text-sm font-medium
+                   hover:bg-primary-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Apply Mapping
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMappingWizard;
@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useMemo, useRef, useDeferredValue } from 'react';
+import { Search, Layers, Star, Download, CornerDownLeft } from 'lucide-react';
+import { buildSearchIndex, searchIndex } from '../../utils/search';
+
+/**
+ * Command palette for jumping to an app or category
+ * Arrow keys move the selection, Enter opens it and Escape closes the palette
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the palette is visible
+ * @param {Function} props.onClose - Close callback
+ * @param {Array} props.apps - Apps to search (the full dataset)
+ * @param {Function} props.onAppSelect - Called with an app name
+ * @param {Function} props.onCategorySelect - Called with a category
+ */
+const CommandPalette = ({
+  isOpen,
+  onClose,
+  apps = [],
+  onAppSelect,
+  onCategorySelect
+}) => {
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const inputRef = useRef(null);
+  const itemRefs = useRef([]);
+
+  // Keeps typing responsive while results for ~10k apps are ranked
+  const deferredQuery = useDeferredValue(query);
+
+  const index = useMemo(() => buildSearchIndex(apps), [apps]);
+
+  const results = useMemo(
+    () => searchIndex(index, deferredQuery),
+    [index, deferredQuery]
+  );
+
+  // Categories first, then apps, as one list for keyboard navigation
+  const items = useMemo(() => [
+    ...results.categories.map(result => ({ type: 'category', key: `category:${result.category}`, ...result })),
+    ...results.apps.map(result => ({ type: 'app', key: `app:${result.app.app}`, ...result }))
+  ], [results]);
+
+  /**
+   * Resets the palette each time it opens
+   */
+  useEffect(() => {
+    if (isOpen) {
+      setQuery('');
+      setActiveIndex(0);
+      inputRef.current?.focus();
+    }
+  }, [isOpen]);
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [items]);
+
+  useEffect(() => {
+    itemRefs.current[activeIndex]?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  if (!isOpen) return null;
+
+  const selectItem = (item) => {
+    if (!item) return;
+
+    if (item.type === 'category') {
+      onCategorySelect?.(item.category);
+    } else {
+      onAppSelect?.(item.app.app);
+    }
+    onClose();
+  };
+
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        setActiveIndex(prev => (items.length ? (prev + 1) % items.length : 0));
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        setActiveIndex(prev => (items.length ? (prev - 1 + items.length) % items.length : 0));
+        break;
+      case 'Enter':
+        e.preventDefault();
+        selectItem(items[activeIndex]);
+        break;
+      case 'Escape':
+        e.preventDefault();
+        onClose();
+        break;
+      default:
+        break;
+    }
+  };
+
+  const renderItem = (item, itemIndex) => {
+    const isActive = itemIndex === activeIndex;
+
+    return (
+      <li
+        key={item.key}
+        ref={el => { itemRefs.current[itemIndex] = el; }}
+        role="option"
+        aria-selected={isActive}
+        onMouseEnter={() => setActiveIndex(itemIndex)}
+        onMouseDown={(e) => {
+          // Keep focus in the input so the palette doesn't lose keyboard control
+          e.preventDefault();
+          selectItem(item);
+        }}
+        className={`flex items-center justify-between px-4 py-2 cursor-pointer ${
+          isActive ? 'bg-primary-50' : ''
+        }`}
+      >
+        {item.type === 'category' ? (
+          <>
+            <div className="flex items-center space-x-3 min-w-0">
+              <Layers className="w-4 h-4 text-primary-500 flex-shrink-0" />
+              <span className="text-sm font-medium text-gray-900 truncate">
+                {item.category.replace(/_/g, ' ')}
+              </span>
+            </div>
+            <span className="text-xs text-gray-500 ml-4">{item.appCount.toLocaleString()} apps</span>
+          </>
+        ) : (
+          <>
+            <div className="min-w-0">
+              <p className="text-sm font-medium text-gray-900 truncate">{item.app.app}</p>
+              <p className="text-xs text-gray-500 truncate">
+                {item.app.category?.replace(/_/g, ' ')}{item.app.genres ? ` • ${item.app.genres}` : ''}
+              </p>
+            </div>
+            <div className="flex items-center space-x-3 ml-4 text-xs text-gray-500 flex-shrink-0">
+              {item.app.rating && (
+                <span className="flex items-center">
+                  <Star className="w-3 h-3 text-yellow-400 mr-1" />
+                  {item.app.rating.toFixed(1)}
+                </span>
+              )}
+              <span className="flex items-center">
+                <Download className="w-3 h-3 mr-1" />
+                {item.app.installs}
+              </span>
+            </div>
+          </>
+        )}
+      </li>
+    );
+  };
+
+  const categoryCount = results.categories.length;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-start justify-center bg-black bg-opacity-40 px-4 pt-24"
+      onMouseDown={onClose}
+    >
+      <div
+        className="w-full max-w-xl bg-white rounded-lg shadow-xl overflow-hidden"
+        onMouseDown={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label="Search apps and categories"
+      >
+        <div className="flex items-center px-4 border-b border-gray-200">
+          <Search className="w-5 h-5 text-gray-400" />
+          <input
+            ref={inputRef}
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Search apps, categories and genres..."
+            className="flex-1 px-3 py-4 text-sm text-gray-900 focus:outline-none"
+            role="combobox"
+            aria-expanded={items.length > 0}
+            aria-autocomplete="list"
+          />
+          <kbd className="text-xs text-gray-400 border border-gray-200 rounded px-1.5 py-0.5">Esc</kbd>
+        </div>
+
+        {deferredQuery.trim() && (
+          <div className="max-h-96 overflow-y-auto">
+            {items.length === 0 ? (
+              <p className="px-4 py-8 text-center text-sm text-gray-500">
+                No apps or categories match "{deferredQuery}"
+              </p>
+            ) : (
+              <ul role="listbox" className="py-2">
+                {categoryCount > 0 && (
+                  <li className="px-4 pt-1 pb-2 text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Categories
+                  </li>
+                )}
+                {items.slice(0, categoryCount).map((item, itemIndex) => renderItem(item, itemIndex))}
+                {results.apps.length > 0 && (
+                  <li className="px-4 pt-3 pb-2 text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Apps
+                    {results.totalApps > results.apps.length && (
+                      <span className="normal-case font-normal">
+                        {' '}• top {results.apps.length} of {results.totalApps.toLocaleString()}
+                      </span>
+                    )}
+                  </li>
+                )}
+                {items.slice(categoryCount).map((item, itemIndex) => renderItem(item, categoryCount + itemIndex))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        <div className="flex items-center justify-end space-x-4 px-4 py-2 border-t border-gray-200 bg-gray-50 text-xs text-gray-500">
+          <span>↑↓ to navigate</span>
+          <span className="flex items-center">
+            <CornerDownLeft className="w-3 h-3 mr-1" />
+            to open
+          </span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
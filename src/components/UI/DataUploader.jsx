@@ -0,0 +1,187 @@
+import React, { useState, useRef } from 'react';
+import { Upload, FileText, X } from 'lucide-react';
+import { APPS_REQUIRED_COLUMNS, REVIEWS_REQUIRED_COLUMNS } from '../../utils/csvLoader';
+import { ErrorDisplay } from './ErrorBoundary';
+import ColumnMappingWizard from './ColumnMappingWizard';
+
+/**
+ * Drop zone that accepts a single CSV file by drag-and-drop or file picker
+ * @param {Object} props - Component props
+ * @param {string} props.label - Zone label
+ * @param {string} props.hint - Helper text under the label
+ * @param {File} props.file - Currently selected file
+ * @param {Function} props.onFileSelect - Called with the chosen File, or null to clear
+ */
+const FileDropZone = ({ label, hint, file, onFileSelect }) => {
+  const [isDragging, setIsDragging] = useState(false);
+  const inputRef = useRef(null);
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+
+    const droppedFile = event.dataTransfer.files?.[0];
+    if (droppedFile) {
+      onFileSelect(droppedFile);
+    }
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+      <div
+        onDragOver={(event) => {
+          event.preventDefault();
+          setIsDragging(true);
+        }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        onClick={() => inputRef.current?.click()}
+        className={`
+          flex flex-col items-center justify-center p-6 rounded-lg border-2 border-dashed cursor-pointer transition-colors
+          ${isDragging
+            ? 'border-primary-500 bg-primary-50'
+            : 'border-gray-300 bg-gray-50 hover:border-primary-300'
+          }
+        `}
+      >
+        <input
+          ref={inputRef}
+          type="file"
+          accept=".csv,.tsv,.txt,text/csv"
+          className="hidden"
+          onChange={(event) => {
+            onFileSelect(event.target.files?.[0] || null);
+            event.target.value = '';
+          }}
+        />
+        {file ? (
+          <div className="flex items-center space-x-2 text-sm text-gray-900">
+            <FileText className="w-5 h-5 text-primary-600" />
+            <span className="font-medium truncate max-w-xs">{file.name}</span>
+            <span className="text-gray-500">({(file.size / 1024 / 1024).toFixed(1)} MB)</span>
+            <button
+              onClick={(event) => {
+                event.stopPropagation();
+                onFileSelect(null);
+              }}
+              className="p-1 rounded hover:bg-gray-200"
+              title="Remove file"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        ) : (
+          <>
+              <Upload className="w-8 h-8 text-gray-400 mb-2" />
+              <p className="text-sm text-gray-600">Drop a CSV file here or click to browse</p>
+          </>
+        )}
+      </div>
+      <p className="mt-1 text-xs text-gray-500">{hint}</p>
+    </div>
+  );
+};
+
+/**
+ * Modal for importing apps and reviews CSV files from the user's machine
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the modal is visible
+ * @param {Function} props.onClose - Close callback
+ * @param {Function} props.onImport - Called with {appsFile, reviewsFile}
+ * @param {string} props.error - Error from the last import attempt
+ * @param {boolean} props.isLoading - Whether an import is in progress
+ * @param {Object} props.mappingRequest - Pending column mapping ({dataset, fields, initialMapping})
+ * @param {Function} props.onMappingConfirm - Called with (mapping, remember)
+ * @param {Function} props.onMappingCancel - Returns to file selection
+ */
+const DataUploader = ({
+  isOpen,
+  onClose,
+  onImport,
+  error = null,
+  isLoading = false,
+  mappingRequest = null,
+  onMappingConfirm,
+  onMappingCancel
+}) => {
+  const [appsFile, setAppsFile] = useState(null);
+  const [reviewsFile, setReviewsFile] = useState(null);
+
+  if (!isOpen) return null;
+
+  const handleImport = () => {
+    if (!appsFile) return;
+    onImport({ appsFile, reviewsFile });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-lg w-full">
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Import Dataset</h2>
+          <button onClick={onClose} className="p-2 rounded-lg hover:bg-gray-100" title="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {mappingRequest ? (
+          <div className="p-6">
+            <ColumnMappingWizard
+              key={`${mappingRequest.dataset}:${mappingRequest.fields.join('|')}`}
+              dataset={mappingRequest.dataset}
+              fields={mappingRequest.fields}
+              initialMapping={mappingRequest.initialMapping}
+              onConfirm={onMappingConfirm}
+              onCancel={onMappingCancel}
+            />
+          </div>
+        ) : (
+          <>
+          <div className="p-6 space-y-4">
+            <FileDropZone
+              label="Apps CSV"
+              hint={`Required columns: ${APPS_REQUIRED_COLUMNS.join(', ')}`}
+              file={appsFile}
+              onFileSelect={setAppsFile}
+            />
+
+            <FileDropZone
+              label="Reviews CSV (optional)"
+              hint={`Required columns: ${REVIEWS_REQUIRED_COLUMNS.join(', ')}. Without it, sentiment views stay empty.`}
+              file={reviewsFile}
+              onFileSelect={setReviewsFile}
+            />
+
+            {error && <ErrorDisplay error={error} title="Import Failed" />}
+
+            <p className="text-xs text-gray-500">
+              Files are parsed in your browser and never leave this machine.
+            </p>
+          </div>
+
+          <div className="flex justify-end space-x-3 px-6 py-4 border-t border-gray-200">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 rounded-lg border border-gray-300 bg-white text-gray-700 text-sm font-medium hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleImport}
+              disabled={!appsFile || isLoading}
+              className="flex items-center space-x-2 px-4 py-2 rounded-lg bg-primary-600 text-white text-sm font-medium
+                       hover:bg-primary-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Upload className="w-4 h-4" />
+              <span>Import</span>
+            </button>
+          </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DataUploader;
@@ -0,0 +1,163 @@
+import React, { useState, useMemo, useRef } from 'react';
+import _ from 'lodash';
+import { Bookmark, Pencil, Trash2, Download, Upload, Check, X } from 'lucide-react';
+import { useFilterPresets } from '../../hooks/useFilterPresets';
+import { sanitizeFilters } from '../../utils/urlState';
+import { downloadFile } from '../../utils/reportGenerator';
+
+/**
+ * Saved views: named filters + section that can be re-applied, renamed, deleted, exported and imported
+ * @param {Object} props - Component props
+ * @param {Object} props.filters - Current filters
+ * @param {string} props.activeSection - Current dashboard section
+ * @param {Function} props.onApply - Called with a preset to apply its section and filters
+ */
+const FilterPresets = ({ filters = {}, activeSection, onApply }) => {
+  const { presets, addPreset, renamePreset, deletePreset, exportAll, importFromFile } = useFilterPresets();
+  const [editMode, setEditMode] = useState(null); // 'save' | 'rename' | null
+  const [nameDraft, setNameDraft] = useState('');
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  // The preset matching the current view, if any
+  const currentPreset = useMemo(() => {
+    const { filters: currentFilters } = sanitizeFilters(filters);
+    return presets.find(preset =>
+      preset.section === activeSection && _.isEqual(preset.filters, currentFilters)
+    ) || null;
+  }, [presets, filters, activeSection]);
+
+  const startEdit = (mode) => {
+    setEditMode(mode);
+    setNameDraft(mode === 'rename' ? currentPreset?.name || '' : '');
+    setMessage(null);
+  };
+
+  const confirmEdit = () => {
+    const name = nameDraft.trim();
+    if (!name) return;
+
+    if (editMode === 'rename' && currentPreset) {
+      if (!renamePreset(currentPreset.id, name)) {
+        setMessage({ type: 'error', text: `A saved view named "${name}" already exists` });
+        return;
+      }
+    } else {
+      addPreset(name, filters, activeSection);
+      setMessage({ type: 'success', text: `Saved "${name}"` });
+    }
+    setEditMode(null);
+  };
+
+  const handleDelete = () => {
+    if (!currentPreset) return;
+    if (window.confirm(`Delete the saved view "${currentPreset.name}"?`)) {
+      deletePreset(currentPreset.id);
+      setMessage(null);
+    }
+  };
+
+  const handleExport = () => {
+    downloadFile(exportAll(), 'filter-presets.json', 'application/json');
+  };
+
+  const handleImport = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const { importedCount, skippedCount } = await importFromFile(file);
+      setMessage({
+        type: 'success',
+        text: `Imported ${importedCount} view${importedCount === 1 ? '' : 's'}${
+          skippedCount ? `, skipped ${skippedCount} invalid` : ''
+        }`
+      });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const iconButtonClass = 'p-2 rounded-lg border border-gray-300 text-gray-600 hover:bg-gray-50 disabled:text-gray-300 disabled:hover:bg-white disabled:cursor-not-allowed';
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Saved Views
+      </label>
+
+      {editMode ? (
+        <div className="flex items-center space-x-2">
+          <input
+            type="text"
+            value={nameDraft}
+            onChange={(e) => setNameDraft(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') confirmEdit();
+              if (e.key === 'Escape') setEditMode(null);
+            }}
+            placeholder={editMode === 'save' ? 'e.g. Top free games 4.5+' : 'New name'}
+            autoFocus
+            className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm
+                     focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          />
+          <button onClick={confirmEdit} disabled={!nameDraft.trim()} className={iconButtonClass} title="Confirm">
+            <Check className="w-4 h-4" />
+          </button>
+          <button onClick={() => setEditMode(null)} className={iconButtonClass} title="Cancel">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      ) : (
+        <select
+          value={currentPreset?.id || ''}
+          onChange={(e) => {
+            const preset = presets.find(candidate => candidate.id === e.target.value);
+            if (preset) onApply(preset);
+          }}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm
+                   focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+        >
+          <option value="">{presets.length ? 'Current view (unsaved)' : 'No saved views yet'}</option>
+          {presets.map(preset => (
+            <option key={preset.id} value={preset.id}>{preset.name}</option>
+          ))}
+        </select>
+      )}
+
+      <div className="mt-2 flex items-center space-x-2">
+        <button onClick={() => startEdit('save')} className={iconButtonClass} title="Save current view">
+          <Bookmark className="w-4 h-4" />
+        </button>
+        <button onClick={() => startEdit('rename')} disabled={!currentPreset} className={iconButtonClass} title="Rename view">
+          <Pencil className="w-4 h-4" />
+        </button>
+        <button onClick={handleDelete} disabled={!currentPreset} className={iconButtonClass} title="Delete view">
+          <Trash2 className="w-4 h-4" />
+        </button>
+        <button onClick={handleExport} disabled={!presets.length} className={iconButtonClass} title="Export views as JSON">
+          <Download className="w-4 h-4" />
+        </button>
+        <button onClick={() => fileInputRef.current?.click()} className={iconButtonClass} title="Import views from JSON">
+          <Upload className="w-4 h-4" />
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleImport}
+          className="hidden"
+        />
+      </div>
+
+      {message && (
+        <p className={`mt-1 text-xs ${message.type === 'error' ? 'text-red-600' : 'text-green-600'}`}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default FilterPresets;
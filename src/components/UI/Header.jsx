@@ -1,16 +1,47 @@
-import React from 'react';
-import { BarChart3, RefreshCw, Download, Settings } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { BarChart3, RefreshCw, Download, Upload, Settings, Search } from 'lucide-react';
 import { APP_CONFIG } from '../../utils/constants';
+import CommandPalette from './CommandPalette';
 
 /**
  * Header component with navigation and actions
  * @param {Object} props - Component props
  * @param {Function} props.onRefresh - Refresh data callback
  * @param {Function} props.onExport - Export data callback
+ * @param {Function} props.onImport - Open dataset import callback
  * @param {boolean} props.isLoading - Loading state
  * @param {Object} props.stats - Basic statistics
+ * @param {Array} props.apps - Apps available to the search palette
+ * @param {Function} props.onAppSelect - Opens an app from search
+ * @param {Function} props.onCategorySelect - Opens a category from search
  */
-const Header = ({ onRefresh, onExport, isLoading = false, stats = {} }) => {
+const Header = ({
+  onRefresh,
+  onExport,
+  onImport,
+  isLoading = false,
+  stats = {},
+  apps = [],
+  onAppSelect,
+  onCategorySelect
+}) => {
+  const [isSearchOpen, setIsSearchOpen] = useState(false);
+
+  /**
+   * Opens the search palette with Ctrl+K / Cmd+K
+   */
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setIsSearchOpen(prev => !prev);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
   return (
     <header className="bg-white border-b border-gray-200 px-6 py-4">
       <div className="flex items-center justify-between">
@@ -61,6 +92,24 @@ const Header = ({ onRefresh, onExport, isLoading = false, stats = {} }) => {
 
         {/* Action Buttons */}
         <div className="flex items-center space-x-3">
+          <button
+            onClick={() => setIsSearchOpen(true)}
+            disabled={!apps.length}
+            className={`
+              flex items-center space-x-2 px-4 py-2 rounded-lg border border-gray-300 
+              text-sm font-medium transition-colors
+              ${!apps.length 
+                ? 'bg-gray-100 text-gray-400 cursor-not-allowed' 
+                : 'bg-white text-gray-700 hover:bg-gray-50 hover:border-gray-400'
+              }
+            `}
+            title="Search apps (Ctrl+K)"
+          >
+            <Search className="w-4 h-4" />
+            <span className="hidden sm:inline">Search</span>
+            <kbd className="hidden lg:inline text-xs text-gray-400 border border-gray-200 rounded px-1">Ctrl K</kbd>
+          </button>
+
           <button
             onClick={onRefresh}
             disabled={isLoading}
@@ -78,6 +127,23 @@ const Header = ({ onRefresh, onExport, isLoading = false, stats = {} }) => {
             <span className="hidden sm:inline">Refresh</span>
           </button>
 
+          <button
+            onClick={onImport}
+            disabled={isLoading}
+            className={`
+              flex items-center space-x-2 px-4 py-2 rounded-lg border border-gray-300 
+              text-sm font-medium transition-colors
+              ${isLoading 
+                ? 'bg-gray-100 text-gray-400 cursor-not-allowed' 
+                : 'bg-white text-gray-700 hover:bg-gray-50 hover:border-gray-400'
+              }
+            `}
+            title="Import CSV Dataset"
+          >
+            <Upload className="w-4 h-4" />
+            <span className="hidden sm:inline">Import</span>
+          </button>
+
           <button
             onClick={onExport}
             disabled={isLoading}
@@ -133,6 +199,14 @@ const Header = ({ onRefresh, onExport, isLoading = false, stats = {} }) => {
           </div>
         </div>
       )}
+
+      <CommandPalette
+        isOpen={isSearchOpen && apps.length > 0}
+        onClose={() => setIsSearchOpen(false)}
+        apps={apps}
+        onAppSelect={onAppSelect}
+        onCategorySelect={onCategorySelect}
+      />
     </header>
   );
 };
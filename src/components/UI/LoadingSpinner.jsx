@@ -1,6 +1,17 @@
 import React from 'react';
 import { Loader2, BarChart3 } from 'lucide-react';
 
+/**
+ * Formats a byte count for display
+ * @param {number} bytes - Byte count
+ * @returns {string} Human-readable size
+ */
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${bytes} B`;
+};
+
 /**
  * Loading spinner component with optional message
  * @param {Object} props - Component props
@@ -8,12 +19,16 @@ import { Loader2, BarChart3 } from 'lucide-react';
  * @param {string} props.size - Size variant ('sm', 'md', 'lg')
  * @param {boolean} props.fullScreen - Whether to show as full screen overlay
  * @param {string} props.type - Spinner type ('default', 'pulse', 'chart')
+ * @param {Object} props.progress - Optional {bytesLoaded, totalBytes, rows}; shows a progress bar
+ * @param {Function} props.onCancel - Optional cancel callback; shows a cancel button
  */
 const LoadingSpinner = ({ 
   message = 'Loading...', 
   size = 'md', 
   fullScreen = false,
-  type = 'default' 
+  type = 'default',
+  progress = null,
+  onCancel
 }) => {
   const sizeClasses = {
     sm: 'w-4 h-4',
@@ -51,6 +66,36 @@ const LoadingSpinner = ({
         {message && (
           <p className="text-gray-600 text-sm font-medium">{message}</p>
         )}
+        {progress && (
+          <div className="mt-4 w-64 mx-auto">
+            {progress.totalBytes ? (
+              <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+                <div
+                  className="h-2 bg-primary-500 rounded-full transition-all duration-200"
+                  style={{ width: `${Math.min(100, (progress.bytesLoaded / progress.totalBytes) * 100)}%` }}
+                />
+              </div>
+            ) : (
+              <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+                <div className="h-2 w-1/3 bg-primary-300 rounded-full animate-pulse" />
+              </div>
+            )}
+            <p className="mt-2 text-xs text-gray-500">
+              {formatBytes(progress.bytesLoaded)}
+              {progress.totalBytes ? ` of ${formatBytes(progress.totalBytes)}` : ''}
+              {' • '}
+              {progress.rows.toLocaleString()} rows
+            </p>
+          </div>
+        )}
+        {onCancel && (
+          <button
+            onClick={onCancel}
+            className="mt-4 text-sm text-gray-500 hover:text-gray-700 underline"
+          >
+            Cancel
+          </button>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,177 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Code, X } from 'lucide-react';
+import { validateQuery, getQueryCompletions } from '../../utils/queryLanguage';
+
+/**
+ * Filter query editor with field autocomplete and inline syntax errors
+ * The query is applied on Enter (or the Apply button) once it is valid
+ * @param {Object} props - Component props
+ * @param {string} props.value - Applied query
+ * @param {Function} props.onChange - Called with the new query, or null to clear it
+ */
+const QueryInput = ({ value = '', onChange }) => {
+  const [draft, setDraft] = useState(value || '');
+  const [completions, setCompletions] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const inputRef = useRef(null);
+
+  // Resync when the applied query changes elsewhere, e.g. back navigation
+  useEffect(() => {
+    setDraft(value || '');
+  }, [value]);
+
+  const error = draft.trim() ? validateQuery(draft) : null;
+  const isDirty = draft.trim() !== (value || '').trim();
+
+  const updateCompletions = (text, cursor) => {
+    const result = getQueryCompletions(text, cursor);
+    setCompletions(result.items.length ? result : null);
+    setActiveIndex(0);
+  };
+
+  const applyQuery = () => {
+    if (error || !isDirty) return;
+    onChange(draft.trim() || null);
+  };
+
+  const acceptCompletion = (item) => {
+    const { from, to } = completions;
+    const insert = `${item.label} `;
+    const nextDraft = draft.slice(0, from) + insert + draft.slice(to);
+    const cursor = from + insert.length;
+
+    setDraft(nextDraft);
+    setCompletions(null);
+
+    // Restore the cursor after React updates the input value
+    requestAnimationFrame(() => {
+      inputRef.current?.focus();
+      inputRef.current?.setSelectionRange(cursor, cursor);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (completions) {
+      switch (e.key) {
+        case 'ArrowDown':
+          e.preventDefault();
+          setActiveIndex(prev => (prev + 1) % completions.items.length);
+          return;
+        case 'ArrowUp':
+          e.preventDefault();
+          setActiveIndex(prev => (prev - 1 + completions.items.length) % completions.items.length);
+          return;
+        case 'Tab':
+        case 'Enter':
+          e.preventDefault();
+          acceptCompletion(completions.items[activeIndex]);
+          return;
+        case 'Escape':
+          e.preventDefault();
+          setCompletions(null);
+          return;
+        default:
+          break;
+      }
+    }
+
+    // Shift+Enter still inserts a line break for long queries
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      applyQuery();
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-1">
+        <label className="flex items-center text-sm font-medium text-gray-700">
+          <Code className="w-4 h-4 mr-1 text-gray-500" />
+          Query
+        </label>
+        {value && (
+          <button
+            onClick={() => onChange(null)}
+            className="flex items-center text-xs text-gray-500 hover:text-gray-700"
+          >
+            <X className="w-3 h-3 mr-0.5" />
+            Clear
+          </button>
+        )}
+      </div>
+
+      <div className="relative">
+        <textarea
+          ref={inputRef}
+          value={draft}
+          rows={3}
+          spellCheck={false}
+          onChange={(e) => {
+            setDraft(e.target.value);
+            updateCompletions(e.target.value, e.target.selectionStart);
+          }}
+          onKeyDown={handleKeyDown}
+          onFocus={(e) => updateCompletions(draft, e.target.selectionStart)}
+          onBlur={() => setCompletions(null)}
+          placeholder="category in (GAME, FAMILY) and rating >= 4.2"
+          className={`w-full px-3 py-2 border rounded-lg text-xs font-mono resize-y
+                   focus:ring-2 focus:ring-primary-500 focus:border-transparent
+                   ${error ? 'border-red-300' : 'border-gray-300'}`}
+          aria-invalid={!!error}
+          aria-autocomplete="list"
+        />
+
+        {completions && (
+          <ul
+            role="listbox"
+            className="absolute z-10 left-0 right-0 mt-1 max-h-48 overflow-y-auto bg-white border border-gray-200 rounded-lg shadow-lg py-1"
+          >
+            {completions.items.map((item, index) => (
+              <li
+                key={item.label}
+                role="option"
+                aria-selected={index === activeIndex}
+                onMouseDown={(e) => {
+                  // Keep focus in the textarea
+                  e.preventDefault();
+                  acceptCompletion(item);
+                }}
+                onMouseEnter={() => setActiveIndex(index)}
+                className={`px-3 py-1 cursor-pointer ${index === activeIndex ? 'bg-primary-50' : ''}`}
+              >
+                <span className={`text-xs font-mono ${item.kind === 'keyword' ? 'text-purple-700' : 'text-gray-900'}`}>
+                  {item.label}
+                </span>
+                <span className="block text-xs text-gray-500 truncate">{item.detail}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {error ? (
+        <p className="mt-1 text-xs text-red-600">{error.message}</p>
+      ) : (
+        <p className="mt-1 text-xs text-gray-500">
+          Combine conditions with and, or, not. Press Enter to apply.
+        </p>
+      )}
+
+      {isDirty && (
+        <button
+          onClick={applyQuery}
+          disabled={!!error}
+          className={`mt-2 w-full px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+            error
+              ? 'bg-gray-100 text-gray-400 cursor-not-allowed'
+              : 'bg-primary-600 text-white hover:bg-primary-700'
+          }`}
+        >
+          Apply Query
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default QueryInput;
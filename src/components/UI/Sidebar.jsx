@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { 
   BarChart3, 
   PieChart, 
@@ -6,12 +6,183 @@ import {
   Star, 
   MessageSquare, 
   FileText,
+  Target,
   Filter,
   X,
   ChevronDown,
   ChevronRight
 } from 'lucide-react';
-import { DASHBOARD_SECTIONS } from '../../utils/constants';
+import { DASHBOARD_SECTIONS, ANDROID_VERSIONS } from '../../utils/constants';
+import QueryInput from './QueryInput';
+import FilterPresets from './FilterPresets';
+
+const BYTES_PER_MB = 1024 * 1024;
+
+/**
+ * Checkbox list filter with an optional search box for long lists
+ * @param {Object} props - Component props
+ * @param {string} props.label - Filter label
+ * @param {Array} props.options - Available values
+ * @param {Array} props.selected - Selected values
+ * @param {Function} props.onChange - Called with the new selection, or null when empty
+ * @param {Function} props.formatOption - Formats a value for display
+ */
+const MultiSelectFilter = ({
+  label,
+  options = [],
+  selected = [],
+  onChange,
+  formatOption = (option) => option
+}) => {
+  const [search, setSearch] = useState('');
+
+  const visibleOptions = search
+    ? options.filter(option => formatOption(option).toLowerCase().includes(search.toLowerCase()))
+    : options;
+
+  const toggleOption = (option) => {
+    const next = selected.includes(option)
+      ? selected.filter(value => value !== option)
+      : [...selected, option];
+    onChange(next.length ? next : null);
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-1">
+        <label className="block text-sm font-medium text-gray-700">
+          {label}
+          {selected.length > 0 && (
+            <span className="ml-1 text-xs text-primary-600">({selected.length})</span>
+          )}
+        </label>
+        {selected.length > 0 && (
+          <button onClick={() => onChange(null)} className="text-xs text-gray-500 hover:text-gray-700">
+            Clear
+          </button>
+        )}
+      </div>
+      {options.length > 10 && (
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder={`Search ${label.toLowerCase()}...`}
+          className="w-full mb-1 px-3 py-1.5 border border-gray-300 rounded-lg text-sm 
+                   focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+        />
+      )}
+      <div className="max-h-40 overflow-y-auto border border-gray-300 rounded-lg py-1">
+        {visibleOptions.map(option => (
+          <label key={option} className="flex items-center px-3 py-1 text-sm text-gray-700 hover:bg-gray-50 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={selected.includes(option)}
+              onChange={() => toggleOption(option)}
+              className="mr-2 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+            />
+            <span className="truncate">{formatOption(option)}</span>
+          </label>
+        ))}
+        {visibleOptions.length === 0 && (
+          <p className="px-3 py-1 text-xs text-gray-500">No matches</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Pair of inputs for a range filter
+ * Edits are applied on blur or Enter so typing doesn't refilter on every keystroke
+ * @param {Object} props - Component props
+ * @param {string} props.label - Filter label
+ * @param {Object} props.range - Current range
+ * @param {Function} props.onChange - Called with the new range, or null when both bounds are empty
+ * @param {string} props.inputType - 'number' or 'date'
+ * @param {number} props.scale - Stored value per displayed unit, e.g. bytes per MB
+ * @param {Array} props.bounds - Names of the lower and upper bound properties
+ */
+const RangeFilter = ({
+  label,
+  range,
+  onChange,
+  inputType = 'number',
+  scale = 1,
+  bounds = ['min', 'max']
+}) => {
+  const [lowerKey, upperKey] = bounds;
+  const lower = range?.[lowerKey];
+  const upper = range?.[upperKey];
+
+  const toInput = useCallback((value) => {
+    if (value === undefined) return '';
+    return inputType === 'number' ? String(value / scale) : value;
+  }, [inputType, scale]);
+
+  const fromInput = (text) => {
+    if (text === '') return undefined;
+    if (inputType !== 'number') return text;
+
+    const value = parseFloat(text);
+    return Number.isFinite(value) ? value * scale : undefined;
+  };
+
+  const [draft, setDraft] = useState({ lower: toInput(lower), upper: toInput(upper) });
+
+  // Resync when the range changes elsewhere, e.g. back navigation or Clear All Filters
+  useEffect(() => {
+    setDraft({ lower: toInput(lower), upper: toInput(upper) });
+  }, [lower, upper, toInput]);
+
+  const commit = () => {
+    const nextLower = fromInput(draft.lower);
+    const nextUpper = fromInput(draft.upper);
+    if (nextLower === lower && nextUpper === upper) return;
+
+    const next = {};
+    if (nextLower !== undefined) next[lowerKey] = nextLower;
+    if (nextUpper !== undefined) next[upperKey] = nextUpper;
+    onChange(Object.keys(next).length ? next : null);
+  };
+
+  const inputProps = {
+    type: inputType,
+    step: inputType === 'number' ? 'any' : undefined,
+    min: inputType === 'number' ? 0 : undefined,
+    onBlur: commit,
+    onKeyDown: (e) => {
+      if (e.key === 'Enter') commit();
+    },
+    className: `w-full px-2 py-2 border border-gray-300 rounded-lg text-sm 
+               focus:ring-2 focus:ring-primary-500 focus:border-transparent`
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        {label}
+      </label>
+      <div className="flex items-center space-x-2">
+        <input
+          {...inputProps}
+          value={draft.lower}
+          onChange={(e) => setDraft(prev => ({ ...prev, lower: e.target.value }))}
+          placeholder={inputType === 'number' ? 'Min' : undefined}
+          aria-label={`${label} from`}
+        />
+        <span className="text-gray-400">–</span>
+        <input
+          {...inputProps}
+          value={draft.upper}
+          onChange={(e) => setDraft(prev => ({ ...prev, upper: e.target.value }))}
+          placeholder={inputType === 'number' ? 'Max' : undefined}
+          aria-label={`${label} to`}
+        />
+      </div>
+    </div>
+  );
+};
 
 /**
  * Sidebar navigation component
@@ -20,7 +191,9 @@ import { DASHBOARD_SECTIONS } from '../../utils/constants';
  * @param {Function} props.onSectionChange - Section change callback
  * @param {Object} props.filters - Current filters
  * @param {Function} props.onFiltersChange - Filters change callback
+ * @param {Function} props.onPresetApply - Applies a saved view's section and filters
  * @param {Array} props.categories - Available categories
+ * @param {Array} props.genres - Available genres
  * @param {boolean} props.isMobileOpen - Mobile sidebar open state
  * @param {Function} props.onMobileClose - Mobile close callback
  */
@@ -29,7 +202,9 @@ const Sidebar = ({
   onSectionChange,
   filters = {},
   onFiltersChange,
+  onPresetApply,
   categories = [],
+  genres = [],
   isMobileOpen = false,
   onMobileClose
 }) => {
@@ -66,6 +241,12 @@ const Sidebar = ({
       icon: TrendingUp,
       description: 'Market trends and patterns'
     },
+    { 
+      id: DASHBOARD_SECTIONS.BENCHMARK, 
+      label: 'Benchmark', 
+      icon: Target,
+      description: 'Compare an app with its category peers'
+    },
     { 
       id: DASHBOARD_SECTIONS.REPORTS, 
       label: 'Reports', 
@@ -122,7 +303,7 @@ const Sidebar = ({
         </div>
 
         {/* Navigation */}
-        <nav className="flex-1 p-4 space-y-2">
+        <nav className="flex-1 p-4 space-y-2 overflow-y-auto">
           <div className="mb-6">
             <h3 className="text-xs font-semibold text-gray-500 uppercase tracking-wider mb-3">
               Dashboard
@@ -182,43 +363,103 @@ const Sidebar = ({
 
             {isFiltersExpanded && (
               <div className="space-y-3">
+                {/* Saved Views */}
+                <FilterPresets
+                  filters={filters}
+                  activeSection={activeSection}
+                  onApply={(preset) => {
+                    onPresetApply(preset);
+                    onMobileClose?.();
+                  }}
+                />
+
                 {/* Category Filter */}
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Category
-                  </label>
-                  <select
-                    value={filters.category || ''}
-                    onChange={(e) => handleFilterChange('category', e.target.value)}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm 
-                             focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-                  >
-                    <option value="">All Categories</option>
-                    {categories.map(category => (
-                      <option key={category} value={category}>
-                        {category.replace(/_/g, ' ')}
-                      </option>
-                    ))}
-                  </select>
-                </div>
+                <MultiSelectFilter
+                  label="Categories"
+                  options={categories}
+                  selected={filters.categories}
+                  onChange={(value) => handleFilterChange('categories', value)}
+                  formatOption={(category) => category.replace(/_/g, ' ')}
+                />
+
+                {/* Genre Filter */}
+                <MultiSelectFilter
+                  label="Genres"
+                  options={genres}
+                  selected={filters.genres}
+                  onChange={(value) => handleFilterChange('genres', value)}
+                />
+
+                {/* Range Filters */}
+                <RangeFilter
+                  label="Rating"
+                  range={filters.rating}
+                  onChange={(value) => handleFilterChange('rating', value)}
+                />
+
+                <RangeFilter
+                  label="Installs"
+                  range={filters.installs}
+                  onChange={(value) => handleFilterChange('installs', value)}
+                />
+
+                <RangeFilter
+                  label="Reviews"
+                  range={filters.reviews}
+                  onChange={(value) => handleFilterChange('reviews', value)}
+                />
+
+                <RangeFilter
+                  label="Price ($)"
+                  range={filters.price}
+                  onChange={(value) => handleFilterChange('price', value)}
+                />
+
+                <RangeFilter
+                  label="Size (MB)"
+                  range={filters.size}
+                  scale={BYTES_PER_MB}
+                  onChange={(value) => handleFilterChange('size', value)}
+                />
+
+                <RangeFilter
+                  label="Last Updated"
+                  range={filters.lastUpdated}
+                  inputType="date"
+                  bounds={['from', 'to']}
+                  onChange={(value) => handleFilterChange('lastUpdated', value)}
+                />
 
-                {/* Rating Filter */}
+                {/* Android Version Filter */}
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Minimum Rating
+                    Minimum Android Version
                   </label>
-                  <select
-                    value={filters.minRating || ''}
-                    onChange={(e) => handleFilterChange('minRating', e.target.value ? parseFloat(e.target.value) : null)}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm 
-                             focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-                  >
-                    <option value="">Any Rating</option>
-                    <option value="4.5">4.5+ Stars</option>
-                    <option value="4.0">4.0+ Stars</option>
-                    <option value="3.5">3.5+ Stars</option>
-                    <option value="3.0">3.0+ Stars</option>
-                  </select>
+                  <div className="flex items-center space-x-2">
+                    {['min', 'max'].map(bound => (
+                      <select
+                        key={bound}
+                        value={filters.androidVersion?.[bound] || ''}
+                        onChange={(e) => {
+                          const next = { ...filters.androidVersion };
+                          if (e.target.value) {
+                            next[bound] = e.target.value;
+                          } else {
+                            delete next[bound];
+                          }
+                          handleFilterChange('androidVersion', Object.keys(next).length ? next : null);
+                        }}
+                        className="w-full px-2 py-2 border border-gray-300 rounded-lg text-sm 
+                                 focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                        aria-label={`Minimum Android version ${bound === 'min' ? 'from' : 'to'}`}
+                      >
+                        <option value="">{bound === 'min' ? 'From' : 'To'}</option>
+                        {ANDROID_VERSIONS.map(version => (
+                          <option key={version} value={version}>{version}</option>
+                        ))}
+                      </select>
+                    ))}
+                  </div>
                 </div>
 
                 {/* Type Filter */}
@@ -257,6 +498,12 @@ const Sidebar = ({
                   </select>
                 </div>
 
+                {/* Query Filter */}
+                <QueryInput
+                  value={filters.query}
+                  onChange={(value) => handleFilterChange('query', value)}
+                />
+
                 {/* Clear Filters */}
                 {hasActiveFilters && (
                   <button
@@ -1,98 +1,79 @@
-import { useState, useEffect, useMemo } from 'react';
-import { generateAnalytics, generateChartData } from '../utils/analytics';
-import { filterApps } from '../utils/dataProcessor';
-import { LOADING_MESSAGES } from '../utils/constants';
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { generateChartData, generateCategoryComparison, generateAppBenchmark, addAdjustedRatings, rankAppsByRating } from '../utils/analytics';
+import { RATING_SORT_KEYS } from '../utils/constants';
+import { getPipelineClient } from '../utils/pipelineClient';
+import { buildSearchIndex, searchIndex } from '../utils/search';
+
+// Shared default so an omitted filters argument doesn't retrigger analysis every render
+const NO_FILTERS = {};
 
 /**
  * Custom hook for analytics generation and management
+ * Filtering and analytics run in the pipeline worker; a filter change
+ * cancels any computation still running for the previous filters
  * @param {Array} apps - Apps data
  * @param {Array} reviews - Reviews data
+ * @param {Object} filters - Filter criteria, owned by the caller (the URL in App)
  * @returns {Object} Analytics state and methods
  */
-export const useAnalytics = (apps = [], reviews = []) => {
+export const useAnalytics = (apps = [], reviews = [], filters = NO_FILTERS) => {
   const [state, setState] = useState({
     analytics: null,
     chartData: null,
     isGenerating: false,
+    progressMessage: '',
     error: null,
-    filters: {},
-    filteredApps: []
+    filteredApps: [],
+    isEmpty: false
   });
 
   /**
-   * Applies filters to apps data
-   */
-  const filteredApps = useMemo(() => {
-    if (!apps.length) return [];
-    
-    try {
-      return filterApps(apps, state.filters);
-    } catch (error) {
-      console.error('Error filtering apps:', error);
-      return apps;
-    }
-  }, [apps, state.filters]);
-
-  /**
-   * Generates analytics for current data
-   */
-  const generateCurrentAnalytics = useMemo(() => {
-    if (!filteredApps.length) return null;
-    
-    try {
-      setState(prev => ({ ...prev, isGenerating: true, error: null }));
-      
-      const analytics = generateAnalytics(filteredApps, reviews);
-      const chartData = generateChartData(filteredApps);
-      
-      return { analytics, chartData };
-    } catch (error) {
-      console.error('Error generating analytics:', error);
-      setState(prev => ({ 
-        ...prev, 
-        isGenerating: false, 
-        error: error.message 
-      }));
-      return null;
-    }
-  }, [filteredApps, reviews]);
-
-  /**
-   * Updates analytics when data changes
+   * Regenerates analytics whenever the data or filters change
    */
   useEffect(() => {
-    if (generateCurrentAnalytics) {
-      setState(prev => ({
-        ...prev,
-        analytics: generateCurrentAnalytics.analytics,
-        chartData: generateCurrentAnalytics.chartData,
-        filteredApps,
-        isGenerating: false,
-        error: null
-      }));
+    if (!apps.length) {
+      setState(prev => ({ ...prev, analytics: null, chartData: null, filteredApps: [], isEmpty: false }));
+      return undefined;
     }
-  }, [generateCurrentAnalytics, filteredApps]);
+    
+    const controller = new AbortController();
+    setState(prev => ({ ...prev, isGenerating: true, error: null }));
+    
+    getPipelineClient()
+      .analyze(apps, reviews, filters, {
+        signal: controller.signal,
+        onProgress: (message) => setState(prev => ({ ...prev, progressMessage: message }))
+      })
+      .then(({ analytics, chartData, filteredApps }) => {
+        setState(prev => ({
+          ...prev,
+          analytics,
+          chartData,
+          filteredApps,
+          isEmpty: filteredApps.length === 0,
+          isGenerating: false,
+          progressMessage: '',
+          error: null
+        }));
+      })
+      .catch(error => {
+        if (error.code === 'CANCELLED') return;
+        
+        console.error('Error generating analytics:', error);
+        setState(prev => ({ 
+          ...prev, 
+          isGenerating: false, 
+          progressMessage: '',
+          error: error.message 
+        }));
+      });
+    
+    return () => controller.abort();
+  }, [apps, reviews, filters]);
 
-  /**
-   * Updates filters
-   * @param {Object} newFilters - New filter criteria
-   */
-  const updateFilters = (newFilters) => {
-    setState(prev => ({
-      ...prev,
-      filters: { ...prev.filters, ...newFilters }
-    }));
-  };
+  const { filteredApps } = state;
 
-  /**
-   * Resets filters
-   */
-  const resetFilters = () => {
-    setState(prev => ({
-      ...prev,
-      filters: {}
-    }));
-  };
+  const filteredSearchIndex = useMemo(() => buildSearchIndex(filteredApps), [filteredApps]);
 
   /**
    * Gets analytics for specific category
@@ -109,9 +90,8 @@ export const useAnalytics = (apps = [], reviews = []) => {
     if (!categoryData) return null;
     
     const categoryApps = filteredApps.filter(app => app.category === category);
-    const categoryReviews = reviews.filter(review => 
-      categoryApps.some(app => app.app === review.app)
-    );
+    const categoryAppNames = new Set(categoryApps.map(app => app.app));
+    const categoryReviews = reviews.filter(review => categoryAppNames.has(review.app));
     
     return {
       ...categoryData,
@@ -121,15 +101,34 @@ export const useAnalytics = (apps = [], reviews = []) => {
     };
   };
 
+  /**
+   * Benchmarks an app against its category peers in the filtered apps
+   * Memoized so views can recompute only when the filtered apps change
+   * @param {string} appName - App name
+   * @returns {Object|null} Benchmark, see generateAppBenchmark, or null if the app isn't in the filtered apps
+   */
+  const getAppBenchmark = useCallback((appName) => {
+    const app = filteredApps.find(candidate => candidate.app === appName);
+    if (!app) return null;
+    
+    const categoryApps = filteredApps.filter(candidate => candidate.category === app.category);
+    return generateAppBenchmark(app, categoryApps);
+  }, [filteredApps]);
+
   /**
    * Gets top performing apps by metric
-   * @param {string} metric - Metric to sort by ('rating', 'installs', 'reviews')
+   * @param {string} metric - Metric to sort by ('rating', 'bayesianRating', 'wilsonLowerBound', 'installs', 'reviews')
    * @param {number} limit - Number of apps to return
    * @returns {Array} Top performing apps
    */
   const getTopApps = (metric = 'rating', limit = 10) => {
     if (!filteredApps.length) return [];
     
+    // Adjusted ratings depend on the category means of the filtered apps
+    if (metric === RATING_SORT_KEYS.BAYESIAN.id || metric === RATING_SORT_KEYS.WILSON.id) {
+      return rankAppsByRating(addAdjustedRatings(filteredApps), metric, { order: 'desc', limit });
+    }
+    
     const sortedApps = [...filteredApps].sort((a, b) => {
       switch (metric) {
         case 'rating':
@@ -149,89 +148,64 @@ export const useAnalytics = (apps = [], reviews = []) => {
   /**
    * Gets apps with poor performance
    * @param {number} limit - Number of apps to return
+   * @param {string} sortKey - Rating sort key ('rating', 'bayesianRating', 'wilsonLowerBound')
    * @returns {Array} Poorly performing apps
    */
-  const getPoorPerformingApps = (limit = 10) => {
+  const getPoorPerformingApps = (limit = 10, sortKey = RATING_SORT_KEYS.RAW.id) => {
     if (!filteredApps.length) return [];
     
-    return filteredApps
-      .filter(app => app.rating && app.rating < 3.0)
-      .sort((a, b) => a.rating - b.rating)
-      .slice(0, limit);
+    const rankedApps = sortKey === RATING_SORT_KEYS.RAW.id ? filteredApps : addAdjustedRatings(filteredApps);
+    return rankAppsByRating(rankedApps, sortKey, { order: 'asc', threshold: 3.0, limit });
   };
 
   /**
-   * Searches apps by name or category
+   * Fuzzy-searches filtered apps by name, category and genres
    * @param {string} query - Search query
-   * @returns {Array} Matching apps
+   * @param {number} limit - Number of apps to return
+   * @returns {Array} Matching apps, best matches and most installed first
    */
-  const searchApps = (query) => {
+  const searchApps = (query, limit = 50) => {
     if (!query || !filteredApps.length) return [];
     
-    const lowerQuery = query.toLowerCase();
-    
-    return filteredApps.filter(app => 
-      app.app.toLowerCase().includes(lowerQuery) ||
-      app.category.toLowerCase().includes(lowerQuery) ||
-      (app.genres && app.genres.toLowerCase().includes(lowerQuery))
-    );
+    return searchIndex(filteredSearchIndex, query, { appLimit: limit, categoryLimit: 0 })
+      .apps
+      .map(result => result.app);
   };
 
   /**
-   * Gets comparison data between categories
+   * Gets comparison data between categories of the filtered apps
+   * Memoized so views can recompute only when the filtered apps or reviews change
    * @param {Array} categories - Categories to compare
-   * @returns {Object} Comparison data
+   * @returns {Object|null} Comparison data, see generateCategoryComparison
    */
-  const getCategoryComparison = (categories) => {
-    if (!state.analytics || !categories.length) return null;
-    
-    const comparison = categories.map(category => {
-      const categoryData = state.analytics.categories.categoryPerformance.find(
-        cat => cat.category === category
-      );
-      
-      return categoryData || {
-        category,
-        appCount: 0,
-        avgRating: 0,
-        totalInstalls: 0,
-        avgInstalls: 0
-      };
-    });
+  const getCategoryComparison = useCallback((categories) => {
+    if (!filteredApps.length || !categories.length) return null;
     
-    return {
-      categories: comparison,
-      metrics: {
-        avgRating: comparison.map(cat => ({ category: cat.category, value: cat.avgRating })),
-        appCount: comparison.map(cat => ({ category: cat.category, value: cat.appCount })),
-        totalInstalls: comparison.map(cat => ({ category: cat.category, value: cat.totalInstalls }))
-      }
-    };
-  };
+    return generateCategoryComparison(filteredApps, reviews, categories);
+  }, [filteredApps, reviews]);
 
   return {
     // Core analytics data
     analytics: state.analytics,
     chartData: state.chartData,
-    filteredApps: state.filteredApps,
+    filteredApps,
     
     // State
     isGenerating: state.isGenerating,
+    progressMessage: state.progressMessage,
     error: state.error,
-    filters: state.filters,
+    filters,
     
     // Computed properties
     hasAnalytics: !!state.analytics,
+    hasNoMatches: state.isEmpty && !state.isGenerating,
     isReady: !!state.analytics && !state.isGenerating,
     totalApps: filteredApps.length,
     totalCategories: state.analytics?.categories?.totalCategories || 0,
     
-    // Filter methods
-    updateFilters,
-    resetFilters,
-    
     // Data retrieval methods
     getCategoryAnalytics,
+    getAppBenchmark,
     getTopApps,
     getPoorPerformingApps,
     searchApps,
@@ -1,5 +1,6 @@
 import { useMemo } from 'react';
 import { CHART_COLORS, CATEGORY_COLORS, SENTIMENT_TYPES } from '../utils/constants';
+import { getIntervalOffsets } from '../utils/statisticalAnalysis';
 
 /**
  * Custom hook for preparing chart-ready data
@@ -81,6 +82,8 @@ export const useChartData = (analytics, chartData) => {
     return chartData.categoryPerformance.map(item => ({
       category: item.category.replace(/_/g, ' '),
       avgRating: Number(item.avgRating.toFixed(2)),
+      avgRatingInterval: item.avgRatingInterval,
+      avgRatingError: getIntervalOffsets(item.avgRating, item.avgRatingInterval),
       appCount: item.appCount,
       totalInstalls: item.totalInstalls,
       installs: item.totalInstalls / 1000000, // Convert to millions for readability
@@ -154,45 +157,54 @@ export const useChartData = (analytics, chartData) => {
   }, [analytics]);
 
   /**
-   * Prepares data for correlation heatmap
+   * Prepares the correlation matrix as heatmap cells, one per ordered pair of variables
    */
   const correlationData = useMemo(() => {
-    if (!analytics?.correlations) return [];
+    const matrix = analytics?.correlations?.matrix;
+    if (!matrix) return { variables: [], cells: [] };
     
-    const correlations = analytics.correlations;
+    const pairsByKey = {};
+    matrix.pairs.forEach(pair => {
+      pairsByKey[`${pair.a}|${pair.b}`] = pair;
+      pairsByKey[`${pair.b}|${pair.a}`] = pair;
+    });
     
-    return [
-      { x: 'Rating', y: 'Reviews', value: correlations.ratingVsReviews },
-      { x: 'Rating', y: 'Installs', value: correlations.ratingVsInstalls },
-      { x: 'Reviews', y: 'Installs', value: correlations.reviewsVsInstalls },
-      { x: 'Size', y: 'Installs', value: correlations.sizeVsInstalls },
-      { x: 'Price', y: 'Rating', value: correlations.priceVsRating },
-      { x: 'Price', y: 'Installs', value: correlations.priceVsInstalls }
-    ].map(item => ({
-      ...item,
-      value: Number(item.value.toFixed(3)),
-      color: item.value > 0.5 ? '#10b981' : item.value < -0.5 ? '#ef4444' : '#f59e0b'
+    const cells = matrix.variables.flatMap(row => matrix.variables.map(column => {
+      const isDiagonal = row.key === column.key;
+      const pair = pairsByKey[`${row.key}|${column.key}`];
+      const perfect = { r: 1, ci: null, pValue: NaN };
+      
+      return {
+        x: column.label,
+        y: row.label,
+        isDiagonal,
+        n: pair?.n ?? null,
+        pearson: isDiagonal ? perfect : pair?.pearson,
+        spearman: isDiagonal ? perfect : pair?.spearman,
+        kendall: isDiagonal ? perfect : pair?.kendall
+      };
     }));
+    
+    return { variables: matrix.variables.map(variable => variable.label), cells };
   }, [analytics]);
 
   /**
    * Prepares trend data for time series analysis
    */
   const trendData = useMemo(() => {
-    if (!analytics?.categories?.categoryPerformance) return [];
+    if (!analytics?.trends?.categorySeries) return [];
     
-    // Simulate trend data based on category performance
-    return analytics.categories.categoryPerformance
-      .slice(0, 5)
-      .map((cat, index) => ({
-        category: cat.category.replace(/_/g, ' '),
-        data: Array.from({ length: 12 }, (_, month) => ({
-          month: month + 1,
-          value: cat.avgRating + (Math.random() - 0.5) * 0.5, // Simulate variation
-          installs: cat.totalInstalls * (1 + (Math.random() - 0.5) * 0.2)
-        })),
-        color: CHART_COLORS[index % CHART_COLORS.length]
-      }));
+    return analytics.trends.categorySeries.map((series, index) => ({
+      category: series.category.replace(/_/g, ' '),
+      data: series.points.map(point => ({
+        period: point.period,
+        value: point.avgRating,
+        updates: point.updateCount,
+        installs: point.avgInstalls
+      })),
+      trend: series.ratingTrend,
+      color: CATEGORY_COLORS[series.category] || CHART_COLORS[index % CHART_COLORS.length]
+    }));
   }, [analytics]);
 
   return {
@@ -217,6 +229,6 @@ export const useChartData = (analytics, chartData) => {
     hasCategoryData: !!categoryPieData.length,
     hasRatingData: !!ratingHistogramData.length,
     hasSentimentData: !!sentimentData.length,
-    hasCorrelationData: !!correlationData.length
+    hasCorrelationData: !!correlationData.cells.length
   };
 };
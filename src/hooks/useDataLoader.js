@@ -1,7 +1,15 @@
-import { useState, useEffect, useCallback } from 'react';
-import { loadAllData, validateDataQuality } from '../utils/csvLoader';
-import { processAppsData, processReviewsData, removeDuplicateApps, mergeAppsWithSentiment } from '../utils/dataProcessor';
-import { LOADING_MESSAGES, ERROR_MESSAGES } from '../utils/constants';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { loadAllData } from '../utils/csvLoader';
+import { getPipelineClient } from '../utils/pipelineClient';
+import {
+  getDatasetCacheKey,
+  fetchSourceSignature,
+  readCachedDataset,
+  writeCachedDataset
+} from '../utils/datasetCache';
+import { DATA_FILES, LOADING_MESSAGES, ERROR_MESSAGES } from '../utils/constants';
+
+const DEFAULT_SOURCES = [DATA_FILES.APPS, DATA_FILES.REVIEWS];
 
 /**
  * Custom hook for loading and processing Google Play Store data
@@ -14,8 +22,15 @@ export const useDataLoader = () => {
     isLoading: false,
     error: null,
     loadingMessage: '',
-    dataQuality: null
+    dataQuality: null,
+    dataSource: null,
+    loadProgress: null,
+    cachedAt: null
   });
+  
+  // Abort the in-flight download or processing job when newer data arrives or the user cancels
+  const loadControllerRef = useRef(null);
+  const processControllerRef = useRef(null);
 
   /**
    * Updates loading state with message
@@ -27,10 +42,30 @@ export const useDataLoader = () => {
       ...prev,
       isLoading,
       loadingMessage: message,
+      loadProgress: null,
       error: isLoading ? null : prev.error
     }));
   }, []);
 
+  /**
+   * Starts a new CSV load, aborting any load still in flight
+   * @returns {AbortController} Controller for the new load
+   */
+  const startLoad = useCallback(() => {
+    loadControllerRef.current?.abort();
+    const controller = new AbortController();
+    loadControllerRef.current = controller;
+    return controller;
+  }, []);
+
+  /**
+   * Records streaming progress for the current load
+   * @param {Object} progress - {bytesLoaded, totalBytes, rows}
+   */
+  const handleLoadProgress = useCallback((progress) => {
+    setState(prev => ({ ...prev, loadProgress: progress }));
+  }, []);
+
   /**
    * Sets error state
    * @param {string} error - Error message
@@ -51,7 +86,11 @@ export const useDataLoader = () => {
     try {
       setLoadingState(true, LOADING_MESSAGES.LOADING_DATA);
       
-      const data = await loadAllData();
+      const controller = startLoad();
+      const data = await loadAllData({
+        signal: controller.signal,
+        onProgress: handleLoadProgress
+      });
       
       setState(prev => ({
         ...prev,
@@ -61,91 +100,181 @@ export const useDataLoader = () => {
       
       return data;
     } catch (error) {
+      // Cancelled loads leave state to whoever cancelled them
+      if (error.code === 'CANCELLED') throw error;
+      
       console.error('Failed to load raw data:', error);
       setError(error.message || ERROR_MESSAGES.DATA_LOAD_FAILED);
       throw error;
     }
-  }, [setLoadingState, setError]);
+  }, [setLoadingState, setError, startLoad, handleLoadProgress]);
 
   /**
    * Processes raw data into clean, usable format
+   * Runs in the pipeline worker; step messages drive loadingMessage
    * @param {Object} rawData - Raw data from CSV files
+   * @param {Object} cache - Optional {cacheKey, signature} to store the result under
    */
-  const processData = useCallback(async (rawData) => {
+  const processData = useCallback(async (rawData, cache = null) => {
+    processControllerRef.current?.abort();
+    const controller = new AbortController();
+    processControllerRef.current = controller;
+    
     try {
       setLoadingState(true, LOADING_MESSAGES.PROCESSING_DATA);
       
-      // Process apps data
-      const processedApps = processAppsData(rawData.apps);
-      const cleanApps = removeDuplicateApps(processedApps);
-      
-      // Process reviews data
-      const processedReviews = processReviewsData(rawData.reviews);
-      
-      // Merge apps with sentiment data
-      const enrichedApps = mergeAppsWithSentiment(cleanApps, processedReviews);
-      
-      // Validate data quality
-      const appsQuality = validateDataQuality(enrichedApps);
-      const reviewsQuality = validateDataQuality(processedReviews);
-      
-      const processedData = {
-        apps: enrichedApps,
-        reviews: processedReviews,
-        processedAt: new Date().toISOString(),
-        stats: {
-          totalApps: enrichedApps.length,
-          totalReviews: processedReviews.length,
-          duplicatesRemoved: processedApps.length - cleanApps.length
-        }
-      };
+      const { processedData, dataQuality } = await getPipelineClient().process(rawData, {
+        signal: controller.signal,
+        onProgress: (message) => setState(prev => ({ ...prev, loadingMessage: message }))
+      });
       
       setState(prev => ({
         ...prev,
         processedData,
-        dataQuality: {
-          apps: appsQuality,
-          reviews: reviewsQuality
-        },
+        dataQuality,
+        cachedAt: null,
         isLoading: false,
         loadingMessage: ''
       }));
       
+      if (cache) {
+        writeCachedDataset(cache.cacheKey, cache.signature, { processedData, dataQuality });
+      }
+      
       return processedData;
     } catch (error) {
+      // A newer load superseded this one and owns the loading state now
+      if (error.code === 'CANCELLED') throw error;
+      
       console.error('Failed to process data:', error);
       setError(error.message || ERROR_MESSAGES.PROCESSING_ERROR);
       throw error;
+    } finally {
+      if (processControllerRef.current === controller) {
+        processControllerRef.current = null;
+      }
     }
   }, [setLoadingState, setError]);
 
   /**
    * Loads and processes all data
+   * Reuses the processed dataset cached in IndexedDB while the source files are unchanged
+   * @param {Object} options - Load options
+   * @param {boolean} options.bypassCache - Skip the cache lookup and reprocess from the CSV files
    */
-  const loadData = useCallback(async () => {
+  const loadData = useCallback(async ({ bypassCache = false } = {}) => {
     try {
+      setLoadingState(true, LOADING_MESSAGES.LOADING_DATA);
+      
+      const cacheKey = getDatasetCacheKey(DEFAULT_SOURCES);
+      const signature = await fetchSourceSignature(DEFAULT_SOURCES);
+      
+      if (!bypassCache) {
+        const cached = await readCachedDataset(cacheKey, signature);
+        
+        if (cached) {
+          setState(prev => ({
+            ...prev,
+            processedData: cached.processedData,
+            dataQuality: cached.dataQuality,
+            cachedAt: cached.cachedAt,
+            isLoading: false,
+            loadingMessage: '',
+            error: null
+          }));
+          return cached.processedData;
+        }
+      }
+      
       const rawData = await loadRawData();
-      const processedData = await processData(rawData);
-      return processedData;
+      return await processData(rawData, { cacheKey, signature });
     } catch (error) {
       console.error('Data loading failed:', error);
       throw error;
     }
-  }, [loadRawData, processData]);
+  }, [setLoadingState, loadRawData, processData]);
+
+  /**
+   * Loads and processes CSV files chosen in the browser
+   * Validation failures leave the current dataset in place
+   * @param {Object} files - Uploaded files
+   * @param {File} files.appsFile - Apps CSV file
+   * @param {File} files.reviewsFile - Optional reviews CSV file
+   * @param {Object} files.mappings - Column mappings keyed by dataset
+   */
+  const loadFromFiles = useCallback(async ({ appsFile, reviewsFile = null, mappings = {} }) => {
+    if (!appsFile) {
+      throw new Error('An apps CSV file is required');
+    }
+    
+    setLoadingState(true, LOADING_MESSAGES.READING_FILES);
+    
+    let rawData;
+    try {
+      const controller = startLoad();
+      rawData = await loadAllData({
+        apps: appsFile,
+        reviews: reviewsFile,
+        mappings,
+        signal: controller.signal,
+        onProgress: handleLoadProgress
+      });
+    } catch (error) {
+      if (error.code === 'CANCELLED') throw error;
+      
+      console.error('Failed to load uploaded files:', error);
+      setLoadingState(false);
+      throw error;
+    }
+    
+    setState(prev => ({
+      ...prev,
+      rawData,
+      dataSource: {
+        type: 'upload',
+        apps: appsFile.name,
+        reviews: reviewsFile?.name || null
+      }
+    }));
+    
+    return await processData(rawData);
+  }, [setLoadingState, processData, startLoad, handleLoadProgress]);
+
+  /**
+   * Cancels the load or processing in progress
+   * The current dataset stays in place; without one, the cancellation is shown as an error
+   */
+  const cancelLoad = useCallback(() => {
+    loadControllerRef.current?.abort();
+    processControllerRef.current?.abort();
+    loadControllerRef.current = null;
+    processControllerRef.current = null;
+    
+    setState(prev => ({
+      ...prev,
+      isLoading: false,
+      loadingMessage: '',
+      loadProgress: null,
+      error: prev.processedData ? prev.error : ERROR_MESSAGES.LOAD_CANCELLED
+    }));
+  }, []);
 
   /**
    * Reloads data from scratch
+   * @param {Object} options - Load options passed to loadData, e.g. {bypassCache: true}
    */
-  const reloadData = useCallback(async () => {
+  const reloadData = useCallback(async (options = {}) => {
     setState(prev => ({
       ...prev,
       rawData: null,
       processedData: null,
       error: null,
-      dataQuality: null
+      dataQuality: null,
+      dataSource: null,
+      cachedAt: null
     }));
     
-    return await loadData();
+    return await loadData(options);
   }, [loadData]);
 
   /**
@@ -169,6 +298,9 @@ export const useDataLoader = () => {
     error: state.error,
     loadingMessage: state.loadingMessage,
     dataQuality: state.dataQuality,
+    dataSource: state.dataSource,
+    loadProgress: state.loadProgress,
+    cachedAt: state.cachedAt,
     
     // Computed properties
     hasData: !!state.processedData,
@@ -177,6 +309,8 @@ export const useDataLoader = () => {
     // Methods
     loadData,
     reloadData,
+    loadFromFiles,
+    cancelLoad,
     processData
   };
 };
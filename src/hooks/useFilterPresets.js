@@ -0,0 +1,97 @@
+import { useState, useCallback } from 'react';
+import {
+  loadPresets,
+  savePresets,
+  createPreset,
+  exportPresets,
+  importPresets,
+  isPresetNameTaken
+} from '../utils/filterPresets';
+
+/**
+ * Custom hook for saved filter presets (named filters + section), persisted in localStorage
+ * @returns {Object} Presets and methods to manage them
+ */
+export const useFilterPresets = () => {
+  const [presets, setPresets] = useState(loadPresets);
+
+  /**
+   * Replaces the presets and persists them
+   * @param {Array} nextPresets - New presets
+   */
+  const updatePresets = useCallback((nextPresets) => {
+    setPresets(nextPresets);
+    savePresets(nextPresets);
+  }, []);
+
+  /**
+   * Saves the current view as a preset, replacing any preset with the same name
+   * @param {string} name - Preset name
+   * @param {Object} filters - Current filters
+   * @param {string} section - Current dashboard section
+   * @returns {Object|null} Saved preset, or null if the name is empty
+   */
+  const addPreset = useCallback((name, filters, section) => {
+    const preset = createPreset(name, filters, section);
+    if (!preset) return null;
+
+    updatePresets([
+      ...presets.filter(existing => existing.name.toLowerCase() !== preset.name.toLowerCase()),
+      preset
+    ]);
+    return preset;
+  }, [presets, updatePresets]);
+
+  /**
+   * Renames a preset, unless another preset already has the name
+   * @param {string} id - Preset id
+   * @param {string} name - New name
+   * @returns {boolean} Whether the preset was renamed
+   */
+  const renamePreset = useCallback((id, name) => {
+    const trimmed = name.trim();
+    if (!trimmed || isPresetNameTaken(presets, trimmed, id)) return false;
+
+    updatePresets(presets.map(preset => (
+      preset.id === id
+        ? { ...preset, name: trimmed, updatedAt: new Date().toISOString() }
+        : preset
+    )));
+    return true;
+  }, [presets, updatePresets]);
+
+  /**
+   * Deletes a preset
+   * @param {string} id - Preset id
+   */
+  const deletePreset = useCallback((id) => {
+    updatePresets(presets.filter(preset => preset.id !== id));
+  }, [presets, updatePresets]);
+
+  /**
+   * Serializes all presets for download
+   * @returns {string} JSON file content
+   */
+  const exportAll = useCallback(() => exportPresets(presets), [presets]);
+
+  /**
+   * Imports presets from an exported file
+   * @param {File} file - JSON file
+   * @returns {Promise<Object>} {importedCount, skippedCount}
+   */
+  const importFromFile = useCallback(async (file) => {
+    const content = await file.text();
+    const result = importPresets(content, presets);
+    updatePresets(result.presets);
+    return { importedCount: result.importedCount, skippedCount: result.skippedCount };
+  }, [presets, updatePresets]);
+
+  return {
+    presets,
+    addPreset,
+    renamePreset,
+    deletePreset,
+    exportAll,
+    importFromFile
+  };
+};
@@ -0,0 +1,87 @@
+import { useMemo, useCallback, useEffect } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import {
+  getSectionFromPath,
+  getSectionPath,
+  getAppFromPath,
+  getAppPath,
+  parseFiltersFromSearch,
+  buildSearchFromFilters
+} from '../utils/urlState';
+import { DASHBOARD_SECTIONS } from '../utils/constants';
+
+/**
+ * Custom hook exposing the URL as the source of truth for the active section and filters
+ * Routes look like /categories?category=GAME&minRating=4 or /apps/Instagram
+ * @returns {Object} Current section and filters, plus navigation methods
+ */
+export const useUrlState = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  const sectionFromPath = getSectionFromPath(location.pathname);
+  const activeSection = sectionFromPath || DASHBOARD_SECTIONS.OVERVIEW;
+  const selectedApp = getAppFromPath(location.pathname);
+
+  // Parse from the search string so the filters object only changes when the query does
+  const filters = useMemo(
+    () => parseFiltersFromSearch(new URLSearchParams(location.search)),
+    [location.search]
+  );
+
+  /**
+   * Redirects unknown paths to the overview, keeping the filters
+   */
+  useEffect(() => {
+    if (!sectionFromPath) {
+      navigate({ pathname: '/', search: location.search }, { replace: true });
+    }
+  }, [sectionFromPath, location.search, navigate]);
+
+  /**
+   * Navigates to a section, keeping the current filters unless new ones are given
+   * @param {string} section - Section id
+   * @param {Object} newFilters - Optional complete filter criteria for the section
+   */
+  const setActiveSection = useCallback((section, newFilters) => {
+    const search = newFilters ? buildSearchFromFilters(newFilters) : location.search;
+    navigate({ pathname: getSectionPath(section), search });
+  }, [navigate, location.search]);
+
+  /**
+   * Opens an app's detail view, keeping the current filters
+   * @param {string} appName - App name
+   */
+  const openApp = useCallback((appName) => {
+    navigate({ pathname: getAppPath(appName), search: location.search });
+  }, [navigate, location.search]);
+
+  /**
+   * Returns to the previous view, or the overview when the page was opened directly
+   */
+  const goBack = useCallback(() => {
+    if (location.key !== 'default') {
+      navigate(-1);
+    } else {
+      navigate({ pathname: '/', search: location.search });
+    }
+  }, [navigate, location.key, location.search]);
+
+  /**
+   * Replaces the filters in the URL, keeping the current section
+   * @param {Object} newFilters - Complete filter criteria
+   */
+  const setFilters = useCallback((newFilters) => {
+    navigate({ pathname: location.pathname, search: buildSearchFromFilters(newFilters) });
+  }, [navigate, location.pathname]);
+
+  return {
+    activeSection,
+    filters,
+    selectedApp,
+    setActiveSection,
+    setFilters,
+    openApp,
+    goBack
+  };
+};
@@ -2,12 +2,33 @@ import _ from 'lodash';
 import {
   calculateBasicStats,
   calculateCorrelation,
+  calculateSpearmanCorrelation,
+  calculateCorrelationConfidenceInterval,
+  calculateCorrelationMatrix,
   calculateFrequencyAnalysis,
   analyzeRatingDistribution,
   analyzeCategoryPerformance,
   calculateMarketShare,
-  identifyOutliers
+  identifyOutliers,
+  calculateTrendAnalysis,
+  welchTTest,
+  mannWhitneyUTest,
+  oneWayAnova,
+  kruskalWallisTest,
+  chiSquareTest,
+  chiSquareGoodnessOfFit,
+  adjustPValuesHolm,
+  describeEffectSize,
+  calculateBayesianAverage,
+  calculateRatingBounds,
+  calculateProportionConfidenceInterval,
+  normalQuantile,
+  SIGNIFICANCE_LEVEL
 } from './statisticalAnalysis';
+import { fitLinearRegression } from './regression';
+import { extractSentimentKeywords, matchReviewThemes, REVIEW_THEMES } from './textAnalytics';
+import { parseAndroidVersion } from './dataProcessor';
+import { INSTALL_RANGES, TREND_GRANULARITY, RATING_SORT_KEYS } from './constants';
 
 /**
  * Generates comprehensive analytics for Google Play Store data
@@ -17,13 +38,19 @@ import {
  */
 export const generateAnalytics = (apps, reviews) => {
   try {
+    // Category performance feeds several sections, so compute it once
+    const categoryPerformance = analyzeCategoryPerformance(apps);
+    
     const analytics = {
       overview: generateOverviewAnalytics(apps),
-      categories: generateCategoryAnalytics(apps),
+      categories: generateCategoryAnalytics(apps, categoryPerformance),
       ratings: generateRatingAnalytics(apps),
-      sentiment: generateSentimentAnalytics(reviews),
+      sentiment: generateSentimentAnalytics(reviews, apps),
+      themes: generateThemeAnalytics(reviews, apps),
+      mismatches: generateSentimentMismatches(apps, reviews),
       correlations: generateCorrelationAnalytics(apps),
-      insights: generateInsights(apps, reviews),
+      insights: generateInsights(apps, reviews, categoryPerformance),
+      trends: generateTrendAnalytics(apps),
       generatedAt: new Date().toISOString()
     };
     
@@ -67,11 +94,11 @@ export const generateOverviewAnalytics = (apps) => {
 /**
  * Generates category-specific analytics
  * @param {Array} apps - Apps data
+ * @param {Array} categoryPerformance - Precomputed category performance
  * @returns {Object} Category analytics
  */
-export const generateCategoryAnalytics = (apps) => {
-  const categoryPerformance = analyzeCategoryPerformance(apps);
-  const marketShare = calculateMarketShare(apps);
+export const generateCategoryAnalytics = (apps, categoryPerformance = analyzeCategoryPerformance(apps)) => {
+  const marketShare = calculateMarketShare(apps, categoryPerformance);
   const topCategories = calculateFrequencyAnalysis(apps.map(app => app.category), 10);
   
   return {
@@ -92,35 +119,91 @@ export const generateRatingAnalytics = (apps) => {
   const ratingDistribution = analyzeRatingDistribution(ratings);
   const ratingStats = calculateBasicStats(ratings);
   const ratingOutliers = identifyOutliers(ratings);
+  const adjustedApps = addAdjustedRatings(apps);
   
-  // Top rated apps
-  const topRatedApps = apps
-    .filter(app => app.rating >= 4.5)
-    .sort((a, b) => b.rating - a.rating)
-    .slice(0, 10);
-  
-  // Poorly rated apps
-  const poorlyRatedApps = apps
-    .filter(app => app.rating < 3.0 && app.rating > 0)
-    .sort((a, b) => a.rating - b.rating)
-    .slice(0, 10);
+  // Top and poorly rated apps under every sort key, so the tables can switch without recomputing
+  const rankings = _.mapValues(_.keyBy(Object.values(RATING_SORT_KEYS), 'id'), ({ id }) => ({
+    top: rankAppsByRating(adjustedApps, id, { order: 'desc', threshold: 4.5 }),
+    poor: rankAppsByRating(adjustedApps, id, { order: 'asc', threshold: 3.0 })
+  }));
   
   return {
     ratingDistribution,
     ratingStats,
     ratingOutliers,
-    topRatedApps,
-    poorlyRatedApps,
-    highRatedPercentage: (apps.filter(app => app.rating >= 4.0).length / apps.filter(app => app.rating).length) * 100
+    topRatedApps: rankings[RATING_SORT_KEYS.RAW.id].top,
+    poorlyRatedApps: rankings[RATING_SORT_KEYS.RAW.id].poor,
+    rankings,
+    highRatedPercentage: ratings.length ? (ratings.filter(rating => rating >= 4.0).length / ratings.length) * 100 : 0
   };
 };
 
+/**
+ * Adds review-adjusted ratings to rated apps
+ * `bayesianRating` shrinks each rating toward its category mean, with the category's median review
+ * count as the prior weight; `wilsonLowerBound` and `wilsonUpperBound` bound it by its review count
+ * @param {Array} apps - Apps data
+ * @returns {Array} Copies of the apps with bayesianRating, wilsonLowerBound and wilsonUpperBound (null when unrated)
+ */
+export const addAdjustedRatings = (apps) => {
+  const ratedApps = apps.filter(app => app.rating && !isNaN(app.rating));
+  const priors = _.mapValues(_.groupBy(ratedApps, 'category'), categoryApps => {
+    const reviewCounts = _.sortBy(categoryApps.map(app => app.reviews || 0));
+    return {
+      mean: _.meanBy(categoryApps, 'rating'),
+      weight: Math.max(1, reviewCounts[Math.floor(reviewCounts.length / 2)])
+    };
+  });
+  
+  return apps.map(app => {
+    const prior = app.rating && !isNaN(app.rating) ? priors[app.category] : null;
+    if (!prior) {
+      return { ...app, bayesianRating: null, wilsonLowerBound: null, wilsonUpperBound: null };
+    }
+    
+    const bounds = calculateRatingBounds(app.rating, app.reviews);
+    return {
+      ...app,
+      bayesianRating: calculateBayesianAverage(app.rating, app.reviews, prior.mean, prior.weight),
+      wilsonLowerBound: bounds?.lower ?? null,
+      wilsonUpperBound: bounds?.upper ?? null
+    };
+  });
+};
+
+/**
+ * Ranks apps by a rating sort key (see RATING_SORT_KEYS)
+ * Ascending Wilson rankings use the upper bound, so the bottom list holds apps that are bad even optimistically
+ * @param {Array} apps - Apps with adjusted ratings (see addAdjustedRatings)
+ * @param {string} sortKey - 'rating', 'bayesianRating' or 'wilsonLowerBound'
+ * @param {Object} options - Ranking options
+ * @param {string} options.order - 'desc' for the best first, 'asc' for the worst first
+ * @param {number|null} options.threshold - Keep values at or above it (desc) or below it (asc)
+ * @param {number} options.limit - Number of apps to return
+ * @returns {Array} Ranked apps
+ */
+export const rankAppsByRating = (apps, sortKey = RATING_SORT_KEYS.RAW.id, { order = 'desc', threshold = null, limit = 10 } = {}) => {
+  const valueKey = sortKey === RATING_SORT_KEYS.WILSON.id && order === 'asc' ? 'wilsonUpperBound' : sortKey;
+  const isRanked = (value) => {
+    if (!value || isNaN(value)) return false;
+    if (threshold === null) return true;
+    return order === 'desc' ? value >= threshold : value < threshold;
+  };
+  
+  return _.orderBy(
+    apps.filter(app => isRanked(app[valueKey])),
+    [valueKey, 'reviews'],
+    [order, 'desc']
+  ).slice(0, limit);
+};
+
 /**
  * Generates sentiment analytics from reviews
  * @param {Array} reviews - Reviews data
+ * @param {Array} apps - Apps whose reviews feed the keywords and breakdowns (see generateSentimentBreakdowns)
  * @returns {Object} Sentiment analytics
  */
-export const generateSentimentAnalytics = (reviews) => {
+export const generateSentimentAnalytics = (reviews, apps = []) => {
   const sentimentCounts = {
     positive: reviews.filter(r => r.isPositive).length,
     negative: reviews.filter(r => r.isNegative).length,
@@ -129,31 +212,307 @@ export const generateSentimentAnalytics = (reviews) => {
   
   const total = reviews.length;
   
-  const sentimentPercentages = {
-    positive: (sentimentCounts.positive / total) * 100,
-    negative: (sentimentCounts.negative / total) * 100,
-    neutral: (sentimentCounts.neutral / total) * 100
-  };
+  const sentimentPercentages = _.mapValues(sentimentCounts, count => (total ? (count / total) * 100 : 0));
   
   const polarityStats = calculateBasicStats(
-    reviews.map(r => r.sentimentPolarity).filter(p => !isNaN(p))
+    reviews.map(r => r.sentimentPolarity).filter(Number.isFinite)
   );
   
+  // Lexicon-labelled reviews have no subjectivity
   const subjectivityStats = calculateBasicStats(
-    reviews.map(r => r.sentimentSubjectivity).filter(s => !isNaN(s))
+    reviews.map(r => r.sentimentSubjectivity).filter(Number.isFinite)
   );
   
+  // Keywords follow the filters, like themes and mismatches
+  const appNames = new Set(apps.map(app => app.app));
+  
   return {
     totalReviews: total,
     sentimentCounts,
     sentimentPercentages,
     polarityStats,
-    subjectivityStats
+    subjectivityStats,
+    keywords: extractSentimentKeywords(reviews.filter(review => appNames.has(review.app))),
+    lexicon: generateLexiconComparison(reviews),
+    breakdowns: generateSentimentBreakdowns(reviews, apps)
+  };
+};
+
+// Rating bands for sentiment breakdowns; most rated apps sit between 3.5 and 5 stars
+const SENTIMENT_RATING_BANDS = [
+  { label: 'Below 3.5', min: 0, max: 3.5 },
+  { label: '3.5-4.0', min: 3.5, max: 4 },
+  { label: '4.0-4.5', min: 4, max: 4.5 },
+  { label: '4.5-5.0', min: 4.5, max: Infinity }
+];
+
+// App attributes to split review sentiment by; getGroup returns null to leave an app out,
+// and order fixes the group order (otherwise groups are sorted by review count)
+export const SENTIMENT_BREAKDOWNS = [
+  {
+    id: 'category',
+    label: 'Category',
+    getGroup: app => app.category || null
+  },
+  {
+    id: 'installTier',
+    label: 'Install Tier',
+    getGroup: app => (INSTALL_RANGES.some(range => range.label === app.installsCategory) ? app.installsCategory : null),
+    order: INSTALL_RANGES.map(range => range.label)
+  },
+  {
+    id: 'type',
+    label: 'Free vs Paid',
+    getGroup: app => (app.isPaid ? 'Paid' : 'Free'),
+    order: ['Free', 'Paid']
+  },
+  {
+    id: 'ratingBand',
+    label: 'Rating Band',
+    getGroup: app => (app.rating && !isNaN(app.rating)
+      ? SENTIMENT_RATING_BANDS.find(band => app.rating >= band.min && app.rating < band.max).label
+      : 'Unrated'),
+    order: [...SENTIMENT_RATING_BANDS.map(band => band.label), 'Unrated']
+  }
+];
+
+/**
+ * Sentiment shares of reviews, split by attributes of the app they review
+ * Each share has a 95% Wilson interval, and each breakdown a chi-square test of whether
+ * the sentiment mix differs between groups
+ * @param {Array} reviews - Processed reviews data
+ * @param {Array} apps - Apps whose reviews are included
+ * @returns {Object} { [breakdown id]: { id, label, groups, test } }, where each group is
+ *   { group, appCount, totalReviews, positive, neutral, negative } and each sentiment is
+ *   { count, percentage, interval } with the interval in percent
+ */
+export const generateSentimentBreakdowns = (reviews, apps) => {
+  const appsByName = _.keyBy(apps, 'app');
+  const reviewsByApp = _.groupBy(reviews.filter(review => appsByName[review.app]), 'app');
+  const reviewedApps = Object.keys(reviewsByApp).map(name => appsByName[name]);
+
+  const summarizeGroup = (group, groupApps) => {
+    const groupReviews = groupApps.flatMap(app => reviewsByApp[app.app]);
+    const counts = {
+      positive: groupReviews.filter(review => review.isPositive).length,
+      neutral: groupReviews.filter(review => review.isNeutral).length,
+      negative: groupReviews.filter(review => review.isNegative).length
+    };
+    const total = groupReviews.length;
+
+    return {
+      group,
+      appCount: groupApps.length,
+      totalReviews: total,
+      ..._.mapValues(counts, count => {
+        const interval = calculateProportionConfidenceInterval(count, total);
+        return {
+          count,
+          percentage: total ? (count / total) * 100 : 0,
+          interval: interval && { ...interval, lower: interval.lower * 100, upper: interval.upper * 100 }
+        };
+      })
+    };
+  };
+
+  return _.fromPairs(SENTIMENT_BREAKDOWNS.map(({ id, label, getGroup, order }) => {
+    const appsByGroup = _.groupBy(reviewedApps.filter(app => getGroup(app) !== null), getGroup);
+    const groups = Object.entries(appsByGroup).map(([group, groupApps]) => summarizeGroup(group, groupApps));
+    const orderedGroups = order
+      ? _.sortBy(groups, group => order.indexOf(group.group))
+      : _.orderBy(groups, 'totalReviews', 'desc');
+
+    return [id, {
+      id,
+      label,
+      groups: orderedGroups,
+      test: orderedGroups.length > 1
+        ? chiSquareTest(orderedGroups.map(group => [group.positive.count, group.neutral.count, group.negative.count]))
+        : null
+    }];
+  }));
+};
+
+const SENTIMENT_LABELS = ['Positive', 'Neutral', 'Negative'];
+const LEXICON_COMPARISON_SAMPLE_SIZE = 1000;
+
+/**
+ * Compares the lexicon scorer with the dataset's own sentiment on reviews that have both
+ * @param {Array} reviews - Processed reviews data
+ * @returns {Object} Counts, label agreement with Cohen's kappa, a dataset × lexicon confusion matrix,
+ *   polarity correlations and an evenly spaced sample of { datasetPolarity, lexiconPolarity } points
+ */
+export const generateLexiconComparison = (reviews) => {
+  const scoredCount = reviews.filter(r => r.lexiconPolarity !== null && r.lexiconPolarity !== undefined).length;
+  const filledCount = reviews.filter(r => r.sentimentSource === 'lexicon').length;
+
+  const compared = reviews.filter(r =>
+    r.sentimentSource === 'dataset' &&
+    SENTIMENT_LABELS.includes(r.sentiment) &&
+    r.lexiconSentiment
+  );
+  const n = compared.length;
+
+  const confusion = SENTIMENT_LABELS.map(datasetLabel => ({
+    label: datasetLabel,
+    counts: _.fromPairs(SENTIMENT_LABELS.map(lexiconLabel => [lexiconLabel, 0]))
+  }));
+  compared.forEach(review => {
+    confusion[SENTIMENT_LABELS.indexOf(review.sentiment)].counts[review.lexiconSentiment]++;
+  });
+
+  const agreed = _.sumBy(confusion, row => row.counts[row.label]);
+  const observedAgreement = n ? agreed / n : null;
+  // Agreement expected by chance from each source's label frequencies
+  const expectedAgreement = n
+    ? _.sum(SENTIMENT_LABELS.map(label => {
+      const datasetShare = _.sum(Object.values(confusion[SENTIMENT_LABELS.indexOf(label)].counts)) / n;
+      const lexiconShare = _.sumBy(confusion, row => row.counts[label]) / n;
+      return datasetShare * lexiconShare;
+    }))
+    : null;
+  const kappa = n && expectedAgreement < 1 ? (observedAgreement - expectedAgreement) / (1 - expectedAgreement) : null;
+
+  const paired = compared.filter(r => Number.isFinite(r.datasetPolarity));
+  const datasetPolarities = paired.map(r => r.datasetPolarity);
+  const lexiconPolarities = paired.map(r => r.lexiconPolarity);
+  const pearson = calculateCorrelation(datasetPolarities, lexiconPolarities);
+  const spearman = calculateSpearmanCorrelation(datasetPolarities, lexiconPolarities);
+
+  const step = Math.max(1, paired.length / LEXICON_COMPARISON_SAMPLE_SIZE);
+  const sample = _.range(0, paired.length, step).map(index => {
+    const review = paired[Math.floor(index)];
+    return {
+      app: review.app,
+      sentiment: review.sentiment,
+      lexiconSentiment: review.lexiconSentiment,
+      datasetPolarity: review.datasetPolarity,
+      lexiconPolarity: review.lexiconPolarity
+    };
+  });
+
+  return {
+    scoredCount,
+    filledCount,
+    comparedCount: n,
+    observedAgreement,
+    kappa,
+    confusion,
+    correlations: {
+      n: paired.length,
+      pearson: { r: pearson, ci: calculateCorrelationConfidenceInterval(pearson, paired.length, 'pearson') },
+      spearman: { r: spearman, ci: calculateCorrelationConfidenceInterval(spearman, paired.length, 'spearman') }
+    },
+    sample
+  };
+};
+
+// Sentiment splits for theme prevalence; 'all' covers every review
+const THEME_SENTIMENTS = ['all', 'positive', 'neutral', 'negative'];
+const MIN_THEME_APP_REVIEWS = 20;
+
+/**
+ * Counts theme mentions in a group of reviews, overall and within each sentiment
+ * @param {Array} themedReviews - { sentiment, themes } records from generateThemeAnalytics
+ * @returns {Object} { reviewCount, sentimentCounts, themes: { [id]: { [sentiment]: { count, share } } }, unmatched }
+ *   where share is the fraction of that sentiment's reviews mentioning the theme
+ */
+const summarizeThemes = (themedReviews) => {
+  const sentimentCounts = _.fromPairs(THEME_SENTIMENTS.map(sentiment => [sentiment, 0]));
+  const counts = _.fromPairs(REVIEW_THEMES.map(({ id }) => [id, _.fromPairs(THEME_SENTIMENTS.map(sentiment => [sentiment, 0]))]));
+  const unmatchedCounts = _.fromPairs(THEME_SENTIMENTS.map(sentiment => [sentiment, 0]));
+
+  themedReviews.forEach(review => {
+    sentimentCounts.all++;
+    sentimentCounts[review.sentiment]++;
+
+    if (!review.themes.length) {
+      unmatchedCounts.all++;
+      unmatchedCounts[review.sentiment]++;
+    }
+    review.themes.forEach(id => {
+      counts[id].all++;
+      counts[id][review.sentiment]++;
+    });
+  });
+
+  const toShares = (themeCounts) => _.mapValues(themeCounts, (count, sentiment) => ({
+    count,
+    share: sentimentCounts[sentiment] ? count / sentimentCounts[sentiment] : 0
+  }));
+
+  return {
+    reviewCount: sentimentCounts.all,
+    sentimentCounts,
+    themes: _.mapValues(counts, toShares),
+    unmatched: toShares(unmatchedCounts)
   };
 };
 
+/**
+ * Tags each review of the given apps with the themes its text mentions (see REVIEW_THEMES)
+ * and reports how often each theme comes up overall, per category and per app, split by sentiment
+ * @param {Array} reviews - Processed reviews data
+ * @param {Array} apps - Apps whose reviews are included
+ * @returns {Object} { themes, overall, categories, apps }; overall and each category/app entry
+ *   come from summarizeThemes, and only apps with MIN_THEME_APP_REVIEWS reviews are listed
+ */
+export const generateThemeAnalytics = (reviews, apps) => {
+  const appCategories = new Map(apps.map(app => [app.app, app.category]));
+
+  const themedReviews = [];
+  reviews.forEach(review => {
+    const category = appCategories.get(review.app);
+    const sentiment = review.isPositive ? 'positive' : review.isNegative ? 'negative' : review.isNeutral ? 'neutral' : null;
+    if (!category || !sentiment || !review.translatedReview) return;
+
+    themedReviews.push({
+      app: review.app,
+      category,
+      sentiment,
+      themes: matchReviewThemes(review.translatedReview)
+    });
+  });
+
+  const categories = Object.entries(_.groupBy(themedReviews, 'category'))
+    .map(([category, categoryReviews]) => ({ category, ...summarizeThemes(categoryReviews) }));
+
+  const appSummaries = Object.entries(_.groupBy(themedReviews, 'app'))
+    .filter(([, appReviews]) => appReviews.length >= MIN_THEME_APP_REVIEWS)
+    .map(([app, appReviews]) => ({ app, category: appCategories.get(app), ...summarizeThemes(appReviews) }));
+
+  return {
+    themes: REVIEW_THEMES.map(({ id, label, keywords }) => ({ id, label, keywords })),
+    overall: summarizeThemes(themedReviews),
+    categories: _.orderBy(categories, 'reviewCount', 'desc'),
+    apps: _.orderBy(appSummaries, 'reviewCount', 'desc'),
+    minAppReviews: MIN_THEME_APP_REVIEWS
+  };
+};
+
+// Metrics in the correlation matrix; sentiment is only defined for apps with reviews
+const CORRELATION_VARIABLES = [
+  { key: 'rating', label: 'Rating', getValue: app => (app.rating && !isNaN(app.rating) ? app.rating : null) },
+  { key: 'reviews', label: 'Reviews', getValue: app => app.reviews ?? null },
+  { key: 'installs', label: 'Installs', getValue: app => app.installsNumber ?? null },
+  { key: 'size', label: 'Size', getValue: app => app.sizeBytes ?? null },
+  { key: 'price', label: 'Price', getValue: app => app.priceNumber ?? null },
+  {
+    key: 'polarity',
+    label: 'Polarity',
+    getValue: app => app.sentimentData?.avgSentimentPolarity ?? null
+  },
+  {
+    key: 'subjectivity',
+    label: 'Subjectivity',
+    getValue: app => app.sentimentData?.avgSentimentSubjectivity ?? null
+  }
+];
+
 /**
  * Generates correlation analytics
+ * The named Pearson pairs are kept for existing views; `matrix` has Pearson, Spearman and Kendall
+ * for every pair of CORRELATION_VARIABLES, see calculateCorrelationMatrix
  * @param {Array} apps - Apps data
  * @returns {Object} Correlation analytics
  */
@@ -165,7 +524,6 @@ export const generateCorrelationAnalytics = (apps) => {
   const ratings = appsWithAllData.map(app => app.rating);
   const reviews = appsWithAllData.map(app => app.reviews);
   const installs = appsWithAllData.map(app => app.installsNumber);
-  const sizes = appsWithAllData.map(app => app.sizeBytes).filter(s => s !== null);
   const prices = appsWithAllData.map(app => app.priceNumber);
   
   return {
@@ -177,41 +535,88 @@ export const generateCorrelationAnalytics = (apps) => {
       appsWithAllData.filter(app => app.sizeBytes !== null).map(app => app.installsNumber)
     ),
     priceVsRating: calculateCorrelation(prices, ratings),
-    priceVsInstalls: calculateCorrelation(prices, installs)
+    priceVsInstalls: calculateCorrelation(prices, installs),
+    matrix: calculateCorrelationMatrix(apps, CORRELATION_VARIABLES)
   };
 };
 
+/**
+ * Summarizes a test result for an insight
+ * @param {string} method - Test name
+ * @param {Object|null} result - Result from one of the hypothesis tests
+ * @param {Object} options - Which fields of the result to report
+ * @param {string} options.statistic - Key of the test statistic
+ * @param {string} options.effectSize - Key of the effect size, also its measure for describeEffectSize
+ * @param {string} options.effectSizeLabel - Display name of the effect size
+ * @param {Object} options.supporting - Optional second test summary, e.g. a parametric check of a rank test
+ * @returns {Object|null} {method, statistic, pValue, effectSize: {label, value, magnitude}, significant, supporting}
+ */
+const summarizeTest = (method, result, { statistic, effectSize, effectSizeLabel, supporting = null }) => {
+  if (!result) return null;
+
+  return {
+    method,
+    statistic: result[statistic],
+    pValue: result.pValue,
+    effectSize: {
+      label: effectSizeLabel,
+      value: result[effectSize],
+      magnitude: describeEffectSize(result[effectSize], effectSize)
+    },
+    significant: result.significant,
+    supporting
+  };
+};
+
+// Smallest group an insight will single out, so a handful of apps can't top a ranking
+const MIN_INSIGHT_GROUP_SIZE = 20;
+
 /**
  * Generates key insights and recommendations
+ * Each insight carries a `significance` test summary (see summarizeTest), or null when it is purely descriptive
  * @param {Array} apps - Apps data
  * @param {Array} reviews - Reviews data
+ * @param {Array} categoryPerformance - Precomputed category performance
  * @returns {Object} Insights and recommendations
  */
-export const generateInsights = (apps, reviews) => {
+export const generateInsights = (apps, reviews, categoryPerformance = analyzeCategoryPerformance(apps)) => {
   const insights = [];
   const recommendations = [];
   
   // Category insights
-  const categoryPerformance = analyzeCategoryPerformance(apps);
   const topCategory = categoryPerformance[0];
+  const runnerUp = categoryPerformance[1];
   
   insights.push({
     type: 'category',
     title: 'Dominant Category',
     description: `${topCategory.category} leads with ${topCategory.appCount} apps (${((topCategory.appCount / apps.length) * 100).toFixed(1)}% market share)`,
-    metric: topCategory.appCount
+    metric: topCategory.appCount,
+    // Is the lead over the runner-up more than chance?
+    significance: runnerUp
+      ? summarizeTest(
+        'Chi-square goodness of fit (leader vs runner-up)',
+        chiSquareGoodnessOfFit([topCategory.appCount, runnerUp.appCount]),
+        { statistic: 'chiSquare', effectSize: 'cohensW', effectSizeLabel: "Cohen's w" }
+      )
+      : null
   });
   
   // Rating insights
-  const highRatedApps = apps.filter(app => app.rating >= 4.5).length;
-  const ratingPercentage = (highRatedApps / apps.filter(app => app.rating).length) * 100;
+  const ratedApps = apps.filter(app => app.rating && !isNaN(app.rating));
   
-  insights.push({
-    type: 'rating',
-    title: 'Quality Distribution',
-    description: `${ratingPercentage.toFixed(1)}% of rated apps have excellent ratings (4.5+)`,
-    metric: ratingPercentage
-  });
+  if (ratedApps.length > 0) {
+    const highRatedApps = ratedApps.filter(app => app.rating >= 4.5).length;
+    const ratingPercentage = (highRatedApps / ratedApps.length) * 100;
+    
+    insights.push({
+      type: 'rating',
+      title: 'Quality Distribution',
+      description: `${ratingPercentage.toFixed(1)}% of rated apps have excellent ratings (4.5+)`,
+      metric: ratingPercentage,
+      significance: null
+    });
+  }
   
   // Install insights
   const popularApps = apps.filter(app => app.isPopular).length;
@@ -221,24 +626,117 @@ export const generateInsights = (apps, reviews) => {
     type: 'installs',
     title: 'Popular Apps',
     description: `${popularityRate.toFixed(1)}% of apps have achieved 1M+ installs`,
-    metric: popularityRate
+    metric: popularityRate,
+    significance: null
   });
   
   // Sentiment insights
   if (reviews.length > 0) {
     const positiveReviews = reviews.filter(r => r.isPositive).length;
+    const negativeReviews = reviews.filter(r => r.isNegative).length;
     const positivePercentage = (positiveReviews / reviews.length) * 100;
     
     insights.push({
       type: 'sentiment',
       title: 'User Sentiment',
       description: `${positivePercentage.toFixed(1)}% of reviews express positive sentiment`,
-      metric: positivePercentage
+      metric: positivePercentage,
+      // Do positive reviews outnumber negative ones by more than chance?
+      significance: summarizeTest(
+        'Chi-square goodness of fit (positive vs negative)',
+        chiSquareGoodnessOfFit([positiveReviews, negativeReviews]),
+        { statistic: 'chiSquare', effectSize: 'cohensW', effectSizeLabel: "Cohen's w" }
+      )
+    });
+  }
+  
+  // Paid vs free ratings; ratings are discrete and skewed, so the rank test leads
+  const paidRatings = ratedApps.filter(app => app.isPaid).map(app => app.rating);
+  const freeRatings = ratedApps.filter(app => !app.isPaid).map(app => app.rating);
+  
+  if (paidRatings.length >= 2 && freeRatings.length >= 2) {
+    const paidMean = _.mean(paidRatings);
+    const freeMean = _.mean(freeRatings);
+    
+    insights.push({
+      type: 'pricing',
+      title: paidMean >= freeMean ? 'Paid Apps Rate Higher' : 'Free Apps Rate Higher',
+      description: `Paid apps average ${paidMean.toFixed(2)} stars vs ${freeMean.toFixed(2)} for free apps`,
+      metric: paidMean - freeMean,
+      significance: summarizeTest('Mann-Whitney U', mannWhitneyUTest(paidRatings, freeRatings), {
+        statistic: 'u',
+        effectSize: 'rankBiserial',
+        effectSizeLabel: 'rank-biserial r',
+        supporting: summarizeTest("Welch's t-test", welchTTest(paidRatings, freeRatings), {
+          statistic: 't',
+          effectSize: 'cohensD',
+          effectSizeLabel: "Cohen's d"
+        })
+      })
     });
   }
   
-  // Generate recommendations
-  if (topCategory.avgRating < 4.0) {
+  // Ratings across categories
+  const ratingsByCategory = _.mapValues(
+    _.groupBy(ratedApps, 'category'),
+    categoryApps => categoryApps.map(app => app.rating)
+  );
+  const ratedCategories = categoryPerformance.filter(cat => cat.ratingStats.count >= MIN_INSIGHT_GROUP_SIZE);
+  
+  if (ratedCategories.length >= 2) {
+    const [highest, lowest] = [_.maxBy(ratedCategories, 'avgRating'), _.minBy(ratedCategories, 'avgRating')];
+    // Test the same categories the description compares, not every small one
+    const groups = ratedCategories.map(cat => ratingsByCategory[cat.category]);
+    
+    insights.push({
+      type: 'category',
+      title: 'Ratings Differ by Category',
+      description: `Average rating ranges from ${lowest.avgRating.toFixed(2)} (${lowest.category}) to ${highest.avgRating.toFixed(2)} (${highest.category})`,
+      metric: highest.avgRating - lowest.avgRating,
+      significance: summarizeTest('Kruskal-Wallis H', kruskalWallisTest(groups), {
+        statistic: 'h',
+        effectSize: 'epsilonSquared',
+        effectSizeLabel: 'epsilon²',
+        supporting: summarizeTest('One-way ANOVA', oneWayAnova(groups), {
+          statistic: 'f',
+          effectSize: 'etaSquared',
+          effectSizeLabel: 'eta²'
+        })
+      })
+    });
+  }
+  
+  // Content rating × install tier
+  const appsByContentRating = _.groupBy(apps.filter(app => app.contentRating), 'contentRating');
+  const contentRatings = Object.keys(appsByContentRating)
+    .filter(contentRating => appsByContentRating[contentRating].length >= MIN_INSIGHT_GROUP_SIZE);
+  
+  if (contentRatings.length >= 2) {
+    const table = contentRatings.map(contentRating => {
+      const tierCounts = _.countBy(appsByContentRating[contentRating], 'installsCategory');
+      return INSTALL_RANGES.map(range => tierCounts[range.label] || 0);
+    });
+    const popularShares = contentRatings.map(contentRating => ({
+      contentRating,
+      share: (appsByContentRating[contentRating].filter(app => app.isPopular).length / appsByContentRating[contentRating].length) * 100
+    }));
+    const mostPopular = _.maxBy(popularShares, 'share');
+    
+    insights.push({
+      type: 'installs',
+      title: 'Installs by Content Rating',
+      description: `${mostPopular.contentRating} apps reach 1M+ installs most often (${mostPopular.share.toFixed(1)}% vs ${popularityRate.toFixed(1)}% overall)`,
+      metric: mostPopular.share,
+      significance: summarizeTest('Chi-square independence (content rating × install tier)', chiSquareTest(table), {
+        statistic: 'chiSquare',
+        effectSize: 'cramersV',
+        effectSizeLabel: "Cramér's V"
+      })
+    });
+  }
+  
+  // Generate recommendations; categories without rated apps have no average to judge
+  if (topCategory.ratingStats.count > 0 && topCategory.avgRating < 4.0) {
     recommendations.push({
       category: topCategory.category,
       type: 'quality',
@@ -248,7 +746,7 @@ export const generateInsights = (apps, reviews) => {
   }
   
   const lowPerformingCategories = categoryPerformance
-    .filter(cat => cat.avgRating < 3.5)
+    .filter(cat => cat.ratingStats.count > 0 && cat.avgRating < 3.5)
     .slice(0, 3);
   
   if (lowPerformingCategories.length > 0) {
@@ -264,19 +762,726 @@ export const generateInsights = (apps, reviews) => {
     recommendations,
     keyMetrics: {
       totalApps: apps.length,
-      avgRating: _.mean(apps.filter(app => app.rating).map(app => app.rating)),
+      avgRating: ratedApps.length ? _.mean(ratedApps.map(app => app.rating)) : 0,
       totalInstalls: _.sum(apps.map(app => app.installsNumber)),
       topCategory: topCategory.category
     }
   };
 };
 
+/**
+ * Builds the period key for a YYYY-MM-DD date
+ * @param {string} date - ISO calendar date
+ * @param {string} granularity - 'month' or 'quarter'
+ * @returns {string} Period key like "2018-07" or "2018-Q3"
+ */
+const getPeriodKey = (date, granularity) => {
+  const [year, month] = date.split('-').map(Number);
+  
+  if (granularity === TREND_GRANULARITY.QUARTER) {
+    return `${year}-Q${Math.ceil(month / 3)}`;
+  }
+  
+  return `${year}-${String(month).padStart(2, '0')}`;
+};
+
+/**
+ * Lists every period key between two dates, inclusive, so gaps show as empty periods
+ * @param {string} startDate - First ISO calendar date
+ * @param {string} endDate - Last ISO calendar date
+ * @param {string} granularity - 'month' or 'quarter'
+ * @returns {Array} Array of {period, date} objects in chronological order
+ */
+const buildPeriodRange = (startDate, endDate, granularity) => {
+  const step = granularity === TREND_GRANULARITY.QUARTER ? 3 : 1;
+  const [startYear, startMonth] = startDate.split('-').map(Number);
+  const [endYear, endMonth] = endDate.split('-').map(Number);
+  
+  // Align the cursor to the first month of the starting period
+  let cursor = startYear * 12 + (startMonth - 1) - ((startMonth - 1) % step);
+  const end = endYear * 12 + (endMonth - 1);
+  const periods = [];
+  
+  while (cursor <= end) {
+    const year = Math.floor(cursor / 12);
+    const month = (cursor % 12) + 1;
+    const date = `${year}-${String(month).padStart(2, '0')}-01`;
+    
+    periods.push({ period: getPeriodKey(date, granularity), date });
+    cursor += step;
+  }
+  
+  return periods;
+};
+
+/**
+ * Summarizes the apps updated within a single period
+ * @param {Array} periodApps - Apps whose last update falls in the period
+ * @returns {Object} Update count, rating and install mix for the period
+ */
+const summarizePeriod = (periodApps) => {
+  const ratings = periodApps.map(app => app.rating).filter(r => r && !isNaN(r));
+  const updateCount = periodApps.length;
+  
+  const installMix = INSTALL_RANGES.reduce((mix, range) => {
+    const count = periodApps.filter(app => app.installsCategory === range.label).length;
+    mix[range.label] = updateCount > 0 ? (count / updateCount) * 100 : 0;
+    return mix;
+  }, {});
+  
+  return {
+    updateCount,
+    ratedApps: ratings.length,
+    avgRating: ratings.length > 0 ? _.mean(ratings) : null,
+    avgInstalls: updateCount > 0 ? _.mean(periodApps.map(app => app.installsNumber)) : 0,
+    popularShare: updateCount > 0 
+      ? (periodApps.filter(app => app.isPopular).length / updateCount) * 100 
+      : null,
+    installMix
+  };
+};
+
+/**
+ * Generates time-based analytics from each app's "Last Updated" date
+ * @param {Array} apps - Apps data
+ * @param {Object} options - Trend options
+ * @param {string} options.granularity - Bucket size, 'month' or 'quarter'
+ * @param {number} options.topCategories - Number of categories to break out
+ * @returns {Object} Trend analytics
+ */
+export const generateTrendAnalytics = (apps, { 
+  granularity = TREND_GRANULARITY.MONTH, 
+  topCategories = 5 
+} = {}) => {
+  const datedApps = apps.filter(app => app.lastUpdatedDate);
+  
+  if (datedApps.length === 0) {
+    return {
+      granularity,
+      datedApps: 0,
+      undatedApps: apps.length,
+      dateRange: null,
+      periods: [],
+      categorySeries: [],
+      trends: {
+        updateCadence: calculateTrendAnalysis([]),
+        avgRating: calculateTrendAnalysis([]),
+        popularShare: calculateTrendAnalysis([])
+      }
+    };
+  }
+  
+  const dates = datedApps.map(app => app.lastUpdatedDate).sort();
+  const dateRange = { start: dates[0], end: dates[dates.length - 1] };
+  const periodRange = buildPeriodRange(dateRange.start, dateRange.end, granularity);
+  
+  const appsByPeriod = _.groupBy(datedApps, app => getPeriodKey(app.lastUpdatedDate, granularity));
+  
+  const periods = periodRange.map(({ period, date }) => ({
+    period,
+    date,
+    ...summarizePeriod(appsByPeriod[period] || [])
+  }));
+  
+  // Break out the largest categories so their series stay readable
+  const categorySeries = calculateFrequencyAnalysis(datedApps.map(app => app.category), topCategories)
+    .map(({ value: category }) => {
+      const categoryByPeriod = _.groupBy(
+        datedApps.filter(app => app.category === category),
+        app => getPeriodKey(app.lastUpdatedDate, granularity)
+      );
+      
+      const points = periodRange.map(({ period, date }) => ({
+        period,
+        date,
+        ...summarizePeriod(categoryByPeriod[period] || [])
+      }));
+      
+      return {
+        category,
+        appCount: _.sum(points.map(point => point.updateCount)),
+        points,
+        updateCadenceTrend: calculateTrendAnalysis(
+          points.map(point => ({ date: point.date, value: point.updateCount }))
+        ),
+        ratingTrend: calculateTrendAnalysis(
+          points.map(point => ({ date: point.date, value: point.avgRating })),
+          { threshold: 0.01 }
+        )
+      };
+    });
+  
+  const busiestPeriod = _.maxBy(periods, 'updateCount');
+  
+  return {
+    granularity,
+    datedApps: datedApps.length,
+    undatedApps: apps.length - datedApps.length,
+    dateRange,
+    busiestPeriod: busiestPeriod ? { period: busiestPeriod.period, updateCount: busiestPeriod.updateCount } : null,
+    periods,
+    categorySeries,
+    trends: {
+      updateCadence: calculateTrendAnalysis(
+        periods.map(point => ({ date: point.date, value: point.updateCount }))
+      ),
+      avgRating: calculateTrendAnalysis(
+        periods.map(point => ({ date: point.date, value: point.avgRating })),
+        { threshold: 0.01 }
+      ),
+      popularShare: calculateTrendAnalysis(
+        periods.map(point => ({ date: point.date, value: point.popularShare }))
+      )
+    }
+  };
+};
+
+/**
+ * Ranks an app among a peer group on one metric (1 = best, ties share a rank)
+ * @param {Object} app - App to rank
+ * @param {Array} peers - Apps in the comparison group, including the app
+ * @param {string|Function} metric - Numeric field to rank by, or a function reading the value
+ * @param {Object} options - Ranking options
+ * @param {boolean} options.lowerIsBetter - Rank the smallest value first, e.g. for price
+ * @returns {Object|null} {rank, total, percentile}, where percentile is the share of peers the app
+ *   matches or beats, or null if the app has no value
+ */
+const rankWithinGroup = (app, peers, metric, { lowerIsBetter = false } = {}) => {
+  const getValue = _.iteratee(metric);
+  const value = getValue(app);
+  if (value === null || value === undefined) return null;
+  
+  const values = peers
+    .map(getValue)
+    .filter(peerValue => peerValue !== null && peerValue !== undefined);
+  const better = values.filter(peerValue => (lowerIsBetter ? peerValue < value : peerValue > value)).length;
+  const worseOrEqual = values.length - better;
+  
+  return {
+    rank: better + 1,
+    total: values.length,
+    percentile: (worseOrEqual / values.length) * 100
+  };
+};
+
+/**
+ * Generates the detail view for a single app: its reviews and where it ranks in its category
+ * @param {string} appName - App name
+ * @param {Array} apps - Apps to rank against (normally the unfiltered dataset)
+ * @param {Array} reviews - Processed reviews data
+ * @returns {Object|null} App detail, or null if no app has that name
+ */
+export const generateAppDetail = (appName, apps, reviews) => {
+  const app = apps.find(candidate => candidate.app === appName);
+  if (!app) return null;
+  
+  const categoryApps = apps.filter(candidate => candidate.category === app.category);
+  
+  return {
+    app,
+    reviews: reviews.filter(review => review.app === appName),
+    categoryAppCount: categoryApps.length,
+    categoryRanks: {
+      rating: rankWithinGroup(app, categoryApps.filter(candidate => candidate.rating), 'rating'),
+      installs: rankWithinGroup(app, categoryApps, 'installsNumber'),
+      reviews: rankWithinGroup(app, categoryApps, 'reviews')
+    }
+  };
+};
+
+// Metrics an app is benchmarked on; getValue returns null when the app has no value,
+// and lowerIsBetter ranks the smallest value first
+export const BENCHMARK_METRICS = [
+  { id: 'rating', label: 'Rating', getValue: app => (app.rating && !isNaN(app.rating) ? app.rating : null) },
+  { id: 'reviews', label: 'Reviews', getValue: app => app.reviews ?? null },
+  { id: 'installs', label: 'Installs', getValue: app => app.installsNumber ?? null },
+  { id: 'size', label: 'Size', getValue: app => app.sizeBytes ?? null, lowerIsBetter: true },
+  { id: 'price', label: 'Price', getValue: app => app.priceNumber ?? null, lowerIsBetter: true },
+  {
+    id: 'sentimentPolarity',
+    label: 'Sentiment Polarity',
+    getValue: app => app.sentimentData?.avgSentimentPolarity ?? null
+  }
+];
+
+const BENCHMARK_COMPETITOR_COUNT = 5;
+
+/**
+ * Benchmarks an app against the other apps in its category
+ * Competitors are the apps closest in install tier; within a tier, the closest in review count
+ * @param {Object} app - App to benchmark
+ * @param {Array} peers - Apps in the app's category, including the app
+ * @returns {Object} {app, category, peerCount, metrics, competitors}
+ */
+export const generateAppBenchmark = (app, peers) => {
+  const tierIndex = (candidate) => INSTALL_RANGES.findIndex(range => range.label === candidate.installsCategory);
+  const reviewScale = (candidate) => Math.log10((candidate.reviews || 0) + 1);
+
+  const metrics = BENCHMARK_METRICS.map(({ id, label, getValue, lowerIsBetter }) => {
+    const stats = calculateBasicStats(peers.map(getValue));
+    return {
+      id,
+      label,
+      value: getValue(app),
+      rank: rankWithinGroup(app, peers, getValue, { lowerIsBetter }),
+      median: stats.median,
+      peerCount: stats.count
+    };
+  });
+
+  const appTier = tierIndex(app);
+  const competitors = _.sortBy(
+    peers.filter(peer => peer.app !== app.app),
+    [
+      peer => Math.abs(tierIndex(peer) - appTier),
+      peer => Math.abs(reviewScale(peer) - reviewScale(app)),
+      peer => -(peer.rating || 0)
+    ]
+  )
+    .slice(0, BENCHMARK_COMPETITOR_COUNT)
+    .map(peer => ({
+      app: peer.app,
+      installsCategory: peer.installsCategory,
+      sameTier: tierIndex(peer) === appTier,
+      values: _.fromPairs(BENCHMARK_METRICS.map(({ id, getValue }) => [id, getValue(peer)]))
+    }));
+
+  return {
+    app,
+    category: app.category,
+    peerCount: peers.length,
+    metrics,
+    competitors
+  };
+};
+
+// Half-star rating bins used to overlay rating distributions
+const COMPARISON_RATING_BINS = _.range(1, 5, 0.5).map(min => ({
+  range: `${min.toFixed(1)}-${(min + 0.5).toFixed(1)}`,
+  min,
+  max: min + 0.5
+}));
+
+/**
+ * Compares categories side by side, with tests for differences between them
+ * Installs and reviews are compared on a log scale since both span several orders of magnitude
+ * @param {Array} apps - Processed apps data
+ * @param {Array} reviews - Processed reviews data
+ * @param {Array} categories - Categories to compare
+ * @returns {Object} {categories, metrics, ratingDistribution, installTierMix, tests}
+ */
+export const generateCategoryComparison = (apps, reviews, categories) => {
+  const selected = new Set(categories);
+  const appsByCategory = _.groupBy(apps.filter(app => selected.has(app.category)), 'category');
+  const categoryOfApp = _.mapValues(_.keyBy(apps.filter(app => selected.has(app.category)), 'app'), 'category');
+  const reviewsByCategory = _.groupBy(
+    reviews.filter(review => categoryOfApp[review.app]),
+    review => categoryOfApp[review.app]
+  );
+  const performance = _.keyBy(analyzeCategoryPerformance(_.flatten(Object.values(appsByCategory))), 'category');
+
+  const getApps = (category) => appsByCategory[category] || [];
+  const getRatings = (category) => getApps(category).map(app => app.rating).filter(rating => rating && !isNaN(rating));
+  const toLogScale = (values) => values.map(value => Math.log10((value || 0) + 1));
+
+  const comparison = categories.map(category => {
+    const categoryApps = getApps(category);
+    const categoryReviews = reviewsByCategory[category] || [];
+    const stats = performance[category] || {
+      appCount: 0, avgRating: 0, medianRating: 0, totalInstalls: 0, avgInstalls: 0,
+      totalReviews: 0, avgReviews: 0, paidAppsCount: 0, popularAppsCount: 0
+    };
+    const positive = categoryReviews.filter(review => review.isPositive).length;
+    const negative = categoryReviews.filter(review => review.isNegative).length;
+    const neutral = categoryReviews.filter(review => review.isNeutral).length;
+    const reviewTotal = categoryReviews.length;
+    // Lexicon-labelled reviews have no dataset polarity
+    const polarities = categoryReviews.map(review => review.sentimentPolarity).filter(Number.isFinite);
+
+    return {
+      ...stats,
+      category,
+      ratedAppsCount: getRatings(category).length,
+      paidShare: categoryApps.length ? (stats.paidAppsCount / categoryApps.length) * 100 : 0,
+      popularShare: categoryApps.length ? (stats.popularAppsCount / categoryApps.length) * 100 : 0,
+      sentiment: {
+        totalReviews: reviewTotal,
+        positiveCount: positive,
+        neutralCount: neutral,
+        negativeCount: negative,
+        positivePercentage: reviewTotal ? (positive / reviewTotal) * 100 : 0,
+        neutralPercentage: reviewTotal ? (neutral / reviewTotal) * 100 : 0,
+        negativePercentage: reviewTotal ? (negative / reviewTotal) * 100 : 0,
+        avgPolarity: polarities.length ? _.mean(polarities) : null
+      }
+    };
+  });
+
+  // Share of each category's rated apps in each rating bin
+  const ratingDistribution = COMPARISON_RATING_BINS.map((bin, index) => {
+    const isLast = index === COMPARISON_RATING_BINS.length - 1;
+    const row = { range: bin.range };
+    categories.forEach(category => {
+      const ratings = getRatings(category);
+      const count = ratings.filter(rating => rating >= bin.min && (isLast ? rating <= bin.max : rating < bin.max)).length;
+      row[category] = ratings.length ? (count / ratings.length) * 100 : 0;
+    });
+    return row;
+  });
+
+  const tierCounts = categories.map(category =>
+    INSTALL_RANGES.map(range => getApps(category).filter(app => app.installsCategory === range.label).length)
+  );
+
+  const installTierMix = categories.map((category, index) => {
+    const total = _.sum(tierCounts[index]);
+    return INSTALL_RANGES.reduce((row, range, tierIndex) => ({
+      ...row,
+      [range.label]: total ? (tierCounts[index][tierIndex] / total) * 100 : 0
+    }), { category });
+  });
+
+  // Pairwise rating tests, adjusted for the number of pairs
+  const pairs = [];
+  categories.forEach((a, i) => {
+    categories.slice(i + 1).forEach(b => {
+      pairs.push({ categoryA: a, categoryB: b, ...(welchTTest(getRatings(a), getRatings(b)) || { pValue: NaN }) });
+    });
+  });
+  const adjusted = adjustPValuesHolm(pairs.map(pair => pair.pValue));
+  const ratingPairs = pairs.map((pair, index) => ({
+    ...pair,
+    adjustedPValue: adjusted[index],
+    significant: adjusted[index] < SIGNIFICANCE_LEVEL
+  }));
+
+  return {
+    categories: comparison,
+    metrics: {
+      avgRating: comparison.map(cat => ({ category: cat.category, value: cat.avgRating })),
+      appCount: comparison.map(cat => ({ category: cat.category, value: cat.appCount })),
+      totalInstalls: comparison.map(cat => ({ category: cat.category, value: cat.totalInstalls })),
+      paidShare: comparison.map(cat => ({ category: cat.category, value: cat.paidShare }))
+    },
+    ratingDistribution,
+    installTierMix,
+    tests: {
+      rating: oneWayAnova(categories.map(getRatings)),
+      ratingPairs,
+      installs: oneWayAnova(categories.map(category => toLogScale(getApps(category).map(app => app.installsNumber)))),
+      reviews: oneWayAnova(categories.map(category => toLogScale(getApps(category).map(app => app.reviews)))),
+      paidShare: chiSquareTest(comparison.map(cat => [cat.paidAppsCount, cat.appCount - cat.paidAppsCount])),
+      popularShare: chiSquareTest(comparison.map(cat => [cat.popularAppsCount, cat.appCount - cat.popularAppsCount])),
+      installTiers: chiSquareTest(tierCounts),
+      sentiment: chiSquareTest(comparison.map(cat => [
+        cat.sentiment.positiveCount,
+        cat.sentiment.neutralCount,
+        cat.sentiment.negativeCount
+      ]))
+    }
+  };
+};
+
+// Targets the drivers model can explain; getValue returns null for apps left out of the fit
+export const REGRESSION_TARGETS = [
+  {
+    id: 'logInstalls',
+    label: 'log₁₀ installs',
+    getValue: app => (app.installsNumber >= 0 ? Math.log10(app.installsNumber + 1) : null)
+  },
+  {
+    id: 'rating',
+    label: 'Rating',
+    getValue: app => (app.rating && !isNaN(app.rating) ? app.rating : null)
+  }
+];
+
+// Categorical levels with fewer apps are pooled into an "other" level
+const MIN_REGRESSION_LEVEL_SIZE = 10;
+const REGRESSION_RESIDUAL_SAMPLE_SIZE = 1000;
+
+/**
+ * Dummy-codes a categorical attribute against its most common level
+ * @param {Array} apps - Apps in the fit
+ * @param {string} field - App field, e.g. 'category'
+ * @param {Function} formatLevel - Turns a level into a label
+ * @returns {Object} {baseline, predictors}
+ */
+const buildDummyPredictors = (apps, field, formatLevel) => {
+  const getLevel = app => app[field] || 'Unknown';
+  const counts = _.countBy(apps, getLevel);
+  const [baseline, ...levels] = _.orderBy(Object.keys(counts), level => counts[level], 'desc');
+  const [common, rare] = _.partition(levels, level => counts[level] >= MIN_REGRESSION_LEVEL_SIZE);
+  const rareLevels = new Set(rare);
+
+  const predictors = common.map(level => ({
+    name: `${field}:${level}`,
+    label: formatLevel(level),
+    group: field,
+    getValue: app => (getLevel(app) === level ? 1 : 0)
+  }));
+  if (rare.length) {
+    predictors.push({
+      name: `${field}:other`,
+      label: `Other (${rare.length} with < ${MIN_REGRESSION_LEVEL_SIZE} apps)`,
+      group: field,
+      getValue: app => (rareLevels.has(getLevel(app)) ? 1 : 0)
+    });
+  }
+
+  return { baseline, predictors };
+};
+
+/**
+ * Builds a numeric predictor, mean-imputing missing values and flagging them with an indicator
+ * @param {Array} apps - Apps in the fit
+ * @param {Object} predictor - {name, label, group, getValue} where getValue may return null
+ * @param {string} missingLabel - Label of the missing-value indicator
+ * @returns {Array} The predictor, plus its indicator when some values are missing
+ */
+const buildNumericPredictors = (apps, predictor, missingLabel) => {
+  const isMissing = app => !Number.isFinite(predictor.getValue(app));
+  const mean = _.mean(apps.filter(app => !isMissing(app)).map(predictor.getValue)) || 0;
+
+  const predictors = [{ ...predictor, getValue: app => (isMissing(app) ? mean : predictor.getValue(app)) }];
+  if (apps.some(isMissing)) {
+    predictors.push({
+      name: `${predictor.name}:missing`,
+      label: missingLabel,
+      group: predictor.group,
+      getValue: app => (isMissing(app) ? 1 : 0)
+    });
+  }
+  return predictors;
+};
+
+/**
+ * Fits a linear model of installs or rating on app attributes to show what drives them
+ * Predictors: category and content rating (dummy-coded against their most common level), price,
+ * log₁₀ size in MB, minimum Android version and average review polarity. Size, Android version and
+ * polarity are often missing ("Varies with device", no reviews), so missing values are mean-imputed
+ * and flagged with an indicator rather than dropping the app.
+ * @param {Array} apps - Processed apps data
+ * @param {Object} options - Model options
+ * @param {string} options.target - REGRESSION_TARGETS id
+ * @param {number} options.ridge - Ridge penalty λ (0 for ordinary least squares), see fitLinearRegression
+ * @returns {Object|null} {target, ridge, n, excludedCount, intercept, coefficients, baselines, rSquared,
+ *   adjustedRSquared, residualStandardError, effectiveParameters, residuals (a sample, sorted by residual)},
+ *   or null without enough apps
+ * @throws {Error} With code 'SINGULAR_DESIGN' when ordinary least squares has collinear predictors
+ */
+export const generateRegressionAnalysis = (apps, { target = 'logInstalls', ridge = 0 } = {}) => {
+  const targetOption = REGRESSION_TARGETS.find(option => option.id === target) || REGRESSION_TARGETS[0];
+  const modelApps = apps.filter(app => targetOption.getValue(app) !== null);
+
+  const category = buildDummyPredictors(modelApps, 'category', level => level.replace(/_/g, ' '));
+  const contentRating = buildDummyPredictors(modelApps, 'contentRating', level => level);
+  const predictors = [
+    ...category.predictors,
+    ...contentRating.predictors,
+    { name: 'price', label: 'Price (USD)', group: 'price', getValue: app => app.priceNumber || 0 },
+    ...buildNumericPredictors(
+      modelApps,
+      {
+        name: 'logSize',
+        label: 'log₁₀ size (MB)',
+        group: 'size',
+        getValue: app => (app.sizeBytes > 0 ? Math.log10(app.sizeBytes / (1024 * 1024)) : null)
+      },
+      'Size varies with device'
+    ),
+    ...buildNumericPredictors(
+      modelApps,
+      {
+        name: 'androidVersion',
+        label: 'Min Android version',
+        group: 'androidVersion',
+        getValue: app => {
+          const version = parseAndroidVersion(app.androidVersion);
+          return version === null ? null : version / 10000;
+        }
+      },
+      'Android version varies'
+    ),
+    ...buildNumericPredictors(
+      modelApps,
+      {
+        name: 'polarity',
+        label: 'Review polarity',
+        group: 'sentiment',
+        getValue: app => app.sentimentData?.avgSentimentPolarity ?? null
+      },
+      'No review polarity'
+    )
+  ];
+
+  const rows = modelApps.map(app => predictors.map(predictor => predictor.getValue(app)));
+  const y = modelApps.map(targetOption.getValue);
+  const fit = fitLinearRegression(rows, y, { names: predictors.map(predictor => predictor.name), ridge });
+  if (!fit) return null;
+
+  // An evenly spaced sample keeps the residual plots responsive; the normal quantiles of each
+  // residual's rank in the sample give the Q-Q plot
+  const step = Math.max(1, Math.ceil(modelApps.length / REGRESSION_RESIDUAL_SAMPLE_SIZE));
+  const sample = _.range(0, modelApps.length, step).map(index => ({
+    app: modelApps[index].app,
+    category: modelApps[index].category,
+    fitted: fit.fitted[index],
+    residual: fit.residuals[index],
+    standardizedResidual: fit.residuals[index] / fit.residualStandardError
+  }));
+  const residuals = _.sortBy(sample, 'residual').map((point, rank) => ({
+    ...point,
+    theoreticalQuantile: normalQuantile((rank + 0.5) / sample.length)
+  }));
+
+  return {
+    target: { id: targetOption.id, label: targetOption.label },
+    ridge,
+    n: fit.n,
+    excludedCount: apps.length - modelApps.length,
+    intercept: fit.intercept,
+    coefficients: fit.coefficients.map((coefficient, index) => ({
+      ...coefficient,
+      label: predictors[index].label,
+      group: predictors[index].group
+    })),
+    baselines: { category: category.baseline, contentRating: contentRating.baseline },
+    rSquared: fit.rSquared,
+    adjustedRSquared: fit.adjustedRSquared,
+    residualStandardError: fit.residualStandardError,
+    effectiveParameters: fit.p,
+    residuals
+  };
+};
+
+// Apps need this many reviews before their average polarity is compared with their rating
+const MIN_MISMATCH_REVIEWS = 10;
+// |z| at or beyond this flags an app; among 1,000 consistent apps, chance alone would flag about three
+const MISMATCH_Z_THRESHOLD = 3;
+const MISMATCH_EVIDENCE_COUNT = 3;
+
+/**
+ * Compares each app's rating with the polarity of its reviews and flags apps where they disagree,
+ * such as a 4.7-star app with mostly negative reviews (possible rating manipulation or a recent regression)
+ * Expected polarity comes from a linear fit of average review polarity on rating across apps. How far an
+ * app may stray depends on its review count: the residual variance is split into a between-app part τ²
+ * and sampling noise σ²/n, where σ² is the pooled within-app variance of review polarities, so
+ * z = residual / √(τ² + σ²/n) doesn't flag small apps just for being noisy. Only reviews with a dataset
+ * polarity count; lexicon scores are on a different scale.
+ * @param {Array} apps - Processed apps data, with sentimentData from mergeAppsWithSentiment
+ * @param {Array} reviews - Processed reviews data
+ * @param {Object} options - Detection options
+ * @param {number} options.minReviews - Fewest reviews with a polarity an app needs to be compared
+ * @param {number} options.threshold - |z| at or beyond which an app is flagged
+ * @returns {Object|null} {model, points, flagged}; points has every compared app with its expected
+ *   polarity, zScore and status ('consistent', 'ratingHigher' or 'reviewsHigher'), and flagged lists the
+ *   flagged apps by |z| with the reviews that most contradict their rating; null without enough apps
+ *   or when every compared app has the same rating
+ */
+export const generateSentimentMismatches = (apps, reviews, {
+  minReviews = MIN_MISMATCH_REVIEWS,
+  threshold = MISMATCH_Z_THRESHOLD
+} = {}) => {
+  const modelApps = apps.filter(app =>
+    app.rating && !isNaN(app.rating) && app.sentimentData?.polarityCount >= minReviews
+  );
+  // A single rating leaves nothing to fit polarity against (and a singular design)
+  if (_.uniqBy(modelApps, 'rating').length < 2) return null;
+
+  const modelAppNames = new Set(modelApps.map(app => app.app));
+  const reviewsByApp = _.groupBy(
+    reviews.filter(review => modelAppNames.has(review.app) && Number.isFinite(review.sentimentPolarity)),
+    'app'
+  );
+
+  const fit = fitLinearRegression(
+    modelApps.map(app => [app.rating]),
+    modelApps.map(app => app.sentimentData.avgSentimentPolarity),
+    { names: ['rating'] }
+  );
+  if (!fit) return null;
+
+  // Pooled within-app variance of individual review polarities
+  let withinSumOfSquares = 0;
+  let withinDegreesOfFreedom = 0;
+  modelApps.forEach(app => {
+    const polarities = (reviewsByApp[app.app] || []).map(review => review.sentimentPolarity);
+    const mean = _.mean(polarities);
+    polarities.forEach(polarity => { withinSumOfSquares += (polarity - mean) ** 2; });
+    withinDegreesOfFreedom += Math.max(0, polarities.length - 1);
+  });
+  const withinAppVariance = withinDegreesOfFreedom ? withinSumOfSquares / withinDegreesOfFreedom : 0;
+
+  // Method of moments: whatever residual variance sampling noise doesn't explain is between apps
+  const samplingVariances = modelApps.map(app => withinAppVariance / app.sentimentData.polarityCount);
+  const betweenAppVariance = Math.max(0, fit.residualStandardError ** 2 - _.mean(samplingVariances));
+
+  const points = modelApps.map((app, index) => {
+    const standardError = Math.sqrt(betweenAppVariance + samplingVariances[index]);
+    const zScore = standardError > 0 ? fit.residuals[index] / standardError : 0;
+    const status = Math.abs(zScore) < threshold ? 'consistent' : zScore < 0 ? 'ratingHigher' : 'reviewsHigher';
+
+    return {
+      app: app.app,
+      category: app.category,
+      rating: app.rating,
+      polarity: app.sentimentData.avgSentimentPolarity,
+      expected: fit.fitted[index],
+      residual: fit.residuals[index],
+      zScore,
+      reviewCount: app.sentimentData.polarityCount,
+      positivePercentage: app.sentimentData.positivePercentage,
+      negativePercentage: app.sentimentData.negativePercentage,
+      status
+    };
+  });
+
+  // Evidence: the reviews pulling hardest against the rating, most negative first when the rating is higher
+  const flagged = _.orderBy(points.filter(point => point.status !== 'consistent'), point => Math.abs(point.zScore), 'desc')
+    .map(point => ({
+      ...point,
+      evidence: _.orderBy(
+        (reviewsByApp[point.app] || []).filter(review => review.translatedReview),
+        'sentimentPolarity',
+        point.status === 'ratingHigher' ? 'asc' : 'desc'
+      )
+        .slice(0, MISMATCH_EVIDENCE_COUNT)
+        .map(review => ({
+          text: review.translatedReview,
+          sentiment: review.sentiment,
+          polarity: review.sentimentPolarity
+        }))
+    }));
+
+  const [slope] = fit.coefficients;
+
+  return {
+    model: {
+      intercept: fit.intercept,
+      slope: slope.estimate,
+      slopeCi: slope.ci,
+      rSquared: fit.rSquared,
+      residualStandardError: fit.residualStandardError,
+      withinAppVariance,
+      betweenAppVariance,
+      n: fit.n,
+      excludedCount: apps.length - modelApps.length,
+      minReviews,
+      threshold
+    },
+    points,
+    flagged
+  };
+};
+
 /**
  * Generates data for charts and visualizations
  * @param {Array} apps - Apps data
+ * @param {Array} categoryPerformance - Precomputed category performance
  * @returns {Object} Chart data
  */
-export const generateChartData = (apps) => {
+export const generateChartData = (apps, categoryPerformance = analyzeCategoryPerformance(apps)) => {
   // Category distribution for pie chart
   const categoryData = calculateFrequencyAnalysis(apps.map(app => app.category), 10)
     .map(item => ({
@@ -323,11 +1528,12 @@ export const generateChartData = (apps) => {
     }));
   
   // Top categories performance
-  const categoryPerformance = analyzeCategoryPerformance(apps)
+  const topCategoryPerformance = categoryPerformance
     .slice(0, 10)
     .map(cat => ({
       category: cat.category,
       avgRating: cat.avgRating,
+      avgRatingInterval: cat.confidenceIntervals?.avgRating || null,
       appCount: cat.appCount,
       totalInstalls: cat.totalInstalls
     }));
@@ -337,6 +1543,6 @@ export const generateChartData = (apps) => {
     ratingDistribution: ratingDistributionData,
     installDistribution: installData,
     priceVsRating: priceRatingData,
-    categoryPerformance
+    categoryPerformance: topCategoryPerformance
   };
 };
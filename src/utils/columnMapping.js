@@ -0,0 +1,118 @@
+import { CANONICAL_COLUMNS, STORAGE_KEYS } from './constants';
+
+/**
+ * Normalizes a header for loose comparison
+ * @param {string} header - Column header
+ * @returns {string} Lowercase header without punctuation or spacing
+ */
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Builds an order-independent signature for a set of headers
+ * @param {Array} fields - Column headers
+ * @returns {string} Header signature
+ */
+export const getHeaderSignature = (fields) => [...fields].map(normalizeHeader).sort().join('|');
+
+/**
+ * Reads all saved column mappings from localStorage
+ * @returns {Object} Saved mappings keyed by dataset, then header signature
+ */
+export const loadSavedMappings = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEYS.COLUMN_MAPPINGS);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.warn('Failed to read saved column mappings:', error);
+    return {};
+  }
+};
+
+/**
+ * Saves a column mapping for a dataset so files with the same headers map automatically
+ * @param {string} dataset - Dataset key ('apps' or 'reviews')
+ * @param {Array} fields - Headers detected in the source file
+ * @param {Object} mapping - Canonical column to source header mapping
+ */
+export const saveColumnMapping = (dataset, fields, mapping) => {
+  try {
+    const saved = loadSavedMappings();
+    saved[dataset] = {
+      ...(saved[dataset] || {}),
+      [getHeaderSignature(fields)]: { mapping, savedAt: new Date().toISOString() }
+    };
+    window.localStorage.setItem(STORAGE_KEYS.COLUMN_MAPPINGS, JSON.stringify(saved));
+  } catch (error) {
+    console.warn('Failed to save column mapping:', error);
+  }
+};
+
+/**
+ * Finds a saved mapping for files with exactly these headers
+ * @param {string} dataset - Dataset key ('apps' or 'reviews')
+ * @param {Array} fields - Headers detected in the source file
+ * @returns {Object|null} Saved mapping, or null if none matches
+ */
+export const findSavedMapping = (dataset, fields) => {
+  const saved = loadSavedMappings();
+  return saved[dataset]?.[getHeaderSignature(fields)]?.mapping || null;
+};
+
+/**
+ * Suggests a mapping from detected headers to canonical columns
+ * Saved mappings win; otherwise headers are matched by name and known aliases
+ * @param {string} dataset - Dataset key ('apps' or 'reviews')
+ * @param {Array} fields - Headers detected in the source file
+ * @returns {Object} Canonical column to source header mapping
+ */
+export const suggestColumnMapping = (dataset, fields) => {
+  const savedMapping = findSavedMapping(dataset, fields);
+  if (savedMapping) return savedMapping;
+
+  const mapping = {};
+  const usedFields = new Set();
+
+  (CANONICAL_COLUMNS[dataset] || []).forEach(column => {
+    const candidates = [column.key, ...column.aliases].map(normalizeHeader);
+    const match = fields.find(field =>
+      !usedFields.has(field) && candidates.includes(normalizeHeader(field))
+    );
+
+    if (match) {
+      mapping[column.key] = match;
+      usedFields.add(match);
+    }
+  });
+
+  return mapping;
+};
+
+/**
+ * Renames source columns to their canonical names in a parsed CSV result
+ * @param {Object} result - Parsed CSV result with data and meta.fields
+ * @param {Object} mapping - Canonical column to source header mapping
+ * @returns {Object} Parsed result using canonical column names
+ */
+export const applyColumnMapping = (result, mapping) => {
+  const entries = Object.entries(mapping || {}).filter(([canonical, source]) => source && canonical !== source);
+
+  if (entries.length === 0) return result;
+
+  const data = result.data.map(row => {
+    const mappedRow = { ...row };
+    entries.forEach(([canonical, source]) => {
+      mappedRow[canonical] = row[source];
+    });
+    return mappedRow;
+  });
+
+  return {
+    ...result,
+    data,
+    meta: {
+      ...result.meta,
+      sourceFields: result.meta.fields,
+      fields: [...new Set([...result.meta.fields, ...entries.map(([canonical]) => canonical)])]
+    }
+  };
+};
@@ -47,6 +47,36 @@ export const INSTALL_RANGES = [
   { label: '100M+', min: 100000000, max: Infinity }
 ];
 
+// Android versions offered by the minimum Android version filter
+export const ANDROID_VERSIONS = [
+  '1.0', '1.5', '1.6', '2.0', '2.1', '2.2', '2.3', '3.0', '3.2',
+  '4.0', '4.0.3', '4.1', '4.2', '4.3', '4.4', '5.0', '5.1', '6.0', '7.0', '7.1', '8.0'
+];
+
+export const TREND_GRANULARITY = {
+  MONTH: 'month',
+  QUARTER: 'quarter'
+};
+
+// Sort keys for rating rankings; the adjusted ones stop a 5.0 from three reviews outranking a 4.8 from millions
+export const RATING_SORT_KEYS = {
+  RAW: {
+    id: 'rating',
+    label: 'Raw rating',
+    formula: 'The average rating as listed in the store.'
+  },
+  BAYESIAN: {
+    id: 'bayesianRating',
+    label: 'Bayesian average',
+    formula: '(C × m + n × R) / (C + n), where R is the app\'s rating, n its review count, m the mean rating of its category and C the median review count in its category. Ratings backed by few reviews are pulled toward the category mean.'
+  },
+  WILSON: {
+    id: 'wilsonLowerBound',
+    label: 'Wilson bound',
+    formula: 'The rating rescaled to 0–1, bounded by a 95% Wilson score interval over n reviews and scaled back to stars. Top lists rank by the lower bound (the lowest rating the app plausibly has), bottom lists by the upper bound.'
+  }
+};
+
 export const SENTIMENT_TYPES = {
   POSITIVE: { label: 'Positive', color: '#10b981' },
   NEUTRAL: { label: 'Neutral', color: '#f59e0b' },
@@ -69,15 +99,30 @@ export const API_ENDPOINTS = {
 
 export const ERROR_MESSAGES = {
   DATA_LOAD_FAILED: 'Failed to load data. Please check your internet connection.',
+  FILE_READ_FAILED: 'Failed to read the selected file',
   INVALID_DATA_FORMAT: 'Invalid data format detected.',
   PROCESSING_ERROR: 'Error occurred while processing data.',
+  LOAD_CANCELLED: 'Data loading was cancelled.',
   CHART_RENDER_ERROR: 'Failed to render chart.',
   GENERIC_ERROR: 'An unexpected error occurred.'
 };
 
 export const LOADING_MESSAGES = {
   LOADING_DATA: 'Loading app data...',
+  READING_FILES: 'Reading uploaded files...',
   PROCESSING_DATA: 'Processing analytics...',
+  CLEANING_APPS: 'Cleaning app records...',
+  PROCESSING_REVIEWS: 'Processing reviews...',
+  MERGING_SENTIMENT: 'Merging review sentiment...',
+  CHECKING_QUALITY: 'Checking data quality...',
+  FILTERING_APPS: 'Applying filters...',
+  ANALYZING_CATEGORIES: 'Analyzing categories...',
+  ANALYZING_RATINGS: 'Analyzing ratings...',
+  ANALYZING_SENTIMENT: 'Analyzing sentiment...',
+  ANALYZING_THEMES: 'Finding review themes...',
+  FINDING_MISMATCHES: 'Comparing ratings with review sentiment...',
+  CALCULATING_CORRELATIONS: 'Calculating correlations...',
+  ANALYZING_TRENDS: 'Analyzing update trends...',
   GENERATING_CHARTS: 'Generating visualizations...',
   CALCULATING_INSIGHTS: 'Calculating insights...'
 };
@@ -88,5 +133,59 @@ export const DASHBOARD_SECTIONS = {
   RATINGS: 'ratings', 
   SENTIMENT: 'sentiment',
   TRENDS: 'trends',
-  REPORTS: 'reports'
+  BENCHMARK: 'benchmark',
+  REPORTS: 'reports',
+  APP_DETAIL: 'apps'
+};
+
+export const REPORT_SECTIONS = [
+  { id: 'overview', label: 'Overview', description: 'Key metrics across all apps' },
+  { id: 'categories', label: 'Categories', description: 'Top categories and their performance' },
+  { id: 'ratings', label: 'Ratings', description: 'Rating statistics and top rated apps' },
+  { id: 'sentiment', label: 'Sentiment', description: 'Review sentiment breakdown' },
+  { id: 'correlations', label: 'Correlations', description: 'Relationships between app metrics' },
+  { id: 'insights', label: 'Insights', description: 'Key findings and recommendations' }
+];
+
+export const REPORT_FORMATS = {
+  MARKDOWN: { id: 'markdown', label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  HTML: { id: 'html', label: 'HTML', extension: 'html', mimeType: 'text/html' }
+};
+
+// Canonical CSV columns expected by processAppsData/processReviewsData, with common alternative headers
+export const CANONICAL_COLUMNS = {
+  apps: [
+    { key: 'App', label: 'App name', aliases: ['app name', 'name', 'title', 'app title'] },
+    { key: 'Category', label: 'Category', aliases: ['app category', 'primary category'] },
+    { key: 'Rating', label: 'Rating', aliases: ['score', 'stars', 'average rating', 'avg rating'] },
+    { key: 'Reviews', label: 'Review count', aliases: ['review count', 'reviews count', 'ratings count', 'num reviews'] },
+    { key: 'Size', label: 'Size', aliases: ['app size', 'file size'] },
+    { key: 'Installs', label: 'Installs', aliases: ['install count', 'downloads', 'min installs'] },
+    { key: 'Type', label: 'Type (Free/Paid)', aliases: ['pricing type', 'free or paid'] },
+    { key: 'Price', label: 'Price', aliases: ['app price', 'cost'] },
+    { key: 'Content Rating', label: 'Content rating', aliases: ['age rating', 'content rating'] },
+    { key: 'Genres', label: 'Genres', aliases: ['genre', 'sub category'] },
+    { key: 'Last Updated', label: 'Last updated', aliases: ['updated', 'update date', 'last update'] },
+    { key: 'Current Ver', label: 'Current version', aliases: ['version', 'current version', 'app version'] },
+    { key: 'Android Ver', label: 'Android version', aliases: ['android version', 'min android', 'requires android'] }
+  ],
+  reviews: [
+    { key: 'App', label: 'App name', aliases: ['app name', 'name', 'title'] },
+    { key: 'Translated_Review', label: 'Review text', aliases: ['review', 'review text', 'text', 'content'] },
+    { key: 'Sentiment', label: 'Sentiment label', aliases: ['sentiment label', 'label'] },
+    { key: 'Sentiment_Polarity', label: 'Sentiment polarity', aliases: ['polarity'] },
+    { key: 'Sentiment_Subjectivity', label: 'Sentiment subjectivity', aliases: ['subjectivity'] }
+  ]
+};
+
+export const STORAGE_KEYS = {
+  COLUMN_MAPPINGS: 'gps-analytics:column-mappings',
+  FILTER_PRESETS: 'gps-analytics:filter-presets'
+};
+
+// Bump VERSION whenever processing output changes shape so stale caches are ignored
+export const DATASET_CACHE = {
+  DB_NAME: 'gps-analytics',
+  STORE_NAME: 'datasets',
+  VERSION: 3
 };
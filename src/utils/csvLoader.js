@@ -1,74 +1,327 @@
 import Papa from 'papaparse';
+import _ from 'lodash';
 import { DATA_FILES, ERROR_MESSAGES } from './constants';
+import { applyColumnMapping, findSavedMapping } from './columnMapping';
+import { createCancelledError } from './errors';
+
+export const APPS_REQUIRED_COLUMNS = ['App', 'Category', 'Rating', 'Reviews', 'Installs'];
+export const REVIEWS_REQUIRED_COLUMNS = ['App', 'Translated_Review'];
+
+const PARSE_OPTIONS = {
+  header: true,
+  dynamicTyping: true,
+  skipEmptyLines: true,
+  delimitersToGuess: [',', '\t', '|', ';']
+};
+
+/**
+ * Parses CSV text with the shared Papa Parse options and cleans headers
+ * @param {string} csvText - Raw CSV content
+ * @param {Object} options - Papa Parse options
+ * @returns {Object} Parsed data object with data and metadata
+ */
+export const parseCSVText = (csvText, options = {}) => {
+  const result = Papa.parse(csvText, { ...PARSE_OPTIONS, ...options });
+  
+  if (result.errors.length > 0) {
+    console.warn('CSV parsing warnings:', result.errors);
+  }
+  
+  // Clean headers by trimming whitespace
+  const cleanedData = result.data.map(row => {
+    const cleanedRow = {};
+    Object.keys(row).forEach(key => {
+      const cleanKey = key.trim();
+      cleanedRow[cleanKey] = row[key];
+    });
+    return cleanedRow;
+  });
+  
+  return {
+    data: cleanedData,
+    meta: {
+      ...result.meta,
+      fields: (result.meta.fields || []).map(field => field.trim())
+    },
+    errors: result.errors
+  };
+};
+
+/**
+ * Adapts a web ReadableStream to the Node-style stream interface Papa Parse streams from
+ * @param {ReadableStream} readableStream - Byte stream, e.g. a fetch response body
+ * @param {Function} onBytes - Called with the size of each chunk read
+ * @returns {Object} Stream adapter; call start() once Papa has attached its listeners
+ */
+const createPapaStream = (readableStream, onBytes) => {
+  const reader = readableStream.getReader();
+  const decoder = new TextDecoder();
+  const listeners = { data: [], end: [], error: [] };
+  let paused = false;
+  let pumping = false;
+  
+  const emit = (event, payload) => {
+    [...listeners[event]].forEach(handler => handler(payload));
+  };
+  
+  const pump = async () => {
+    if (pumping) return;
+    pumping = true;
+    
+    try {
+      while (!paused) {
+        const { done, value } = await reader.read();
+        
+        if (done) {
+          const tail = decoder.decode();
+          if (tail) emit('data', tail);
+          emit('end');
+          break;
+        }
+        
+        onBytes(value.byteLength);
+        emit('data', decoder.decode(value, { stream: true }));
+      }
+    } catch (error) {
+      emit('error', error);
+    } finally {
+      pumping = false;
+    }
+  };
+  
+  return {
+    readable: true,
+    read: () => {},
+    on: (event, handler) => listeners[event]?.push(handler),
+    removeListener: (event, handler) => {
+      listeners[event] = (listeners[event] || []).filter(h => h !== handler);
+    },
+    pause: () => {
+      paused = true;
+    },
+    resume: () => {
+      paused = false;
+      pump();
+    },
+    start: pump,
+    cancel: () => reader.cancel().catch(() => {})
+  };
+};
+
+/**
+ * Parses a CSV byte stream chunk by chunk without buffering the whole file as text
+ * @param {ReadableStream} readableStream - CSV byte stream
+ * @param {Object} options - Streaming options
+ * @param {number|null} options.totalBytes - Expected size, if known
+ * @param {Function} options.onProgress - Called with {bytesLoaded, totalBytes, rows}
+ * @param {AbortSignal} options.signal - Aborts parsing when triggered
+ * @param {Object} options.parseOptions - Papa Parse options
+ * @returns {Promise<Object>} Parsed data object with data and metadata
+ */
+export const parseCSVStream = (readableStream, {
+  totalBytes = null,
+  onProgress = () => {},
+  signal,
+  parseOptions = {}
+} = {}) => {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createCancelledError());
+      return;
+    }
+    
+    const data = [];
+    const errors = [];
+    let meta = {};
+    let bytesLoaded = 0;
+    
+    const stream = createPapaStream(readableStream, (byteCount) => {
+      bytesLoaded += byteCount;
+    });
+    
+    const handleAbort = () => {
+      stream.cancel();
+      reject(createCancelledError());
+    };
+    signal?.addEventListener('abort', handleAbort);
+    
+    const finish = () => signal?.removeEventListener('abort', handleAbort);
+    
+    Papa.parse(stream, {
+      ...PARSE_OPTIONS,
+      ...parseOptions,
+      transformHeader: header => header.trim(),
+      chunk: (results, parser) => {
+        if (signal?.aborted) {
+          parser.abort();
+          return;
+        }
+        
+        data.push(...results.data);
+        errors.push(...results.errors);
+        meta = results.meta;
+        onProgress({ bytesLoaded, totalBytes, rows: data.length });
+      },
+      complete: () => {
+        finish();
+        if (signal?.aborted) return;
+        
+        if (errors.length > 0) {
+          console.warn('CSV parsing warnings:', errors);
+        }
+        
+        resolve({
+          data,
+          meta: { ...meta, fields: meta.fields || [] },
+          errors
+        });
+      },
+      error: (error) => {
+        finish();
+        reject(signal?.aborted ? createCancelledError() : error);
+      }
+    });
+    
+    stream.start();
+  });
+};
 
 /**
  * Loads and parses CSV data with robust error handling
+ * Streams the response body when the browser supports it
  * @param {string} filepath - Path to the CSV file
  * @param {Object} options - Papa Parse options
+ * @param {Object} loadOptions - Streaming options
+ * @param {Function} loadOptions.onProgress - Called with {bytesLoaded, totalBytes, rows}
+ * @param {AbortSignal} loadOptions.signal - Aborts the download and parse
  * @returns {Promise<Object>} Parsed data object with data and metadata
  */
-export const loadCSV = async (filepath, options = {}) => {
+export const loadCSV = async (filepath, options = {}, { onProgress, signal } = {}) => {
   try {
-    const response = await fetch(filepath);
+    const response = await fetch(filepath, { signal });
     
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
     }
     
-    const csvText = await response.text();
+    if (response.body && typeof TextDecoder !== 'undefined') {
+      const contentLength = Number(response.headers.get('Content-Length'));
+      // Compressed responses report the encoded size, which would overshoot the bar
+      const isEncoded = !!response.headers.get('Content-Encoding');
+      
+      return await parseCSVStream(response.body, {
+        totalBytes: contentLength > 0 && !isEncoded ? contentLength : null,
+        onProgress,
+        signal,
+        parseOptions: options
+      });
+    }
     
-    const defaultOptions = {
-      header: true,
-      dynamicTyping: true,
-      skipEmptyLines: true,
-      delimitersToGuess: [',', '\t', '|', ';'],
-      ...options
-    };
+    const csvText = await response.text();
     
-    const result = Papa.parse(csvText, defaultOptions);
+    return parseCSVText(csvText, options);
+  } catch (error) {
+    if (error.code === 'CANCELLED' || signal?.aborted) throw createCancelledError();
     
-    if (result.errors.length > 0) {
-      console.warn('CSV parsing warnings:', result.errors);
+    console.error('Error loading CSV:', error);
+    throw new Error(`${ERROR_MESSAGES.DATA_LOAD_FAILED}: ${error.message}`);
+  }
+};
+
+/**
+ * Reads and parses a CSV file selected in the browser
+ * Streams the file when the browser supports it
+ * @param {File} file - File from a file input or drop event
+ * @param {Object} options - Papa Parse options
+ * @param {Object} loadOptions - Streaming options ({onProgress, signal})
+ * @returns {Promise<Object>} Parsed data object with data and metadata
+ */
+export const loadCSVFile = async (file, options = {}, { onProgress, signal } = {}) => {
+  try {
+    if (typeof file.stream === 'function' && typeof TextDecoder !== 'undefined') {
+      return await parseCSVStream(file.stream(), {
+        totalBytes: file.size,
+        onProgress,
+        signal,
+        parseOptions: options
+      });
     }
     
-    // Clean headers by trimming whitespace
-    const cleanedData = result.data.map(row => {
-      const cleanedRow = {};
-      Object.keys(row).forEach(key => {
-        const cleanKey = key.trim();
-        cleanedRow[cleanKey] = row[key];
-      });
-      return cleanedRow;
-    });
+    const csvText = await file.text();
     
-    return {
-      data: cleanedData,
-      meta: result.meta,
-      errors: result.errors
-    };
+    return parseCSVText(csvText, options);
   } catch (error) {
-    console.error('Error loading CSV:', error);
-    throw new Error(`${ERROR_MESSAGES.DATA_LOAD_FAILED}: ${error.message}`);
+    if (error.code === 'CANCELLED') throw error;
+    
+    console.error('Error reading CSV file:', error);
+    throw new Error(`${ERROR_MESSAGES.FILE_READ_FAILED}: ${error.message}`);
   }
 };
 
+/**
+ * Loads a CSV from a URL path or a browser File
+ * @param {string|File} source - Path to fetch or File to read
+ * @param {Object} loadOptions - Streaming options ({onProgress, signal})
+ * @returns {Promise<Object>} Parsed data object with data and metadata
+ */
+const loadCSVSource = (source, loadOptions = {}) => {
+  return typeof source === 'string'
+    ? loadCSV(source, {}, loadOptions)
+    : loadCSVFile(source, {}, loadOptions);
+};
+
+/**
+ * Throws if a parsed CSV is missing any required column
+ * The error carries the detected headers so the UI can offer a column mapping
+ * @param {Object} result - Parsed CSV result
+ * @param {Array} requiredColumns - Column names that must be present
+ * @param {string} dataset - Dataset key ('apps' or 'reviews')
+ * @param {string} label - Dataset label used in the error message
+ */
+export const validateRequiredColumns = (result, requiredColumns, dataset, label = 'Data') => {
+  const missingColumns = requiredColumns.filter(col => 
+    !result.meta.fields.includes(col)
+  );
+  
+  if (missingColumns.length > 0) {
+    const error = new Error(`${label}: missing required columns: ${missingColumns.join(', ')}`);
+    error.code = 'MISSING_COLUMNS';
+    error.dataset = dataset;
+    error.fields = result.meta.sourceFields || result.meta.fields;
+    error.missingColumns = missingColumns;
+    throw error;
+  }
+};
+
+/**
+ * Loads a CSV and maps its headers to canonical column names
+ * Uses the explicit mapping if given, otherwise one saved for identical headers
+ * @param {string|File} source - Path to fetch or File to read
+ * @param {string} dataset - Dataset key ('apps' or 'reviews')
+ * @param {Object} columnMapping - Canonical column to source header mapping
+ * @param {Object} loadOptions - Streaming options ({onProgress, signal})
+ * @returns {Promise<Object>} Parsed data object using canonical column names
+ */
+const loadMappedCSV = async (source, dataset, columnMapping, loadOptions) => {
+  const result = await loadCSVSource(source, loadOptions);
+  const mapping = columnMapping || findSavedMapping(dataset, result.meta.fields);
+  
+  return applyColumnMapping(result, mapping);
+};
+
 /**
  * Loads Google Play Store apps data
+ * @param {string|File} source - Path to fetch or uploaded File
+ * @param {Object} columnMapping - Optional canonical column to source header mapping
+ * @param {Object} loadOptions - Streaming options ({onProgress, signal})
  * @returns {Promise<Array>} Array of app objects
  */
-export const loadAppsData = async () => {
+export const loadAppsData = async (source = DATA_FILES.APPS, columnMapping = null, loadOptions = {}) => {
   try {
-    const result = await loadCSV(DATA_FILES.APPS);
+    const result = await loadMappedCSV(source, 'apps', columnMapping, loadOptions);
     
     // Validate required columns
-    const requiredColumns = ['App', 'Category', 'Rating', 'Reviews', 'Installs'];
-    const missingColumns = requiredColumns.filter(col => 
-      !result.meta.fields.includes(col)
-    );
-    
-    if (missingColumns.length > 0) {
-      throw new Error(`Missing required columns: ${missingColumns.join(', ')}`);
-    }
+    validateRequiredColumns(result, APPS_REQUIRED_COLUMNS, 'apps', 'Apps data');
     
     return result.data;
   } catch (error) {
@@ -79,21 +332,17 @@ export const loadAppsData = async () => {
 
 /**
  * Loads Google Play Store reviews data
+ * @param {string|File} source - Path to fetch or uploaded File
+ * @param {Object} columnMapping - Optional canonical column to source header mapping
+ * @param {Object} loadOptions - Streaming options ({onProgress, signal})
  * @returns {Promise<Array>} Array of review objects
  */
-export const loadReviewsData = async () => {
+export const loadReviewsData = async (source = DATA_FILES.REVIEWS, columnMapping = null, loadOptions = {}) => {
   try {
-    const result = await loadCSV(DATA_FILES.REVIEWS);
+    const result = await loadMappedCSV(source, 'reviews', columnMapping, loadOptions);
     
     // Validate required columns
-    const requiredColumns = ['App', 'Sentiment', 'Sentiment_Polarity'];
-    const missingColumns = requiredColumns.filter(col => 
-      !result.meta.fields.includes(col)
-    );
-    
-    if (missingColumns.length > 0) {
-      throw new Error(`Missing required columns: ${missingColumns.join(', ')}`);
-    }
+    validateRequiredColumns(result, REVIEWS_REQUIRED_COLUMNS, 'reviews', 'Reviews data');
     
     return result.data;
   } catch (error) {
@@ -104,13 +353,42 @@ export const loadReviewsData = async () => {
 
 /**
  * Loads both datasets concurrently
+ * @param {Object} sources - Data sources, defaulting to the bundled CSV files
+ * @param {string|File} sources.apps - Apps CSV path or File
+ * @param {string|File|null} sources.reviews - Reviews CSV path or File; null skips reviews
+ * @param {Object} sources.mappings - Column mappings keyed by dataset ('apps', 'reviews')
+ * @param {Function} sources.onProgress - Called with combined {bytesLoaded, totalBytes, rows}
+ * @param {AbortSignal} sources.signal - Aborts both loads
  * @returns {Promise<Object>} Object containing both apps and reviews data
  */
-export const loadAllData = async () => {
+export const loadAllData = async ({ 
+  apps = DATA_FILES.APPS, 
+  reviews = DATA_FILES.REVIEWS,
+  mappings = {},
+  onProgress = () => {},
+  signal
+} = {}) => {
+  // Combine per-file progress; the total is only known once every file reports one
+  const progressByDataset = {};
+  const datasetCount = reviews ? 2 : 1;
+  const trackProgress = (dataset) => (progress) => {
+    progressByDataset[dataset] = progress;
+    const reported = Object.values(progressByDataset);
+    const totalsKnown = reported.length === datasetCount && reported.every(p => p.totalBytes);
+    
+    onProgress({
+      bytesLoaded: _.sumBy(reported, 'bytesLoaded'),
+      totalBytes: totalsKnown ? _.sumBy(reported, 'totalBytes') : null,
+      rows: _.sumBy(reported, 'rows')
+    });
+  };
+  
   try {
     const [appsData, reviewsData] = await Promise.all([
-      loadAppsData(),
-      loadReviewsData()
+      loadAppsData(apps, mappings.apps, { signal, onProgress: trackProgress('apps') }),
+      reviews
+        ? loadReviewsData(reviews, mappings.reviews, { signal, onProgress: trackProgress('reviews') })
+        : Promise.resolve([])
     ]);
     
     return {
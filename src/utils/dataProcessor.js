@@ -1,5 +1,7 @@
 import _ from 'lodash';
 import { INSTALL_RANGES } from './constants';
+import { compileQuery } from './queryLanguage';
+import { scoreSentiment } from './lexiconSentiment';
 
 /**
  * Converts size string to bytes
@@ -50,10 +52,29 @@ export const convertPriceToNumber = (priceString) => {
     return 0;
   }
   
-  const priceStr = String(priceString).replace(', '');
+  const priceStr = String(priceString).replace('$', '');
   return parseFloat(priceStr) || 0;
 };
 
+/**
+ * Parses a "Last Updated" string into an ISO calendar date
+ * @param {string} dateString - Date string like "January 7, 2018"
+ * @returns {string|null} Date in YYYY-MM-DD format, or null if unparseable
+ */
+export const parseUpdateDate = (dateString) => {
+  // Require a four-digit year so version strings from shifted rows are not read as dates
+  if (!dateString || !/\b\d{4}\b/.test(String(dateString))) return null;
+  
+  const timestamp = Date.parse(String(dateString).trim());
+  if (isNaN(timestamp)) return null;
+  
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
 /**
  * Categorizes install count into ranges
  * @param {number} installs - Number of installs
@@ -94,6 +115,7 @@ export const processAppsData = (rawData) => {
       contentRating: app['Content Rating']?.trim(),
       genres: app.Genres?.trim(),
       lastUpdated: app['Last Updated']?.trim(),
+      lastUpdatedDate: parseUpdateDate(app['Last Updated']),
       currentVersion: app['Current Ver']?.trim(),
       androidVersion: app['Android Ver']?.trim(),
       // Derived fields
@@ -104,8 +126,34 @@ export const processAppsData = (rawData) => {
     .filter(app => app.app && app.category); // Final filter for clean data
 };
 
+/**
+ * Reads a CSV text cell, treating blanks and pandas' 'nan' as missing
+ * @param {*} value - Raw cell value
+ * @returns {string|null} Trimmed text or null
+ */
+const parseTextCell = (value) => {
+  if (value === null || value === undefined) return null;
+
+  const text = String(value).trim();
+  return text && text.toLowerCase() !== 'nan' ? text : null;
+};
+
+/**
+ * Reads a numeric CSV cell
+ * @param {*} value - Raw cell value
+ * @returns {number|null} Number or null when missing
+ */
+const parseNumberCell = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
 /**
  * Processes review data and calculates sentiment metrics
+ * Every review with text is also scored by the lexicon (see scoreSentiment); reviews without a
+ * dataset label take the lexicon's label and are marked sentimentSource 'lexicon'. The lexicon's
+ * compound score is on a different scale from the dataset's polarity, so it stays in lexiconPolarity
+ * and sentimentPolarity is null for those reviews (and for dataset rows missing a polarity)
  * @param {Array} rawReviews - Raw reviews data from CSV
  * @returns {Array} Processed reviews data
  */
@@ -115,22 +163,33 @@ export const processReviewsData = (rawReviews) => {
   }
 
   return rawReviews
-    .filter(review => 
-      review.App && 
-      review.Sentiment && 
-      review.Sentiment !== 'nan'
-    )
     .map(review => ({
-      app: review.App?.trim(),
-      translatedReview: review.Translated_Review?.trim(),
-      sentiment: review.Sentiment?.trim(),
-      sentimentPolarity: parseFloat(review.Sentiment_Polarity) || 0,
-      sentimentSubjectivity: parseFloat(review.Sentiment_Subjectivity) || 0,
-      // Derived fields
-      isPositive: review.Sentiment?.toLowerCase() === 'positive',
-      isNegative: review.Sentiment?.toLowerCase() === 'negative',
-      isNeutral: review.Sentiment?.toLowerCase() === 'neutral'
-    }));
+      review,
+      text: parseTextCell(review.Translated_Review),
+      datasetSentiment: parseTextCell(review.Sentiment)
+    }))
+    .filter(({ review, text, datasetSentiment }) => review.App && (datasetSentiment || text))
+    .map(({ review, text, datasetSentiment }) => {
+      const lexicon = scoreSentiment(text);
+      const sentiment = datasetSentiment || lexicon.label;
+      const datasetPolarity = datasetSentiment ? parseNumberCell(review.Sentiment_Polarity) : null;
+
+      return {
+        app: String(review.App).trim(),
+        translatedReview: text,
+        sentiment,
+        sentimentSource: datasetSentiment ? 'dataset' : 'lexicon',
+        sentimentPolarity: datasetPolarity,
+        sentimentSubjectivity: datasetSentiment ? parseNumberCell(review.Sentiment_Subjectivity) : null,
+        datasetPolarity,
+        lexiconPolarity: lexicon?.compound ?? null,
+        lexiconSentiment: lexicon?.label ?? null,
+        // Derived fields
+        isPositive: sentiment.toLowerCase() === 'positive',
+        isNegative: sentiment.toLowerCase() === 'negative',
+        isNeutral: sentiment.toLowerCase() === 'neutral'
+      };
+    });
 };
 
 /**
@@ -151,11 +210,68 @@ export const removeDuplicateApps = (apps) => {
   });
 };
 
+/**
+ * Parses the minimum Android version from strings like "4.0.3 and up" or "4.1 - 7.1.1"
+ * @param {string} versionString - Android version string
+ * @returns {number|null} Comparable version number (4.0.3 -> 40003), or null if unknown
+ */
+export const parseAndroidVersion = (versionString) => {
+  const match = String(versionString || '').match(/(\d+)(?:\.(\d+))?(?:\.(\d+))?/);
+  if (!match) return null;
+  
+  const [major, minor, patch] = match.slice(1).map(part => parseInt(part) || 0);
+  return major * 10000 + minor * 100 + patch;
+};
+
+/**
+ * Splits an app's genres field, e.g. "Puzzle;Brain Games"
+ * @param {string} genres - Genres string
+ * @returns {Array} Genre names
+ */
+export const splitGenres = (genres) => {
+  if (!genres) return [];
+  
+  return String(genres).split(';').map(genre => genre.trim()).filter(Boolean);
+};
+
+/**
+ * Checks whether a value falls inside an inclusive range
+ * Missing values never match a range with at least one bound
+ * @param {number|string} value - Value to check
+ * @param {Object} range - {min, max}, either bound optional
+ * @returns {boolean} Whether the value is in range
+ */
+const isInRange = (value, range) => {
+  if (range.min === undefined && range.max === undefined) return true;
+  if (value === null || value === undefined || Number.isNaN(value)) return false;
+  if (range.min !== undefined && value < range.min) return false;
+  if (range.max !== undefined && value > range.max) return false;
+  return true;
+};
+
+// Numeric range filters and the processed app field each one applies to
+export const RANGE_FILTER_FIELDS = {
+  rating: 'rating',
+  installs: 'installsNumber',
+  reviews: 'reviews',
+  price: 'priceNumber',
+  size: 'sizeBytes'
+};
+
 /**
  * Filters apps by various criteria
  * @param {Array} apps - Array of app objects
- * @param {Object} filters - Filter criteria
+ * @param {Object} filters - Filter criteria:
+ *   category, type, contentRating - exact matches
+ *   categories, genres - arrays; an app matches if it has any of the values
+ *   minRating - minimum rating
+ *   rating, installs, reviews, price, size - {min, max} ranges (size in bytes)
+ *   lastUpdated - {from, to} range of 'YYYY-MM-DD' dates
+ *   androidVersion - {min, max} range of version strings, applied to the minimum Android version an app requires
+ *   isPaid - boolean
+ *   query - filter query text, see queryLanguage.js
  * @returns {Array} Filtered apps
+ * @throws {Error} Error with code 'QUERY_SYNTAX' when the query is invalid
  */
 export const filterApps = (apps, filters = {}) => {
   let filteredApps = [...apps];
@@ -166,12 +282,53 @@ export const filterApps = (apps, filters = {}) => {
     );
   }
   
+  if (filters.categories?.length) {
+    const categories = new Set(filters.categories);
+    filteredApps = filteredApps.filter(app => 
+      categories.has(app.category)
+    );
+  }
+  
+  if (filters.genres?.length) {
+    const genres = new Set(filters.genres);
+    filteredApps = filteredApps.filter(app => 
+      splitGenres(app.genres).some(genre => genres.has(genre))
+    );
+  }
+  
   if (filters.minRating) {
     filteredApps = filteredApps.filter(app => 
       app.rating >= filters.minRating
     );
   }
   
+  Object.entries(RANGE_FILTER_FIELDS).forEach(([filterKey, field]) => {
+    const range = filters[filterKey];
+    if (!range) return;
+    
+    filteredApps = filteredApps.filter(app => 
+      isInRange(app[field], range)
+    );
+  });
+  
+  if (filters.lastUpdated) {
+    // Dates are 'YYYY-MM-DD' strings, which compare correctly as text
+    const { from, to } = filters.lastUpdated;
+    filteredApps = filteredApps.filter(app => 
+      isInRange(app.lastUpdatedDate, { min: from, max: to })
+    );
+  }
+  
+  if (filters.androidVersion) {
+    const range = {
+      min: parseAndroidVersion(filters.androidVersion.min) ?? undefined,
+      max: parseAndroidVersion(filters.androidVersion.max) ?? undefined
+    };
+    filteredApps = filteredApps.filter(app => 
+      isInRange(parseAndroidVersion(app.androidVersion), range)
+    );
+  }
+  
   if (filters.type) {
     filteredApps = filteredApps.filter(app => 
       app.type === filters.type
@@ -190,6 +347,11 @@ export const filterApps = (apps, filters = {}) => {
     );
   }
   
+  const queryPredicate = compileQuery(filters.query);
+  if (queryPredicate) {
+    filteredApps = filteredApps.filter(queryPredicate);
+  }
+  
   return filteredApps;
 };
 
@@ -197,7 +359,8 @@ export const filterApps = (apps, filters = {}) => {
  * Merges apps data with aggregated review sentiment data
  * @param {Array} apps - Processed apps data
  * @param {Array} reviews - Processed reviews data
- * @returns {Array} Apps data enriched with sentiment metrics
+ * @returns {Array} Apps data enriched with sentiment metrics; polarity and subjectivity averages
+ *   are null when none of the app's reviews has a dataset score (polarityCount counts those that do)
  */
 export const mergeAppsWithSentiment = (apps, reviews) => {
   // Group reviews by app name and calculate sentiment metrics
@@ -209,8 +372,11 @@ export const mergeAppsWithSentiment = (apps, reviews) => {
       const negative = appReviews.filter(r => r.isNegative).length;
       const neutral = appReviews.filter(r => r.isNeutral).length;
       
-      const avgPolarity = _.meanBy(appReviews, 'sentimentPolarity') || 0;
-      const avgSubjectivity = _.meanBy(appReviews, 'sentimentSubjectivity') || 0;
+      // Lexicon-labelled reviews have no dataset polarity or subjectivity, so averages skip them
+      const polarities = appReviews.map(r => r.sentimentPolarity).filter(Number.isFinite);
+      const subjectivities = appReviews.map(r => r.sentimentSubjectivity).filter(Number.isFinite);
+      const avgPolarity = polarities.length ? _.mean(polarities) : null;
+      const avgSubjectivity = subjectivities.length ? _.mean(subjectivities) : null;
       
       return {
         totalReviews: total,
@@ -220,6 +386,7 @@ export const mergeAppsWithSentiment = (apps, reviews) => {
         positivePercentage: (positive / total) * 100,
         negativePercentage: (negative / total) * 100,
         neutralPercentage: (neutral / total) * 100,
+        polarityCount: polarities.length,
         avgSentimentPolarity: avgPolarity,
         avgSentimentSubjectivity: avgSubjectivity,
         sentimentScore: avgPolarity // Simplified sentiment score
@@ -238,9 +405,10 @@ export const mergeAppsWithSentiment = (apps, reviews) => {
       positivePercentage: 0,
       negativePercentage: 0,
       neutralPercentage: 0,
-      avgSentimentPolarity: 0,
-      avgSentimentSubjectivity: 0,
-      sentimentScore: 0
+      polarityCount: 0,
+      avgSentimentPolarity: null,
+      avgSentimentSubjectivity: null,
+      sentimentScore: null
     }
   }));
 };
@@ -0,0 +1,143 @@
+import { DATASET_CACHE } from './constants';
+
+/**
+ * Opens the dataset cache database
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+const openDatabase = () => {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DATASET_CACHE.DB_NAME, 1);
+    
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(DATASET_CACHE.STORE_NAME, { keyPath: 'key' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Runs a single request against the dataset store
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {Function} makeRequest - Called with the object store, returns an IDBRequest
+ * @returns {Promise<any>} Request result
+ */
+const runStoreRequest = async (mode, makeRequest) => {
+  const db = await openDatabase();
+  
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(DATASET_CACHE.STORE_NAME, mode);
+      const request = makeRequest(transaction.objectStore(DATASET_CACHE.STORE_NAME));
+      
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+/**
+ * Whether IndexedDB is available in this environment
+ * @returns {boolean} True if datasets can be cached
+ */
+export const isDatasetCacheAvailable = () => typeof indexedDB !== 'undefined';
+
+/**
+ * Builds the cache key for a set of source files
+ * @param {Array} urls - Source file URLs
+ * @returns {string} Cache key
+ */
+export const getDatasetCacheKey = (urls) => urls.join('|');
+
+/**
+ * Reads a file's validator (ETag, or Last-Modified plus size) without downloading it
+ * @param {string} url - File URL
+ * @returns {Promise<string|null>} Validator, or null if the server provides none
+ */
+const fetchSourceValidator = async (url) => {
+  try {
+    const response = await fetch(url, { method: 'HEAD', cache: 'no-cache' });
+    if (!response.ok) return null;
+    
+    const etag = response.headers.get('ETag');
+    if (etag) return `etag:${etag}`;
+    
+    const lastModified = response.headers.get('Last-Modified');
+    if (lastModified) {
+      return `modified:${lastModified}:${response.headers.get('Content-Length') || ''}`;
+    }
+    
+    return null;
+  } catch (error) {
+    console.warn(`Could not validate ${url}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Builds a signature identifying the current contents of all source files
+ * @param {Array} urls - Source file URLs
+ * @returns {Promise<string|null>} Signature, or null if any file can't be validated
+ */
+export const fetchSourceSignature = async (urls) => {
+  const validators = await Promise.all(urls.map(fetchSourceValidator));
+  
+  if (validators.some(validator => !validator)) return null;
+  
+  return `v${DATASET_CACHE.VERSION}|${validators.join('|')}`;
+};
+
+/**
+ * Returns a cached dataset if it matches the given signature
+ * @param {string} key - Cache key
+ * @param {string} signature - Signature of the current source files
+ * @returns {Promise<Object|null>} {processedData, dataQuality, cachedAt}, or null on a miss
+ */
+export const readCachedDataset = async (key, signature) => {
+  if (!isDatasetCacheAvailable() || !signature) return null;
+  
+  try {
+    const entry = await runStoreRequest('readonly', store => store.get(key));
+    
+    if (!entry || entry.signature !== signature) return null;
+    
+    return {
+      processedData: entry.processedData,
+      dataQuality: entry.dataQuality,
+      cachedAt: entry.cachedAt
+    };
+  } catch (error) {
+    console.warn('Failed to read dataset cache:', error);
+    return null;
+  }
+};
+
+/**
+ * Stores a processed dataset under the given key and signature
+ * @param {string} key - Cache key
+ * @param {string} signature - Signature of the source files the dataset came from
+ * @param {Object} dataset - {processedData, dataQuality}
+ * @returns {Promise<string|null>} Time the entry was cached, or null if it wasn't
+ */
+export const writeCachedDataset = async (key, signature, { processedData, dataQuality }) => {
+  if (!isDatasetCacheAvailable() || !signature) return null;
+  
+  const cachedAt = new Date().toISOString();
+  
+  try {
+    await runStoreRequest('readwrite', store => store.put({
+      key,
+      signature,
+      processedData,
+      dataQuality,
+      cachedAt
+    }));
+    return cachedAt;
+  } catch (error) {
+    console.warn('Failed to write dataset cache:', error);
+    return null;
+  }
+};
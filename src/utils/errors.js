@@ -0,0 +1,33 @@
+/**
+ * Creates the error used when a load or pipeline job is cancelled
+ * Callers check `error.code === 'CANCELLED'` to tell cancellation from failure
+ * @returns {Error} Error with code 'CANCELLED'
+ */
+export const createCancelledError = () => {
+  const error = new Error('Operation cancelled');
+  error.code = 'CANCELLED';
+  return error;
+};
+
+/**
+ * Creates the error thrown for an invalid filter query
+ * @param {string} message - Human-readable description of the problem
+ * @param {number} position - Zero-based index in the query where the problem starts
+ * @returns {Error} Error with code 'QUERY_SYNTAX' and the position
+ */
+export const createQuerySyntaxError = (message, position) => {
+  const error = new Error(`${message} (column ${position + 1})`);
+  error.code = 'QUERY_SYNTAX';
+  error.position = position;
+  return error;
+};
+
+/**
+ * Creates the error thrown when regression predictors are perfectly collinear
+ * @returns {Error} Error with code 'SINGULAR_DESIGN'
+ */
+export const createSingularDesignError = () => {
+  const error = new Error('Predictors are perfectly collinear for these apps; add a ridge penalty or widen the filters');
+  error.code = 'SINGULAR_DESIGN';
+  return error;
+};
@@ -0,0 +1,145 @@
+import { STORAGE_KEYS, DASHBOARD_SECTIONS } from './constants';
+import { sanitizeFilters } from './urlState';
+
+// Bump when the export file layout changes
+const PRESET_FILE_VERSION = 1;
+
+// Sections a preset can open; the app detail view needs an app, so it isn't one
+const PRESET_SECTIONS = Object.values(DASHBOARD_SECTIONS)
+  .filter(section => section !== DASHBOARD_SECTIONS.APP_DETAIL);
+
+/**
+ * Creates a unique preset id
+ * @returns {string} Preset id
+ */
+const createPresetId = () => `preset-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Validates a preset against the current filter schema
+ * Unknown or malformed filters are dropped rather than rejecting the whole preset
+ * @param {Object} preset - Untrusted preset
+ * @returns {Object|null} Valid preset, or null if it has no usable name
+ */
+export const validatePreset = (preset) => {
+  if (!preset || typeof preset !== 'object') return null;
+
+  const name = typeof preset.name === 'string' ? preset.name.trim() : '';
+  if (!name) return null;
+
+  const { filters, droppedKeys } = sanitizeFilters(preset.filters);
+  if (droppedKeys.length) {
+    console.warn(`Preset "${name}" has unsupported filters that were ignored:`, droppedKeys);
+  }
+
+  return {
+    id: typeof preset.id === 'string' && preset.id ? preset.id : createPresetId(),
+    name,
+    filters,
+    section: PRESET_SECTIONS.includes(preset.section) ? preset.section : DASHBOARD_SECTIONS.OVERVIEW,
+    createdAt: preset.createdAt || new Date().toISOString(),
+    updatedAt: preset.updatedAt || preset.createdAt || new Date().toISOString()
+  };
+};
+
+/**
+ * Reads saved presets from localStorage, validating each one
+ * @returns {Array} Saved presets
+ */
+export const loadPresets = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEYS.FILTER_PRESETS);
+    const parsed = stored ? JSON.parse(stored) : [];
+    return Array.isArray(parsed) ? parsed.map(validatePreset).filter(Boolean) : [];
+  } catch (error) {
+    console.warn('Failed to read saved filter presets:', error);
+    return [];
+  }
+};
+
+/**
+ * Writes presets to localStorage
+ * @param {Array} presets - Presets to save
+ */
+export const savePresets = (presets) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEYS.FILTER_PRESETS, JSON.stringify(presets));
+  } catch (error) {
+    console.warn('Failed to save filter presets:', error);
+  }
+};
+
+/**
+ * Creates a preset from the current view
+ * @param {string} name - Preset name
+ * @param {Object} filters - Current filters
+ * @param {string} section - Current dashboard section
+ * @returns {Object} New preset
+ */
+export const createPreset = (name, filters, section) => {
+  const now = new Date().toISOString();
+  return validatePreset({ id: createPresetId(), name, filters, section, createdAt: now, updatedAt: now });
+};
+
+/**
+ * Whether another preset already uses a name; names are compared case-insensitively, as when saving and importing
+ * @param {Array} presets - Current presets
+ * @param {string} name - Candidate name
+ * @param {string} exceptId - Id of the preset being renamed, which may keep its own name
+ * @returns {boolean} True if the name is taken
+ */
+export const isPresetNameTaken = (presets, name, exceptId = null) => {
+  const lower = name.trim().toLowerCase();
+  return presets.some(preset => preset.id !== exceptId && preset.name.toLowerCase() === lower);
+};
+
+/**
+ * Serializes presets for download
+ * @param {Array} presets - Presets to export
+ * @returns {string} JSON file content
+ */
+export const exportPresets = (presets) => {
+  return JSON.stringify({
+    version: PRESET_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    presets
+  }, null, 2);
+};
+
+/**
+ * Parses an exported presets file and merges it into existing presets
+ * Imported presets replace existing presets with the same name
+ * @param {string} content - JSON file content
+ * @param {Array} existing - Current presets
+ * @returns {Object} {presets, importedCount, skippedCount}
+ * @throws {Error} If the file isn't a presets export
+ */
+export const importPresets = (content, existing = []) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    throw new Error('The selected file is not valid JSON');
+  }
+
+  // Accept both the export file and a bare array of presets
+  const candidates = Array.isArray(parsed) ? parsed : parsed?.presets;
+  if (!Array.isArray(candidates)) {
+    throw new Error('The selected file does not contain filter presets');
+  }
+
+  const imported = candidates.map(validatePreset).filter(Boolean);
+  const importedNames = new Set(imported.map(preset => preset.name.toLowerCase()));
+  const existingIds = new Set(existing.map(preset => preset.id));
+
+  const presets = [
+    ...existing.filter(preset => !importedNames.has(preset.name.toLowerCase())),
+    // New ids avoid collisions with presets that were renamed since the export
+    ...imported.map(preset => (existingIds.has(preset.id) ? { ...preset, id: createPresetId() } : preset))
+  ];
+
+  return {
+    presets,
+    importedCount: imported.length,
+    skippedCount: candidates.length - imported.length
+  };
+};
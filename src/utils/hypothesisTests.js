@@ -0,0 +1,512 @@
+import _ from 'lodash';
+
+// Significance level used to flag results across the dashboard
+export const SIGNIFICANCE_LEVEL = 0.05;
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ * @param {number} x - Positive number
+ * @returns {number} ln(Γ(x))
+ */
+const logGamma = (x) => {
+  const coefficients = [
+    76.18009172947146, -86.50532032941678, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  const series = coefficients.reduce((sum, coefficient) => sum + coefficient / ++y, 1.000000000190015);
+
+  return -tmp + Math.log((2.5066282746310007 * series) / x);
+};
+
+/**
+ * Continued fraction for the incomplete beta function (modified Lentz's method)
+ * @param {number} x - Point in [0, 1]
+ * @param {number} a - First shape parameter
+ * @param {number} b - Second shape parameter
+ * @returns {number} Continued fraction value
+ */
+const betaContinuedFraction = (x, a, b) => {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let result = d;
+
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    result *= d * c;
+
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+
+    if (Math.abs(delta - 1) < 3e-14) break;
+  }
+
+  return result;
+};
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ * @param {number} x - Point in [0, 1]
+ * @param {number} a - First shape parameter
+ * @param {number} b - Second shape parameter
+ * @returns {number} I_x(a, b)
+ */
+const incompleteBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+
+  // The continued fraction converges quickly only on one side of the mean
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(x, a, b)) / a
+    : 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+};
+
+/**
+ * Regularized upper incomplete gamma function Q(a, x)
+ * @param {number} a - Shape parameter
+ * @param {number} x - Point (>= 0)
+ * @returns {number} Q(a, x)
+ */
+const upperIncompleteGamma = (a, x) => {
+  if (x <= 0) return 1;
+
+  const logPrefix = -x + a * Math.log(x) - logGamma(a);
+
+  if (x < a + 1) {
+    // Series for the lower function P(a, x)
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n <= 500; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 3e-14) break;
+    }
+    return 1 - sum * Math.exp(logPrefix);
+  }
+
+  // Continued fraction for Q(a, x)
+  const tiny = 1e-30;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let result = d;
+  for (let n = 1; n <= 500; n++) {
+    const an = -n * (n - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+    if (Math.abs(delta - 1) < 3e-14) break;
+  }
+  return result * Math.exp(logPrefix);
+};
+
+/**
+ * Two-sided p-value of a Student t statistic
+ * @param {number} t - t statistic
+ * @param {number} df - Degrees of freedom
+ * @returns {number} p-value
+ */
+export const studentTPValue = (t, df) => {
+  if (!Number.isFinite(t) || !(df > 0)) return NaN;
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+};
+
+/**
+ * Critical value of Student's t for a two-sided interval
+ * @param {number} df - Degrees of freedom; Infinity gives the normal (z) critical value
+ * @param {number} level - Confidence level, e.g. 0.95
+ * @returns {number} t such that P(|T| > t) = 1 - level
+ */
+export const studentTCriticalValue = (df, level = 0.95) => {
+  if (!(df > 0) || !(level > 0 && level < 1)) return NaN;
+
+  // The p-value falls as t grows, so bisect on it
+  let low = 0;
+  let high = 1000;
+  for (let i = 0; i < 100; i++) {
+    const middle = (low + high) / 2;
+    const pValue = Number.isFinite(df) ? studentTPValue(middle, df) : normalPValue(middle);
+    if (pValue > 1 - level) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  return (low + high) / 2;
+};
+
+/**
+ * Upper-tail p-value of an F statistic
+ * @param {number} f - F statistic
+ * @param {number} df1 - Numerator degrees of freedom
+ * @param {number} df2 - Denominator degrees of freedom
+ * @returns {number} p-value
+ */
+export const fPValue = (f, df1, df2) => {
+  if (!Number.isFinite(f) || !(df1 > 0) || !(df2 > 0)) return NaN;
+  if (f <= 0) return 1;
+  return incompleteBeta(df2 / (df2 + df1 * f), df2 / 2, df1 / 2);
+};
+
+/**
+ * Upper-tail p-value of a chi-square statistic
+ * @param {number} chiSquare - Chi-square statistic
+ * @param {number} df - Degrees of freedom
+ * @returns {number} p-value
+ */
+export const chiSquarePValue = (chiSquare, df) => {
+  if (!Number.isFinite(chiSquare) || !(df > 0)) return NaN;
+  return upperIncompleteGamma(df / 2, chiSquare / 2);
+};
+
+/**
+ * Two-sided p-value of a standard normal z statistic
+ * @param {number} z - z statistic
+ * @returns {number} p-value
+ */
+export const normalPValue = (z) => {
+  if (!Number.isFinite(z)) return NaN;
+  // z² follows a chi-square distribution with one degree of freedom
+  return chiSquarePValue(z * z, 1);
+};
+
+/**
+ * Quantile of the standard normal distribution
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number} z such that P(Z ≤ z) = p
+ */
+export const normalQuantile = (p) => {
+  if (!(p > 0 && p < 1)) return NaN;
+  if (p === 0.5) return 0;
+  const z = studentTCriticalValue(Infinity, Math.abs(1 - 2 * p));
+  return p < 0.5 ? -z : z;
+};
+
+// Conventional small / medium / large thresholds for each effect size measure (Cohen, 1988)
+const EFFECT_SIZE_THRESHOLDS = {
+  cohensD: [0.2, 0.5, 0.8],
+  rankBiserial: [0.1, 0.3, 0.5],
+  etaSquared: [0.01, 0.06, 0.14],
+  epsilonSquared: [0.01, 0.06, 0.14],
+  cramersV: [0.1, 0.3, 0.5],
+  cohensW: [0.1, 0.3, 0.5]
+};
+
+/**
+ * Describes the magnitude of an effect size
+ * @param {number} value - Effect size
+ * @param {string} measure - 'cohensD', 'rankBiserial', 'etaSquared', 'epsilonSquared', 'cramersV' or 'cohensW'
+ * @returns {string} 'negligible', 'small', 'medium' or 'large'
+ */
+export const describeEffectSize = (value, measure) => {
+  const [small, medium, large] = EFFECT_SIZE_THRESHOLDS[measure] || EFFECT_SIZE_THRESHOLDS.cohensD;
+  const magnitude = Math.abs(value);
+
+  if (!Number.isFinite(magnitude) || magnitude < small) return 'negligible';
+  if (magnitude < medium) return 'small';
+  if (magnitude < large) return 'medium';
+  return 'large';
+};
+
+/**
+ * Drops missing and non-numeric values
+ * @param {Array} values - Raw values
+ * @returns {Array} Finite numbers
+ */
+const cleanSample = (values) => values.filter(value => typeof value === 'number' && Number.isFinite(value));
+
+/**
+ * Sample variance (n - 1 denominator)
+ * @param {Array} values - Numbers
+ * @param {number} mean - Sample mean
+ * @returns {number} Variance
+ */
+const sampleVariance = (values, mean) => _.sumBy(values, value => (value - mean) ** 2) / (values.length - 1);
+
+/**
+ * Ranks values jointly, giving ties their average rank
+ * @param {Array} values - Numbers
+ * @returns {Object} {ranks, tieCorrection} with ranks in the input order and the sum of t³ - t over tie groups
+ */
+export const rankValues = (values) => {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+  let tieCorrection = 0;
+
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+
+    const averageRank = (start + end) / 2 + 1;
+    for (let position = start; position <= end; position++) {
+      ranks[order[position].index] = averageRank;
+    }
+
+    const tieSize = end - start + 1;
+    tieCorrection += tieSize ** 3 - tieSize;
+    start = end + 1;
+  }
+
+  return { ranks, tieCorrection };
+};
+
+/**
+ * Welch's t-test for a difference in means, not assuming equal variances
+ * Cohen's d uses the pooled standard deviation
+ * @param {Array} sampleA - First sample
+ * @param {Array} sampleB - Second sample
+ * @returns {Object|null} {t, df, pValue, meanDifference, cohensD, significant}, or null with fewer than 2 values per sample
+ */
+export const welchTTest = (sampleA, sampleB) => {
+  const a = cleanSample(sampleA);
+  const b = cleanSample(sampleB);
+  if (a.length < 2 || b.length < 2) return null;
+
+  const meanA = _.mean(a);
+  const meanB = _.mean(b);
+  const varianceA = sampleVariance(a, meanA);
+  const varianceB = sampleVariance(b, meanB);
+  const seA = varianceA / a.length;
+  const seB = varianceB / b.length;
+  const standardError = Math.sqrt(seA + seB);
+  const pooledSd = Math.sqrt(((a.length - 1) * varianceA + (b.length - 1) * varianceB) / (a.length + b.length - 2));
+  const cohensD = pooledSd > 0 ? (meanA - meanB) / pooledSd : 0;
+
+  if (standardError === 0) {
+    const pValue = meanA === meanB ? 1 : 0;
+    return { t: meanA === meanB ? 0 : Infinity, df: a.length + b.length - 2, pValue, meanDifference: meanA - meanB, cohensD, significant: pValue < SIGNIFICANCE_LEVEL };
+  }
+
+  const t = (meanA - meanB) / standardError;
+  const df = (seA + seB) ** 2 / (seA ** 2 / (a.length - 1) + seB ** 2 / (b.length - 1));
+  const pValue = studentTPValue(t, df);
+
+  return { t, df, pValue, meanDifference: meanA - meanB, cohensD, significant: pValue < SIGNIFICANCE_LEVEL };
+};
+
+/**
+ * Mann-Whitney U test for a shift between two distributions (normal approximation with tie and continuity corrections)
+ * Suits ratings and other skewed or discrete data where a t-test's normality assumption is doubtful
+ * The rank-biserial correlation is positive when values in sampleA tend to be larger
+ * @param {Array} sampleA - First sample
+ * @param {Array} sampleB - Second sample
+ * @returns {Object|null} {u, z, pValue, rankBiserial, probabilityOfSuperiority, significant}, or null if a sample is empty
+ */
+export const mannWhitneyUTest = (sampleA, sampleB) => {
+  const a = cleanSample(sampleA);
+  const b = cleanSample(sampleB);
+  if (!a.length || !b.length) return null;
+
+  const n1 = a.length;
+  const n2 = b.length;
+  const n = n1 + n2;
+  const { ranks, tieCorrection } = rankValues([...a, ...b]);
+  const rankSumA = _.sum(ranks.slice(0, n1));
+
+  const u = rankSumA - (n1 * (n1 + 1)) / 2;
+  const meanU = (n1 * n2) / 2;
+  const sdU = Math.sqrt((n1 * n2 / 12) * ((n + 1) - tieCorrection / (n * (n - 1))));
+
+  const difference = u - meanU;
+  const z = sdU > 0 ? (Math.sign(difference) * Math.max(0, Math.abs(difference) - 0.5)) / sdU : 0;
+  const pValue = sdU > 0 ? normalPValue(z) : 1;
+
+  return {
+    u,
+    z,
+    pValue,
+    rankBiserial: (2 * u) / (n1 * n2) - 1,
+    probabilityOfSuperiority: u / (n1 * n2),
+    significant: pValue < SIGNIFICANCE_LEVEL
+  };
+};
+
+/**
+ * One-way ANOVA for a difference in means across groups
+ * @param {Array} groups - Arrays of numbers
+ * @returns {Object|null} {f, dfBetween, dfWithin, pValue, etaSquared, significant}, or null if fewer than 2 usable groups
+ */
+export const oneWayAnova = (groups) => {
+  const samples = groups.map(cleanSample).filter(sample => sample.length > 0);
+  const total = _.sumBy(samples, 'length');
+  if (samples.length < 2 || total <= samples.length) return null;
+
+  const grandMean = _.mean(_.flatten(samples));
+  const ssBetween = _.sumBy(samples, sample => sample.length * (_.mean(sample) - grandMean) ** 2);
+  const ssWithin = _.sumBy(samples, sample => {
+    const mean = _.mean(sample);
+    return _.sumBy(sample, value => (value - mean) ** 2);
+  });
+
+  const dfBetween = samples.length - 1;
+  const dfWithin = total - samples.length;
+  const f = ssWithin === 0 ? (ssBetween === 0 ? 0 : Infinity) : (ssBetween / dfBetween) / (ssWithin / dfWithin);
+  const pValue = Number.isFinite(f) ? fPValue(f, dfBetween, dfWithin) : 0;
+
+  return {
+    f,
+    dfBetween,
+    dfWithin,
+    pValue,
+    etaSquared: ssBetween + ssWithin > 0 ? ssBetween / (ssBetween + ssWithin) : 0,
+    significant: pValue < SIGNIFICANCE_LEVEL
+  };
+};
+
+/**
+ * Kruskal-Wallis H test for a difference in distributions across groups (rank-based one-way ANOVA)
+ * @param {Array} groups - Arrays of numbers
+ * @returns {Object|null} {h, df, pValue, epsilonSquared, significant}, or null if fewer than 2 usable groups
+ */
+export const kruskalWallisTest = (groups) => {
+  const samples = groups.map(cleanSample).filter(sample => sample.length > 0);
+  const total = _.sumBy(samples, 'length');
+  if (samples.length < 2 || total <= samples.length) return null;
+
+  const { ranks, tieCorrection } = rankValues(_.flatten(samples));
+  let offset = 0;
+  const rankTerm = _.sumBy(samples, sample => {
+    const rankSum = _.sum(ranks.slice(offset, offset + sample.length));
+    offset += sample.length;
+    return rankSum ** 2 / sample.length;
+  });
+
+  const correction = 1 - tieCorrection / (total ** 3 - total);
+  // Every value tied: no ranking information at all
+  if (correction <= 0) {
+    return { h: 0, df: samples.length - 1, pValue: 1, epsilonSquared: 0, significant: false };
+  }
+
+  const h = ((12 / (total * (total + 1))) * rankTerm - 3 * (total + 1)) / correction;
+  const df = samples.length - 1;
+  const pValue = chiSquarePValue(Math.max(0, h), df);
+
+  return {
+    h,
+    df,
+    pValue,
+    epsilonSquared: Math.max(0, h) / (total - 1),
+    significant: pValue < SIGNIFICANCE_LEVEL
+  };
+};
+
+/**
+ * Pearson's chi-square test of independence on a contingency table
+ * Rows are groups and columns are outcomes; empty rows and columns are ignored
+ * @param {Array} table - Array of rows of counts
+ * @returns {Object|null} {chiSquare, df, pValue, cramersV, significant}, or null for a degenerate table
+ */
+export const chiSquareTest = (table) => {
+  const rows = table.filter(row => _.sum(row) > 0);
+  if (rows.length < 2) return null;
+
+  const columnCount = rows[0].length;
+  const columnTotals = _.range(columnCount).map(column => _.sumBy(rows, row => row[column]));
+  const usedColumns = _.range(columnCount).filter(column => columnTotals[column] > 0);
+  if (usedColumns.length < 2) return null;
+
+  const total = _.sum(columnTotals);
+  let chiSquare = 0;
+
+  rows.forEach(row => {
+    const rowTotal = _.sum(row);
+    usedColumns.forEach(column => {
+      const expected = (rowTotal * columnTotals[column]) / total;
+      chiSquare += (row[column] - expected) ** 2 / expected;
+    });
+  });
+
+  const df = (rows.length - 1) * (usedColumns.length - 1);
+  const pValue = chiSquarePValue(chiSquare, df);
+
+  return {
+    chiSquare,
+    df,
+    pValue,
+    cramersV: Math.sqrt(chiSquare / (total * Math.min(rows.length - 1, usedColumns.length - 1))),
+    significant: pValue < SIGNIFICANCE_LEVEL
+  };
+};
+
+/**
+ * Chi-square goodness-of-fit test against equal expected counts
+ * @param {Array} counts - Observed counts
+ * @returns {Object|null} {chiSquare, df, pValue, cohensW, significant}, or null with fewer than 2 categories or no observations
+ */
+export const chiSquareGoodnessOfFit = (counts) => {
+  const total = _.sum(counts);
+  if (counts.length < 2 || total <= 0) return null;
+
+  const expected = total / counts.length;
+  const chiSquare = _.sumBy(counts, count => (count - expected) ** 2 / expected);
+  const df = counts.length - 1;
+  const pValue = chiSquarePValue(chiSquare, df);
+
+  return {
+    chiSquare,
+    df,
+    pValue,
+    cohensW: Math.sqrt(chiSquare / total),
+    significant: pValue < SIGNIFICANCE_LEVEL
+  };
+};
+
+/**
+ * Holm-Bonferroni adjustment for multiple comparisons
+ * @param {Array} pValues - Raw p-values (NaN entries are kept as NaN)
+ * @returns {Array} Adjusted p-values in the original order
+ */
+export const adjustPValuesHolm = (pValues) => {
+  const ranked = pValues
+    .map((pValue, index) => ({ pValue, index }))
+    .filter(entry => Number.isFinite(entry.pValue))
+    .sort((a, b) => a.pValue - b.pValue);
+
+  const adjusted = pValues.map(() => NaN);
+  let runningMax = 0;
+
+  ranked.forEach((entry, rank) => {
+    runningMax = Math.max(runningMax, Math.min(1, (ranked.length - rank) * entry.pValue));
+    adjusted[entry.index] = runningMax;
+  });
+
+  return adjusted;
+};
+
+/**
+ * Formats a p-value for display
+ * @param {number} pValue - p-value
+ * @returns {string} e.g. 'p < 0.001' or 'p = 0.042'
+ */
+export const formatPValue = (pValue) => {
+  if (!Number.isFinite(pValue)) return 'n/a';
+  if (pValue < 0.001) return 'p < 0.001';
+  return `p = ${pValue.toFixed(3)}`;
+};
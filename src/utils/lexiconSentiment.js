@@ -0,0 +1,183 @@
+// Offline, rule-based review sentiment after VADER (Hutto & Gilbert, 2014). Word valences run from
+// -4 to +4 and are adjusted for negation, intensifiers, capitals, "but" and exclamation marks
+
+// Valences for common review vocabulary, on VADER's -4 to +4 scale
+export const SENTIMENT_LEXICON = {
+  // Positive
+  accurate: 1.6, addictive: 1.2, adorable: 2.2, amazing: 2.8, awesome: 3.1, beautiful: 2.9, beautifully: 2.7,
+  best: 3.2, better: 1.9, brilliant: 2.8, clean: 1.7, clear: 1.6, comfortable: 1.5, cool: 1.3, convenient: 1.6,
+  cute: 2.0, delight: 2.9, delightful: 2.9, easier: 1.8, easy: 1.9, effective: 2.1, efficient: 1.8, elegant: 2.1,
+  enjoy: 2.2, enjoyable: 1.9, enjoyed: 2.3, enjoying: 2.4, entertaining: 1.9, excellent: 2.7, excited: 1.4,
+  exciting: 2.2, fabulous: 2.4, fantastic: 2.6, fast: 1.1, favorite: 2.0, favourite: 2.0, fine: 0.8, fun: 2.3,
+  funny: 1.9, glad: 2.0, good: 1.9, gorgeous: 3.0, grateful: 2.0, great: 3.1, happy: 2.7, helpful: 1.8,
+  helps: 1.4, impressed: 2.1, impressive: 2.3, incredible: 2.6, intuitive: 1.7, like: 1.5, liked: 1.8,
+  likes: 1.8, love: 3.2, loved: 2.9, lovely: 2.8, loves: 2.7, loving: 2.9, neat: 2.0, nice: 1.8, perfect: 2.7,
+  perfectly: 3.2, pleasant: 2.3, pleased: 1.9, powerful: 1.8, quick: 1.1, recommend: 1.5, recommended: 0.8,
+  relaxing: 2.2, reliable: 1.9, safe: 1.9, satisfied: 1.8, simple: 0.9, smooth: 1.6, solid: 1.5, stable: 1.2,
+  super: 2.9, superb: 3.1, thank: 1.5, thanks: 1.9, thankful: 2.7, useful: 1.9, valuable: 2.1, well: 1.1,
+  win: 2.8, wonderful: 2.7, worth: 0.9, wow: 2.8, yay: 2.4, yes: 1.7,
+
+  // Negative
+  abysmal: -3.0, angry: -2.3, annoyed: -1.6, annoying: -1.7, anxious: -1.0, awful: -2.0, bad: -2.5,
+  badly: -2.1, boring: -1.3, broken: -2.1, bug: -1.3, buggy: -1.6, bugs: -1.4, cheat: -2.0, cheating: -2.6,
+  confused: -1.3, confusing: -1.3, crap: -1.6, crappy: -2.5, crash: -1.7, crashed: -1.7, crashes: -1.7,
+  crashing: -1.7, dead: -3.3, delete: -0.8, deleted: -1.0, deleting: -1.0, disappointed: -1.9,
+  disappointing: -2.2, disappointment: -2.3, dislike: -1.6, disgusting: -2.4, dumb: -2.3, error: -1.7,
+  errors: -1.4, expensive: -0.9, fail: -2.5, failed: -2.3, fails: -2.0, failure: -2.3, fake: -2.1, freeze: -0.7,
+  freezes: -0.9, frustrated: -2.4, frustrating: -1.9, garbage: -1.7, glitch: -1.2, glitches: -1.2, hate: -2.7,
+  hated: -3.2, hates: -1.9, horrible: -2.5, issue: -0.6, issues: -0.8, lag: -1.0, laggy: -1.2, lame: -1.8,
+  lost: -1.3, mess: -1.5, messed: -1.4, poor: -2.1, poorly: -1.9, problem: -1.7, problems: -1.7, ridiculous: -1.5,
+  sad: -2.1, scam: -2.4, slow: -1.1, spam: -1.5, stupid: -2.4, sucks: -1.5, terrible: -2.1, trash: -1.6,
+  ugly: -2.3, uninstall: -1.1, uninstalled: -1.2, unfortunately: -1.4, unusable: -2.0, upset: -1.6,
+  useless: -1.8, waste: -1.8, wasted: -2.2, wasting: -1.7, worse: -2.1, worst: -3.1, wrong: -2.1,
+
+  // Emoticons
+  ':)': 2.0, ':-)': 1.3, ':D': 2.3, ':(': -1.9, ':-(': -1.5, ':/': -1.4, '<3': 1.9
+};
+
+// Words that raise (positive) or lower (negative) the intensity of the word they precede
+export const SENTIMENT_BOOSTERS = {
+  absolutely: 0.293, completely: 0.293, especially: 0.293, extremely: 0.293, highly: 0.293, incredibly: 0.293,
+  most: 0.293, so: 0.293, super: 0.293, too: 0.293, totally: 0.293, truly: 0.293, very: 0.293, really: 0.293,
+  barely: -0.293, hardly: -0.293, kinda: -0.293, less: -0.293, little: -0.293, marginally: -0.293,
+  partly: -0.293, slightly: -0.293, somewhat: -0.293, sorta: -0.293
+};
+
+// Words that flip the polarity of a sentiment word up to three positions after them
+export const NEGATIONS = new Set([
+  'aint', 'arent', 'cannot', 'cant', 'couldnt', 'didnt', 'doesnt', 'dont', 'hadnt', 'hasnt', 'havent', 'isnt',
+  'neither', 'never', 'no', 'nobody', 'none', 'nor', 'not', 'nothing', 'nowhere', 'shouldnt', 'wasnt',
+  'werent', 'without', 'wont', 'wouldnt'
+]);
+
+// Compound scores at or beyond ±this are labelled Positive or Negative, as in VADER
+export const LEXICON_SENTIMENT_THRESHOLD = 0.05;
+
+// Scaling constants from the VADER reference implementation
+const NEGATION_SCALAR = -0.74;
+const CAPS_INCREMENT = 0.733;
+const BOOSTER_DECAY = [1, 0.95, 0.9];
+const EXCLAMATION_INCREMENT = 0.292;
+const MAX_EXCLAMATIONS = 4;
+const QUESTION_INCREMENT = 0.18;
+const MAX_QUESTION_EMPHASIS = 0.96;
+const NORMALIZATION_ALPHA = 15;
+
+// Maps, so words like "constructor" don't resolve to Object.prototype members
+const VALENCES = new Map(Object.entries(SENTIMENT_LEXICON));
+const BOOSTERS = new Map(Object.entries(SENTIMENT_BOOSTERS));
+
+/**
+ * Lowercases a word and drops apostrophes, so "Don't" and "dont" look up the same entry
+ * @param {string} word - Raw word
+ * @returns {string} Lookup key
+ */
+const normalizeWord = (word) => word.toLowerCase().replace(/['’]/g, '');
+
+/**
+ * Splits text on whitespace, trimming surrounding punctuation unless the token is an emoticon
+ * @param {string} text - Review text
+ * @returns {Array} Words with their original casing
+ */
+const splitWords = (text) => String(text)
+  .split(/\s+/)
+  .map(word => (VALENCES.has(word) ? word : word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '')))
+  .filter(word => word.length > 1 || /\p{L}/u.test(word));
+
+/**
+ * Whether a word is written in capitals, like "LOVE" (single letters such as "I" don't count)
+ * @param {string} word - Raw word
+ * @returns {boolean} True if shouting
+ */
+const isShouting = (word) => word.length > 1 && word === word.toUpperCase() && word !== word.toLowerCase();
+
+/**
+ * Maps a compound score to the dataset's sentiment labels
+ * @param {number} compound - Compound score in [-1, 1]
+ * @returns {string} 'Positive', 'Negative' or 'Neutral'
+ */
+export const labelFromCompound = (compound) => {
+  if (compound >= LEXICON_SENTIMENT_THRESHOLD) return 'Positive';
+  if (compound <= -LEXICON_SENTIMENT_THRESHOLD) return 'Negative';
+  return 'Neutral';
+};
+
+/**
+ * Scores the sentiment of a piece of text
+ * @param {string} text - Review text
+ * @returns {Object|null} { compound, positive, negative, neutral, label }, where compound is in [-1, 1]
+ *   and positive/negative/neutral are the shares of the text's sentiment mass; null when there's no text
+ */
+export const scoreSentiment = (text) => {
+  if (!text || typeof text !== 'string' || !text.trim()) return null;
+
+  const words = splitWords(text);
+  const keys = words.map(normalizeWord);
+  // Capitals only signal emphasis when the rest of the text isn't shouted too
+  const hasCapsDifferential = words.some(isShouting) && !words.every(isShouting);
+
+  const valences = words.map((word, index) => {
+    const key = keys[index];
+    if (BOOSTERS.has(key) && !VALENCES.has(key)) return 0;
+
+    let valence = VALENCES.get(word) ?? VALENCES.get(key);
+    if (valence === undefined) return 0;
+
+    const sign = Math.sign(valence);
+    if (hasCapsDifferential && isShouting(word)) valence += sign * CAPS_INCREMENT;
+
+    BOOSTER_DECAY.forEach((decay, offset) => {
+      const previous = index - offset - 1;
+      if (previous < 0) return;
+
+      const booster = BOOSTERS.get(keys[previous]);
+      if (booster !== undefined) {
+        let boost = booster * sign;
+        if (hasCapsDifferential && isShouting(words[previous])) boost += sign * CAPS_INCREMENT * Math.sign(booster);
+        valence += boost * decay;
+      }
+
+      if (NEGATIONS.has(keys[previous]) || /n't$/i.test(words[previous])) valence *= NEGATION_SCALAR;
+    });
+
+    return valence;
+  });
+
+  // Sentiment after "but" usually carries the reviewer's verdict
+  const butIndex = keys.lastIndexOf('but');
+  if (butIndex !== -1) {
+    valences.forEach((valence, index) => {
+      if (index < butIndex) valences[index] = valence * 0.5;
+      else if (index > butIndex) valences[index] = valence * 1.5;
+    });
+  }
+
+  let sum = valences.reduce((total, valence) => total + valence, 0);
+
+  const exclamations = Math.min((text.match(/!/g) || []).length, MAX_EXCLAMATIONS);
+  const questions = (text.match(/\?/g) || []).length;
+  const punctuationEmphasis = exclamations * EXCLAMATION_INCREMENT
+    + (questions > 1 ? Math.min(questions * QUESTION_INCREMENT, MAX_QUESTION_EMPHASIS) : 0);
+
+  if (sum !== 0) sum += Math.sign(sum) * punctuationEmphasis;
+
+  const compound = Math.max(-1, Math.min(1, sum / Math.sqrt(sum * sum + NORMALIZATION_ALPHA)));
+
+  // Shares as in VADER: each sentiment word adds its valence plus one, each neutral word adds one
+  let positiveMass = valences.reduce((total, valence) => total + (valence > 0 ? valence + 1 : 0), 0);
+  let negativeMass = valences.reduce((total, valence) => total + (valence < 0 ? Math.abs(valence - 1) : 0), 0);
+  const neutralMass = valences.filter(valence => valence === 0).length;
+
+  if (positiveMass > negativeMass) positiveMass += punctuationEmphasis;
+  else if (negativeMass > positiveMass) negativeMass += punctuationEmphasis;
+
+  const total = positiveMass + negativeMass + neutralMass;
+
+  return {
+    compound,
+    positive: total ? positiveMass / total : 0,
+    negative: total ? negativeMass / total : 0,
+    neutral: total ? neutralMass / total : 1,
+    label: labelFromCompound(compound)
+  };
+};
@@ -0,0 +1,200 @@
+import { validateDataQuality } from './csvLoader';
+import {
+  processAppsData,
+  processReviewsData,
+  removeDuplicateApps,
+  mergeAppsWithSentiment,
+  filterApps
+} from './dataProcessor';
+import {
+  generateOverviewAnalytics,
+  generateCategoryAnalytics,
+  generateRatingAnalytics,
+  generateSentimentAnalytics,
+  generateThemeAnalytics,
+  generateSentimentMismatches,
+  generateCorrelationAnalytics,
+  generateInsights,
+  generateTrendAnalytics,
+  generateChartData
+} from './analytics';
+import { analyzeCategoryPerformance } from './statisticalAnalysis';
+import { LOADING_MESSAGES } from './constants';
+import { createCancelledError } from './errors';
+
+/**
+ * Gives queued messages (such as cancellations) a chance to run between steps
+ * @returns {Promise<void>} Resolves on the next macrotask
+ */
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Runs pipeline steps in order, reporting progress and stopping early when cancelled
+ * @param {Array} steps - Steps as {message, run(context)}; each result is stored on context by key
+ * @param {Object} context - Shared step context
+ * @param {Object} options - Run options
+ * @param {Function} options.onProgress - Called with each step's message
+ * @param {Function} options.isCancelled - Returns true once the job should stop
+ * @returns {Promise<Object>} Context after all steps have run
+ */
+const runSteps = async (steps, context, { onProgress = () => {}, isCancelled = () => false } = {}) => {
+  for (const step of steps) {
+    await yieldToEventLoop();
+    if (isCancelled()) throw createCancelledError();
+
+    onProgress(step.message);
+    context[step.key] = step.run(context);
+  }
+
+  return context;
+};
+
+const PROCESS_STEPS = [
+  {
+    key: 'processedApps',
+    message: LOADING_MESSAGES.CLEANING_APPS,
+    run: ({ rawData }) => processAppsData(rawData.apps)
+  },
+  {
+    key: 'cleanApps',
+    message: LOADING_MESSAGES.CLEANING_APPS,
+    run: ({ processedApps }) => removeDuplicateApps(processedApps)
+  },
+  {
+    key: 'processedReviews',
+    message: LOADING_MESSAGES.PROCESSING_REVIEWS,
+    run: ({ rawData }) => processReviewsData(rawData.reviews)
+  },
+  {
+    key: 'enrichedApps',
+    message: LOADING_MESSAGES.MERGING_SENTIMENT,
+    run: ({ cleanApps, processedReviews }) => mergeAppsWithSentiment(cleanApps, processedReviews)
+  },
+  {
+    key: 'dataQuality',
+    message: LOADING_MESSAGES.CHECKING_QUALITY,
+    run: ({ enrichedApps, processedReviews }) => ({
+      apps: validateDataQuality(enrichedApps),
+      reviews: validateDataQuality(processedReviews)
+    })
+  }
+];
+
+const ANALYTICS_STEPS = [
+  {
+    key: 'overview',
+    message: LOADING_MESSAGES.PROCESSING_DATA,
+    run: ({ filteredApps }) => generateOverviewAnalytics(filteredApps)
+  },
+  {
+    key: 'categoryPerformance',
+    message: LOADING_MESSAGES.ANALYZING_CATEGORIES,
+    run: ({ filteredApps }) => analyzeCategoryPerformance(filteredApps)
+  },
+  {
+    key: 'categories',
+    message: LOADING_MESSAGES.ANALYZING_CATEGORIES,
+    run: ({ filteredApps, categoryPerformance }) => generateCategoryAnalytics(filteredApps, categoryPerformance)
+  },
+  {
+    key: 'ratings',
+    message: LOADING_MESSAGES.ANALYZING_RATINGS,
+    run: ({ filteredApps }) => generateRatingAnalytics(filteredApps)
+  },
+  {
+    key: 'sentiment',
+    message: LOADING_MESSAGES.ANALYZING_SENTIMENT,
+    run: ({ reviews, filteredApps }) => generateSentimentAnalytics(reviews, filteredApps)
+  },
+  {
+    key: 'themes',
+    message: LOADING_MESSAGES.ANALYZING_THEMES,
+    run: ({ reviews, filteredApps }) => generateThemeAnalytics(reviews, filteredApps)
+  },
+  {
+    key: 'mismatches',
+    message: LOADING_MESSAGES.FINDING_MISMATCHES,
+    run: ({ filteredApps, reviews }) => generateSentimentMismatches(filteredApps, reviews)
+  },
+  {
+    key: 'correlations',
+    message: LOADING_MESSAGES.CALCULATING_CORRELATIONS,
+    run: ({ filteredApps }) => generateCorrelationAnalytics(filteredApps)
+  },
+  {
+    key: 'insights',
+    message: LOADING_MESSAGES.CALCULATING_INSIGHTS,
+    run: ({ filteredApps, reviews, categoryPerformance }) => generateInsights(filteredApps, reviews, categoryPerformance)
+  },
+  {
+    key: 'trends',
+    message: LOADING_MESSAGES.ANALYZING_TRENDS,
+    run: ({ filteredApps }) => generateTrendAnalytics(filteredApps)
+  },
+  {
+    key: 'chartData',
+    message: LOADING_MESSAGES.GENERATING_CHARTS,
+    run: ({ filteredApps, categoryPerformance }) => generateChartData(filteredApps, categoryPerformance)
+  }
+];
+
+/**
+ * Cleans, deduplicates and merges raw CSV rows into the processed dataset
+ * @param {Object} rawData - Raw data with apps and reviews rows
+ * @param {Object} options - Progress and cancellation callbacks
+ * @returns {Promise<Object>} {processedData, dataQuality}
+ */
+export const runProcessPipeline = async (rawData, options = {}) => {
+  const context = await runSteps(PROCESS_STEPS, { rawData }, options);
+
+  return {
+    processedData: {
+      apps: context.enrichedApps,
+      reviews: context.processedReviews,
+      processedAt: new Date().toISOString(),
+      stats: {
+        totalApps: context.enrichedApps.length,
+        totalReviews: context.processedReviews.length,
+        duplicatesRemoved: context.processedApps.length - context.cleanApps.length
+      }
+    },
+    dataQuality: context.dataQuality
+  };
+};
+
+/**
+ * Filters apps and generates analytics and chart data for the result
+ * Mirrors generateAnalytics, split into steps so a stale job can stop between them
+ * @param {Array} apps - Processed apps data
+ * @param {Array} reviews - Processed reviews data
+ * @param {Object} filters - Filter criteria
+ * @param {Object} options - Progress and cancellation callbacks
+ * @returns {Promise<Object>} {filteredApps, analytics, chartData}; analytics is null when no apps match
+ */
+export const runAnalyticsPipeline = async (apps, reviews, filters = {}, options = {}) => {
+  options.onProgress?.(LOADING_MESSAGES.FILTERING_APPS);
+  const filteredApps = filterApps(apps, filters);
+
+  if (!filteredApps.length) {
+    return { filteredApps, analytics: null, chartData: null };
+  }
+
+  const context = await runSteps(ANALYTICS_STEPS, { reviews, filteredApps }, options);
+
+  return {
+    filteredApps,
+    analytics: {
+      overview: context.overview,
+      categories: context.categories,
+      ratings: context.ratings,
+      sentiment: context.sentiment,
+      themes: context.themes,
+      mismatches: context.mismatches,
+      correlations: context.correlations,
+      insights: context.insights,
+      trends: context.trends,
+      generatedAt: new Date().toISOString()
+    },
+    chartData: context.chartData
+  };
+};
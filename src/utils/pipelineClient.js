@@ -0,0 +1,187 @@
+import { runProcessPipeline, runAnalyticsPipeline } from './pipeline';
+import { createCancelledError } from './errors';
+
+/**
+ * Starts the data pipeline worker
+ * @returns {Worker|null} Worker, or null where Web Workers are unavailable
+ */
+const createWorker = () => {
+  if (typeof Worker === 'undefined') return null;
+
+  try {
+    return new Worker(
+      new URL('../workers/dataPipeline.worker.js', import.meta.url),
+      { type: 'module' }
+    );
+  } catch (error) {
+    console.warn('Web Worker unavailable, running pipeline on the main thread:', error);
+    return null;
+  }
+};
+
+/**
+ * Creates a main-thread client for the data pipeline worker
+ * Falls back to running the pipeline inline where Web Workers are unavailable
+ * @returns {Object} Client with process and analyze methods
+ */
+export const createPipelineClient = () => {
+  const worker = createWorker();
+  const jobs = new Map();
+  let nextJobId = 1;
+  // Dataset the worker currently holds, tracked by reference
+  let workerDataset = { apps: null, reviews: null };
+
+  const failAll = (error) => {
+    jobs.forEach(job => {
+      job.cleanup();
+      job.reject(error);
+    });
+    jobs.clear();
+  };
+
+  if (worker) {
+    worker.onmessage = (event) => {
+      const { id, type, message, result, error } = event.data;
+      const job = jobs.get(id);
+      if (!job) return;
+
+      if (type === 'progress') {
+        job.onProgress(message);
+        return;
+      }
+
+      jobs.delete(id);
+      job.cleanup();
+
+      if (type === 'result') {
+        job.resolve(result);
+      } else {
+        const jobError = new Error(error?.message || 'Pipeline job failed');
+        jobError.code = error?.code;
+        job.reject(jobError);
+      }
+    };
+
+    worker.onerror = (event) => {
+      console.error('Pipeline worker failed:', event.message);
+      failAll(new Error(event.message || 'Pipeline worker failed'));
+    };
+  }
+
+  /**
+   * Posts a job to the worker
+   * @param {string} type - Job type
+   * @param {Object} payload - Job payload
+   * @param {Object} options - Job options
+   * @param {Function} options.onProgress - Called with progress messages
+   * @param {AbortSignal} options.signal - Cancels the job when aborted
+   * @returns {Promise<any>} Job result
+   */
+  const runInWorker = (type, payload, { onProgress = () => {}, signal } = {}) => {
+    if (signal?.aborted) return Promise.reject(createCancelledError());
+
+    const id = nextJobId++;
+
+    return new Promise((resolve, reject) => {
+      const handleAbort = () => {
+        if (!jobs.has(id)) return;
+        jobs.delete(id);
+        worker.postMessage({ id, type: 'cancel' });
+        reject(createCancelledError());
+      };
+
+      signal?.addEventListener('abort', handleAbort);
+
+      jobs.set(id, {
+        resolve,
+        reject,
+        onProgress,
+        cleanup: () => signal?.removeEventListener('abort', handleAbort)
+      });
+
+      worker.postMessage({ id, type, payload });
+    });
+  };
+
+  /**
+   * Builds inline pipeline options from client options
+   * @param {Object} options - {onProgress, signal}
+   * @returns {Object} {onProgress, isCancelled}
+   */
+  const inlineOptions = ({ onProgress, signal } = {}) => ({
+    onProgress,
+    isCancelled: () => !!signal?.aborted
+  });
+
+  /**
+   * Cleans raw CSV rows into the processed dataset
+   * The result also becomes the worker's dataset for later analyze calls
+   * @param {Object} rawData - Raw apps and reviews rows
+   * @param {Object} options - {onProgress, signal}
+   * @returns {Promise<Object>} {processedData, dataQuality}
+   */
+  const process = async (rawData, options = {}) => {
+    if (!worker) {
+      return runProcessPipeline(rawData, inlineOptions(options));
+    }
+
+    let result;
+    try {
+      result = await runInWorker('process', { rawData }, options);
+    } catch (error) {
+      // A cancelled job may still finish in the worker, so resend the dataset next time
+      workerDataset = { apps: null, reviews: null };
+      throw error;
+    }
+
+    workerDataset = {
+      apps: result.processedData.apps,
+      reviews: result.processedData.reviews
+    };
+
+    return result;
+  };
+
+  /**
+   * Filters apps and generates analytics and chart data
+   * @param {Array} apps - Processed apps data
+   * @param {Array} reviews - Processed reviews data
+   * @param {Object} filters - Filter criteria
+   * @param {Object} options - {onProgress, signal}
+   * @returns {Promise<Object>} {filteredApps, analytics, chartData}
+   */
+  const analyze = async (apps, reviews, filters = {}, options = {}) => {
+    if (!worker) {
+      return runAnalyticsPipeline(apps, reviews, filters, inlineOptions(options));
+    }
+
+    // Only copy the dataset into the worker when it differs from what the worker holds
+    if (workerDataset.apps !== apps || workerDataset.reviews !== reviews) {
+      workerDataset = { apps, reviews };
+      worker.postMessage({ id: nextJobId++, type: 'setDataset', payload: { apps, reviews } });
+    }
+
+    const { filteredIndices, analytics, chartData } = await runInWorker('analyze', { filters }, options);
+
+    return {
+      filteredApps: filteredIndices.map(index => apps[index]),
+      analytics,
+      chartData
+    };
+  };
+
+  return { process, analyze };
+};
+
+let sharedClient = null;
+
+/**
+ * Returns the shared pipeline client, starting its worker on first use
+ * @returns {Object} Pipeline client
+ */
+export const getPipelineClient = () => {
+  if (!sharedClient) {
+    sharedClient = createPipelineClient();
+  }
+  return sharedClient;
+};
@@ -0,0 +1,554 @@
+import { splitGenres, parseAndroidVersion } from './dataProcessor';
+import { createQuerySyntaxError } from './errors';
+
+/**
+ * Filter query language over processed apps, e.g.
+ *   category in (GAME, FAMILY) and rating >= 4.2 and installs > 1M and not isPaid
+ *
+ * query      := or
+ * or         := and ('or' and)*
+ * and        := not ('and' not)*
+ * not        := 'not' not | primary
+ * primary    := '(' or ')' | field [operator value | 'in' '(' value (',' value)* ')' | 'contains' value]
+ *
+ * Numbers may be negative and accept K/M/B suffixes (thousands, millions, billions; KB/MB/GB for size).
+ * Text comparisons are case-insensitive. Apps missing a value never match a comparison on it.
+ */
+
+// Queryable fields; `get` reads the value from a processed app
+export const QUERY_FIELDS = {
+  app: { type: 'string', get: app => app.app, description: 'App name', aliases: ['name'] },
+  category: { type: 'string', get: app => app.category, description: 'Category, e.g. GAME' },
+  genres: { type: 'list', get: app => splitGenres(app.genres), description: 'Genres, e.g. Puzzle', aliases: ['genre'] },
+  rating: { type: 'number', get: app => app.rating, description: 'Average rating (1-5)' },
+  reviews: { type: 'number', get: app => app.reviews, description: 'Number of store reviews' },
+  installs: { type: 'number', get: app => app.installsNumber, description: 'Minimum installs, e.g. 1M', aliases: ['installsNumber'] },
+  price: { type: 'number', get: app => app.priceNumber, description: 'Price in dollars', aliases: ['priceNumber'] },
+  size: { type: 'number', unit: 'bytes', get: app => app.sizeBytes, description: 'App size, e.g. 50MB', aliases: ['sizeBytes'] },
+  type: { type: 'string', get: app => app.type, description: 'Free or Paid' },
+  contentRating: { type: 'string', get: app => app.contentRating, description: 'Content rating, e.g. Teen' },
+  lastUpdated: { type: 'date', get: app => app.lastUpdatedDate, description: 'Last update, e.g. 2018-06-01', aliases: ['lastUpdatedDate'] },
+  androidVersion: { type: 'version', get: app => parseAndroidVersion(app.androidVersion), description: 'Minimum Android version, e.g. 4.4' },
+  currentVersion: { type: 'string', get: app => app.currentVersion, description: 'Current app version' },
+  sentimentScore: { type: 'number', get: app => app.sentimentData?.sentimentScore, description: 'Average review polarity (-1 to 1)' },
+  sentimentReviews: { type: 'number', get: app => app.sentimentData?.totalReviews, description: 'Reviews with sentiment' },
+  isPaid: { type: 'boolean', get: app => app.isPaid, description: 'Whether the app is paid' },
+  hasRating: { type: 'boolean', get: app => !!app.hasRating, description: 'Whether the app has a rating' },
+  isPopular: { type: 'boolean', get: app => app.isPopular, description: 'Whether the app has 1M+ installs' }
+};
+
+const KEYWORDS = ['and', 'or', 'not', 'in', 'contains', 'true', 'false'];
+
+const COMPARISON_OPERATORS = ['=', '==', '!=', '<', '<=', '>', '>='];
+
+// Operators allowed for each field type, besides 'in'
+const TYPE_OPERATORS = {
+  number: ['=', '!=', '<', '<=', '>', '>='],
+  date: ['=', '!=', '<', '<=', '>', '>='],
+  version: ['=', '!=', '<', '<=', '>', '>='],
+  string: ['=', '!=', 'contains'],
+  list: ['=', '!=', 'contains'],
+  boolean: ['=', '!=']
+};
+
+const DECIMAL_SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+const BYTE_SUFFIXES = { k: 1024, kb: 1024, m: 1024 ** 2, mb: 1024 ** 2, g: 1024 ** 3, gb: 1024 ** 3 };
+
+// Field names and aliases, lowercased
+const FIELD_LOOKUP = Object.entries(QUERY_FIELDS).reduce((lookup, [name, field]) => {
+  [name, ...(field.aliases || [])].forEach(alias => {
+    lookup[alias.toLowerCase()] = name;
+  });
+  return lookup;
+}, {});
+
+/**
+ * Splits a query into tokens
+ * @param {string} query - Query text
+ * @returns {Array} Tokens {type, value, text, position}
+ */
+const tokenize = (query) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < query.length) {
+    const char = query[index];
+    const rest = query.slice(index);
+
+    if (/\s/.test(char)) {
+      index += 1;
+      continue;
+    }
+
+    if (char === '(' || char === ')' || char === ',') {
+      const type = { '(': 'lparen', ')': 'rparen', ',': 'comma' }[char];
+      tokens.push({ type, value: char, text: char, position: index });
+      index += 1;
+      continue;
+    }
+
+    const symbol = rest.match(/^(&&|\|\||>=|<=|!=|==|=|<|>|!)/);
+    if (symbol) {
+      const text = symbol[0];
+      const token = { type: 'operator', value: text, text, position: index };
+
+      // Symbolic spellings of the boolean keywords
+      if (text === '&&') Object.assign(token, { type: 'keyword', value: 'and' });
+      if (text === '||') Object.assign(token, { type: 'keyword', value: 'or' });
+      if (text === '!') Object.assign(token, { type: 'keyword', value: 'not' });
+
+      tokens.push(token);
+      index += text.length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = '';
+      let end = index + 1;
+      while (end < query.length && query[end] !== char) {
+        if (query[end] === '\\' && end + 1 < query.length) end += 1;
+        value += query[end];
+        end += 1;
+      }
+      if (end >= query.length) {
+        throw createQuerySyntaxError(`Missing closing ${char} for the text started here`, index);
+      }
+      tokens.push({ type: 'string', value, text: query.slice(index, end + 1), position: index });
+      index = end + 1;
+      continue;
+    }
+
+    const date = rest.match(/^\d{4}-\d{2}-\d{2}(?![\w.-])/);
+    if (date) {
+      tokens.push({ type: 'date', value: date[0], text: date[0], position: index });
+      index += date[0].length;
+      continue;
+    }
+
+    const version = rest.match(/^\d+\.\d+\.\d+(?![\w.])/);
+    if (version) {
+      tokens.push({ type: 'version', value: version[0], text: version[0], position: index });
+      index += version[0].length;
+      continue;
+    }
+
+    const number = rest.match(/^(-?(?:\d+(?:\.\d+)?|\.\d+))([a-zA-Z]*)/);
+    if (number) {
+      const [text, digits, suffix] = number;
+      if (suffix && !BYTE_SUFFIXES[suffix.toLowerCase()] && !DECIMAL_SUFFIXES[suffix.toLowerCase()]) {
+        throw createQuerySyntaxError(`Unknown number suffix "${suffix}"; use K, M or B (KB, MB or GB for size)`, index);
+      }
+      tokens.push({ type: 'number', value: parseFloat(digits), suffix: suffix.toLowerCase(), text, position: index });
+      index += text.length;
+      continue;
+    }
+
+    const word = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/);
+    if (word) {
+      const text = word[0];
+      const lower = text.toLowerCase();
+      const type = KEYWORDS.includes(lower) ? 'keyword' : 'word';
+      tokens.push({ type, value: type === 'keyword' ? lower : text, text, position: index });
+      index += text.length;
+      continue;
+    }
+
+    throw createQuerySyntaxError(`Unexpected character "${char}"`, index);
+  }
+
+  tokens.push({ type: 'eof', value: null, text: 'end of query', position: query.length });
+  return tokens;
+};
+
+/**
+ * Levenshtein distance, used to suggest field names for typos
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Resolves a field token, suggesting the closest field for unknown names
+ * @param {Object} token - Word token
+ * @returns {string} Canonical field name
+ */
+const resolveField = (token) => {
+  const name = FIELD_LOOKUP[token.text.toLowerCase()];
+  if (name) return name;
+
+  const [closest] = Object.keys(FIELD_LOOKUP)
+    .map(candidate => ({ candidate, distance: editDistance(token.text.toLowerCase(), candidate) }))
+    .sort((a, b) => a.distance - b.distance);
+  const hint = closest && closest.distance <= 2
+    ? ` Did you mean "${FIELD_LOOKUP[closest.candidate]}"?`
+    : '';
+
+  throw createQuerySyntaxError(`Unknown field "${token.text}".${hint}`, token.position);
+};
+
+/**
+ * Describes a token for error messages
+ * @param {Object} token - Token
+ * @returns {string} Description
+ */
+const describeToken = (token) => {
+  if (token.type === 'eof') return 'the end of the query';
+  return token.type === 'string' ? token.text : `"${token.text}"`;
+};
+
+/**
+ * Parses tokens into an expression tree
+ * @param {Array} tokens - Tokens from tokenize
+ * @returns {Object} Expression tree
+ */
+const parse = (tokens) => {
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isKeyword = (token, keyword) => token.type === 'keyword' && token.value === keyword;
+
+  const parseValue = (afterToken) => {
+    const token = next();
+    if (['number', 'string', 'word', 'date', 'version'].includes(token.type) ||
+        isKeyword(token, 'true') || isKeyword(token, 'false')) {
+      return token;
+    }
+    throw createQuerySyntaxError(`Expected a value after "${afterToken.text}" but found ${describeToken(token)}`, token.position);
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    if (token.type === 'lparen') {
+      const expression = parseOr();
+      const closing = next();
+      if (closing.type !== 'rparen') {
+        throw createQuerySyntaxError(`Expected ")" to close the "(" at column ${token.position + 1} but found ${describeToken(closing)}`, closing.position);
+      }
+      return expression;
+    }
+
+    if (token.type !== 'word') {
+      throw createQuerySyntaxError(`Expected a field name but found ${describeToken(token)}`, token.position);
+    }
+
+    const field = resolveField(token);
+    const operator = peek();
+
+    if (operator.type === 'operator' && COMPARISON_OPERATORS.includes(operator.value)) {
+      next();
+      return { type: 'compare', field, fieldToken: token, operator: operator.value === '==' ? '=' : operator.value, operatorToken: operator, value: parseValue(operator) };
+    }
+
+    if (isKeyword(operator, 'contains')) {
+      next();
+      return { type: 'compare', field, fieldToken: token, operator: 'contains', operatorToken: operator, value: parseValue(operator) };
+    }
+
+    if (isKeyword(operator, 'in')) {
+      next();
+      const open = next();
+      if (open.type !== 'lparen') {
+        throw createQuerySyntaxError(`Expected "(" after "in" but found ${describeToken(open)}`, open.position);
+      }
+
+      const values = [parseValue(open)];
+      while (peek().type === 'comma') {
+        values.push(parseValue(next()));
+      }
+
+      const close = next();
+      if (close.type !== 'rparen') {
+        throw createQuerySyntaxError(`Expected "," or ")" in the list started at column ${open.position + 1} but found ${describeToken(close)}`, close.position);
+      }
+      return { type: 'in', field, fieldToken: token, values };
+    }
+
+    // A bare field is shorthand for "field = true"
+    return { type: 'flag', field, fieldToken: token };
+  };
+
+  const parseNot = () => {
+    if (isKeyword(peek(), 'not')) {
+      next();
+      return { type: 'not', operand: parseNot() };
+    }
+    return parsePrimary();
+  };
+
+  const parseAnd = () => {
+    let left = parseNot();
+    while (isKeyword(peek(), 'and')) {
+      next();
+      left = { type: 'and', left, right: parseNot() };
+    }
+    return left;
+  };
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (isKeyword(peek(), 'or')) {
+      next();
+      left = { type: 'or', left, right: parseAnd() };
+    }
+    return left;
+  };
+
+  const expression = parseOr();
+  const trailing = peek();
+  if (trailing.type !== 'eof') {
+    throw createQuerySyntaxError(`Unexpected ${describeToken(trailing)}; expected "and", "or" or the end of the query`, trailing.position);
+  }
+
+  return expression;
+};
+
+/**
+ * Converts a value token to the representation used by a field type
+ * @param {Object} token - Value token
+ * @param {Object} field - Field definition
+ * @param {string} fieldName - Field name, for error messages
+ * @returns {any} Comparable value
+ */
+const convertValue = (token, field, fieldName) => {
+  const fail = (expected) => {
+    throw createQuerySyntaxError(`"${fieldName}" expects ${expected} but got ${describeToken(token)}`, token.position);
+  };
+
+  switch (field.type) {
+    case 'number': {
+      if (token.type !== 'number') fail('a number, e.g. 4.2 or 1M');
+      if (!token.suffix) return token.value;
+
+      const suffixes = field.unit === 'bytes' ? BYTE_SUFFIXES : DECIMAL_SUFFIXES;
+      const multiplier = suffixes[token.suffix];
+      if (!multiplier) fail(field.unit === 'bytes' ? 'a size, e.g. 50MB' : 'a number, e.g. 1M');
+      return token.value * multiplier;
+    }
+    case 'date':
+      if (token.type !== 'date' && !(token.type === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(token.value))) {
+        fail('a date, e.g. 2018-06-01');
+      }
+      return token.value;
+    case 'version': {
+      const version = ['number', 'version', 'string'].includes(token.type) && !token.suffix
+        ? parseAndroidVersion(token.text.replace(/['"]/g, ''))
+        : null;
+      if (version === null) fail('a version, e.g. 4.4');
+      return version;
+    }
+    case 'boolean':
+      if (token.type !== 'keyword') fail('true or false');
+      return token.value === 'true';
+    default:
+      // Text fields accept barewords and numbers as text, e.g. category = GAME
+      if (token.type === 'keyword') fail('text');
+      return String(token.type === 'string' ? token.value : token.text).toLowerCase();
+  }
+};
+
+/**
+ * Compares a value with an operator, treating missing values as non-matching
+ * @param {any} actual - App value
+ * @param {string} operator - Comparison operator
+ * @param {any} expected - Query value
+ * @returns {boolean} Comparison result
+ */
+const compareValues = (actual, operator, expected) => {
+  if (actual === null || actual === undefined || Number.isNaN(actual)) return false;
+
+  switch (operator) {
+    case '=': return actual === expected;
+    case '!=': return actual !== expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case 'contains': return String(actual).includes(expected);
+    default: return false;
+  }
+};
+
+/**
+ * Returns a reader that normalizes a field's value for comparison (lowercase text)
+ * @param {Object} field - Field definition
+ * @returns {Function} (app) => comparable value
+ */
+const getComparableReader = (field) => {
+  if (field.type === 'string') {
+    return app => {
+      const value = field.get(app);
+      return value === null || value === undefined ? value : String(value).toLowerCase();
+    };
+  }
+  if (field.type === 'list') {
+    return app => field.get(app).map(value => value.toLowerCase());
+  }
+  return field.get;
+};
+
+/**
+ * Compiles an expression tree into a predicate
+ * @param {Object} node - Expression node
+ * @returns {Function} (app) => boolean
+ */
+const compileNode = (node) => {
+  switch (node.type) {
+    case 'and': {
+      const left = compileNode(node.left);
+      const right = compileNode(node.right);
+      return app => left(app) && right(app);
+    }
+    case 'or': {
+      const left = compileNode(node.left);
+      const right = compileNode(node.right);
+      return app => left(app) || right(app);
+    }
+    case 'not': {
+      const operand = compileNode(node.operand);
+      return app => !operand(app);
+    }
+    case 'flag': {
+      const field = QUERY_FIELDS[node.field];
+      if (field.type !== 'boolean') {
+        throw createQuerySyntaxError(
+          `"${node.fieldToken.text}" needs a comparison, e.g. ${node.field} ${field.type === 'number' ? '>= 4' : '= value'}`,
+          node.fieldToken.position
+        );
+      }
+      return app => field.get(app) === true;
+    }
+    case 'in': {
+      const field = QUERY_FIELDS[node.field];
+      const expected = new Set(node.values.map(value => convertValue(value, field, node.field)));
+      const read = getComparableReader(field);
+      return app => {
+        const actual = read(app);
+        if (field.type === 'list') return actual.some(value => expected.has(value));
+        return actual !== null && actual !== undefined && expected.has(actual);
+      };
+    }
+    default: {
+      const field = QUERY_FIELDS[node.field];
+      if (!TYPE_OPERATORS[field.type].includes(node.operator)) {
+        throw createQuerySyntaxError(
+          `"${node.operator}" can't be used with ${field.type} field "${node.field}"; use ${TYPE_OPERATORS[field.type].join(', ')} or in`,
+          node.operatorToken.position
+        );
+      }
+
+      const expected = convertValue(node.value, field, node.field);
+      const read = getComparableReader(field);
+
+      if (field.type === 'list') {
+        // "genres = Puzzle" matches if any genre matches; "!=" if none do
+        if (node.operator === '!=') return app => !read(app).some(value => value === expected);
+        return app => read(app).some(value => compareValues(value, node.operator, expected));
+      }
+
+      return app => compareValues(read(app), node.operator, expected);
+    }
+  }
+};
+
+/**
+ * Compiles a filter query into a predicate over processed apps
+ * @param {string} query - Query text
+ * @returns {Function|null} (app) => boolean, or null for an empty query
+ * @throws {Error} Error with code 'QUERY_SYNTAX' and a position when the query is invalid
+ */
+export const compileQuery = (query) => {
+  if (!query || !query.trim()) return null;
+
+  return compileNode(parse(tokenize(query)));
+};
+
+/**
+ * Checks a query without throwing
+ * @param {string} query - Query text
+ * @returns {Object|null} {message, position} for an invalid query, or null if valid
+ */
+export const validateQuery = (query) => {
+  try {
+    compileQuery(query);
+    return null;
+  } catch (error) {
+    if (error.code !== 'QUERY_SYNTAX') throw error;
+    return { message: error.message, position: error.position };
+  }
+};
+
+/**
+ * Suggests completions for the word at the cursor
+ * Field names are offered where a field can start; keywords elsewhere
+ * @param {string} query - Query text
+ * @param {number} cursor - Cursor position
+ * @returns {Object} {from, to, items: [{label, detail, kind}]} where from/to is the range to replace
+ */
+export const getQueryCompletions = (query, cursor = query.length) => {
+  let from = cursor;
+  while (from > 0 && /[A-Za-z0-9_]/.test(query[from - 1])) from -= 1;
+
+  const prefix = query.slice(from, cursor).toLowerCase();
+  const empty = { from, to: cursor, items: [] };
+
+  // Don't complete inside numbers or quoted text
+  if (/^\d/.test(prefix)) return empty;
+
+  let previous;
+  try {
+    const tokens = tokenize(query.slice(0, from));
+    previous = tokens[tokens.length - 2];
+  } catch (error) {
+    return empty;
+  }
+
+  const expectsField = !previous ||
+    previous.type === 'lparen' ||
+    (previous.type === 'keyword' && ['and', 'or', 'not'].includes(previous.value));
+
+  let candidates;
+  if (expectsField) {
+    candidates = [
+      ...Object.entries(QUERY_FIELDS).map(([name, field]) => ({ label: name, detail: field.description, kind: 'field' })),
+      { label: 'not', detail: 'Negate the next condition', kind: 'keyword' }
+    ];
+  } else if (previous.type === 'word' && FIELD_LOOKUP[previous.text.toLowerCase()]) {
+    candidates = [
+      { label: 'in', detail: 'Matches any value in a list, e.g. in (GAME, FAMILY)', kind: 'keyword' },
+      { label: 'contains', detail: 'Text contains a value', kind: 'keyword' }
+    ];
+  } else if (['number', 'string', 'word', 'date', 'version', 'rparen'].includes(previous.type) ||
+             (previous.type === 'keyword' && ['true', 'false'].includes(previous.value))) {
+    candidates = [
+      { label: 'and', detail: 'Both conditions must match', kind: 'keyword' },
+      { label: 'or', detail: 'Either condition may match', kind: 'keyword' }
+    ];
+  } else {
+    return empty;
+  }
+
+  const items = candidates
+    .filter(item => item.label.toLowerCase().startsWith(prefix) && item.label.toLowerCase() !== prefix)
+    .concat(candidates.filter(item => prefix && !item.label.toLowerCase().startsWith(prefix) && item.label.toLowerCase().includes(prefix)));
+
+  return { from, to: cursor, items };
+};
@@ -0,0 +1,191 @@
+import * as math from 'mathjs';
+import { studentTPValue, studentTCriticalValue, SIGNIFICANCE_LEVEL } from './hypothesisTests';
+import { createSingularDesignError } from './errors';
+
+// Smallest Cholesky pivot of the predictor correlation matrix accepted as independent; a pivot is the
+// share of a column's variance left after regressing it on the earlier columns
+const RANK_TOLERANCE = 1e-8;
+
+/**
+ * Centres and scales each predictor column
+ * @param {Array} rows - Predictor rows
+ * @param {number} p - Number of predictors
+ * @returns {Object} {means, scales}; constant columns get a scale of 0
+ */
+const getColumnScaling = (rows, p) => {
+  const n = rows.length;
+  const means = new Array(p).fill(0);
+  const scales = new Array(p).fill(0);
+
+  rows.forEach(row => {
+    for (let j = 0; j < p; j++) means[j] += row[j] / n;
+  });
+  rows.forEach(row => {
+    for (let j = 0; j < p; j++) scales[j] += (row[j] - means[j]) ** 2;
+  });
+
+  return {
+    means,
+    scales: scales.map(sum => {
+      const sd = Math.sqrt(sum / Math.max(1, n - 1));
+      return sd > 1e-12 ? sd : 0;
+    })
+  };
+};
+
+/**
+ * Checks that standardized predictors are linearly independent
+ * Runs a Cholesky factorization of their correlation matrix ZᵀZ/(n − 1); a pivot near zero means that
+ * column is (almost) a linear combination of the earlier ones, e.g. a dummy that duplicates another
+ * @param {Array} ztz - ZᵀZ for standardized predictors
+ * @param {number} n - Number of rows
+ * @returns {boolean} True when every pivot exceeds RANK_TOLERANCE
+ */
+const hasFullRank = (ztz, n) => {
+  const p = ztz.length;
+  const lower = Array.from({ length: p }, () => new Array(p).fill(0));
+
+  for (let k = 0; k < p; k++) {
+    let pivot = ztz[k][k] / (n - 1);
+    for (let m = 0; m < k; m++) pivot -= lower[k][m] ** 2;
+    if (!(pivot > RANK_TOLERANCE)) return false;
+
+    lower[k][k] = Math.sqrt(pivot);
+    for (let i = k + 1; i < p; i++) {
+      let sum = ztz[i][k] / (n - 1);
+      for (let m = 0; m < k; m++) sum -= lower[i][m] * lower[k][m];
+      lower[i][k] = sum / lower[k][k];
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Fits a linear regression by least squares, optionally with a ridge (L2) penalty
+ * Predictors are standardized before fitting so the penalty treats them alike, and the intercept is
+ * never penalized; coefficients and standard errors are reported on the original scale. The penalty
+ * follows glmnet's scaling: λ·n is added to the diagonal of ZᵀZ for standardized predictors Z.
+ * Ridge standard errors use the sandwich σ²·A⁻¹ZᵀZA⁻¹ (A = ZᵀZ + λ·n·I) and the effective degrees
+ * of freedom trace(A⁻¹ZᵀZ), so they are conditional on λ and shrink along with the estimates.
+ * @param {Array} rows - Predictor rows (arrays of numbers, no intercept column)
+ * @param {Array} y - Target values
+ * @param {Object} options - Fit options
+ * @param {Array} options.names - Predictor names, in column order
+ * @param {number} options.ridge - Penalty λ; 0 gives ordinary least squares
+ * @param {number} options.level - Confidence level for coefficient intervals
+ * @returns {Object|null} {intercept, coefficients, rSquared, adjustedRSquared, residualStandardError,
+ *   n, p, degreesOfFreedom, fitted, residuals, ridge}, or null without enough rows or when every
+ *   predictor is constant
+ * @throws {Error} With code 'SINGULAR_DESIGN' when ordinary least squares has (nearly) collinear
+ *   predictors, or when a coefficient variance comes out non-positive
+ */
+export const fitLinearRegression = (rows, y, { names = [], ridge = 0, level = 0.95 } = {}) => {
+  const n = rows.length;
+  const totalPredictors = rows[0]?.length || 0;
+  const { means, scales } = getColumnScaling(rows, totalPredictors);
+
+  // Constant columns carry no information and would make ZᵀZ singular
+  const active = scales.map((scale, j) => (scale > 0 ? j : -1)).filter(j => j >= 0);
+  const p = active.length;
+  // With every predictor constant there is nothing to fit; only the mean could be reported
+  if (p === 0 || n < p + 2) {
+    return null;
+  }
+
+  const yMean = y.reduce((sum, value) => sum + value, 0) / n;
+
+  // Accumulate ZᵀZ and Zᵀy directly; forming Z as a mathjs matrix would copy n × p values
+  const ztz = Array.from({ length: p }, () => new Array(p).fill(0));
+  const zty = new Array(p).fill(0);
+  const z = new Array(p);
+  rows.forEach((row, i) => {
+    for (let a = 0; a < p; a++) {
+      const j = active[a];
+      z[a] = (row[j] - means[j]) / scales[j];
+    }
+    for (let a = 0; a < p; a++) {
+      zty[a] += z[a] * (y[i] - yMean);
+      for (let b = a; b < p; b++) ztz[a][b] += z[a] * z[b];
+    }
+  });
+  for (let a = 0; a < p; a++) {
+    for (let b = 0; b < a; b++) ztz[a][b] = ztz[b][a];
+  }
+
+  const penalty = ridge * n;
+  // Rounding keeps exactly collinear designs invertible, with meaningless estimates and standard errors
+  if (penalty === 0 && !hasFullRank(ztz, n)) {
+    throw createSingularDesignError();
+  }
+  const penalized = ztz.map((row, a) => row.map((value, b) => (a === b ? value + penalty : value)));
+
+  let inverse;
+  try {
+    inverse = math.inv(penalized);
+  } catch (error) {
+    throw createSingularDesignError();
+  }
+  if (inverse.some(row => row.some(value => !Number.isFinite(value)))) {
+    throw createSingularDesignError();
+  }
+
+  const standardizedBeta = math.multiply(inverse, zty);
+  const coefficients = new Array(totalPredictors).fill(0);
+  active.forEach((j, a) => {
+    coefficients[j] = standardizedBeta[a] / scales[j];
+  });
+  const intercept = yMean - coefficients.reduce((sum, beta, j) => sum + beta * means[j], 0);
+
+  const fitted = rows.map(row => row.reduce((sum, value, j) => sum + coefficients[j] * value, intercept));
+  const residuals = y.map((value, i) => value - fitted[i]);
+  const residualSumOfSquares = residuals.reduce((sum, residual) => sum + residual * residual, 0);
+  const totalSumOfSquares = y.reduce((sum, value) => sum + (value - yMean) ** 2, 0);
+
+  // Effective degrees of freedom: p for OLS, fewer as the penalty grows
+  const hat = math.multiply(inverse, ztz);
+  const effectiveParameters = penalty > 0 ? math.trace(hat) : p;
+  const degreesOfFreedom = n - 1 - effectiveParameters;
+  const residualVariance = residualSumOfSquares / degreesOfFreedom;
+  const covariance = penalty > 0 ? math.multiply(hat, inverse) : inverse;
+  // A near-singular ridge system can still leave a variance that is not a positive number
+  if (covariance.some((row, a) => !(row[a] > 0 && Number.isFinite(row[a])))) {
+    throw createSingularDesignError();
+  }
+  const criticalValue = studentTCriticalValue(degreesOfFreedom, level);
+
+  const rSquared = totalSumOfSquares > 0 ? 1 - residualSumOfSquares / totalSumOfSquares : 0;
+
+  return {
+    intercept,
+    coefficients: names.map((name, j) => {
+      const a = active.indexOf(j);
+      if (a < 0) {
+        return { name, estimate: null, standardError: null, t: null, pValue: null, ci: null, significant: false, dropped: true };
+      }
+
+      const standardError = Math.sqrt(residualVariance * covariance[a][a]) / scales[j];
+      const t = coefficients[j] / standardError;
+      const pValue = studentTPValue(t, degreesOfFreedom);
+      return {
+        name,
+        estimate: coefficients[j],
+        standardError,
+        t,
+        pValue,
+        ci: [coefficients[j] - criticalValue * standardError, coefficients[j] + criticalValue * standardError],
+        significant: pValue < SIGNIFICANCE_LEVEL,
+        dropped: false
+      };
+    }),
+    rSquared,
+    adjustedRSquared: 1 - ((1 - rSquared) * (n - 1)) / degreesOfFreedom,
+    residualStandardError: Math.sqrt(residualVariance),
+    n,
+    p: effectiveParameters,
+    degreesOfFreedom,
+    fitted,
+    residuals,
+    ridge
+  };
+};
@@ -0,0 +1,502 @@
+import { APP_CONFIG, CHART_COLORS, REPORT_SECTIONS } from './constants';
+import { formatPValue } from './hypothesisTests';
+import { FILTER_PARAMS } from './urlState';
+
+/**
+ * Formats a number for report tables
+ * @param {number} value - Numeric value
+ * @param {number} decimals - Decimal places for non-integers
+ * @returns {string} Formatted number
+ */
+const formatValue = (value, decimals = 2) => {
+  if (value === null || value === undefined || isNaN(value)) return 'N/A';
+  if (Number.isInteger(value)) return value.toLocaleString();
+  return value.toFixed(decimals);
+};
+
+/**
+ * Formats an estimate with the half-width of its confidence interval
+ * @param {number} value - Estimate
+ * @param {Object|null} interval - {lower, upper}
+ * @returns {string} e.g. '4.12 ± 0.05'
+ */
+const formatWithMargin = (value, interval) => (
+  interval ? `${formatValue(value)} ± ${formatValue((interval.upper - interval.lower) / 2)}` : formatValue(value)
+);
+
+/**
+ * Formats large counts with B/M/K suffixes
+ * @param {number} value - Numeric value
+ * @returns {string} Compact number
+ */
+const formatCompact = (value) => {
+  if (!value) return '0';
+  if (value >= 1000000000) return `${(value / 1000000000).toFixed(1)}B`;
+  if (value >= 1000000) return `${(value / 1000000).toFixed(1)}M`;
+  if (value >= 1000) return `${(value / 1000).toFixed(1)}K`;
+  return value.toLocaleString();
+};
+
+/**
+ * Escapes text for safe inclusion in HTML and SVG
+ * @param {*} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Escapes pipe characters so values don't break Markdown tables
+ * @param {*} text - Cell text
+ * @returns {string} Escaped text
+ */
+const escapeMarkdownCell = (text) => String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+/**
+ * Builds the overview block
+ * @param {Object} overview - Overview analytics
+ * @returns {Object} Report block
+ */
+const buildOverviewBlock = (overview) => ({
+  id: 'overview',
+  title: 'Overview',
+  paragraphs: [
+    `The dataset contains ${formatValue(overview.totalApps)} apps with an average rating of ${formatValue(overview.avgRating)} and ${formatCompact(overview.totalInstalls)} total installs.`
+  ],
+  tables: [{
+    headers: ['Metric', 'Value'],
+    rows: [
+      ['Total apps', formatValue(overview.totalApps)],
+      ['Apps with ratings', `${formatValue(overview.appsWithRatings)} (${formatValue(overview.ratingsPercentage, 1)}%)`],
+      ['Free apps', formatValue(overview.freeApps)],
+      ['Paid apps', `${formatValue(overview.paidApps)} (${formatValue(overview.paidAppsPercentage, 1)}%)`],
+      ['Popular apps (1M+ installs)', `${formatValue(overview.popularApps)} (${formatValue(overview.popularAppsPercentage, 1)}%)`],
+      ['Total installs', formatCompact(overview.totalInstalls)],
+      ['Total reviews', formatCompact(overview.totalReviews)],
+      ['Average rating', formatValue(overview.avgRating)]
+    ]
+  }],
+  charts: []
+});
+
+/**
+ * Builds the categories block
+ * @param {Object} categories - Category analytics
+ * @returns {Object} Report block
+ */
+const buildCategoriesBlock = (categories) => {
+  const topCategories = (categories.categoryPerformance || []).slice(0, 10);
+
+  return {
+    id: 'categories',
+    title: 'Categories',
+    paragraphs: [
+      `${formatValue(categories.totalCategories)} categories are represented. The ten largest are listed below.`
+    ],
+    tables: [{
+      headers: ['Category', 'Apps', 'Avg Rating (± 95% CI)', 'Total Installs', 'Avg Reviews', 'Paid Apps'],
+      rows: topCategories.map(cat => [
+        cat.category.replace(/_/g, ' '),
+        formatValue(cat.appCount),
+        formatWithMargin(cat.avgRating, cat.confidenceIntervals?.avgRating),
+        formatCompact(cat.totalInstalls),
+        formatCompact(Math.round(cat.avgReviews)),
+        formatValue(cat.paidAppsCount)
+      ])
+    }],
+    charts: [{
+      title: 'Apps per Category',
+      data: topCategories.map(cat => ({ label: cat.category.replace(/_/g, ' '), value: cat.appCount }))
+    }]
+  };
+};
+
+/**
+ * Builds the ratings block
+ * @param {Object} ratings - Rating analytics
+ * @returns {Object} Report block
+ */
+const buildRatingsBlock = (ratings) => {
+  const stats = ratings.ratingStats || {};
+  const distribution = ratings.ratingDistribution?.distribution || {};
+
+  return {
+    id: 'ratings',
+    title: 'Ratings',
+    paragraphs: [
+      `${formatValue(ratings.highRatedPercentage, 1)}% of rated apps score 4.0 or higher. Ratings range from ${formatValue(stats.min, 1)} to ${formatValue(stats.max, 1)}.`
+    ],
+    tables: [
+      {
+        headers: ['Statistic', 'Value'],
+        rows: [
+          ['Mean', formatValue(stats.mean, 3)],
+          ['Median', formatValue(stats.median)],
+          ['Standard deviation', formatValue(stats.std, 3)],
+          ['Interquartile range', `${formatValue(stats.q1)} – ${formatValue(stats.q3)}`],
+          ['Outliers', formatValue(ratings.ratingOutliers?.outlierCount || 0)]
+        ]
+      },
+      {
+        headers: ['Top Rated App', 'Category', 'Rating', 'Reviews'],
+        rows: (ratings.topRatedApps || []).slice(0, 10).map(app => [
+          app.app,
+          app.category?.replace(/_/g, ' '),
+          formatValue(app.rating, 1),
+          formatValue(app.reviews)
+        ])
+      }
+    ],
+    charts: [{
+      title: 'Rating Distribution',
+      data: Object.entries(distribution).map(([range, count]) => ({ label: range, value: count }))
+    }]
+  };
+};
+
+/**
+ * Builds the sentiment block
+ * @param {Object} sentiment - Sentiment analytics
+ * @returns {Object} Report block
+ */
+const buildSentimentBlock = (sentiment) => ({
+  id: 'sentiment',
+  title: 'Sentiment',
+  paragraphs: [
+    `${formatValue(sentiment.totalReviews)} reviews were analyzed. Mean polarity is ${formatValue(sentiment.polarityStats?.mean, 3)} on a scale from -1 (negative) to +1 (positive), with mean subjectivity ${formatValue(sentiment.subjectivityStats?.mean, 3)}.`
+  ],
+  tables: [{
+    headers: ['Sentiment', 'Reviews', 'Share'],
+    rows: ['positive', 'neutral', 'negative'].map(key => [
+      key.charAt(0).toUpperCase() + key.slice(1),
+      formatValue(sentiment.sentimentCounts?.[key] || 0),
+      `${formatValue(sentiment.sentimentPercentages?.[key], 1)}%`
+    ])
+  }],
+  charts: [{
+    title: 'Reviews by Sentiment',
+    data: [
+      { label: 'Positive', value: sentiment.sentimentCounts?.positive || 0, color: '#10b981' },
+      { label: 'Neutral', value: sentiment.sentimentCounts?.neutral || 0, color: '#f59e0b' },
+      { label: 'Negative', value: sentiment.sentimentCounts?.negative || 0, color: '#ef4444' }
+    ]
+  }]
+});
+
+/**
+ * Builds the correlations block
+ * Uses the full matrix when available, falling back to the named Pearson pairs
+ * @param {Object} correlations - Correlation analytics
+ * @returns {Object} Report block
+ */
+const buildCorrelationsBlock = (correlations) => {
+  const describe = (value) => {
+    const strength = Math.abs(value);
+    if (strength >= 0.5) return value > 0 ? 'Strong positive' : 'Strong negative';
+    if (strength >= 0.3) return value > 0 ? 'Moderate positive' : 'Moderate negative';
+    return 'Weak';
+  };
+
+  if (correlations.matrix) {
+    const labels = Object.fromEntries(correlations.matrix.variables.map(variable => [variable.key, variable.label]));
+
+    return {
+      id: 'correlations',
+      title: 'Correlations',
+      paragraphs: [
+        'Pearson, Spearman and Kendall correlation coefficients between app metrics. Each pair uses every app with both values (n). Strength is based on Spearman, which is robust to the skewed install and review counts.'
+      ],
+      tables: [{
+        headers: ['Variable A', 'Variable B', 'n', 'Pearson', 'Spearman', 'Kendall', 'Strength'],
+        rows: correlations.matrix.pairs.map(pair => [
+          labels[pair.a],
+          labels[pair.b],
+          formatValue(pair.n),
+          formatValue(pair.pearson.r, 3),
+          formatValue(pair.spearman.r, 3),
+          formatValue(pair.kendall.r, 3),
+          describe(pair.spearman.r || 0)
+        ])
+      }],
+      charts: []
+    };
+  }
+
+  const pairs = [
+    ['Rating', 'Reviews', correlations.ratingVsReviews],
+    ['Rating', 'Installs', correlations.ratingVsInstalls],
+    ['Reviews', 'Installs', correlations.reviewsVsInstalls],
+    ['Size', 'Installs', correlations.sizeVsInstalls],
+    ['Price', 'Rating', correlations.priceVsRating],
+    ['Price', 'Installs', correlations.priceVsInstalls]
+  ];
+
+  return {
+    id: 'correlations',
+    title: 'Correlations',
+    paragraphs: ['Pearson correlation coefficients between app metrics.'],
+    tables: [{
+      headers: ['Variable A', 'Variable B', 'Correlation', 'Strength'],
+      rows: pairs.map(([a, b, value]) => [a, b, formatValue(value || 0, 3), describe(value || 0)])
+    }],
+    charts: []
+  };
+};
+
+/**
+ * Builds the insights block
+ * @param {Object} insights - Insights analytics
+ * @returns {Object} Report block
+ */
+const buildInsightsBlock = (insights) => ({
+  id: 'insights',
+  title: 'Insights & Recommendations',
+  paragraphs: [],
+  lists: [
+    {
+      title: 'Key Insights',
+      items: (insights.insights || []).map(insight => {
+        const test = insight.significance;
+        const significance = test
+          ? ` (${test.method}, ${formatPValue(test.pValue)}${test.significant ? '' : ', not significant'})`
+          : '';
+        return `${insight.title}: ${insight.description}${significance}`;
+      })
+    },
+    {
+      title: 'Recommendations',
+      items: (insights.recommendations || []).map(rec => `${rec.title}: ${rec.description}`)
+    }
+  ].filter(list => list.items.length > 0),
+  tables: [],
+  charts: []
+});
+
+const BLOCK_BUILDERS = {
+  overview: buildOverviewBlock,
+  categories: buildCategoriesBlock,
+  ratings: buildRatingsBlock,
+  sentiment: buildSentimentBlock,
+  correlations: buildCorrelationsBlock,
+  insights: buildInsightsBlock
+};
+
+/**
+ * Describes one filter for the report header from its URL form, so ranges read as min–max
+ * @param {string} key - FILTER_PARAMS key
+ * @param {*} value - Filter value
+ * @returns {string|null} e.g. 'rating = 4–4.5' or 'installs ≥ 1000000', or null if the filter is empty
+ */
+const describeFilter = (key, value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const serialized = FILTER_PARAMS[key].serialize(value);
+  if (!serialized) return null;
+
+  if (Array.isArray(value)) return `${key} = ${serialized.split(',').join(', ')}`;
+  if (typeof value !== 'object') return `${key} = ${serialized}`;
+
+  // Range filters serialize as 'min..max' with either bound optional
+  const [lower, upper] = serialized.split('..');
+  if (lower && upper) return `${key} = ${lower}–${upper}`;
+  return lower ? `${key} ≥ ${lower}` : `${key} ≤ ${upper}`;
+};
+
+/**
+ * Builds a structured report from the generateAnalytics output
+ * @param {Object} analytics - Analytics data
+ * @param {Array} sections - Section ids to include, in order
+ * @param {Object} context - Report context
+ * @param {Object} context.filters - Filters applied to the data
+ * @param {number} context.appCount - Number of apps after filtering
+ * @returns {Object} Report with title, metadata and content blocks
+ */
+export const buildReport = (analytics, sections = REPORT_SECTIONS.map(s => s.id), { filters = {}, appCount } = {}) => {
+  if (!analytics) {
+    throw new Error('Cannot build a report without analytics data');
+  }
+
+  const blocks = REPORT_SECTIONS
+    .filter(section => sections.includes(section.id) && analytics[section.id])
+    .map(section => BLOCK_BUILDERS[section.id](analytics[section.id]));
+
+  const filterSummary = Object.keys(FILTER_PARAMS)
+    .map(key => describeFilter(key, filters[key]))
+    .filter(Boolean)
+    .join('; ');
+
+  return {
+    title: `${APP_CONFIG.name} Report`,
+    generatedAt: new Date().toISOString(),
+    dataGeneratedAt: analytics.generatedAt,
+    appCount: appCount ?? analytics.overview?.totalApps,
+    filterSummary: filterSummary || 'None',
+    blocks
+  };
+};
+
+/**
+ * Renders a horizontal bar chart as a standalone SVG string
+ * @param {Object} chart - Chart definition with title and {label, value, color} data
+ * @param {Object} options - Rendering options
+ * @param {number} options.width - SVG width in pixels
+ * @returns {string} SVG markup
+ */
+export const renderBarChartSVG = (chart, { width = 640 } = {}) => {
+  const data = chart.data || [];
+  const barHeight = 22;
+  const gap = 8;
+  const labelWidth = 180;
+  const valueWidth = 70;
+  const top = 36;
+  const height = top + data.length * (barHeight + gap) + 10;
+  const maxValue = Math.max(...data.map(d => d.value), 1);
+  const plotWidth = width - labelWidth - valueWidth - 20;
+
+  const bars = data.map((d, index) => {
+    const y = top + index * (barHeight + gap);
+    const barWidth = Math.max((d.value / maxValue) * plotWidth, 1);
+    const color = d.color || CHART_COLORS[index % CHART_COLORS.length];
+    const label = d.label.length > 26 ? `${d.label.substring(0, 26)}...` : d.label;
+
+    return [
+      `<text x="${labelWidth - 8}" y="${y + barHeight * 0.7}" text-anchor="end" font-size="12" fill="#374151">${escapeHtml(label)}</text>`,
+      `<rect x="${labelWidth}" y="${y}" width="${barWidth.toFixed(1)}" height="${barHeight}" rx="2" fill="${color}"/>`,
+      `<text x="${labelWidth + barWidth + 6}" y="${y + barHeight * 0.7}" font-size="12" fill="#6b7280">${escapeHtml(formatCompact(d.value))}</text>`
+    ].join('');
+  }).join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Inter, system-ui, sans-serif">`
+    + `<rect width="100%" height="100%" fill="#ffffff"/>`
+    + `<text x="10" y="22" font-size="14" font-weight="600" fill="#111827">${escapeHtml(chart.title)}</text>`
+    + bars
+    + '</svg>';
+};
+
+/**
+ * Renders a report as Markdown, embedding charts as SVG data URIs
+ * @param {Object} report - Report from buildReport
+ * @returns {string} Markdown document
+ */
+export const renderReportMarkdown = (report) => {
+  const lines = [
+    `# ${report.title}`,
+    '',
+    `- Generated: ${new Date(report.generatedAt).toLocaleString()}`,
+    `- Apps analyzed: ${formatValue(report.appCount)}`,
+    `- Filters: ${report.filterSummary}`,
+    ''
+  ];
+
+  report.blocks.forEach(block => {
+    lines.push(`## ${block.title}`, '');
+
+    block.paragraphs.forEach(paragraph => lines.push(paragraph, ''));
+
+    block.tables.forEach(table => {
+      if (table.rows.length === 0) return;
+      lines.push(`| ${table.headers.map(escapeMarkdownCell).join(' | ')} |`);
+      lines.push(`| ${table.headers.map(() => '---').join(' | ')} |`);
+      table.rows.forEach(row => lines.push(`| ${row.map(escapeMarkdownCell).join(' | ')} |`));
+      lines.push('');
+    });
+
+    (block.lists || []).forEach(list => {
+      lines.push(`### ${list.title}`, '');
+      list.items.forEach(item => lines.push(`- ${item}`));
+      lines.push('');
+    });
+
+    block.charts.forEach(chart => {
+      // Parentheses are left alone by encodeURIComponent but would end the Markdown link early
+      const svg = encodeURIComponent(renderBarChartSVG(chart))
+        .replace(/\(/g, '%28')
+        .replace(/\)/g, '%29');
+      lines.push(`![${chart.title}](data:image/svg+xml;charset=utf-8,${svg})`, '');
+    });
+  });
+
+  return lines.join('\n');
+};
+
+/**
+ * Renders a report as a standalone HTML document with inline SVG charts
+ * @param {Object} report - Report from buildReport
+ * @returns {string} HTML document
+ */
+export const renderReportHTML = (report) => {
+  const renderTable = (table) => {
+    if (table.rows.length === 0) return '';
+
+    const head = table.headers.map(h => `<th>${escapeHtml(h)}</th>`).join('');
+    const body = table.rows
+      .map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`)
+      .join('');
+
+    return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+  };
+
+  const renderBlock = (block) => [
+    `<section><h2>${escapeHtml(block.title)}</h2>`,
+    ...block.paragraphs.map(p => `<p>${escapeHtml(p)}</p>`),
+    ...block.tables.map(renderTable),
+    ...(block.lists || []).map(list =>
+      `<h3>${escapeHtml(list.title)}</h3><ul>${list.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+    ),
+    ...block.charts.map(chart => `<figure>${renderBarChartSVG(chart)}</figure>`),
+    '</section>'
+  ].join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<title>${escapeHtml(report.title)}</title>
+<style>
+  body { font-family: Inter, system-ui, -apple-system, sans-serif; color: #1e293b; background: #f8fafc; line-height: 1.6; margin: 0; }
+  main { max-width: 880px; margin: 0 auto; padding: 40px 32px; background: #ffffff; }
+  h1 { font-size: 28px; margin: 0 0 8px; }
+  h2 { font-size: 20px; margin: 32px 0 12px; padding-bottom: 6px; border-bottom: 1px solid #e2e8f0; }
+  h3 { font-size: 16px; margin: 20px 0 8px; }
+  .meta { color: #64748b; font-size: 14px; margin: 0; }
+  table { width: 100%; border-collapse: collapse; margin: 12px 0 20px; font-size: 14px; }
+  th { text-align: left; background: #f1f5f9; color: #475569; font-weight: 600; }
+  th, td { padding: 8px 12px; border-bottom: 1px solid #e2e8f0; }
+  figure { margin: 16px 0; }
+  svg { max-width: 100%; height: auto; }
+</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(report.title)}</h1>
+<p class="meta">Generated ${escapeHtml(new Date(report.generatedAt).toLocaleString())}</p>
+<p class="meta">Apps analyzed: ${escapeHtml(formatValue(report.appCount))} &middot; Filters: ${escapeHtml(report.filterSummary)}</p>
+${report.blocks.map(renderBlock).join('\n')}
+</main>
+</body>
+</html>
+`;
+};
+
+/**
+ * Triggers a browser download for generated content
+ * @param {string} content - File content
+ * @param {string} filename - Download file name
+ * @param {string} type - MIME type
+ */
+export const downloadFile = (content, filename, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
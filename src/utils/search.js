@@ -0,0 +1,184 @@
+import _ from 'lodash';
+
+// Relative weight of a match in each searchable app field
+const FIELD_WEIGHTS = {
+  name: 1,
+  genres: 0.75,
+  category: 0.6
+};
+
+// Scales log10(installs) so popularity breaks ties without outranking a better match
+const POPULARITY_WEIGHT = 1.5;
+
+/**
+ * Normalizes text for matching: lowercase, with '_' and ';' separators as spaces
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+export const normalizeSearchText = (text) => {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[_;]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Scores an in-order, non-contiguous match of query characters in text
+ * Consecutive characters and characters at word starts score higher
+ * @param {string} query - Normalized query
+ * @param {string} text - Normalized text
+ * @returns {number} Score between 0 and 50
+ */
+const scoreSubsequence = (query, text) => {
+  let points = 0;
+  let textIndex = 0;
+  let previousMatch = -2;
+  let firstMatch = -1;
+
+  for (const char of query) {
+    const matchIndex = text.indexOf(char, textIndex);
+    if (matchIndex === -1) return 0;
+
+    if (firstMatch === -1) firstMatch = matchIndex;
+
+    if (matchIndex === previousMatch + 1) {
+      points += 3;
+    } else if (matchIndex === 0 || text[matchIndex - 1] === ' ') {
+      points += 2;
+    } else {
+      points += 1;
+    }
+
+    previousMatch = matchIndex;
+    textIndex = matchIndex + 1;
+  }
+
+  // Characters scattered across a long name are more likely a coincidence than a typo
+  const span = previousMatch - firstMatch + 1;
+  if (span > query.length * 3) return 0;
+
+  return (points / (query.length * 3)) * 50;
+};
+
+/**
+ * Scores how well a query matches a piece of text
+ * Exact > prefix > word-start substring > substring > fuzzy subsequence
+ * @param {string} query - Normalized query
+ * @param {string} text - Normalized text
+ * @returns {number} Score between 0 (no match) and 100 (exact match)
+ */
+export const fuzzyScore = (query, text) => {
+  if (!query || !text) return 0;
+  if (text === query) return 100;
+
+  const coverage = query.length / text.length;
+  const index = text.indexOf(query);
+
+  if (index === 0) return 80 + coverage * 10;
+  if (index > 0 && text[index - 1] === ' ') return 70 + coverage * 10;
+  if (index > 0) return 55 + coverage * 10;
+
+  return query.length > 1 ? scoreSubsequence(query, text) : 0;
+};
+
+/**
+ * Scores a query against several weighted fields
+ * Every word of the query must match at least one field
+ * @param {Array} tokens - Normalized query words
+ * @param {Array} fields - [text, weight] pairs
+ * @returns {number} Relevance between 0 and 100
+ */
+const scoreFields = (tokens, fields) => {
+  let total = 0;
+
+  for (const token of tokens) {
+    const best = _.max(fields.map(([text, weight]) => fuzzyScore(token, text) * weight)) || 0;
+    if (best === 0) return 0;
+    total += best;
+  }
+
+  return total / tokens.length;
+};
+
+/**
+ * Precomputes normalized search fields for apps and categories
+ * @param {Array} apps - Processed apps data
+ * @returns {Object} Search index for searchIndex
+ */
+export const buildSearchIndex = (apps = []) => {
+  const appEntries = apps.map(app => ({
+    app,
+    name: normalizeSearchText(app.app),
+    genres: normalizeSearchText(app.genres),
+    category: normalizeSearchText(app.category),
+    popularity: Math.log10((app.installsNumber || 0) + 1)
+  }));
+
+  const categoryEntries = _.chain(apps)
+    .groupBy('category')
+    .map((categoryApps, category) => ({
+      category,
+      name: normalizeSearchText(category),
+      appCount: categoryApps.length,
+      popularity: Math.log10(_.sumBy(categoryApps, 'installsNumber') + 1)
+    }))
+    .value();
+
+  return { apps: appEntries, categories: categoryEntries };
+};
+
+/**
+ * Searches an index, ranking matches by relevance and then popularity (installs)
+ * @param {Object} index - Index from buildSearchIndex
+ * @param {string} query - Search query
+ * @param {Object} options - {appLimit, categoryLimit}
+ * @returns {Object} {apps: [{app, score}], categories: [{category, appCount, score}], totalApps}
+ */
+export const searchIndex = (index, query, { appLimit = 8, categoryLimit = 3 } = {}) => {
+  const normalizedQuery = normalizeSearchText(query);
+  if (!normalizedQuery || !index) {
+    return { apps: [], categories: [], totalApps: 0 };
+  }
+
+  const tokens = normalizedQuery.split(' ');
+
+  const appMatches = [];
+  index.apps.forEach(entry => {
+    const relevance = Math.max(
+      scoreFields(tokens, [
+        [entry.name, FIELD_WEIGHTS.name],
+        [entry.genres, FIELD_WEIGHTS.genres],
+        [entry.category, FIELD_WEIGHTS.category]
+      ]),
+      // Lets multi-word queries match a name as a whole, e.g. "photo edi"
+      fuzzyScore(normalizedQuery, entry.name)
+    );
+
+    if (relevance > 0) {
+      appMatches.push({
+        app: entry.app,
+        score: relevance + entry.popularity * POPULARITY_WEIGHT
+      });
+    }
+  });
+
+  const categoryMatches = index.categories
+    .map(entry => ({
+      category: entry.category,
+      appCount: entry.appCount,
+      relevance: scoreFields(tokens, [[entry.name, 1]]),
+      popularity: entry.popularity
+    }))
+    .filter(entry => entry.relevance > 0)
+    .map(({ relevance, popularity, ...entry }) => ({
+      ...entry,
+      score: relevance + popularity * POPULARITY_WEIGHT
+    }));
+
+  return {
+    apps: _.orderBy(appMatches, ['score', entry => entry.app.app], ['desc', 'asc']).slice(0, appLimit),
+    categories: _.orderBy(categoryMatches, ['score'], ['desc']).slice(0, categoryLimit),
+    totalApps: appMatches.length
+  };
+};
@@ -1,5 +1,21 @@
 import _ from 'lodash';
 import * as math from 'mathjs';
+import { rankValues, studentTPValue, studentTCriticalValue, normalPValue } from './hypothesisTests';
+
+// Inferential tests live in their own module; re-exported so callers have one statistics entry point
+export {
+  SIGNIFICANCE_LEVEL,
+  welchTTest,
+  mannWhitneyUTest,
+  oneWayAnova,
+  kruskalWallisTest,
+  chiSquareTest,
+  chiSquareGoodnessOfFit,
+  adjustPValuesHolm,
+  describeEffectSize,
+  normalQuantile,
+  formatPValue
+} from './hypothesisTests';
 
 /**
  * Calculates basic statistical measures for a numeric array
@@ -36,13 +52,27 @@ export const calculateBasicStats = (values) => {
     min: Math.min(...cleanValues),
     max: Math.max(...cleanValues),
     std: math.std(cleanValues),
-    variance: math.var(cleanValues),
+    variance: math.variance(cleanValues),
     q1: math.quantileSeq(sorted, 0.25),
     q3: math.quantileSeq(sorted, 0.75),
     iqr: math.quantileSeq(sorted, 0.75) - math.quantileSeq(sorted, 0.25)
   };
 };
 
+/**
+ * Pairs up two arrays, dropping pairs where either value is missing
+ * @param {Array} x - First array of values
+ * @param {Array} y - Second array of values
+ * @returns {Array} [x, y] pairs
+ */
+const getCompletePairs = (x, y) => {
+  return x.map((xi, i) => [xi, y[i]])
+    .filter(([xi, yi]) => 
+      xi !== null && xi !== undefined && !isNaN(xi) &&
+      yi !== null && yi !== undefined && !isNaN(yi)
+    );
+};
+
 /**
  * Calculates correlation coefficient between two arrays
  * @param {Array} x - First array of values
@@ -55,11 +85,7 @@ export const calculateCorrelation = (x, y) => {
   }
   
   // Filter out null/undefined pairs
-  const pairs = x.map((xi, i) => [xi, y[i]])
-    .filter(([xi, yi]) => 
-      xi !== null && xi !== undefined && !isNaN(xi) &&
-      yi !== null && yi !== undefined && !isNaN(yi)
-    );
+  const pairs = getCompletePairs(x, y);
   
   if (pairs.length < 2) {
     return 0;
@@ -77,6 +103,479 @@ export const calculateCorrelation = (x, y) => {
   }
 };
 
+/**
+ * Calculates Spearman's rank correlation between two arrays
+ * Robust to skew and to tier-coded values like installs, where Pearson is dominated by a few huge apps
+ * @param {Array} x - First array of values
+ * @param {Array} y - Second array of values
+ * @returns {number} Spearman's rho
+ */
+export const calculateSpearmanCorrelation = (x, y) => {
+  if (x.length !== y.length || x.length === 0) {
+    return 0;
+  }
+  
+  const pairs = getCompletePairs(x, y);
+  if (pairs.length < 2) {
+    return 0;
+  }
+  
+  // Pearson correlation of the (tie-averaged) ranks
+  return calculateCorrelation(
+    rankValues(pairs.map(p => p[0])).ranks,
+    rankValues(pairs.map(p => p[1])).ranks
+  );
+};
+
+/**
+ * Counts pairs out of order (a[i] > a[j] for i < j) while sorting the array in place
+ * @param {Array} values - Numbers, sorted in place
+ * @returns {number} Number of inversions
+ */
+const countInversions = (values) => {
+  let inversions = 0;
+  let source = values;
+  let target = new Array(values.length);
+  
+  // Bottom-up merge sort; equal values never count as inversions
+  for (let width = 1; width < values.length; width *= 2) {
+    for (let start = 0; start < values.length; start += 2 * width) {
+      const middle = Math.min(start + width, values.length);
+      const end = Math.min(start + 2 * width, values.length);
+      let left = start;
+      let right = middle;
+      
+      for (let k = start; k < end; k++) {
+        if (left < middle && (right >= end || source[left] <= source[right])) {
+          target[k] = source[left++];
+        } else {
+          target[k] = source[right++];
+          inversions += middle - left;
+        }
+      }
+    }
+    [source, target] = [target, source];
+  }
+  
+  if (source !== values) {
+    source.forEach((value, i) => { values[i] = value; });
+  }
+  
+  return inversions;
+};
+
+/**
+ * Counts tied pairs in a sorted array
+ * @param {Array} sorted - Sorted values
+ * @returns {number} Number of pairs with equal values
+ */
+const countTiedPairs = (sorted) => {
+  let tiedPairs = 0;
+  for (let start = 0; start < sorted.length;) {
+    let end = start;
+    while (end + 1 < sorted.length && sorted[end + 1] === sorted[start]) end++;
+    const size = end - start + 1;
+    tiedPairs += (size * (size - 1)) / 2;
+    start = end + 1;
+  }
+  return tiedPairs;
+};
+
+/**
+ * Calculates Kendall's tau-b between two arrays (Knight's O(n log n) algorithm)
+ * @param {Array} x - First array of values
+ * @param {Array} y - Second array of values
+ * @returns {number} Kendall's tau-b
+ */
+export const calculateKendallTau = (x, y) => {
+  if (x.length !== y.length || x.length === 0) {
+    return 0;
+  }
+  
+  const pairs = getCompletePairs(x, y).sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const n = pairs.length;
+  if (n < 2) {
+    return 0;
+  }
+  
+  const totalPairs = (n * (n - 1)) / 2;
+  const xTies = countTiedPairs(pairs.map(p => p[0]));
+  const jointTies = countTiedPairs(pairs.map(p => `${p[0]}|${p[1]}`));
+  
+  // With pairs sorted by x, every inversion in y is a discordant pair
+  const yValues = pairs.map(p => p[1]);
+  const discordant = countInversions(yValues);
+  const yTies = countTiedPairs(yValues);
+  
+  const denominator = Math.sqrt((totalPairs - xTies) * (totalPairs - yTies));
+  if (denominator === 0) {
+    return 0;
+  }
+  
+  return (totalPairs - xTies - yTies + jointTies - 2 * discordant) / denominator;
+};
+
+// z for a two-sided 95% interval
+const Z_95 = 1.959963984540054;
+
+// Standard error of Fisher's z for each coefficient; Spearman and Kendall use Fieller et al.'s (1957) approximations
+const FISHER_Z_STANDARD_ERRORS = {
+  pearson: n => 1 / Math.sqrt(n - 3),
+  spearman: n => Math.sqrt(1.06 / (n - 3)),
+  kendall: n => Math.sqrt(0.437 / (n - 4))
+};
+
+/**
+ * Calculates a 95% confidence interval for a correlation via Fisher's z transform
+ * @param {number} r - Correlation coefficient
+ * @param {number} n - Number of complete pairs
+ * @param {string} method - 'pearson', 'spearman' or 'kendall'
+ * @returns {Array|null} [lower, upper], or null when n is too small
+ */
+export const calculateCorrelationConfidenceInterval = (r, n, method = 'pearson') => {
+  const minimumPairs = method === 'kendall' ? 5 : 4;
+  if (n < minimumPairs || !Number.isFinite(r)) {
+    return null;
+  }
+  
+  const clamped = Math.max(-0.999999, Math.min(0.999999, r));
+  const z = Math.atanh(clamped);
+  const margin = Z_95 * FISHER_Z_STANDARD_ERRORS[method](n);
+  
+  return [Math.tanh(z - margin), Math.tanh(z + margin)];
+};
+
+/**
+ * Calculates the two-sided p-value for a correlation being zero
+ * @param {number} r - Correlation coefficient
+ * @param {number} n - Number of complete pairs
+ * @param {string} method - 'pearson', 'spearman' or 'kendall'
+ * @returns {number} p-value (NaN when n is too small)
+ */
+const calculateCorrelationPValue = (r, n, method) => {
+  if (n < 3) {
+    return NaN;
+  }
+  if (Math.abs(r) >= 1) {
+    return 0;
+  }
+  
+  if (method === 'kendall') {
+    return normalPValue((3 * r * Math.sqrt(n * (n - 1))) / Math.sqrt(2 * (2 * n + 5)));
+  }
+  return studentTPValue(r * Math.sqrt((n - 2) / (1 - r * r)), n - 2);
+};
+
+/**
+ * Calculates Pearson, Spearman and Kendall correlations for every pair of variables
+ * Each pair uses all records that have both values (pairwise-complete)
+ * @param {Array} records - Records to correlate, e.g. apps
+ * @param {Array} variables - {key, label, getValue} descriptors; getValue returns null for a missing value
+ * @returns {Object} {variables: [{key, label}], pairs: [{a, b, n, pearson, spearman, kendall}]}
+ *   where each coefficient is {r, ci, pValue}
+ */
+export const calculateCorrelationMatrix = (records, variables) => {
+  const columns = variables.map(variable => records.map(variable.getValue));
+  const pairs = [];
+  
+  variables.forEach((a, i) => {
+    variables.slice(i + 1).forEach((b, offset) => {
+      const j = i + 1 + offset;
+      const complete = getCompletePairs(columns[i], columns[j]);
+      const xs = complete.map(p => p[0]);
+      const ys = complete.map(p => p[1]);
+      const n = complete.length;
+      
+      const describe = (method, r) => ({
+        r,
+        ci: calculateCorrelationConfidenceInterval(r, n, method),
+        pValue: calculateCorrelationPValue(r, n, method)
+      });
+      
+      pairs.push({
+        a: a.key,
+        b: b.key,
+        n,
+        pearson: describe('pearson', calculateCorrelation(xs, ys)),
+        spearman: describe('spearman', calculateSpearmanCorrelation(xs, ys)),
+        kendall: describe('kendall', calculateKendallTau(xs, ys))
+      });
+    });
+  });
+  
+  return {
+    variables: variables.map(({ key, label }) => ({ key, label })),
+    pairs
+  };
+};
+
+/**
+ * Creates a seeded pseudo-random generator (mulberry32), so bootstrap intervals don't change between renders
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Linear-interpolated quantile of sorted values
+ * @param {ArrayLike} sorted - Sorted numbers
+ * @param {number} p - Quantile in [0, 1]
+ * @returns {number} Quantile
+ */
+const quantileOfSorted = (sorted, p) => {
+  const position = (sorted.length - 1) * p;
+  const below = Math.floor(position);
+  const above = Math.ceil(position);
+  return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+};
+
+/**
+ * Drops missing and non-numeric values
+ * @param {Array} values - Raw values
+ * @returns {Array} Numbers
+ */
+const cleanNumbers = (values) => values.filter(v => v !== null && v !== undefined && !isNaN(v));
+
+// Normal critical values are solved numerically, and per-app intervals reuse the same few levels
+const getNormalCriticalValue = _.memoize(level => studentTCriticalValue(Infinity, level));
+
+/**
+ * Calculates a t-based confidence interval for a mean
+ * @param {Array} values - Numeric values
+ * @param {number} level - Confidence level
+ * @returns {Object|null} {lower, upper, level, method: 't'}, or null with fewer than 2 values
+ */
+export const calculateMeanConfidenceInterval = (values, level = 0.95) => {
+  const cleanValues = cleanNumbers(values);
+  const n = cleanValues.length;
+  if (n < 2) {
+    return null;
+  }
+  
+  const mean = _.mean(cleanValues);
+  const standardError = Math.sqrt(_.sumBy(cleanValues, v => (v - mean) ** 2) / (n - 1)) / Math.sqrt(n);
+  const margin = studentTCriticalValue(n - 1, level) * standardError;
+  
+  return { lower: mean - margin, upper: mean + margin, level, method: 't' };
+};
+
+/**
+ * Calculates a distribution-free confidence interval for a median from order statistics
+ * @param {Array} values - Numeric values
+ * @param {number} level - Confidence level
+ * @returns {Object|null} {lower, upper, level, method: 'order-statistic'}, or null with fewer than 2 values
+ */
+export const calculateMedianConfidenceInterval = (values, level = 0.95) => {
+  const sorted = cleanNumbers(values).sort((a, b) => a - b);
+  const n = sorted.length;
+  if (n < 2) {
+    return null;
+  }
+  
+  // Normal approximation to the Binomial(n, 0.5) ranks around the median
+  const z = getNormalCriticalValue(level);
+  const halfWidth = (z * Math.sqrt(n)) / 2;
+  const lowerRank = Math.max(1, Math.round(n / 2 - halfWidth));
+  const upperRank = Math.min(n, Math.round(1 + n / 2 + halfWidth));
+  
+  return { lower: sorted[lowerRank - 1], upper: sorted[upperRank - 1], level, method: 'order-statistic' };
+};
+
+/**
+ * Calculates a Wilson score confidence interval for a proportion
+ * Stays inside [0, 1] and behaves well for small samples and proportions near 0 or 1
+ * @param {number} successes - Number of successes
+ * @param {number} n - Number of trials
+ * @param {number} level - Confidence level
+ * @returns {Object|null} {lower, upper, level, method: 'wilson'} as proportions, or null when n is 0
+ */
+export const calculateProportionConfidenceInterval = (successes, n, level = 0.95) => {
+  if (!(n > 0)) {
+    return null;
+  }
+  
+  const z = getNormalCriticalValue(level);
+  const p = successes / n;
+  const denominator = 1 + (z * z) / n;
+  const center = (p + (z * z) / (2 * n)) / denominator;
+  const margin = (z * Math.sqrt((p * (1 - p)) / n + (z * z) / (4 * n * n))) / denominator;
+  
+  return { lower: Math.max(0, center - margin), upper: Math.min(1, center + margin), level, method: 'wilson' };
+};
+
+/**
+ * Moves the k-th smallest value to index k (quickselect), partially reordering the array
+ * @param {Float64Array} values - Values, reordered in place
+ * @param {number} k - Zero-based rank
+ * @returns {number} The k-th smallest value
+ */
+const selectKth = (values, k) => {
+  let left = 0;
+  let right = values.length - 1;
+  while (left < right) {
+    const pivot = values[(left + right) >> 1];
+    let i = left;
+    let j = right;
+    while (i <= j) {
+      while (values[i] < pivot) i++;
+      while (values[j] > pivot) j--;
+      if (i <= j) {
+        const swap = values[i];
+        values[i] = values[j];
+        values[j] = swap;
+        i++;
+        j--;
+      }
+    }
+    if (k <= j) {
+      right = j;
+    } else if (k >= i) {
+      left = i;
+    } else {
+      break;
+    }
+  }
+  return values[k];
+};
+
+// Statistics the bootstrap can resample; each takes a sample it may reorder
+const BOOTSTRAP_STATISTICS = {
+  mean: sample => {
+    let sum = 0;
+    for (let i = 0; i < sample.length; i++) sum += sample[i];
+    return sum / sample.length;
+  },
+  // Selection rather than sorting: the resampled median is the slow part of a bootstrap
+  median: sample => {
+    const middle = (sample.length - 1) >> 1;
+    const lower = selectKth(sample, middle);
+    if (sample.length % 2) return lower;
+    
+    let upper = Infinity;
+    for (let i = middle + 1; i < sample.length; i++) {
+      if (sample[i] < upper) upper = sample[i];
+    }
+    return (lower + upper) / 2;
+  }
+};
+
+/**
+ * Calculates a percentile bootstrap confidence interval
+ * Seeded, so the same data always gives the same interval
+ * @param {Array} values - Numeric values
+ * @param {string|Function} statistic - 'mean', 'median', or a function of a Float64Array sample
+ * @param {Object} options - Bootstrap options
+ * @param {number} options.iterations - Number of resamples
+ * @param {number} options.level - Confidence level
+ * @param {number} options.seed - Random seed
+ * @returns {Object|null} {lower, upper, level, method: 'bootstrap'}, or null with fewer than 2 values
+ */
+export const bootstrapConfidenceInterval = (values, statistic = 'mean', { iterations = 1000, level = 0.95, seed = 42 } = {}) => {
+  const cleanValues = cleanNumbers(values);
+  const n = cleanValues.length;
+  if (n < 2) {
+    return null;
+  }
+  
+  const estimate = typeof statistic === 'function' ? statistic : BOOTSTRAP_STATISTICS[statistic];
+  const random = createRandom(seed);
+  const sample = new Float64Array(n);
+  const estimates = new Float64Array(iterations);
+  
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    for (let i = 0; i < n; i++) {
+      sample[i] = cleanValues[Math.floor(random() * n)];
+    }
+    estimates[iteration] = estimate(sample);
+  }
+  
+  estimates.sort();
+  const alpha = (1 - level) / 2;
+  
+  return {
+    lower: quantileOfSorted(estimates, alpha),
+    upper: quantileOfSorted(estimates, 1 - alpha),
+    level,
+    method: 'bootstrap'
+  };
+};
+
+/**
+ * Calculates a Bayesian average: the value shrunk toward a prior mean in proportion to how little evidence backs it
+ * @param {number} value - Observed average
+ * @param {number} weight - Evidence behind it, e.g. a review count
+ * @param {number} priorMean - Mean to shrink toward
+ * @param {number} priorWeight - Evidence the prior is worth
+ * @returns {number} (priorWeight × priorMean + weight × value) / (priorWeight + weight)
+ */
+export const calculateBayesianAverage = (value, weight, priorMean, priorWeight) => {
+  const totalWeight = priorWeight + (weight || 0);
+  if (!(totalWeight > 0)) {
+    return value;
+  }
+  return (priorWeight * priorMean + (weight || 0) * value) / totalWeight;
+};
+
+/**
+ * Calculates Wilson bounds for an average rating, treating it as a share of the scale's maximum
+ * @param {number} rating - Average rating
+ * @param {number} count - Number of ratings behind it
+ * @param {Object} options - Scale options
+ * @param {number} options.min - Lowest possible rating
+ * @param {number} options.max - Highest possible rating
+ * @param {number} options.level - Confidence level
+ * @returns {Object|null} {lower, upper, level, method: 'wilson'} on the rating scale, or null without ratings
+ */
+export const calculateRatingBounds = (rating, count, { min = 1, max = 5, level = 0.95 } = {}) => {
+  if (!(count > 0) || rating === null || rating === undefined || isNaN(rating)) {
+    return null;
+  }
+  
+  const share = Math.min(1, Math.max(0, (rating - min) / (max - min)));
+  const interval = calculateProportionConfidenceInterval(share * count, count, level);
+  
+  return {
+    ...interval,
+    lower: min + interval.lower * (max - min),
+    upper: min + interval.upper * (max - min)
+  };
+};
+
+/**
+ * Converts an interval into error bar offsets around its estimate
+ * @param {number} estimate - Point estimate
+ * @param {Object|null} interval - {lower, upper}
+ * @returns {Array|null} [below, above], or null without an interval
+ */
+export const getIntervalOffsets = (estimate, interval) => {
+  if (!interval || estimate === null || estimate === undefined || isNaN(estimate)) {
+    return null;
+  }
+  return [Math.max(0, estimate - interval.lower), Math.max(0, interval.upper - estimate)];
+};
+
+/**
+ * Formats a confidence interval for tooltips and tables
+ * @param {Object|null} interval - {lower, upper, level}
+ * @param {Function} format - Formats each bound
+ * @returns {string} e.g. '95% CI 4.07 – 4.17'
+ */
+export const formatConfidenceInterval = (interval, format = value => value.toFixed(2)) => {
+  if (!interval) {
+    return 'No interval (too few values)';
+  }
+  return `${Math.round(interval.level * 100)}% CI ${format(interval.lower)} – ${format(interval.upper)}`;
+};
+
 /**
  * Performs frequency analysis on categorical data
  * @param {Array} values - Array of categorical values
@@ -134,31 +633,48 @@ export const analyzeRatingDistribution = (ratings) => {
   };
 };
 
+// Fewer resamples than the default keep category analysis fast across ~30 categories
+const CATEGORY_BOOTSTRAP_ITERATIONS = 500;
+
 /**
  * Analyzes category performance metrics
+ * `confidenceIntervals` holds 95% intervals: a t interval for the mean rating, bootstrap intervals
+ * for the median rating and the (heavily skewed) install and review means, and Wilson intervals
+ * for the paid and popular shares (as proportions)
  * @param {Array} apps - Array of app objects
  * @returns {Array} Category analysis results
  */
 export const analyzeCategoryPerformance = (apps) => {
   const categoryGroups = _.groupBy(apps, 'category');
+  const bootstrapOptions = { iterations: CATEGORY_BOOTSTRAP_ITERATIONS };
   
   return Object.entries(categoryGroups).map(([category, categoryApps]) => {
     const ratings = categoryApps.map(app => app.rating).filter(r => r && !isNaN(r));
     const installs = categoryApps.map(app => app.installsNumber);
     const reviews = categoryApps.map(app => app.reviews);
+    const paidAppsCount = categoryApps.filter(app => app.isPaid).length;
+    const popularAppsCount = categoryApps.filter(app => app.isPopular).length;
     
     return {
       category,
       appCount: categoryApps.length,
       avgRating: _.mean(ratings) || 0,
-      medianRating: math.median(ratings) || 0,
+      medianRating: ratings.length ? math.median(ratings) : 0,
       totalInstalls: _.sum(installs),
       avgInstalls: _.mean(installs) || 0,
       totalReviews: _.sum(reviews),
       avgReviews: _.mean(reviews) || 0,
-      paidAppsCount: categoryApps.filter(app => app.isPaid).length,
-      popularAppsCount: categoryApps.filter(app => app.isPopular).length,
-      ratingStats: calculateBasicStats(ratings)
+      paidAppsCount,
+      popularAppsCount,
+      ratingStats: calculateBasicStats(ratings),
+      confidenceIntervals: {
+        avgRating: calculateMeanConfidenceInterval(ratings),
+        medianRating: bootstrapConfidenceInterval(ratings, 'median', bootstrapOptions),
+        avgInstalls: bootstrapConfidenceInterval(installs, 'mean', bootstrapOptions),
+        avgReviews: bootstrapConfidenceInterval(reviews, 'mean', bootstrapOptions),
+        paidShare: calculateProportionConfidenceInterval(paidAppsCount, categoryApps.length),
+        popularShare: calculateProportionConfidenceInterval(popularAppsCount, categoryApps.length)
+      }
     };
   }).sort((a, b) => b.appCount - a.appCount);
 };
@@ -166,14 +682,13 @@ export const analyzeCategoryPerformance = (apps) => {
 /**
  * Calculates market share analysis
  * @param {Array} apps - Array of app objects
+ * @param {Array} categoryStats - Precomputed category performance
  * @returns {Object} Market share analysis
  */
-export const calculateMarketShare = (apps) => {
+export const calculateMarketShare = (apps, categoryStats = analyzeCategoryPerformance(apps)) => {
   const totalApps = apps.length;
   const totalInstalls = _.sum(apps.map(app => app.installsNumber));
   
-  const categoryStats = analyzeCategoryPerformance(apps);
-  
   const marketShare = categoryStats.map(cat => ({
     ...cat,
     appMarketShare: (cat.appCount / totalApps) * 100,
@@ -221,10 +736,13 @@ export const identifyOutliers = (values) => {
 
 /**
  * Calculates trend analysis for time-based data
- * @param {Array} data - Array of {date, value} objects
+ * @param {Array} data - Array of {date, value} objects, one per evenly spaced period; periods without
+ *   data should be included with a null value so they still count toward the slope's time axis
+ * @param {Object} options - Analysis options
+ * @param {number} options.threshold - Minimum absolute slope per period to count as a trend
  * @returns {Object} Trend analysis
  */
-export const calculateTrendAnalysis = (data) => {
+export const calculateTrendAnalysis = (data, { threshold = 0.1 } = {}) => {
   if (!Array.isArray(data) || data.length < 2) {
     return {
       trend: 'insufficient_data',
@@ -233,9 +751,13 @@ export const calculateTrendAnalysis = (data) => {
     };
   }
   
+  // Each period keeps its position in the full series, so empty periods leave a gap rather than
+  // collapsing, and the slope stays per period
   const sortedData = data
-    .filter(d => d.date && d.value !== null && !isNaN(d.value))
-    .sort((a, b) => new Date(a.date) - new Date(b.date));
+    .filter(d => d.date)
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .map((d, index) => ({ ...d, position: index }))
+    .filter(d => d.value !== null && !isNaN(d.value));
   
   if (sortedData.length < 2) {
     return {
@@ -245,7 +767,7 @@ export const calculateTrendAnalysis = (data) => {
     };
   }
   
-  const x = sortedData.map((_, i) => i); // Time indices
+  const x = sortedData.map(d => d.position); // Period indices
   const y = sortedData.map(d => d.value);
   
   const correlation = calculateCorrelation(x, y);
@@ -260,8 +782,8 @@ export const calculateTrendAnalysis = (data) => {
   const slope = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
   
   let trend = 'stable';
-  if (slope > 0.1) trend = 'increasing';
-  else if (slope < -0.1) trend = 'decreasing';
+  if (slope > threshold) trend = 'increasing';
+  else if (slope < -threshold) trend = 'decreasing';
   
   return {
     trend,
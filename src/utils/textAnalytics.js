@@ -0,0 +1,317 @@
+import _ from 'lodash';
+
+// Common English function words, plus review filler that carries no sentiment or topic
+export const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as',
+  'at', 'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by', 'can', 'could',
+  'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'even', 'ever', 'every', 'few', 'for', 'from',
+  'further', 'get', 'gets', 'got', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'herself',
+  'him', 'himself', 'his', 'how', 'i', 'if', 'im', 'in', 'into', 'is', 'it', 'its', 'itself', 'ive', 'just',
+  'let', 'lets', 'may', 'me', 'might', 'more', 'most', 'much', 'must', 'my', 'myself', 'now', 'of', 'off',
+  'on', 'once', 'one', 'only', 'or', 'other', 'our', 'ours', 'ourselves', 'out', 'over', 'own', 'really',
+  'same', 'she', 'should', 'so', 'some', 'still', 'such', 'than', 'that', 'thats', 'the', 'their',
+  'theirs', 'them', 'themselves', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too',
+  'under', 'until', 'up', 'us', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who',
+  'whom', 'why', 'will', 'with', 'would', 'you', 'youre', 'your', 'yours', 'yourself', 'yourselves', 'app',
+  'apps'
+]);
+
+// Term lengths offered for keyword extraction: single words and two-word phrases
+export const KEYWORD_TERM_TYPES = [
+  { id: 'words', label: 'Words', n: 1 },
+  { id: 'phrases', label: 'Phrases', n: 2 }
+];
+
+// Sentiment classes compared by extractSentimentKeywords, keyed like sentimentCounts
+export const KEYWORD_SENTIMENT_CLASSES = [
+  { id: 'positive', flag: 'isPositive' },
+  { id: 'negative', flag: 'isNegative' },
+  { id: 'neutral', flag: 'isNeutral' }
+];
+
+const MIN_TOKEN_LENGTH = 2;
+
+/**
+ * Splits review text into lowercase word tokens
+ * Apostrophes are dropped so "don't" and "dont" count as the same word
+ * @param {string} text - Review text
+ * @returns {Array} Tokens in reading order
+ */
+export const tokenize = (text) => {
+  if (!text) return [];
+
+  return String(text)
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length >= MIN_TOKEN_LENGTH && !/^\d+$/.test(token));
+};
+
+/**
+ * Builds n-grams of adjacent tokens, skipping any that contain a stop word
+ * N-grams are built before stop words are removed, so "not good" never becomes a phrase across a gap
+ * @param {Array} tokens - Tokens from tokenize
+ * @param {number} n - Tokens per n-gram
+ * @returns {Array} N-grams joined with spaces
+ */
+export const extractNgrams = (tokens, n = 1) => {
+  const ngrams = [];
+
+  for (let start = 0; start + n <= tokens.length; start++) {
+    const window = tokens.slice(start, start + n);
+    if (window.some(token => STOP_WORDS.has(token))) continue;
+    ngrams.push(window.join(' '));
+  }
+
+  return ngrams;
+};
+
+/**
+ * Terms of one length in a piece of text
+ * Phrases stop at punctuation, so "lots of ads. Don't install" never yields "ads dont"
+ * @param {string} text - Review text
+ * @param {number} n - Tokens per term
+ * @returns {Array} Terms in reading order, with repeats
+ */
+export const extractTerms = (text, n = 1) => {
+  if (!text) return [];
+  if (n === 1) return extractNgrams(tokenize(text), 1);
+
+  return String(text)
+    .split(/[.!?,;:()"\n]+/)
+    .flatMap(clause => extractNgrams(tokenize(clause), n));
+};
+
+/**
+ * Weighted log-odds of each term in one class against all other classes, with an informative
+ * Dirichlet prior from the pooled counts (Monroe, Colaresi & Quinn, 2008, "Fightin' Words")
+ * The z-score divides the log-odds ratio by its approximate standard error, so frequent terms
+ * need a smaller difference in rate to stand out than rare ones
+ * @param {number} classCount - Reviews in the class containing the term
+ * @param {number} classTotal - Term occurrences in the class
+ * @param {number} otherCount - Reviews in the other classes containing the term
+ * @param {number} otherTotal - Term occurrences in the other classes
+ * @param {number} prior - Pseudo-count for the term
+ * @param {number} priorTotal - Sum of pseudo-counts over all terms
+ * @returns {Object} Log-odds ratio and z-score
+ */
+const calculateLogOddsRatio = (classCount, classTotal, otherCount, otherTotal, prior, priorTotal) => {
+  const classLogOdds = Math.log((classCount + prior) / (classTotal + priorTotal - classCount - prior));
+  const otherLogOdds = Math.log((otherCount + prior) / (otherTotal + priorTotal - otherCount - prior));
+  const logOdds = classLogOdds - otherLogOdds;
+  const variance = 1 / (classCount + prior) + 1 / (otherCount + prior);
+
+  return { logOdds, zScore: logOdds / Math.sqrt(variance) };
+};
+
+/**
+ * Ranks the terms most characteristic of each sentiment class
+ * Terms are counted once per review, so one long review repeating a word can't dominate
+ * @param {Array} reviews - Reviews with translatedReview and isPositive/isNegative/isNeutral
+ * @param {Object} options - Extraction options
+ * @param {number} options.limit - Terms kept per class and term type
+ * @param {number} options.minReviews - Reviews a term must appear in to be ranked
+ * @returns {Object} { reviewCount, words: { positive, negative, neutral }, phrases: { ... } },
+ *   each class a list of { term, count, share, logOdds, zScore } ordered by zScore
+ */
+export const extractSentimentKeywords = (reviews = [], { limit = 40, minReviews = 5 } = {}) => {
+  const classReviewCounts = _.fromPairs(KEYWORD_SENTIMENT_CLASSES.map(({ id }) => [id, 0]));
+  const counts = _.fromPairs(KEYWORD_TERM_TYPES.map(({ id }) => [id, new Map()]));
+  let reviewCount = 0;
+
+  reviews.forEach(review => {
+    const sentimentClass = KEYWORD_SENTIMENT_CLASSES.find(({ flag }) => review[flag]);
+    if (!sentimentClass) return;
+
+    if (!tokenize(review.translatedReview).length) return;
+
+    reviewCount++;
+    classReviewCounts[sentimentClass.id]++;
+
+    KEYWORD_TERM_TYPES.forEach(({ id, n }) => {
+      const termCounts = counts[id];
+      new Set(extractTerms(review.translatedReview, n)).forEach(term => {
+        let entry = termCounts.get(term);
+        if (!entry) {
+          entry = _.fromPairs(KEYWORD_SENTIMENT_CLASSES.map(({ id: classId }) => [classId, 0]));
+          termCounts.set(term, entry);
+        }
+        entry[sentimentClass.id]++;
+      });
+    });
+  });
+
+  const rankTerms = (termCounts) => {
+    const classTotals = _.fromPairs(KEYWORD_SENTIMENT_CLASSES.map(({ id }) => [id, 0]));
+    termCounts.forEach(entry => {
+      KEYWORD_SENTIMENT_CLASSES.forEach(({ id }) => { classTotals[id] += entry[id]; });
+    });
+    const grandTotal = _.sum(Object.values(classTotals));
+
+    const eligible = [];
+    termCounts.forEach((entry, term) => {
+      const total = _.sum(Object.values(entry));
+      if (total >= minReviews) eligible.push({ term, entry, total });
+    });
+
+    return _.fromPairs(KEYWORD_SENTIMENT_CLASSES.map(({ id }) => {
+      const otherTotal = grandTotal - classTotals[id];
+
+      const ranked = eligible
+        .filter(({ entry }) => entry[id] > 0)
+        .map(({ term, entry, total }) => ({
+          term,
+          count: entry[id],
+          share: classReviewCounts[id] ? entry[id] / classReviewCounts[id] : 0,
+          ...calculateLogOddsRatio(entry[id], classTotals[id], total - entry[id], otherTotal, total, grandTotal)
+        }))
+        .filter(term => term.zScore > 0);
+
+      return [id, _.orderBy(ranked, 'zScore', 'desc').slice(0, limit)];
+    }));
+  };
+
+  return {
+    reviewCount,
+    classReviewCounts,
+    ..._.mapValues(counts, rankTerms)
+  };
+};
+
+/**
+ * Reviews whose text contains a term, matched on the same tokens used for extraction
+ * @param {Array} reviews - Reviews data
+ * @param {string} term - Word or space-separated phrase
+ * @returns {Array} Matching reviews, in their original order
+ */
+export const findReviewsWithTerm = (reviews = [], term) => {
+  const termTokens = tokenize(term);
+  if (!termTokens.length) return [];
+
+  const target = termTokens.join(' ');
+  return reviews.filter(review => {
+    // Cheap substring check first; only reviews that could match are tokenized
+    const text = String(review.translatedReview || '').toLowerCase().replace(/['’]/g, '');
+    if (!termTokens.every(token => text.includes(token))) return false;
+
+    return extractTerms(text, termTokens.length).includes(target);
+  });
+};
+
+// Complaint and praise themes, each matched by any of its seed words or phrases in a review
+export const REVIEW_THEMES = [
+  {
+    id: 'crashes',
+    label: 'Crashes & Freezes',
+    keywords: [
+      'crash', 'crashes', 'crashed', 'crashing', 'freeze', 'freezes', 'freezing', 'frozen', 'froze', 'hang', 'hangs',
+      'stuck', 'force close', 'keeps closing', 'shuts down', 'not responding', 'black screen', 'white screen'
+    ]
+  },
+  {
+    id: 'bugs',
+    label: 'Bugs & Errors',
+    keywords: [
+      'bug', 'bugs', 'buggy', 'glitch', 'glitches', 'glitchy', 'error', 'errors', 'broken', 'doesnt work',
+      'not working', 'stopped working', 'wont work', 'wont load', 'fix', 'fixed'
+    ]
+  },
+  {
+    id: 'ads',
+    label: 'Ads',
+    keywords: [
+      'ad', 'ads', 'advert', 'adverts', 'advertisement', 'advertisements', 'advertising', 'popup', 'popups',
+      'pop up', 'pop ups', 'commercial', 'commercials'
+    ]
+  },
+  {
+    id: 'performance',
+    label: 'Speed & Loading',
+    keywords: ['slow', 'slower', 'lag', 'lags', 'laggy', 'lagging', 'loading', 'load', 'loads', 'sluggish', 'takes forever']
+  },
+  {
+    id: 'login',
+    label: 'Login & Account',
+    keywords: [
+      'login', 'log in', 'logged', 'logout', 'log out', 'signin', 'sign in', 'sign up', 'signup', 'password',
+      'account', 'accounts', 'verification', 'verify', 'otp', 'username'
+    ]
+  },
+  {
+    id: 'battery',
+    label: 'Battery & Storage',
+    keywords: [
+      'battery', 'drain', 'drains', 'draining', 'overheating', 'overheats', 'storage', 'memory', 'data usage'
+    ]
+  },
+  {
+    id: 'pricing',
+    label: 'Pricing & Payments',
+    keywords: [
+      'price', 'pricing', 'pay', 'paid', 'paying', 'payment', 'money', 'subscription', 'subscribe', 'premium',
+      'purchase', 'purchased', 'refund', 'expensive', 'charge', 'charged', 'cost', 'costs', 'free trial'
+    ]
+  },
+  {
+    id: 'updates',
+    label: 'Updates',
+    keywords: ['update', 'updates', 'updated', 'updating', 'new version', 'latest version', 'old version']
+  },
+  {
+    id: 'design',
+    label: 'Design & Usability',
+    keywords: [
+      'interface', 'design', 'layout', 'ui', 'navigation', 'navigate', 'confusing', 'intuitive', 'user friendly',
+      'easy to use', 'hard to use', 'font', 'dark mode', 'menu', 'menus'
+    ]
+  },
+  {
+    id: 'support',
+    label: 'Customer Support',
+    keywords: ['support', 'customer service', 'customer care', 'contact', 'contacted', 'response', 'reply', 'replied', 'email']
+  },
+  {
+    id: 'privacy',
+    label: 'Privacy & Trust',
+    keywords: [
+      'privacy', 'permission', 'permissions', 'spam', 'scam', 'fake', 'security', 'hacked', 'personal data',
+      'tracking', 'steal', 'stealing'
+    ]
+  }
+];
+
+/**
+ * Splits theme keywords into single words and phrases for matching
+ * @param {Array} themes - Theme definitions like REVIEW_THEMES
+ * @returns {Array} { id, words: Set, phrases: Array } per theme
+ */
+const compileThemes = (themes) => themes.map(theme => {
+  const normalized = theme.keywords.map(keyword => tokenize(keyword).join(' ')).filter(Boolean);
+  return {
+    id: theme.id,
+    words: new Set(normalized.filter(keyword => !keyword.includes(' '))),
+    phrases: normalized.filter(keyword => keyword.includes(' ')).map(phrase => ` ${phrase} `)
+  };
+});
+
+const COMPILED_REVIEW_THEMES = compileThemes(REVIEW_THEMES);
+
+/**
+ * Themes a review's text mentions
+ * Stop words are kept here so phrases like "log in" and "not working" still match
+ * @param {string} text - Review text
+ * @param {Array} themes - Theme definitions (default REVIEW_THEMES)
+ * @returns {Array} Ids of the matching themes
+ */
+export const matchReviewThemes = (text, themes = REVIEW_THEMES) => {
+  const tokens = tokenize(text);
+  if (!tokens.length) return [];
+
+  const compiled = themes === REVIEW_THEMES ? COMPILED_REVIEW_THEMES : compileThemes(themes);
+  const padded = ` ${tokens.join(' ')} `;
+
+  return compiled
+    .filter(theme => tokens.some(token => theme.words.has(token)) ||
+      theme.phrases.some(phrase => padded.includes(phrase)))
+    .map(theme => theme.id);
+};
@@ -0,0 +1,254 @@
+import { DASHBOARD_SECTIONS } from './constants';
+import { validateQuery } from './queryLanguage';
+
+const SECTION_IDS = Object.values(DASHBOARD_SECTIONS);
+
+/**
+ * Parses a non-empty string parameter
+ * @param {string} raw - Raw parameter value
+ * @returns {string|undefined} Value, or undefined if empty
+ */
+const parseString = (raw) => (raw ? raw : undefined);
+
+/**
+ * Serializes a string parameter, rejecting non-string values
+ * @param {string} value - Value
+ * @returns {string} Value, or '' if it isn't a string
+ */
+const serializeString = (value) => (typeof value === 'string' ? value : '');
+
+/**
+ * Parses a finite number parameter
+ * @param {string} raw - Raw parameter value
+ * @returns {number|undefined} Value, or undefined if not a number
+ */
+const parseNumber = (raw) => {
+  const value = parseFloat(raw);
+  return Number.isFinite(value) ? value : undefined;
+};
+
+/**
+ * Parses a 'true'/'false' parameter
+ * @param {string} raw - Raw parameter value
+ * @returns {boolean|undefined} Value, or undefined if not a boolean
+ */
+const parseBoolean = (raw) => {
+  if (raw === 'true') return true;
+  if (raw === 'false') return false;
+  return undefined;
+};
+
+/**
+ * Parses a filter query parameter
+ * @param {string} raw - Raw parameter value
+ * @returns {string|undefined} Query, or undefined if empty or invalid
+ */
+const parseQuery = (raw) => (raw.trim() && !validateQuery(raw) ? raw : undefined);
+
+/**
+ * Parses a comma-separated list parameter
+ * @param {string} raw - Raw parameter value, e.g. 'GAME,FAMILY'
+ * @returns {Array|undefined} Values, or undefined if empty
+ */
+const parseList = (raw) => {
+  const values = raw.split(',').map(value => value.trim()).filter(Boolean);
+  return values.length ? values : undefined;
+};
+
+/**
+ * Serializes a list parameter
+ * @param {Array} values - Values
+ * @returns {string} Comma-separated values
+ */
+const serializeList = (values) => (Array.isArray(values) ? values.join(',') : '');
+
+/**
+ * Creates a {parse, serialize} pair for 'min..max' range parameters
+ * Either bound may be left out, e.g. '4..' or '..1000000'
+ * @param {Function} parseBound - Parses one bound, returning undefined if invalid
+ * @param {Array} boundKeys - Names of the lower and upper bound properties
+ * @returns {Object} Parameter definition
+ */
+const createRangeParam = (parseBound, [lowerKey, upperKey] = ['min', 'max']) => ({
+  parse: (raw) => {
+    const [lowerRaw = '', upperRaw = '', ...rest] = raw.split('..');
+    if (rest.length) return undefined;
+    
+    const range = {};
+    const lower = lowerRaw ? parseBound(lowerRaw) : undefined;
+    const upper = upperRaw ? parseBound(upperRaw) : undefined;
+    if (lower !== undefined) range[lowerKey] = lower;
+    if (upper !== undefined) range[upperKey] = upper;
+    
+    return Object.keys(range).length ? range : undefined;
+  },
+  serialize: (range) => {
+    const lower = range[lowerKey];
+    const upper = range[upperKey];
+    if (lower === undefined && upper === undefined) return '';
+    
+    return `${lower ?? ''}..${upper ?? ''}`;
+  }
+});
+
+/**
+ * Parses a 'YYYY-MM-DD' date bound
+ * @param {string} raw - Raw bound
+ * @returns {string|undefined} Date, or undefined if malformed
+ */
+const parseDate = (raw) => (/^\d{4}-\d{2}-\d{2}$/.test(raw) ? raw : undefined);
+
+/**
+ * Parses an Android version bound such as '4.0.3'
+ * @param {string} raw - Raw bound
+ * @returns {string|undefined} Version, or undefined if malformed
+ */
+const parseVersion = (raw) => (/^\d+(\.\d+){0,2}$/.test(raw) ? raw : undefined);
+
+// Filters that can appear in the URL query string, in serialization order
+export const FILTER_PARAMS = {
+  category: { parse: parseString, serialize: serializeString },
+  categories: { parse: parseList, serialize: serializeList },
+  genres: { parse: parseList, serialize: serializeList },
+  minRating: { parse: parseNumber, serialize: String },
+  rating: createRangeParam(parseNumber),
+  installs: createRangeParam(parseNumber),
+  reviews: createRangeParam(parseNumber),
+  price: createRangeParam(parseNumber),
+  size: createRangeParam(parseNumber),
+  lastUpdated: createRangeParam(parseDate, ['from', 'to']),
+  androidVersion: createRangeParam(parseVersion),
+  type: { parse: parseString, serialize: serializeString },
+  contentRating: { parse: parseString, serialize: serializeString },
+  isPaid: { parse: parseBoolean, serialize: String },
+  query: { parse: parseQuery, serialize: serializeString }
+};
+
+/**
+ * Reads the dashboard section from a URL path
+ * @param {string} pathname - URL path, e.g. '/categories'
+ * @returns {string|null} Section id, or null if the path isn't a known section
+ */
+export const getSectionFromPath = (pathname) => {
+  const [segment, ...rest] = pathname.split('/').filter(Boolean);
+
+  if (!segment) return DASHBOARD_SECTIONS.OVERVIEW;
+
+  // The app detail view needs an app name, e.g. /apps/Instagram
+  if (segment === DASHBOARD_SECTIONS.APP_DETAIL && rest.length === 0) return null;
+
+  return SECTION_IDS.includes(segment) ? segment : null;
+};
+
+/**
+ * Reads the selected app from an app detail path
+ * @param {string} pathname - URL path, e.g. '/apps/Instagram'
+ * @returns {string|null} App name, or null outside the app detail view
+ */
+export const getAppFromPath = (pathname) => {
+  const [segment, ...rest] = pathname.split('/').filter(Boolean);
+
+  if (segment !== DASHBOARD_SECTIONS.APP_DETAIL || rest.length === 0) return null;
+
+  try {
+    return decodeURIComponent(rest.join('/'));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Builds the URL path for an app's detail view
+ * @param {string} appName - App name
+ * @returns {string} URL path
+ */
+export const getAppPath = (appName) => {
+  return `/${DASHBOARD_SECTIONS.APP_DETAIL}/${encodeURIComponent(appName)}`;
+};
+
+/**
+ * Builds the URL path for a dashboard section
+ * @param {string} section - Section id
+ * @returns {string} URL path
+ */
+export const getSectionPath = (section) => {
+  return section === DASHBOARD_SECTIONS.OVERVIEW ? '/' : `/${section}`;
+};
+
+/**
+ * Reads filters from URL search parameters, ignoring unknown or malformed values
+ * @param {URLSearchParams} searchParams - URL search parameters
+ * @returns {Object} Filter criteria
+ */
+export const parseFiltersFromSearch = (searchParams) => {
+  const filters = {};
+
+  Object.entries(FILTER_PARAMS).forEach(([key, { parse }]) => {
+    const raw = searchParams.get(key);
+    if (raw === null) return;
+
+    const value = parse(raw);
+    if (value !== undefined) {
+      filters[key] = value;
+    }
+  });
+
+  return filters;
+};
+
+/**
+ * Serializes filters to a URL query string
+ * @param {Object} filters - Filter criteria
+ * @returns {string} Query string including the leading '?', or '' when there are no filters
+ */
+export const buildSearchFromFilters = (filters = {}) => {
+  const searchParams = new URLSearchParams();
+
+  Object.entries(FILTER_PARAMS).forEach(([key, { serialize }]) => {
+    const value = filters[key];
+    if (value === undefined || value === null || value === '') return;
+
+    const serialized = serialize(value);
+    if (serialized) {
+      searchParams.set(key, serialized);
+    }
+  });
+
+  const search = searchParams.toString();
+  return search ? `?${search}` : '';
+};
+
+/**
+ * Validates a filters object against FILTER_PARAMS, e.g. one read from storage or a file
+ * Each value is round-tripped through its URL form, so anything the URL couldn't hold is dropped
+ * @param {Object} filters - Untrusted filter criteria
+ * @returns {Object} {filters, droppedKeys}
+ */
+export const sanitizeFilters = (filters) => {
+  const sanitized = {};
+  const droppedKeys = [];
+
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    return { filters: sanitized, droppedKeys };
+  }
+
+  Object.entries(filters).forEach(([key, value]) => {
+    const param = FILTER_PARAMS[key];
+    if (value === undefined || value === null || value === '') return;
+
+    let parsed;
+    try {
+      parsed = param ? param.parse(param.serialize(value)) : undefined;
+    } catch (error) {
+      parsed = undefined;
+    }
+
+    if (parsed === undefined) {
+      droppedKeys.push(key);
+    } else {
+      sanitized[key] = parsed;
+    }
+  });
+
+  return { filters: sanitized, droppedKeys };
+};
@@ -0,0 +1,87 @@
+import { runProcessPipeline, runAnalyticsPipeline } from '../utils/pipeline';
+
+/**
+ * Data pipeline worker
+ *
+ * Incoming messages: {id, type, payload} where type is one of
+ *   'process'    - payload {rawData}; cleans raw rows and keeps the result as the current dataset
+ *   'setDataset' - payload {apps, reviews}; replaces the current dataset
+ *   'analyze'    - payload {filters}; filters the current dataset and generates analytics
+ *   'cancel'     - stops job `id` at its next step boundary
+ *
+ * Outgoing messages: {id, type: 'progress', message}, {id, type: 'result', result}
+ * or {id, type: 'error', error: {message, code}}
+ */
+
+let dataset = { apps: [], reviews: [] };
+// Cancels only matter while their job runs; both sets are cleared when the job settles
+const runningJobs = new Set();
+const cancelledJobs = new Set();
+
+const handlers = {
+  process: async ({ rawData }, options) => {
+    const result = await runProcessPipeline(rawData, options);
+    dataset = {
+      apps: result.processedData.apps,
+      reviews: result.processedData.reviews
+    };
+    return result;
+  },
+
+  setDataset: async ({ apps, reviews }) => {
+    dataset = { apps, reviews };
+    return null;
+  },
+
+  analyze: async ({ filters }, options) => {
+    const { filteredApps, analytics, chartData } = await runAnalyticsPipeline(
+      dataset.apps,
+      dataset.reviews,
+      filters,
+      options
+    );
+
+    // Send positions instead of copies so the main thread keeps its own app objects
+    const indexByApp = new Map(dataset.apps.map((app, index) => [app, index]));
+
+    return {
+      filteredIndices: filteredApps.map(app => indexByApp.get(app)),
+      analytics,
+      chartData
+    };
+  }
+};
+
+self.onmessage = async (event) => {
+  const { id, type, payload } = event.data;
+
+  if (type === 'cancel') {
+    // A job that already finished (or never started here) has nothing to stop
+    if (runningJobs.has(id)) cancelledJobs.add(id);
+    return;
+  }
+
+  const handler = handlers[type];
+  if (!handler) {
+    self.postMessage({ id, type: 'error', error: { message: `Unknown pipeline job: ${type}` } });
+    return;
+  }
+
+  runningJobs.add(id);
+  try {
+    const result = await handler(payload, {
+      onProgress: (message) => self.postMessage({ id, type: 'progress', message }),
+      isCancelled: () => cancelledJobs.has(id)
+    });
+    self.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    self.postMessage({
+      id,
+      type: 'error',
+      error: { message: error.message, code: error.code }
+    });
+  } finally {
+    runningJobs.delete(id);
+    cancelledJobs.delete(id);
+  }
+};